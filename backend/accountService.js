@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const whatsappService = require('./whatsappService');
+
+// Name given to the account created automatically for a workspace's first WhatsApp number
+const DEFAULT_ACCOUNT_NAME = 'Main';
+const MAX_ACCOUNT_NAME_LENGTH = 50;
+
+/**
+ * Validate and trim an account name
+ * @param {string} name - Requested name
+ * @returns {string} - Trimmed name
+ */
+function normalizeName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_ACCOUNT_NAME_LENGTH) {
+    const error = new Error(`Account name must be 1-${MAX_ACCOUNT_NAME_LENGTH} characters`);
+    error.code = 'INVALID_ACCOUNT_NAME';
+    throw error;
+  }
+  return trimmed;
+}
+
+/**
+ * Get a workspace's WhatsApp accounts, oldest first
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Accounts
+ */
+async function listAccounts(workspaceId) {
+  return getStorage().whatsappAccounts.listByWorkspace(workspaceId);
+}
+
+/**
+ * Create a WhatsApp account in a workspace.
+ * The first account reuses the workspace ID as its ID, so sessions created before
+ * workspaces and multiple accounts existed (stored under data/<userId>) belong to it.
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} name - Display name (e.g. "Sales")
+ * @returns {Promise<Object>} - Created account
+ */
+async function createAccount(workspaceId, name) {
+  const accountRepository = getStorage().whatsappAccounts;
+  const existing = await accountRepository.listByWorkspace(workspaceId);
+  return accountRepository.create({
+    id: existing.length === 0 ? workspaceId : crypto.randomUUID(),
+    workspaceId,
+    name: normalizeName(name),
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Get a workspace's oldest account, creating it if the workspace has none yet
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} - Account
+ */
+async function getDefaultAccount(workspaceId) {
+  const [account] = await listAccounts(workspaceId);
+  if (account) {
+    return account;
+  }
+
+  try {
+    return await createAccount(workspaceId, DEFAULT_ACCOUNT_NAME);
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+      return (await listAccounts(workspaceId))[0];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find one of a workspace's accounts
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} [accountId] - WhatsApp account ID; omit for the workspace's default account
+ * @returns {Promise<Object|null>} - Account, or null if it doesn't exist or belongs to another workspace
+ */
+async function resolveAccount(workspaceId, accountId) {
+  if (!accountId) {
+    return getDefaultAccount(workspaceId);
+  }
+  const account = await getStorage().whatsappAccounts.findById(accountId);
+  return account && account.workspaceId === workspaceId ? account : null;
+}
+
+/**
+ * Rename an account
+ * @param {Object} account - WhatsApp account
+ * @param {string} name - New display name
+ * @returns {Promise<Object>} - Updated account
+ */
+async function renameAccount(account, name) {
+  return getStorage().whatsappAccounts.rename(account.id, normalizeName(name));
+}
+
+/**
+ * Log out and delete an account together with its session and stored messages
+ * @param {Object} account - WhatsApp account
+ * @returns {Promise<void>}
+ */
+async function deleteAccount(account) {
+  await whatsappService.deleteAccountData(account);
+  await getStorage().whatsappAccounts.delete(account.id);
+}
+
+/**
+ * Transform an account to API format, including its live connection state
+ * @param {Object} account - WhatsApp account
+ * @returns {Object} - Formatted account
+ */
+function formatAccount(account) {
+  const status = whatsappService.getConnectionStatus(account);
+  const clientInfo = whatsappService.getClientInfo(account);
+  return {
+    id: account.id,
+    name: account.name,
+    status,
+    connected: status === 'connected',
+    phoneNumber: clientInfo ? clientInfo.wid.user : null,
+    createdAt: account.createdAt
+  };
+}
+
+/**
+ * Express middleware: load the account named by ?accountId= (default: the workspace's
+ * first account) into req.account. Must run after requireMember.
+ */
+async function requireAccount(req, res, next) {
+  try {
+    const account = await resolveAccount(req.params.workspaceId, req.query.accountId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'WhatsApp account not found'
+      });
+    }
+    req.account = account;
+    next();
+  } catch (error) {
+    console.error('Error loading WhatsApp account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load WhatsApp account'
+    });
+  }
+}
+
+module.exports = {
+  listAccounts,
+  createAccount,
+  getDefaultAccount,
+  resolveAccount,
+  renameAccount,
+  deleteAccount,
+  formatAccount,
+  requireAccount
+};
@@ -0,0 +1,148 @@
+const { getStorage } = require('./storage');
+const workspaceService = require('./workspaceService');
+
+// How new conversations are assigned: manual leaves them unassigned, round_robin takes turns
+// through the agents, least_busy picks the agent with the fewest assigned conversations
+const ROUTING_MODES = ['manual', 'round_robin', 'least_busy'];
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function assignmentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Change how a workspace routes new conversations
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} routingMode - One of ROUTING_MODES
+ * @returns {Promise<Object>} - Updated workspace
+ */
+async function setRoutingMode(workspaceId, routingMode) {
+  if (!ROUTING_MODES.includes(routingMode)) {
+    throw assignmentError('INVALID_ROUTING_MODE', `Routing mode must be one of ${ROUTING_MODES.join(', ')}`);
+  }
+  return getStorage().workspaces.setRoutingMode(workspaceId, routingMode);
+}
+
+/**
+ * Get the conversation state of a chat
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} - Conversation, or null if it was never assigned
+ */
+async function getConversation(account, chatId) {
+  return getStorage().conversations.findById(account.id, chatId);
+}
+
+/**
+ * Get the conversation state of an account's chats, keyed by chat ID
+ * @param {Object} account - WhatsApp account
+ * @returns {Promise<Map<string, Object>>} - Conversations by chat ID
+ */
+async function getConversations(account) {
+  const conversations = await getStorage().conversations.listByAccount(account.id);
+  return new Map(conversations.map(conversation => [conversation.chatId, conversation]));
+}
+
+/**
+ * Assign a chat to a workspace member, or unassign it.
+ * Read-only members can't reply, so they can't be given conversations.
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {string|null} assigneeId - User ID, or null to unassign
+ * @param {Object} actor - Member making the change
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function assignConversation(account, chatId, assigneeId, actor) {
+  if (assigneeId) {
+    const members = await workspaceService.listMembers(account.workspaceId);
+    const assignee = members.find(member => member.userId === assigneeId);
+    if (!assignee || !workspaceService.hasRole(assignee.role, 'agent')) {
+      throw assignmentError('INVALID_ASSIGNEE', 'Conversations can only be assigned to members who can reply');
+    }
+  }
+  return getStorage().conversations.assign(account.id, chatId, assigneeId || null, actor.userId);
+}
+
+/**
+ * Pick the agent that gets the next routed conversation
+ * @param {Object} workspace - Workspace (with routingMode and lastRoutedUserId)
+ * @param {Array<Object>} agents - Agents, in the order they joined
+ * @returns {Promise<Object>} - Chosen agent
+ */
+async function pickAgent(workspace, agents) {
+  if (workspace.routingMode === 'least_busy') {
+    const counts = await getStorage().conversations.countByAssignee(workspace.id);
+    // Ties go to whoever joined first
+    return agents.reduce((best, agent) =>
+      (counts.get(agent.userId) || 0) < (counts.get(best.userId) || 0) ? agent : best);
+  }
+
+  // round_robin: the agent after the last one routed to, wrapping around
+  const lastIndex = agents.findIndex(agent => agent.userId === workspace.lastRoutedUserId);
+  return agents[(lastIndex + 1) % agents.length];
+}
+
+/**
+ * Route an unassigned chat that just received a message to one of the workspace's agents.
+ * Only members with the agent role take part in routing; owners and admins assign themselves manually.
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} - New conversation state, or null if the chat wasn't routed
+ */
+async function routeConversation(account, chatId) {
+  const storage = getStorage();
+  const workspace = await storage.workspaces.findById(account.workspaceId);
+  if (!workspace || workspace.routingMode === 'manual') {
+    return null;
+  }
+
+  const existing = await storage.conversations.findById(account.id, chatId);
+  if (existing && existing.assigneeId) {
+    return null;
+  }
+
+  const members = await workspaceService.listMembers(workspace.id);
+  const agents = members.filter(member => member.role === 'agent');
+  if (agents.length === 0) {
+    return null;
+  }
+
+  const agent = await pickAgent(workspace, agents);
+  const conversation = await storage.conversations.assignIfUnassigned(account.id, chatId, agent.userId);
+  if (conversation) {
+    await storage.workspaces.setLastRoutedUser(workspace.id, agent.userId);
+  }
+  return conversation;
+}
+
+/**
+ * Transform a conversation's assignee to API format
+ * @param {Object|null} conversation - Conversation
+ * @returns {Object|null} - { id, name }, or null if unassigned
+ */
+function formatAssignee(conversation) {
+  if (!conversation || !conversation.assigneeId) {
+    return null;
+  }
+  return {
+    id: conversation.assigneeId,
+    name: conversation.assigneeName
+  };
+}
+
+module.exports = {
+  ROUTING_MODES,
+  setRoutingMode,
+  getConversation,
+  getConversations,
+  assignConversation,
+  routeConversation,
+  formatAssignee
+};
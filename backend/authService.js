@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Token lifetimes (in seconds)
+const ACCESS_TOKEN_TTL = 60 * 60; // 1 hour
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+
+// Signing secret is taken from AUTH_SECRET, otherwise generated once and kept in the data directory
+const secretFilePath = path.join(__dirname, 'data', '.auth_secret');
+let secretPromise = null;
+
+/**
+ * Get the HMAC secret used to sign tokens
+ * @returns {Promise<Buffer>} - Signing secret
+ */
+function getSecret() {
+  if (process.env.AUTH_SECRET) {
+    return Promise.resolve(Buffer.from(process.env.AUTH_SECRET));
+  }
+
+  if (!secretPromise) {
+    secretPromise = (async () => {
+      try {
+        const secret = await fs.readFile(secretFilePath, 'utf8');
+        if (secret.trim()) {
+          return Buffer.from(secret.trim(), 'hex');
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      const secret = crypto.randomBytes(32);
+      await fs.mkdir(path.dirname(secretFilePath), { recursive: true });
+      await fs.writeFile(secretFilePath, secret.toString('hex'), { encoding: 'utf8', mode: 0o600 });
+      return secret;
+    })().catch((error) => {
+      secretPromise = null;
+      throw error;
+    });
+  }
+
+  return secretPromise;
+}
+
+/**
+ * Base64url-encode a JSON value
+ * @param {Object} value - Value to encode
+ * @returns {string} - Encoded string
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a JWT (HS256)
+ * @param {Object} payload - Token claims
+ * @returns {Promise<string>} - Signed token
+ */
+async function signToken(payload) {
+  const secret = await getSecret();
+  const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token - Signed token
+ * @param {string} type - Expected token type ('access' or 'refresh')
+ * @returns {Promise<Object|null>} - Token claims or null if invalid/expired
+ */
+async function verifyToken(token, type) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const secret = await getSecret();
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.typ !== type || !claims.sub) {
+      return null;
+    }
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Issue an access/refresh token pair for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+async function issueTokens(userId) {
+  const now = Math.floor(Date.now() / 1000);
+  const token = await signToken({ sub: userId, typ: 'access', iat: now, exp: now + ACCESS_TOKEN_TTL });
+  const refreshToken = await signToken({ sub: userId, typ: 'refresh', iat: now, exp: now + REFRESH_TOKEN_TTL });
+  return {
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} - New tokens with userId, or null if the refresh token is invalid
+ */
+async function refreshTokens(refreshToken) {
+  const claims = await verifyToken(refreshToken, 'refresh');
+  if (!claims) {
+    return null;
+  }
+  const tokens = await issueTokens(claims.sub);
+  return { userId: claims.sub, ...tokens };
+}
+
+/**
+ * Check an access token and set req.auth = { userId }, or answer 401
+ * @param {string|undefined} token - Access token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function authenticate(token, req, res, next) {
+  try {
+    const claims = await verifyToken(token, 'access');
+
+    if (!claims) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+        error: 'Invalid or expired token'
+      });
+    }
+
+    req.auth = { userId: claims.sub };
+    next();
+  } catch (error) {
+    console.error('Error verifying auth token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify authentication'
+    });
+  }
+}
+
+/**
+ * Get the token of a request's "Authorization: Bearer" header
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - Token, if any
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : undefined;
+}
+
+/**
+ * Express middleware: require a valid access token in the Authorization header.
+ * Sets req.auth = { userId }.
+ */
+function requireAuth(req, res, next) {
+  return authenticate(getBearerToken(req), req, res, next);
+}
+
+/**
+ * Express middleware like requireAuth that also takes the token from ?token=, for the GET routes
+ * browsers request without custom headers: EventSource streams and media src URLs. Other routes
+ * don't accept it, as a token in the URL ends up in access logs, browser history and Referer headers.
+ */
+function requireAuthOrQueryToken(req, res, next) {
+  return authenticate(getBearerToken(req) || req.query.token, req, res, next);
+}
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  requireAuth,
+  requireAuthOrQueryToken
+};
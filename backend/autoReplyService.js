@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const vm = require('vm');
+const { getStorage } = require('./storage');
+const workspaceService = require('./workspaceService');
+const tagService = require('./tagService');
+const templateService = require('./templateService');
+const businessHoursService = require('./businessHoursService');
+
+const MATCH_TYPES = ['keyword', 'regex', 'first_message'];
+const CHAT_TYPES = ['any', 'individual', 'group'];
+const MAX_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+// One week
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+// Regular expressions only look at the start of long messages, and one that takes longer than
+// REGEX_TIMEOUT_MS to match counts as no match, so a pattern with catastrophic backtracking can't
+// stall the event loop every account's listeners, live events and job queues share
+const MAX_REGEX_INPUT_LENGTH = 1000;
+const REGEX_TIMEOUT_MS = 50;
+
+// Rule ID -> { pattern, regexes }: a rule's compiled pattern, rebuilt when the pattern changes
+const compiledPatterns = new Map();
+// Regex rules are matched in a sandbox, where the match can be interrupted
+const regexSandbox = vm.createContext({ regex: null, text: '' });
+const regexTest = new vm.Script('regex.test(text)');
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function autoReplyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Split a keyword rule's pattern into its keywords
+ * @param {string} pattern - Comma-separated keywords
+ * @returns {Array<string>} - Trimmed, non-empty keywords
+ */
+function parseKeywords(pattern) {
+  return pattern.split(',').map(keyword => keyword.trim()).filter(Boolean);
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate and trim a rule's fields. Every rule needs at least one action.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} input - { name, enabled, matchType, pattern, chatType, replySnippetId, tag, assigneeId, cooldownMinutes }
+ * @returns {Promise<Object>} - Normalized fields
+ */
+async function normalizeRule(workspaceId, input) {
+  const { name, enabled, matchType, pattern, chatType, replySnippetId, tag, assigneeId, cooldownMinutes } = input || {};
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+    throw autoReplyError('INVALID_AUTO_REPLY_RULE', `Name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (!MATCH_TYPES.includes(matchType)) {
+    throw autoReplyError('INVALID_AUTO_REPLY_RULE', `Match type must be one of ${MATCH_TYPES.join(', ')}`);
+  }
+
+  // A first-message rule has no pattern
+  let normalizedPattern = null;
+  if (matchType !== 'first_message') {
+    normalizedPattern = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!normalizedPattern || normalizedPattern.length > MAX_PATTERN_LENGTH) {
+      throw autoReplyError('INVALID_AUTO_REPLY_RULE', `Pattern must be 1-${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (matchType === 'keyword') {
+      normalizedPattern = parseKeywords(normalizedPattern).join(', ');
+      if (!normalizedPattern) {
+        throw autoReplyError('INVALID_AUTO_REPLY_RULE', 'Enter at least one keyword');
+      }
+    } else {
+      try {
+        new RegExp(normalizedPattern, 'iu');
+      } catch (error) {
+        throw autoReplyError('INVALID_AUTO_REPLY_RULE', error.message);
+      }
+    }
+  }
+
+  const normalizedChatType = chatType || 'any';
+  if (!CHAT_TYPES.includes(normalizedChatType)) {
+    throw autoReplyError('INVALID_AUTO_REPLY_RULE', `Chat type must be one of ${CHAT_TYPES.join(', ')}`);
+  }
+
+  const cooldown = cooldownMinutes === undefined || cooldownMinutes === null ? DEFAULT_COOLDOWN_MINUTES : cooldownMinutes;
+  if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+    throw autoReplyError('INVALID_AUTO_REPLY_RULE', `Cooldown must be 0-${MAX_COOLDOWN_MINUTES} minutes`);
+  }
+
+  if (!replySnippetId && !tag && !assigneeId) {
+    throw autoReplyError('INVALID_AUTO_REPLY_RULE', 'A rule must reply, add a tag or assign the chat');
+  }
+  if (replySnippetId && !await getStorage().snippets.findById(workspaceId, replySnippetId)) {
+    throw autoReplyError('INVALID_AUTO_REPLY_RULE', 'Snippet not found');
+  }
+  let normalizedTag = null;
+  if (tag) {
+    try {
+      normalizedTag = tagService.normalizeTag(tag);
+    } catch (error) {
+      throw autoReplyError('INVALID_AUTO_REPLY_RULE', error.message);
+    }
+  }
+  if (assigneeId) {
+    const members = await workspaceService.listMembers(workspaceId);
+    const assignee = members.find(member => member.userId === assigneeId);
+    if (!assignee || !workspaceService.hasRole(assignee.role, 'agent')) {
+      throw autoReplyError('INVALID_AUTO_REPLY_RULE', 'Conversations can only be assigned to members who can reply');
+    }
+  }
+
+  return {
+    name: trimmedName,
+    enabled: enabled !== false,
+    matchType,
+    pattern: normalizedPattern,
+    chatType: normalizedChatType,
+    replySnippetId: replySnippetId || null,
+    tag: normalizedTag,
+    assigneeId: assigneeId || null,
+    cooldownMinutes: cooldown
+  };
+}
+
+/**
+ * Get a workspace's rules in the order they are checked
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Rules
+ */
+async function listRules(workspaceId) {
+  return getStorage().autoReplyRules.listByWorkspace(workspaceId);
+}
+
+/**
+ * Add a rule at the end of the workspace's list
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} author - Member creating it
+ * @param {Object} input - Rule fields (see normalizeRule)
+ * @returns {Promise<Object>} - Created rule
+ */
+async function createRule(workspaceId, author, input) {
+  return getStorage().autoReplyRules.create({
+    id: crypto.randomUUID(),
+    workspaceId,
+    ...await normalizeRule(workspaceId, input),
+    createdBy: author.userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Change a rule
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} ruleId - Rule ID
+ * @param {Object} input - Rule fields (see normalizeRule)
+ * @returns {Promise<Object>} - Updated rule
+ */
+async function updateRule(workspaceId, ruleId, input) {
+  const fields = await normalizeRule(workspaceId, input);
+  const rule = await getStorage().autoReplyRules.update({ id: ruleId, workspaceId, ...fields });
+  if (!rule) {
+    throw autoReplyError('AUTO_REPLY_RULE_NOT_FOUND', 'Rule not found');
+  }
+  return rule;
+}
+
+/**
+ * Delete a rule
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+async function deleteRule(workspaceId, ruleId) {
+  if (!await getStorage().autoReplyRules.delete(workspaceId, ruleId)) {
+    throw autoReplyError('AUTO_REPLY_RULE_NOT_FOUND', 'Rule not found');
+  }
+  compiledPatterns.delete(ruleId);
+}
+
+/**
+ * Put a workspace's rules in a new order
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>} ruleIds - Every rule ID of the workspace, in the new order
+ * @returns {Promise<Array<Object>>} - Rules in their new order
+ */
+async function reorderRules(workspaceId, ruleIds) {
+  const ruleRepository = getStorage().autoReplyRules;
+  const existing = await ruleRepository.listByWorkspace(workspaceId);
+  const existingIds = new Set(existing.map(rule => rule.id));
+  const isComplete = Array.isArray(ruleIds)
+    && ruleIds.length === existingIds.size
+    && new Set(ruleIds).size === ruleIds.length
+    && ruleIds.every(id => existingIds.has(id));
+  if (!isComplete) {
+    throw autoReplyError('INVALID_AUTO_REPLY_ORDER', 'The rule list has changed. Reload it and try again.');
+  }
+
+  await ruleRepository.reorder(workspaceId, ruleIds);
+  return ruleRepository.listByWorkspace(workspaceId);
+}
+
+/**
+ * Get a keyword or regex rule's pattern as regular expressions, compiled once per pattern
+ * @param {Object} rule - Rule
+ * @returns {Array<RegExp>} - One per keyword, or the rule's regular expression
+ */
+function getRegexes(rule) {
+  const compiled = compiledPatterns.get(rule.id);
+  if (compiled && compiled.pattern === rule.pattern) {
+    return compiled.regexes;
+  }
+  const regexes = rule.matchType === 'keyword'
+    // Whole words only, so "price" doesn't fire on "priceless"
+    ? parseKeywords(rule.pattern).map(keyword =>
+      new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}])`, 'iu'))
+    : [new RegExp(rule.pattern, 'iu')];
+  compiledPatterns.set(rule.id, { pattern: rule.pattern, regexes });
+  return regexes;
+}
+
+/**
+ * Match a regex rule against a message's text, giving up after REGEX_TIMEOUT_MS
+ * @param {Object} rule - Regex rule
+ * @param {string} text - Message text
+ * @returns {boolean} - False if it doesn't match or took too long
+ */
+function testRegexRule(rule, text) {
+  regexSandbox.regex = getRegexes(rule)[0];
+  regexSandbox.text = text.slice(0, MAX_REGEX_INPUT_LENGTH);
+  try {
+    return regexTest.runInContext(regexSandbox, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw error;
+    }
+    console.warn(`Auto-reply rule ${rule.id} skipped: its regular expression took over ${REGEX_TIMEOUT_MS}ms`);
+    return false;
+  }
+}
+
+/**
+ * Check whether a rule's condition holds for an incoming message
+ * @param {Object} rule - Rule
+ * @param {Object} message - Stored message
+ * @param {Function} isFirstMessage - Resolves whether this is the chat's first message
+ * @returns {Promise<boolean>}
+ */
+async function matchesRule(rule, message, isFirstMessage) {
+  const isGroup = message.chatId.endsWith('@g.us');
+  if ((rule.chatType === 'group' && !isGroup) || (rule.chatType === 'individual' && isGroup)) {
+    return false;
+  }
+  const text = message.body || '';
+  switch (rule.matchType) {
+    case 'keyword':
+      return getRegexes(rule).some(regex => regex.test(text));
+    case 'regex':
+      return testRegexRule(rule, text);
+    case 'first_message':
+      return isFirstMessage();
+    default:
+      return false;
+  }
+}
+
+/**
+ * Run a workspace's rules on an incoming message. The first enabled rule with an action left that
+ * matches and isn't cooling down in the chat fires; the rules after it are skipped.
+ * Sending the reply is left to the caller (whatsappService requires this module, not the other way round).
+ * @param {Object} account - WhatsApp account that received the message
+ * @param {Object} message - Stored message
+ * @param {Function} isFirstMessage - Resolves whether this is the chat's first message (asked only by first_message rules)
+ * @returns {Promise<Object|null>} - { rule, reply, tagged, assigned }, or null if no rule fired.
+ *   reply is the text to send (null if none), tagged and assigned the updated conversations (null if unchanged).
+ */
+async function applyRules(account, message, isFirstMessage) {
+  if (message.fromMe || message.chatId === 'status@broadcast') {
+    return null;
+  }
+  const storage = getStorage();
+  // A rule whose reply snippet or assignee has since been deleted may have no action left; it would only
+  // record a firing and keep the rules after it from running
+  const rules = (await storage.autoReplyRules.listByWorkspace(account.workspaceId))
+    .filter(rule => rule.enabled && (rule.replySnippetId || rule.tag || rule.assigneeId));
+  if (rules.length === 0) {
+    return null;
+  }
+
+  for (const rule of rules) {
+    if (!await matchesRule(rule, message, isFirstMessage)) {
+      continue;
+    }
+    const lastFiredAt = await storage.autoReplyRules.getLastFiredAt(rule.id, account.id, message.chatId);
+    if (lastFiredAt && Date.now() - new Date(lastFiredAt).getTime() < rule.cooldownMinutes * 60 * 1000) {
+      continue;
+    }
+    await storage.autoReplyRules.recordFiring(rule.id, account.id, message.chatId);
+    return executeRule(account, message, rule);
+  }
+  return null;
+}
+
+/**
+ * Carry out a rule's actions on a chat
+ * @param {Object} account - WhatsApp account
+ * @param {Object} message - Stored message that fired the rule
+ * @param {Object} rule - Rule
+ * @returns {Promise<Object>} - { rule, reply, tagged, assigned } (see applyRules)
+ */
+async function executeRule(account, message, rule) {
+  const storage = getStorage();
+  const result = { rule, reply: null, tagged: null, assigned: null };
+
+  if (rule.tag) {
+    result.tagged = await tagService.addTag(account, message.chatId, rule.tag);
+  }
+
+  if (rule.assigneeId) {
+    // The assignee may have lost the agent role since the rule was saved
+    const members = await workspaceService.listMembers(account.workspaceId);
+    const assignee = members.find(member => member.userId === rule.assigneeId);
+    const conversation = await storage.conversations.findById(account.id, message.chatId);
+    if (assignee && workspaceService.hasRole(assignee.role, 'agent')
+      && (!conversation || conversation.assigneeId !== assignee.userId)) {
+      result.assigned = await storage.conversations.assign(account.id, message.chatId, assignee.userId, null);
+    }
+  }
+
+  if (rule.replySnippetId) {
+    const snippet = await storage.snippets.findById(account.workspaceId, rule.replySnippetId);
+    if (snippet) {
+      const { timezone } = await businessHoursService.getBusinessHours(account);
+      const { text, unresolved } = await templateService.fillTemplateForChat(account, message.chatId, snippet.content, timezone);
+      // Better no answer than one with {{placeholders}} in it; an agent replies instead
+      if (unresolved.length === 0) {
+        result.reply = text;
+      } else {
+        console.warn(`Auto-reply rule ${rule.id} skipped its reply: no value for ${unresolved.join(', ')}`);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Transform a rule to API format
+ * @param {Object} rule - Rule
+ * @returns {Object} - Formatted rule
+ */
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    enabled: rule.enabled,
+    // keyword, regex or first_message
+    matchType: rule.matchType,
+    // Comma-separated keywords or a regular expression; null for first_message
+    pattern: rule.pattern,
+    // any, individual or group
+    chatType: rule.chatType,
+    // null once the snippet is deleted
+    replySnippet: rule.replySnippetId ? { id: rule.replySnippetId, title: rule.replySnippetTitle } : null,
+    tag: rule.tag,
+    // null once the member's account is gone
+    assignee: rule.assigneeId ? { id: rule.assigneeId, name: rule.assigneeName } : null,
+    cooldownMinutes: rule.cooldownMinutes
+  };
+}
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  applyRules,
+  formatRule
+};
@@ -0,0 +1,298 @@
+const { getStorage } = require('./storage');
+const templateService = require('./templateService');
+
+// Keys of a weekly schedule, in Date#getDay order
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_INTERVALS_PER_DAY = 4;
+const MAX_HOLIDAYS = 100;
+// WhatsApp's limit for a text message
+const MAX_MESSAGE_LENGTH = 4096;
+// How far ahead to look for the next opening; with a longer closure the period has no end
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// What an account gets until an admin sets its hours: the "Business Hours" starter snippet's
+// Monday-Friday, 9 AM - 6 PM Eastern, with the automatic messages off
+const DEFAULT_BUSINESS_HOURS = {
+  timezone: 'America/New_York',
+  schedule: {
+    sunday: [],
+    monday: [{ open: '09:00', close: '18:00' }],
+    tuesday: [{ open: '09:00', close: '18:00' }],
+    wednesday: [{ open: '09:00', close: '18:00' }],
+    thursday: [{ open: '09:00', close: '18:00' }],
+    friday: [{ open: '09:00', close: '18:00' }],
+    saturday: []
+  },
+  holidays: [],
+  awayMessage: null,
+  greetingMessage: null
+};
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function businessHoursError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Convert an HH:MM time to minutes since midnight
+ * @param {string} time - HH:MM (24:00 allowed as a closing time)
+ * @returns {number} - Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate a weekly schedule. Days left out are closed; a day's intervals are sorted and can't overlap.
+ * @param {Object} schedule - { monday: [{ open, close }], ... }
+ * @returns {Object} - Schedule with every day
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw businessHoursError('INVALID_BUSINESS_HOURS', 'Schedule must be an object of days');
+  }
+  const unknown = Object.keys(schedule).find(day => !DAYS.includes(day));
+  if (unknown) {
+    throw businessHoursError('INVALID_BUSINESS_HOURS', `Unknown day "${unknown}"`);
+  }
+
+  const normalized = {};
+  for (const day of DAYS) {
+    const intervals = schedule[day] || [];
+    if (!Array.isArray(intervals) || intervals.length > MAX_INTERVALS_PER_DAY) {
+      throw businessHoursError('INVALID_BUSINESS_HOURS', `A day can have at most ${MAX_INTERVALS_PER_DAY} opening intervals`);
+    }
+    const sorted = intervals.map(interval => {
+      const { open, close } = interval || {};
+      if (!TIME_PATTERN.test(open) || open === '24:00' || !TIME_PATTERN.test(close) || toMinutes(open) >= toMinutes(close)) {
+        throw businessHoursError('INVALID_BUSINESS_HOURS', `Opening hours on ${day} must be HH:MM times, opening before closing`);
+      }
+      return { open, close };
+    }).sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+    if (sorted.some((interval, index) => index > 0 && toMinutes(interval.open) < toMinutes(sorted[index - 1].close))) {
+      throw businessHoursError('INVALID_BUSINESS_HOURS', `Opening hours on ${day} overlap`);
+    }
+    normalized[day] = sorted;
+  }
+  return normalized;
+}
+
+/**
+ * Validate an automatic message; blank turns it off
+ * @param {string|null} message - Message text
+ * @param {string} label - Name used in the error message
+ * @returns {string|null} - Message, or null if off
+ */
+function normalizeMessage(message, label) {
+  if (message === undefined || message === null || (typeof message === 'string' && !message.trim())) {
+    return null;
+  }
+  if (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH) {
+    throw businessHoursError('INVALID_BUSINESS_HOURS', `${label} must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  return message;
+}
+
+/**
+ * Validate business hours
+ * @param {Object} input - { timezone, schedule, holidays, awayMessage, greetingMessage }
+ * @returns {Object} - Normalized business hours
+ */
+function normalizeBusinessHours(input) {
+  const { timezone, schedule, holidays, awayMessage, greetingMessage } = input || {};
+  try {
+    if (typeof timezone !== 'string' || !timezone) {
+      throw new RangeError();
+    }
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw businessHoursError('INVALID_BUSINESS_HOURS', 'Time zone must be an IANA name like Europe/Berlin');
+  }
+
+  const dates = holidays || [];
+  if (!Array.isArray(dates) || dates.length > MAX_HOLIDAYS) {
+    throw businessHoursError('INVALID_BUSINESS_HOURS', `Holidays must be a list of at most ${MAX_HOLIDAYS} dates`);
+  }
+  for (const date of dates) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    // Rejects impossible dates like 2026-02-30, which Date rolls over
+    if (!DATE_PATTERN.test(date) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+      throw businessHoursError('INVALID_BUSINESS_HOURS', `Holidays must be YYYY-MM-DD dates, not "${date}"`);
+    }
+  }
+
+  return {
+    timezone,
+    schedule: normalizeSchedule(schedule),
+    holidays: [...new Set(dates)].sort(),
+    awayMessage: normalizeMessage(awayMessage, 'The away message'),
+    greetingMessage: normalizeMessage(greetingMessage, 'The greeting')
+  };
+}
+
+/**
+ * Get an account's business hours, or the defaults if they were never set
+ * @param {Object} account - WhatsApp account
+ * @returns {Promise<Object>} - Business hours
+ */
+async function getBusinessHours(account) {
+  const businessHours = await getStorage().businessHours.findByAccount(account.id);
+  return businessHours || { accountId: account.id, ...DEFAULT_BUSINESS_HOURS };
+}
+
+/**
+ * Replace an account's business hours
+ * @param {Object} account - WhatsApp account
+ * @param {Object} input - { timezone, schedule, holidays, awayMessage, greetingMessage }
+ * @returns {Promise<Object>} - Saved business hours
+ */
+async function updateBusinessHours(account, input) {
+  return getStorage().businessHours.save({ accountId: account.id, ...normalizeBusinessHours(input) });
+}
+
+/**
+ * Get the local date and time of an instant in a time zone
+ * @param {string} timezone - IANA time zone
+ * @param {number} now - Epoch milliseconds
+ * @returns {{ date: string, minutes: number }} - YYYY-MM-DD and minutes since midnight
+ */
+function getLocalTime(timezone, now) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Get a day's opening intervals, none on holidays
+ * @param {Object} businessHours - Business hours
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<Object>} - { open, close } intervals
+ */
+function getIntervals(businessHours, date) {
+  if (businessHours.holidays.includes(date)) {
+    return [];
+  }
+  return businessHours.schedule[DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]];
+}
+
+/**
+ * Find the closed period an instant falls in. Each period is named after the opening that ends it,
+ * so a Friday evening and the Saturday after are the same period.
+ * @param {Object} businessHours - Business hours
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {string|null} - Local date and time of the next opening (or "indefinitely"), null while open
+ */
+function getClosedPeriod(businessHours, now = Date.now()) {
+  const { date, minutes } = getLocalTime(businessHours.timezone, now);
+  const isOpen = getIntervals(businessHours, date)
+    .some(interval => toMinutes(interval.open) <= minutes && minutes < toMinutes(interval.close));
+  if (isOpen) {
+    return null;
+  }
+
+  const start = new Date(`${date}T00:00:00Z`);
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(start.getTime() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const next = getIntervals(businessHours, day).find(interval => offset > 0 || toMinutes(interval.open) > minutes);
+    if (next) {
+      return `${day} ${next.open}`;
+    }
+  }
+  return 'indefinitely';
+}
+
+/**
+ * Fill an automatic message for a chat, with {{date}} and {{time}} in the business hours' time zone
+ * @param {Object} account - WhatsApp account
+ * @param {Object} businessHours - The account's business hours
+ * @param {string} chatId - Chat ID
+ * @param {string} content - Message with placeholders
+ * @param {string} label - Name used in the log
+ * @returns {Promise<string|null>} - Text to send, or null if a placeholder has no value
+ */
+async function fillMessage(account, businessHours, chatId, content, label) {
+  const { text, unresolved } = await templateService.fillTemplateForChat(account, chatId, content, businessHours.timezone);
+  if (unresolved.length > 0) {
+    // Better no message than one with {{placeholders}} in it
+    console.warn(`Skipped the ${label} to ${chatId}: no value for ${unresolved.join(', ')}`);
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Work out the automatic messages an incoming message gets: the greeting if it's the first message
+ * of the chat, and the away message if the account is closed and the chat didn't get it yet this
+ * closed period. Groups and broadcasts get neither.
+ * Sending is left to the caller (whatsappService requires this module, not the other way round).
+ * @param {Object} account - WhatsApp account that received the message
+ * @param {Object} message - Stored message
+ * @param {Function} isFirstMessage - Resolves whether this is the chat's first message (asked only if there's a greeting)
+ * @returns {Promise<Array<string>>} - Texts to send, in order
+ */
+async function getAutomaticReplies(account, message, isFirstMessage) {
+  if (message.fromMe || message.chatId.endsWith('@g.us') || message.chatId.endsWith('@broadcast')) {
+    return [];
+  }
+  const storage = getStorage();
+  const businessHours = await getBusinessHours(account);
+  const replies = [];
+
+  if (businessHours.greetingMessage && await isFirstMessage()) {
+    replies.push(await fillMessage(account, businessHours, message.chatId, businessHours.greetingMessage, 'greeting'));
+  }
+
+  const closedPeriod = businessHours.awayMessage ? getClosedPeriod(businessHours) : null;
+  if (closedPeriod && await storage.businessHours.claimAwayReply(account.id, message.chatId, closedPeriod)) {
+    replies.push(await fillMessage(account, businessHours, message.chatId, businessHours.awayMessage, 'away message'));
+  }
+
+  return replies.filter(Boolean);
+}
+
+/**
+ * Transform business hours to API format
+ * @param {Object} businessHours - Business hours
+ * @returns {Object} - Formatted business hours
+ */
+function formatBusinessHours(businessHours) {
+  return {
+    timezone: businessHours.timezone,
+    // { sunday: [{ open: 'HH:MM', close: 'HH:MM' }], monday: [...], ... }; empty days are closed
+    schedule: businessHours.schedule,
+    // YYYY-MM-DD dates the account is closed all day
+    holidays: businessHours.holidays,
+    // null when off
+    awayMessage: businessHours.awayMessage,
+    greetingMessage: businessHours.greetingMessage,
+    isOpen: getClosedPeriod(businessHours) === null
+  };
+}
+
+module.exports = {
+  getBusinessHours,
+  updateBusinessHours,
+  getAutomaticReplies,
+  getClosedPeriod,
+  formatBusinessHours
+};
@@ -0,0 +1,81 @@
+const { getStorage } = require('./storage');
+const whatsappService = require('./whatsappService');
+
+// Pause between two campaign messages from the same number: the minimum plus a random share of the
+// jitter, so the sending pattern doesn't look automated and the account isn't banned for spam
+const MIN_SEND_INTERVAL_MS = 5 * 1000;
+const SEND_JITTER_MS = 10 * 1000;
+const QUEUE_CHECK_INTERVAL_MS = 1000;
+
+let queueTimer = null;
+let isSending = false;
+// Account ID -> epoch milliseconds before which the account sends no campaign message
+const nextSendAt = new Map();
+
+/**
+ * Send the next waiting campaign message of an account, if the account is connected.
+ * A failed send fails that recipient only; messages of a disconnected account wait until it's back.
+ * @param {Object} account - WhatsApp account
+ * @param {Function} onChange - Called with (account, campaign, recipient) after the attempt
+ */
+async function sendNext(account, onChange) {
+  const campaignRepository = getStorage().campaigns;
+  const recipient = await campaignRepository.nextPendingRecipient(account.id);
+  if (!recipient || whatsappService.getConnectionStatus(account) !== 'connected') {
+    return;
+  }
+
+  let updated;
+  try {
+    const messageId = await whatsappService.sendMessage(account, recipient.chatId, recipient.body);
+    updated = await campaignRepository.markRecipientSent(recipient, messageId);
+  } catch (error) {
+    if (whatsappService.getConnectionStatus(account) !== 'connected') {
+      return;
+    }
+    console.error(`Error sending campaign message to ${recipient.chatId}:`, error.message);
+    updated = await campaignRepository.markRecipientFailed(recipient, error.message);
+  }
+  nextSendAt.set(account.id, Date.now() + MIN_SEND_INTERVAL_MS + Math.random() * SEND_JITTER_MS);
+
+  await campaignRepository.completeIfDone(recipient.campaignId);
+  onChange(account, await campaignRepository.findById(account.workspaceId, recipient.campaignId), updated);
+}
+
+/**
+ * Work through the recipients of running campaigns, one message per account at a time. The queue
+ * lives in the database, so campaigns carry on where they left off after a restart.
+ * @param {Function} onChange - Called with (account, campaign, recipient) after every send attempt
+ */
+function startCampaignQueue(onChange) {
+  if (queueTimer) {
+    return;
+  }
+  queueTimer = setInterval(async () => {
+    if (isSending) {
+      return;
+    }
+    isSending = true;
+    try {
+      const storage = getStorage();
+      for (const accountId of await storage.campaigns.listSendingAccountIds()) {
+        if ((nextSendAt.get(accountId) || 0) > Date.now()) {
+          continue;
+        }
+        const account = await storage.whatsappAccounts.findById(accountId);
+        if (account) {
+          await sendNext(account, onChange);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending campaign messages:', error);
+    } finally {
+      isSending = false;
+    }
+  }, QUEUE_CHECK_INTERVAL_MS);
+  queueTimer.unref();
+}
+
+module.exports = {
+  startCampaignQueue
+};
@@ -0,0 +1,312 @@
+const multer = require('multer');
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { parseCsv } = require('./csv');
+const templateService = require('./templateService');
+
+const MAX_NAME_LENGTH = 100;
+// WhatsApp's limit for a text message
+const MAX_TEMPLATE_LENGTH = 4096;
+const MAX_RECIPIENTS = 1000;
+const MAX_RECIPIENT_FILE_SIZE = 1024 * 1024;
+// Recipient errors listed in the response; the rest are only counted
+const MAX_REPORTED_ERRORS = 5;
+// Country code and number, without + or separators (E.164 allows up to 15 digits)
+const PHONE_PATTERN = /^\d{7,15}$/;
+// CSV columns that aren't custom fields
+const CSV_PHONE_COLUMN = 'phone';
+const CSV_NAME_COLUMN = 'name';
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function campaignError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Throw one INVALID_CAMPAIGN error listing the first recipient errors
+ * @param {Array<string>} errors - Error messages
+ */
+function throwRecipientErrors(errors) {
+  if (errors.length > 0) {
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw campaignError('INVALID_CAMPAIGN', `${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}${more}`);
+  }
+}
+
+/**
+ * Read recipients from an uploaded CSV file with a phone column, an optional name column and
+ * any other columns as custom fields for the template
+ * @param {Object} file - Uploaded file (multer)
+ * @returns {Array<Object>} - { label, chatId, phone, name, contactFields }
+ */
+function readRecipientFile(file) {
+  const [header, ...rows] = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  if (!columns.includes(CSV_PHONE_COLUMN)) {
+    throw campaignError('INVALID_CAMPAIGN', 'The CSV file needs a header row with a phone column');
+  }
+
+  const errors = [];
+  const recipients = [];
+  rows.forEach((fields, index) => {
+    // Row 1 is the header
+    const label = `Row ${index + 2}`;
+    const values = Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()]));
+    const phone = values[CSV_PHONE_COLUMN].replace(/[\s()+.-]/g, '');
+    if (!PHONE_PATTERN.test(phone)) {
+      errors.push(`${label}: "${values[CSV_PHONE_COLUMN]}" isn't a phone number with country code`);
+      return;
+    }
+    const contactFields = {};
+    for (const column of columns) {
+      if (column !== CSV_PHONE_COLUMN && column !== CSV_NAME_COLUMN && values[column]) {
+        contactFields[column] = values[column];
+      }
+    }
+    recipients.push({
+      label,
+      chatId: `${phone}@c.us`,
+      phone,
+      name: values[CSV_NAME_COLUMN] || null,
+      contactFields
+    });
+  });
+  throwRecipientErrors(errors);
+  return recipients;
+}
+
+/**
+ * Turn chat IDs picked in the UI into recipients
+ * @param {Array<string>} chatIds - Chat IDs
+ * @returns {Array<Object>} - { label, chatId, phone, name, contactFields }
+ */
+function readRecipientChats(chatIds) {
+  if (!Array.isArray(chatIds) || chatIds.some(chatId => typeof chatId !== 'string' || !chatId)) {
+    throw campaignError('INVALID_CAMPAIGN', 'chatIds must be a list of chat IDs');
+  }
+  return chatIds.map(chatId => ({ label: chatId, chatId, phone: null, name: null, contactFields: {} }));
+}
+
+/**
+ * Create a campaign and queue its messages. Recipients come from existing chats, a CSV file or
+ * both; a contact listed twice gets one message. Each recipient's message is filled in now, so the
+ * campaign is rejected if any placeholder has no value for someone.
+ * @param {Object} account - WhatsApp account to send from
+ * @param {Object} author - Member creating it
+ * @param {Object} input - { name, template, chatIds, file (uploaded CSV, multer) }
+ * @returns {Promise<Object>} - Campaign
+ */
+async function createCampaign(account, author, { name, template, chatIds, file }) {
+  const campaignName = typeof name === 'string' ? name.trim() : '';
+  if (!campaignName || campaignName.length > MAX_NAME_LENGTH) {
+    throw campaignError('INVALID_CAMPAIGN', `Campaign names must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof template !== 'string' || !template.trim() || template.length > MAX_TEMPLATE_LENGTH) {
+    throw campaignError('INVALID_CAMPAIGN', `Messages must be 1-${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const listed = [...readRecipientChats(chatIds || []), ...(file ? readRecipientFile(file) : [])];
+  const seen = new Set();
+  const unique = listed.filter(recipient => !seen.has(recipient.chatId) && seen.add(recipient.chatId));
+  if (unique.length === 0) {
+    throw campaignError('INVALID_CAMPAIGN', 'Pick at least one recipient');
+  }
+  if (unique.length > MAX_RECIPIENTS) {
+    throw campaignError('INVALID_CAMPAIGN', `A campaign can have at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const storage = getStorage();
+  const [summaries, conversations, user] = await Promise.all([
+    storage.chats.listByAccount(account.id),
+    storage.conversations.listByAccount(account.id),
+    storage.users.findById(author.userId)
+  ]);
+  const chats = new Map(summaries.map(summary => [summary.id, summary]));
+  const contactFields = new Map(conversations.map(conversation => [conversation.chatId, conversation.contactFields]));
+
+  const errors = [];
+  const recipients = [];
+  for (const recipient of unique) {
+    const chat = chats.get(recipient.chatId);
+    if (!chat && !recipient.phone) {
+      errors.push(`${recipient.label}: no such chat`);
+      continue;
+    }
+    const phone = recipient.phone || (chat && chat.phoneNumber) || null;
+    // A chat without a saved name is called by its number; that's no name to greet someone with
+    const chatName = chat && chat.name && chat.name !== chat.phoneNumber ? chat.name : null;
+    const recipientName = recipient.name || chatName;
+    const values = templateService.getPlaceholderValues({
+      name: recipientName,
+      phone,
+      agent: user && user.name,
+      // Values from the file win over the fields saved on the chat
+      contactFields: { ...(contactFields.get(recipient.chatId) || {}), ...recipient.contactFields }
+    });
+    const { text, unresolved } = templateService.fillTemplate(template, values);
+    if (unresolved.length > 0) {
+      errors.push(`${recipient.label}: no value for ${unresolved.map(field => `{{${field}}}`).join(', ')}`);
+      continue;
+    }
+    recipients.push({ id: crypto.randomUUID(), chatId: recipient.chatId, name: recipientName || (chat && chat.name), phone, body: text });
+  }
+  throwRecipientErrors(errors);
+
+  return storage.campaigns.create({
+    id: crypto.randomUUID(),
+    accountId: account.id,
+    name: campaignName,
+    template,
+    createdBy: author.userId,
+    createdAt: new Date().toISOString()
+  }, recipients);
+}
+
+/**
+ * Get the campaigns of all of a workspace's accounts, newest first
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Campaigns with recipient counts
+ */
+async function listCampaigns(workspaceId) {
+  return getStorage().campaigns.listByWorkspace(workspaceId);
+}
+
+/**
+ * Get a campaign with the result for each recipient
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - { campaign, recipients }
+ */
+async function getCampaignReport(workspaceId, campaignId) {
+  const campaignRepository = getStorage().campaigns;
+  const campaign = await campaignRepository.findById(workspaceId, campaignId);
+  if (!campaign) {
+    throw campaignError('CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  return { campaign, recipients: await campaignRepository.listRecipients(campaignId) };
+}
+
+/**
+ * Stop a campaign; recipients that weren't messaged yet won't be
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Cancelled campaign
+ */
+async function cancelCampaign(workspaceId, campaignId) {
+  const campaignRepository = getStorage().campaigns;
+  if (!(await campaignRepository.cancel(workspaceId, campaignId))) {
+    const campaign = await campaignRepository.findById(workspaceId, campaignId);
+    throw campaign
+      ? campaignError('INVALID_CAMPAIGN', 'This campaign has already finished')
+      : campaignError('CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  return campaignRepository.findById(workspaceId, campaignId);
+}
+
+/**
+ * Update a campaign recipient after an ack for the message they were sent
+ * @param {Object} account - WhatsApp account
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} status - Message status ('sent', 'delivered' or 'read')
+ * @returns {Promise<Object|null>} - { campaign, recipient }, or null if the message isn't from a campaign or nothing changed
+ */
+async function recordAck(account, messageId, status) {
+  const campaignRepository = getStorage().campaigns;
+  const recipient = await campaignRepository.recordAck(account.id, messageId, status);
+  if (!recipient) {
+    return null;
+  }
+  return { campaign: await campaignRepository.findById(account.workspaceId, recipient.campaignId), recipient };
+}
+
+/**
+ * Convert an ISO time to epoch milliseconds
+ * @param {string|null} value - ISO time
+ * @returns {number|null}
+ */
+function toTimestamp(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+/**
+ * Transform a campaign to API format
+ * @param {Object} campaign - Campaign
+ * @returns {Object} - Formatted campaign
+ */
+function formatCampaign(campaign) {
+  return {
+    id: campaign.id,
+    accountId: campaign.accountId,
+    accountName: campaign.accountName,
+    name: campaign.name,
+    template: campaign.template,
+    // sending, completed or cancelled
+    status: campaign.status,
+    // null once the creator's account is gone
+    createdBy: campaign.createdBy ? { id: campaign.createdBy, name: campaign.createdByName } : null,
+    createdAt: toTimestamp(campaign.createdAt),
+    completedAt: toTimestamp(campaign.completedAt),
+    // Recipients by status: total, pending, sent, delivered, read, failed, cancelled
+    counts: campaign.counts
+  };
+}
+
+/**
+ * Transform a campaign recipient to API format
+ * @param {Object} recipient - Recipient
+ * @returns {Object} - Formatted recipient
+ */
+function formatRecipient(recipient) {
+  return {
+    id: recipient.id,
+    chatId: recipient.chatId,
+    name: recipient.name,
+    phone: recipient.phone,
+    // pending, sent, delivered, read, failed or cancelled
+    status: recipient.status,
+    error: recipient.error,
+    sentAt: toTimestamp(recipient.sentAt)
+  };
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_RECIPIENT_FILE_SIZE,
+    files: 1
+  }
+});
+
+/**
+ * Express middleware: parse a campaign form (multipart/form-data) with an optional recipient CSV in
+ * the "file" field. Sets req.body and req.file.
+ */
+function uploadRecipientFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File is too large (max ${MAX_RECIPIENT_FILE_SIZE / 1024 / 1024} MB)`
+      });
+    }
+    next(error);
+  });
+}
+
+module.exports = {
+  createCampaign,
+  listCampaigns,
+  getCampaignReport,
+  cancelCampaign,
+  recordAck,
+  formatCampaign,
+  formatRecipient,
+  uploadRecipientFile
+};
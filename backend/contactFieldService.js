@@ -0,0 +1,84 @@
+const { getStorage } = require('./storage');
+
+// Snippet placeholders the UI fills on its own (see frontend/src/lib/templates.js), so
+// custom fields can't use these names
+const RESERVED_FIELDS = ['name', 'first_name', 'phone', 'agent', 'date', 'time'];
+// Usable as a {{placeholder}}: a letter, then letters, digits or underscores
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_FIELDS = 20;
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function contactFieldError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate custom contact fields. Names are lowercased; fields with an empty value are dropped.
+ * @param {Object} fields - Field values by name
+ * @returns {Object<string, string>} - Normalized fields
+ */
+function normalizeContactFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw contactFieldError('INVALID_CONTACT_FIELDS', 'Contact fields must be an object of names and values');
+  }
+
+  const normalized = {};
+  for (const [rawName, rawValue] of Object.entries(fields)) {
+    const name = rawName.trim().toLowerCase();
+    if (!FIELD_NAME_PATTERN.test(name)) {
+      throw contactFieldError('INVALID_CONTACT_FIELDS', `"${rawName}" isn't a valid field name (letters, digits and _, starting with a letter)`);
+    }
+    if (RESERVED_FIELDS.includes(name)) {
+      throw contactFieldError('INVALID_CONTACT_FIELDS', `"${name}" is filled in automatically and can't be a custom field`);
+    }
+    if (Object.prototype.hasOwnProperty.call(normalized, name)) {
+      throw contactFieldError('INVALID_CONTACT_FIELDS', `The field "${name}" is listed twice`);
+    }
+    const value = typeof rawValue === 'string' ? rawValue.trim() : '';
+    if (value.length > MAX_VALUE_LENGTH) {
+      throw contactFieldError('INVALID_CONTACT_FIELDS', `Field values must be at most ${MAX_VALUE_LENGTH} characters`);
+    }
+    if (value) {
+      normalized[name] = value;
+    }
+  }
+
+  if (Object.keys(normalized).length > MAX_FIELDS) {
+    throw contactFieldError('INVALID_CONTACT_FIELDS', `A contact can have at most ${MAX_FIELDS} custom fields`);
+  }
+  return normalized;
+}
+
+/**
+ * Replace a chat's custom contact fields
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {Object} fields - Field values by name
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function setContactFields(account, chatId, fields) {
+  return getStorage().conversations.setContactFields(account.id, chatId, normalizeContactFields(fields));
+}
+
+/**
+ * Get a chat's custom contact fields in API format
+ * @param {Object|null} conversation - Conversation
+ * @returns {Object<string, string>} - Field values by name
+ */
+function formatContactFields(conversation) {
+  return conversation ? conversation.contactFields : {};
+}
+
+module.exports = {
+  RESERVED_FIELDS,
+  setContactFields,
+  formatContactFields
+};
@@ -0,0 +1,104 @@
+const { getStorage } = require('./storage');
+
+// Workflow statuses: open needs attention, pending waits on the customer, snoozed is
+// put away until a set time, resolved is done
+const STATUSES = ['open', 'pending', 'snoozed', 'resolved'];
+const SNOOZE_CHECK_INTERVAL_MS = 60 * 1000;
+
+let snoozeTimer = null;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function conversationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Set a chat's workflow status
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {string} status - One of STATUSES
+ * @param {number|null} snoozedUntil - Epoch milliseconds a snoozed chat reopens (snoozed only)
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function setStatus(account, chatId, status, snoozedUntil = null) {
+  if (!STATUSES.includes(status)) {
+    throw conversationError('INVALID_STATUS', `Status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  let snoozedUntilIso = null;
+  if (status === 'snoozed') {
+    const until = Number(snoozedUntil);
+    if (!Number.isFinite(until) || until <= Date.now()) {
+      throw conversationError('INVALID_SNOOZE', 'Snoozed conversations need a time in the future to reopen');
+    }
+    snoozedUntilIso = new Date(until).toISOString();
+  }
+
+  return getStorage().conversations.setStatus(account.id, chatId, status, snoozedUntilIso);
+}
+
+/**
+ * Reopen a chat that received a message. The customer answering ends pending, snoozed
+ * and resolved alike.
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} - Reopened conversation, or null if it was already open
+ */
+async function reopenOnMessage(account, chatId) {
+  return getStorage().conversations.reopen(account.id, chatId);
+}
+
+/**
+ * Reopen snoozed chats whose time has come, checking every SNOOZE_CHECK_INTERVAL_MS
+ * @param {Function} onReopen - Called with (account, conversation) for every reopened chat
+ */
+function startSnoozeTimer(onReopen) {
+  if (snoozeTimer) {
+    return;
+  }
+  snoozeTimer = setInterval(async () => {
+    try {
+      const storage = getStorage();
+      const reopened = await storage.conversations.reopenExpiredSnoozes();
+      for (const conversation of reopened) {
+        const account = await storage.whatsappAccounts.findById(conversation.accountId);
+        if (account) {
+          onReopen(account, conversation);
+        }
+      }
+    } catch (error) {
+      console.error('Error reopening snoozed conversations:', error);
+    }
+  }, SNOOZE_CHECK_INTERVAL_MS);
+  snoozeTimer.unref();
+}
+
+/**
+ * Transform a conversation's workflow status to API format.
+ * A snooze that ran out since the last check already counts as open.
+ * @param {Object|null} conversation - Conversation
+ * @returns {Object} - { status, snoozedUntil } with snoozedUntil in epoch milliseconds
+ */
+function formatStatus(conversation) {
+  const status = conversation ? conversation.status : 'open';
+  const snoozedUntil = status === 'snoozed' ? new Date(conversation.snoozedUntil).getTime() : null;
+  if (snoozedUntil !== null && snoozedUntil <= Date.now()) {
+    return { status: 'open', snoozedUntil: null };
+  }
+  return { status, snoozedUntil };
+}
+
+module.exports = {
+  STATUSES,
+  setStatus,
+  reopenOnMessage,
+  startSnoozeTimer,
+  formatStatus
+};
@@ -0,0 +1,86 @@
+// Spreadsheet apps run a cell starting with one of these as a formula. Such cells are written with a
+// leading ' (which they show as text), as are cells that already start with ' and one of these, so
+// fromCsvField can take exactly one ' off again.
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field if it contains a separator, quote, line break or edge whitespace (RFC 4180),
+ * and keep spreadsheet apps from running it as a formula
+ * @param {string} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  let text = value == null ? '' : String(value);
+  if (FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo the formula escaping of toCsvField on a parsed field
+ * @param {string} field - Parsed field
+ * @returns {string} - Field value
+ */
+function fromCsvField(field) {
+  return field.startsWith("'") && FORMULA_PATTERN.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields may contain commas, "" and line breaks).
+ * Blank lines are skipped. Throws an INVALID_CSV error for an unterminated quoted field.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error('The CSV file ends inside a quoted field');
+    error.code = 'INVALID_CSV';
+    throw error;
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+}
+
+module.exports = {
+  parseCsv,
+  toCsvField,
+  fromCsvField
+};
@@ -0,0 +1,51 @@
+// Starter quick replies every new workspace gets; teams edit or delete them from the snippets panel
+module.exports = [
+  {
+    title: 'Welcome Message',
+    content: 'Welcome to our customer support! How can I assist you today?',
+    category: 'Greetings',
+    icon: 'MessageCircle'
+  },
+  {
+    title: 'Business Hours',
+    content: 'Our business hours are Monday-Friday, 9 AM - 6 PM EST. We\'ll respond to your message as soon as possible.',
+    category: 'Info',
+    icon: 'Clock'
+  },
+  {
+    title: 'Product Documentation',
+    content: 'You can find our complete product documentation here: https://docs.example.com',
+    category: 'Customer Resources',
+    icon: 'FileText'
+  },
+  {
+    title: 'Schedule Meeting',
+    content: 'I\'d be happy to schedule a meeting with you. Please use this link to book a time that works best: https://calendar.example.com',
+    category: 'Customer Resources',
+    icon: 'Calendar'
+  },
+  {
+    title: 'Technical Support',
+    content: 'For technical issues, please visit our support portal at https://support.example.com or email tech@example.com',
+    category: 'Customer Resources',
+    icon: 'Wrench'
+  },
+  {
+    title: 'Pricing Information',
+    content: 'You can view our pricing plans and features at https://example.com/pricing. Let me know if you have specific questions!',
+    category: 'Customer Resources',
+    icon: 'DollarSign'
+  },
+  {
+    title: 'Thank You',
+    content: 'Thank you for contacting us! Please don\'t hesitate to reach out if you need anything else.',
+    category: 'Greetings',
+    icon: 'Heart'
+  },
+  {
+    title: 'Escalation Notice',
+    content: 'I\'m escalating your request to our senior team. They\'ll be in touch within 24 hours.',
+    category: 'Info',
+    icon: 'AlertCircle'
+  }
+];
@@ -1,7 +1,24 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const { initStorage } = require('./storage');
 const whatsappService = require('./whatsappService');
+const passwordService = require('./passwordService');
+const authService = require('./authService');
+const mediaService = require('./mediaService');
+const accountService = require('./accountService');
+const workspaceService = require('./workspaceService');
+const assignmentService = require('./assignmentService');
+const conversationService = require('./conversationService');
+const noteService = require('./noteService');
+const snippetService = require('./snippetService');
+const snippetTransferService = require('./snippetTransferService');
+const contactFieldService = require('./contactFieldService');
+const tagService = require('./tagService');
+const scheduledMessageService = require('./scheduledMessageService');
+const campaignService = require('./campaignService');
+const campaignQueueService = require('./campaignQueueService');
+const autoReplyService = require('./autoReplyService');
+const businessHoursService = require('./businessHoursService');
+const webhookService = require('./webhookService');
 const app = express();
 const PORT = process.env.PORT || 5153;
 
@@ -21,85 +38,25 @@ app.use((req, res, next) => {
   }
 });
 
-// Path to users.json file
-const usersFilePath = path.join(__dirname, 'data', 'users.json');
+// Open the database (runs migrations and the one-time users.json import)
+const { users: usersRepository, whatsappAccounts: whatsappAccountsRepository } = initStorage();
 
-// Lock to prevent concurrent file writes
-let isWritingUsers = false;
-const writeQueue = [];
-
-// Helper function to read users from file
-async function readUsers() {
-  try {
-    const data = await fs.readFile(usersFilePath, 'utf8');
-    // Handle empty file or whitespace-only content
-    const trimmedData = data.trim();
-    if (!trimmedData || trimmedData === '') {
-      return [];
-    }
-    return JSON.parse(trimmedData);
-  } catch (error) {
-    // If file doesn't exist, return empty array
-    if (error.code === 'ENOENT') {
-      return [];
-    }
-    // If JSON parsing fails (empty file, corrupted data, etc.), return empty array
-    if (error instanceof SyntaxError) {
-      console.warn('Error parsing users.json, returning empty array:', error.message);
-      // Try to write an empty array to fix the file (use writeUsers to avoid race conditions)
-      try {
-        await writeUsers([]);
-      } catch (writeError) {
-        console.error('Error writing empty users.json:', writeError);
-      }
-      return [];
-    }
-    throw error;
-  }
+// Helper function to strip credentials from a user before sending it to the client
+function sanitizeUser(user) {
+  const { password, passwordHash, ...userWithoutPassword } = user;
+  return userWithoutPassword;
 }
 
-// Helper function to write users to file (with locking to prevent race conditions)
-async function writeUsers(users) {
-  return new Promise((resolve, reject) => {
-    const writeOperation = async () => {
-      try {
-        // Ensure data directory exists
-        const dataDir = path.dirname(usersFilePath);
-        await fs.mkdir(dataDir, { recursive: true });
-        
-        // Ensure users is an array
-        if (!Array.isArray(users)) {
-          console.error('writeUsers: users is not an array, converting to empty array');
-          users = [];
-        }
-        
-        // Write to file with proper formatting
-        await fs.writeFile(usersFilePath, JSON.stringify(users, null, 2), 'utf8');
-        resolve();
-      } catch (error) {
-        console.error('Error writing users to file:', error);
-        reject(error);
-      } finally {
-        // Process next item in queue
-        isWritingUsers = false;
-        if (writeQueue.length > 0) {
-          const next = writeQueue.shift();
-          isWritingUsers = true;
-          next();
-        }
-      }
-    };
-
-    if (isWritingUsers) {
-      // Add to queue
-      writeQueue.push(writeOperation);
-    } else {
-      // Execute immediately
-      isWritingUsers = true;
-      writeOperation();
-    }
-  });
-}
+// Every /api/whatsapp/*/:workspaceId and /api/workspaces/:workspaceId route requires a token of a workspace member;
+// routes that change something additionally require a role (read_only < agent < admin < owner)
+const authorizeMember = [authService.requireAuth, workspaceService.requireMember];
+// Routes for a single WhatsApp number also load the account named by ?accountId= (default: the workspace's first)
+const authorizeAccount = [...authorizeMember, accountService.requireAccount];
+// The event stream and media files are loaded by EventSource and <img>/<a> tags, which can't set headers,
+// so only those GET routes also accept the token as ?token=
+const authorizeMemberByQuery = [authService.requireAuthOrQueryToken, workspaceService.requireMember];
+const authorizeAccountByQuery = [...authorizeMemberByQuery, accountService.requireAccount];
+const { requireRole } = workspaceService;
 
 // Basic route
 app.get('/', (req, res) => {
@@ -120,7 +77,7 @@ app.get('/health', (req, res) => {
 // User registration endpoint
 app.post('/api/users/register', async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteId } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -130,6 +87,14 @@ app.post('/api/users/register', async (req, res) => {
       });
     }
 
+    // JSON bodies can carry numbers, arrays or objects, which hashing and the queries don't accept
+    if (typeof name !== 'string' || typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email, and password must be strings'
+      });
+    }
+
     if (password.length < 6) {
       return res.status(400).json({
         success: false,
@@ -146,11 +111,26 @@ app.post('/api/users/register', async (req, res) => {
       });
     }
 
-    // Read existing users
-    const users = await readUsers();
+    // Signing up with an invite joins the inviting workspace instead of creating a new one
+    let invite = null;
+    if (inviteId) {
+      invite = await workspaceService.getInvite(inviteId);
+      if (!invite) {
+        return res.status(400).json({
+          success: false,
+          message: 'This invite is invalid or has expired'
+        });
+      }
+      if (invite.email !== email.toLowerCase().trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This invite was sent to a different email address'
+        });
+      }
+    }
 
     // Check if user already exists
-    const existingUser = users.find(user => user.email === email);
+    const existingUser = await usersRepository.findByEmail(email);
     if (existingUser) {
       return res.status(409).json({
         success: false,
@@ -158,27 +138,40 @@ app.post('/api/users/register', async (req, res) => {
       });
     }
 
-    // Create new user object
-    const newUser = {
-      id: Date.now().toString(), // Simple ID generation
-      name: name.trim(),
-      email: email.toLowerCase().trim(),
-      password: password, // Note: In production, hash the password before storing
-      createdAt: new Date().toISOString()
-    };
-
-    // Add user to array
-    users.push(newUser);
+    // Create new user (the unique email constraint catches concurrent sign-ups)
+    let newUser;
+    try {
+      newUser = await usersRepository.create({
+        id: Date.now().toString(), // Simple ID generation
+        name: name.trim(),
+        email: email.toLowerCase().trim(),
+        passwordHash: await passwordService.hashPassword(password),
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === 'USER_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          message: 'User with this email already exists'
+        });
+      }
+      throw error;
+    }
 
-    // Write back to file
-    await writeUsers(users);
+    if (invite) {
+      await workspaceService.acceptInvite(invite, newUser);
+    } else {
+      await workspaceService.createWorkspace(newUser);
+    }
 
-    // Return success (don't send password back)
-    const { password: _, ...userWithoutPassword } = newUser;
+    // Return success (don't send password back) and sign the new user in
+    const tokens = await authService.issueTokens(newUser.id);
     res.status(201).json({
       success: true,
       message: 'User created successfully',
-      user: userWithoutPassword
+      user: sanitizeUser(newUser),
+      workspace: await workspaceService.getWorkspaceSummary(newUser),
+      ...tokens
     });
   } catch (error) {
     console.error('Error creating user:', error);
@@ -202,32 +195,36 @@ app.post('/api/users/login', async (req, res) => {
       });
     }
 
-    // Read users
-    const users = await readUsers();
-
-    // Find user
-    const user = users.find(u => u.email === email.toLowerCase().trim());
-    if (!user) {
-      return res.status(401).json({
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Email and password must be strings'
       });
     }
 
-    // Check password (in production, use bcrypt to compare hashed passwords)
-    if (user.password !== password) {
+    // Find user and check password (unknown emails take the same time as wrong passwords)
+    const user = await usersRepository.findByEmail(email);
+    const isValid = await passwordService.verifyPassword(password, user);
+    if (!user || !isValid) {
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
+    // Upgrade legacy plaintext (or outdated) credentials to a fresh hash
+    if (passwordService.needsRehash(user)) {
+      await upgradeUserPassword(user.id, password);
+    }
+
+    // Return user without password, plus session tokens
+    const tokens = await authService.issueTokens(user.id);
     res.json({
       success: true,
       message: 'Login successful',
-      user: userWithoutPassword
+      user: sanitizeUser(user),
+      workspace: await workspaceService.getWorkspaceSummary(user),
+      ...tokens
     });
   } catch (error) {
     console.error('Error during login:', error);
@@ -238,326 +235,1497 @@ app.post('/api/users/login', async (req, res) => {
   }
 });
 
-// Check and restore WhatsApp session
-app.get('/api/whatsapp/check-session/:userId', async (req, res) => {
+// Exchange a refresh token for a new session token
+app.post('/api/users/refresh', async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    // First, check if there's an active connected client
-    const client = whatsappService.getClient(userId);
-    const status = whatsappService.getConnectionStatus(userId);
-    
-    if (client && client.info && status === 'connected') {
-      console.log(`Active connected client found for user ${userId}`);
-      return res.json({
-        success: true,
-        hasSession: true,
-        connected: true,
-        message: 'WhatsApp is already connected'
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
       });
     }
-    
-    // Check if session files exist
-    const hasSession = await whatsappService.hasSessionFiles(userId);
-    
-    if (!hasSession) {
-      console.log(`No session files found for user ${userId}`);
-      return res.json({
-        success: true,
-        hasSession: false,
-        connected: false,
-        message: 'No existing session found'
+
+    const result = await authService.refreshTokens(refreshToken);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    console.log(`Session files found for user ${userId}, attempting to restore...`);
-    
-    // Try to restore session
-    const result = await whatsappService.restoreWhatsAppSession(userId);
-    
-    // Update user data if connected
-    if (result.success && result.connected) {
-      await updateUserWhatsAppStatus(userId, true);
+    // Make sure the account still exists
+    const user = await usersRepository.findById(result.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
     }
-    
-    res.json(result);
+
+    const { userId, ...tokens } = result;
+    res.json({
+      success: true,
+      user: sanitizeUser(user),
+      workspace: await workspaceService.getWorkspaceSummary(user),
+      ...tokens
+    });
   } catch (error) {
-    console.error('Error checking/restoring WhatsApp session:', error);
+    console.error('Error refreshing token:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to check WhatsApp session',
-      error: error.message
+      message: 'Internal server error'
     });
   }
 });
 
-// Helper function to update user WhatsApp status
-async function updateUserWhatsAppStatus(userId, isConnected) {
-  try {
-    if (!userId) {
-      console.warn('updateUserWhatsAppStatus: userId is required');
-      return;
-    }
-    
-    const users = await readUsers();
-    
-    // Ensure users is an array
-    if (!Array.isArray(users)) {
-      console.error('updateUserWhatsAppStatus: users is not an array, resetting to empty array');
-      await writeUsers([]);
-      return;
-    }
-    
-    const userIndex = users.findIndex(u => u && u.id === userId);
-    
-    if (userIndex !== -1) {
-      if (isConnected) {
-        users[userIndex].whatsappConnected = true;
-        users[userIndex].whatsappConnectedAt = new Date().toISOString();
-        // Clear disconnected timestamp if reconnecting
-        if (users[userIndex].whatsappDisconnectedAt) {
-          delete users[userIndex].whatsappDisconnectedAt;
-        }
-      } else {
-        users[userIndex].whatsappConnected = false;
-        users[userIndex].whatsappDisconnectedAt = new Date().toISOString();
-      }
-      await writeUsers(users);
-      console.log(`User ${userId} WhatsApp status updated: connected=${isConnected}`);
-    } else {
-      console.warn(`updateUserWhatsAppStatus: User ${userId} not found in users array`);
-    }
-  } catch (error) {
-    console.error('Error updating user WhatsApp status:', error);
-    // Don't throw - this is a non-critical operation
-  }
-}
-
-// Initialize WhatsApp connection (for new connections)
-app.post('/api/whatsapp/initialize/:userId', async (req, res) => {
+// Get the currently authenticated user
+app.get('/api/users/me', authService.requireAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const user = await usersRepository.findById(req.auth.userId);
 
-    const result = await whatsappService.initializeWhatsApp(userId);
-    
-    // Update user data if connected
-    if (result.success && result.connected) {
-      await updateUserWhatsAppStatus(userId, true);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
     }
-    
-    res.json(result);
+
+    res.json({
+      success: true,
+      user: sanitizeUser(user),
+      workspace: await workspaceService.getWorkspaceSummary(user)
+    });
   } catch (error) {
-    console.error('Error initializing WhatsApp:', error);
+    console.error('Error getting current user:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to initialize WhatsApp connection',
-      error: error.message
+      message: 'Internal server error'
     });
   }
 });
 
-// Get QR code
-app.get('/api/whatsapp/qr/:userId', (req, res) => {
+// Helper function to re-hash a user's password after a successful login
+async function upgradeUserPassword(userId, password) {
   try {
-    const { userId } = req.params;
-    const qrCode = whatsappService.getQRCode(userId);
-    const status = whatsappService.getConnectionStatus(userId);
-
-    if (qrCode) {
-      res.json({
-        success: true,
-        qrCode: qrCode,
-        status: status
-      });
-    } else {
-      res.json({
-        success: false,
-        qrCode: null,
-        status: status,
-        message: status === 'connected' ? 'WhatsApp already connected' : 'QR code not available yet'
-      });
-    }
+    const passwordHash = await passwordService.hashPassword(password);
+    await usersRepository.updatePasswordHash(userId, passwordHash);
+    console.log(`Password for user ${userId} upgraded to scrypt hash`);
   } catch (error) {
-    console.error('Error getting QR code:', error);
-    res.status(500).json({
+    console.error('Error upgrading user password:', error);
+    // Don't throw - the user can still log in with the legacy record
+  }
+}
+
+// HTTP status for the error codes of workspaceService, the conversation services (assignment, status, notes,
+// contact fields, tags, scheduled messages), the snippet services, campaignService, autoReplyService,
+// businessHoursService and webhookService
+const WORKSPACE_ERROR_STATUS = {
+  INVALID_WORKSPACE_NAME: 400,
+  INVALID_EMAIL: 400,
+  INVALID_ROLE: 400,
+  INVALID_ROUTING_MODE: 400,
+  INVALID_ASSIGNEE: 400,
+  INVALID_STATUS: 400,
+  INVALID_SNOOZE: 400,
+  INVALID_NOTE: 400,
+  INVALID_SNIPPET: 400,
+  INVALID_SNIPPET_FORMAT: 400,
+  INVALID_SNIPPET_IMPORT: 400,
+  INVALID_CONTACT_FIELDS: 400,
+  INVALID_SCHEDULED_MESSAGE: 400,
+  INVALID_CAMPAIGN: 400,
+  INVALID_CSV: 400,
+  INVALID_TAGS: 400,
+  INVALID_AUTO_REPLY_RULE: 400,
+  INVALID_BUSINESS_HOURS: 400,
+  INVALID_WEBHOOK: 400,
+  FORBIDDEN: 403,
+  MEMBER_NOT_FOUND: 404,
+  NOTE_NOT_FOUND: 404,
+  SNIPPET_NOT_FOUND: 404,
+  SCHEDULED_MESSAGE_NOT_FOUND: 404,
+  CAMPAIGN_NOT_FOUND: 404,
+  AUTO_REPLY_RULE_NOT_FOUND: 404,
+  WEBHOOK_NOT_FOUND: 404,
+  ALREADY_REGISTERED: 409,
+  INVALID_SNIPPET_ORDER: 409,
+  INVALID_AUTO_REPLY_ORDER: 409
+};
+
+// Helper function to answer a failed workspace request
+function sendWorkspaceError(res, error, message) {
+  const status = WORKSPACE_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
       success: false,
-      message: 'Failed to get QR code'
+      message: error.message
     });
   }
-});
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: message,
+    error: error.message
+  });
+}
 
-// Get connection status
-app.get('/api/whatsapp/status/:userId', (req, res) => {
+// Get the workspace with its members (and pending invites, for admins)
+app.get('/api/workspaces/:workspaceId', authorizeMember, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const status = whatsappService.getConnectionStatus(userId);
-    const clientInfo = whatsappService.getClientInfo(userId);
+    const { workspaceId } = req.params;
+    const isAdmin = workspaceService.hasRole(req.member.role, 'admin');
+    const [workspace, members, invites] = await Promise.all([
+      workspaceService.getWorkspace(workspaceId),
+      workspaceService.listMembers(workspaceId),
+      isAdmin ? workspaceService.listInvites(workspaceId) : []
+    ]);
 
     res.json({
       success: true,
-      status: status,
-      connected: status === 'connected',
-      clientInfo: clientInfo
+      workspace: {
+        id: workspace.id,
+        name: workspace.name,
+        role: req.member.role,
+        routingMode: workspace.routingMode
+      },
+      members: members.map(workspaceService.formatMember),
+      invites: invites.map(workspaceService.formatInvite)
     });
   } catch (error) {
-    console.error('Error getting connection status:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get connection status'
-    });
+    sendWorkspaceError(res, error, 'Failed to get workspace');
   }
 });
 
-// Update WhatsApp connection status in user data
-app.post('/api/whatsapp/update-status/:userId', async (req, res) => {
+// Rename the workspace
+app.put('/api/workspaces/:workspaceId', authorizeMember, requireRole('owner'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { connected } = req.body;
-    
-    await updateUserWhatsAppStatus(userId, connected === true);
-    
+    const workspace = await workspaceService.renameWorkspace(req.params.workspaceId, req.body.name);
     res.json({
       success: true,
-      message: 'User WhatsApp status updated'
+      workspace: { id: workspace.id, name: workspace.name, role: req.member.role }
     });
   } catch (error) {
-    console.error('Error updating WhatsApp status:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update WhatsApp status'
-    });
+    sendWorkspaceError(res, error, 'Failed to rename workspace');
   }
 });
 
-// Disconnect WhatsApp
-app.post('/api/whatsapp/disconnect/:userId', async (req, res) => {
+// Choose how new conversations are routed to agents (manual, round_robin or least_busy)
+app.put('/api/workspaces/:workspaceId/routing', authorizeMember, requireRole('admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    await whatsappService.disconnectWhatsApp(userId);
-    
-    // Update user data
-    await updateUserWhatsAppStatus(userId, false);
-    
+    const workspace = await assignmentService.setRoutingMode(req.params.workspaceId, req.body.routingMode);
     res.json({
       success: true,
-      message: 'WhatsApp disconnected successfully'
+      routingMode: workspace.routingMode
     });
   } catch (error) {
-    console.error('Error disconnecting WhatsApp:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to disconnect WhatsApp'
+    sendWorkspaceError(res, error, 'Failed to update routing');
+  }
+});
+
+// Invite someone by email; they join by signing up with the returned invite ID
+app.post('/api/workspaces/:workspaceId/invites', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const invite = await workspaceService.inviteMember(req.member, email, role);
+    res.status(201).json({
+      success: true,
+      invite: workspaceService.formatInvite(invite)
     });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to create invite');
   }
 });
 
-// Get all chats/conversations
-app.get('/api/whatsapp/chats/:userId', async (req, res) => {
-  const { userId } = req.params;
-  
+// Withdraw a pending invite
+app.delete('/api/workspaces/:workspaceId/invites/:inviteId', authorizeMember, requireRole('admin'), async (req, res) => {
   try {
-    console.log(`[${new Date().toISOString()}] Starting to fetch chats for user ${userId}`);
-    
-    const chats = await whatsappService.getChats(userId);
-    
-    console.log(`[${new Date().toISOString()}] Successfully fetched ${chats.length} chats for user ${userId}`);
-    
+    const { workspaceId, inviteId } = req.params;
+    const revoked = await workspaceService.revokeInvite(workspaceId, inviteId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
     res.json({
       success: true,
-      chats: chats
+      message: 'Invite revoked'
     });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error getting chats for user ${userId}:`, error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get chats',
-      error: error.message
-    });
+    sendWorkspaceError(res, error, 'Failed to revoke invite');
   }
 });
 
-// Get conversation count
-app.get('/api/whatsapp/chats/:userId/count', async (req, res) => {
+// Change a member's role
+app.put('/api/workspaces/:workspaceId/members/:userId', authorizeMember, requireRole('admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const count = await whatsappService.getChatCount(userId);
+    const member = await workspaceService.updateMemberRole(req.member, req.params.userId, req.body.role);
     res.json({
       success: true,
-      count: count
+      member: workspaceService.formatMember(member)
     });
   } catch (error) {
-    console.error('Error getting chat count:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get chat count',
-      error: error.message
+    sendWorkspaceError(res, error, 'Failed to update member');
+  }
+});
+
+// Remove a member (or leave the workspace, when removing yourself)
+app.delete('/api/workspaces/:workspaceId/members/:userId', authorizeMember, async (req, res) => {
+  try {
+    await workspaceService.removeMember(req.member, req.params.userId);
+    res.json({
+      success: true,
+      message: 'Member removed'
     });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to remove member');
   }
 });
 
-// Get messages for a specific chat
-app.get('/api/whatsapp/chats/:userId/:chatId/messages', async (req, res) => {
+// Look up an invite before signing up with it (no authentication; the invite ID is the secret)
+app.get('/api/invites/:inviteId', async (req, res) => {
   try {
-    const { userId, chatId } = req.params;
-    
-    // Check if client is connected first
-    const client = whatsappService.getClient(userId);
-    const status = whatsappService.getConnectionStatus(userId);
-    
-    if (!client || status !== 'connected') {
-      return res.status(400).json({
+    const invite = await workspaceService.getInvite(req.params.inviteId);
+
+    if (!invite) {
+      return res.status(404).json({
         success: false,
-        message: 'WhatsApp client not connected. Please ensure WhatsApp is connected first.',
-        error: 'Client not connected'
+        message: 'This invite is invalid or has expired'
       });
     }
-    
-    const messages = await whatsappService.getChatMessages(userId, chatId);
+
     res.json({
       success: true,
-      messages: messages
+      invite: workspaceService.formatInvite(invite)
     });
   } catch (error) {
-    console.error('Error getting messages:', error);
+    console.error('Error getting invite:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get messages',
-      error: error.message
+      message: 'Internal server error'
     });
   }
 });
 
-// Send a message
-app.post('/api/whatsapp/chats/:userId/:chatId/send', async (req, res) => {
+// Get the workspace's snippets (quick replies) in display order
+app.get('/api/snippets/:workspaceId', authorizeMember, async (req, res) => {
   try {
-    const { userId, chatId } = req.params;
-    const { message } = req.body;
+    const snippets = await snippetService.listSnippets(req.params.workspaceId);
+    res.json({
+      success: true,
+      snippets: snippets.map(snippetService.formatSnippet)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get snippets');
+  }
+});
 
-    if (!message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message is required'
-      });
-    }
+// Add a snippet at the end of the list ({ title, content, category, icon })
+app.post('/api/snippets/:workspaceId', authorizeMember, requireRole('agent'), async (req, res) => {
+  try {
+    const snippet = await snippetService.createSnippet(req.params.workspaceId, req.member, req.body);
+    res.status(201).json({
+      success: true,
+      snippet: snippetService.formatSnippet(snippet)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add snippet');
+  }
+});
 
-    const result = await whatsappService.sendMessage(userId, chatId, message);
+// Reorder the snippets ({ snippetIds }: every snippet ID, in the new order)
+app.put('/api/snippets/:workspaceId/order', authorizeMember, requireRole('agent'), async (req, res) => {
+  try {
+    const snippets = await snippetService.reorderSnippets(req.params.workspaceId, req.body.snippetIds);
     res.json({
       success: true,
-      message: 'Message sent successfully',
-      messageId: result
+      snippets: snippets.map(snippetService.formatSnippet)
     });
   } catch (error) {
-    console.error('Error sending message:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send message',
-      error: error.message
-    });
+    sendWorkspaceError(res, error, 'Failed to reorder snippets');
+  }
+});
+
+// Download the snippets as a file (?format=json or csv) to move them to another workspace or keep them in version control
+app.get('/api/snippets/:workspaceId/export', authorizeMember, async (req, res) => {
+  try {
+    const { filename, contentType, body } = await snippetTransferService.exportSnippets(req.params.workspaceId, req.query.format || 'json');
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(body);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to export snippets');
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
+// Import snippets from a JSON or CSV file (multipart/form-data with "file").
+// ?strategy=merge (default) updates snippets with the same title and adds the rest; replace also deletes the snippets not in the file.
+// ?dryRun=1 only reports what would change.
+app.post('/api/snippets/:workspaceId/import', authorizeMember, requireRole('agent'), snippetTransferService.uploadSnippetFile, async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { format, strategy } = req.query;
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+    const result = await snippetTransferService.importSnippets(workspaceId, req.member, req.file, { format, strategy, dryRun });
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        ...result
+      });
+    }
+    const snippets = await snippetService.listSnippets(workspaceId);
+    res.json({
+      success: true,
+      ...result,
+      snippets: snippets.map(snippetService.formatSnippet)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to import snippets');
+  }
 });
+
+// Edit a snippet ({ title, content, category, icon })
+app.put('/api/snippets/:workspaceId/:snippetId', authorizeMember, requireRole('agent'), async (req, res) => {
+  try {
+    const { workspaceId, snippetId } = req.params;
+    const snippet = await snippetService.updateSnippet(workspaceId, snippetId, req.body);
+    res.json({
+      success: true,
+      snippet: snippetService.formatSnippet(snippet)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update snippet');
+  }
+});
+
+// Delete a snippet
+app.delete('/api/snippets/:workspaceId/:snippetId', authorizeMember, requireRole('agent'), async (req, res) => {
+  try {
+    const { workspaceId, snippetId } = req.params;
+    await snippetService.deleteSnippet(workspaceId, snippetId);
+    res.json({
+      success: true,
+      message: 'Snippet deleted'
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete snippet');
+  }
+});
+
+// List the broadcast campaigns of all of the workspace's accounts, newest first, with recipient counts
+app.get('/api/campaigns/:workspaceId', authorizeMember, async (req, res) => {
+  try {
+    const campaigns = await campaignService.listCampaigns(req.params.workspaceId);
+    res.json({
+      success: true,
+      campaigns: campaigns.map(campaignService.formatCampaign)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get campaigns');
+  }
+});
+
+// Start a campaign from the account in ?accountId= (multipart/form-data with "name", "template",
+// "chatIds" as a JSON list and/or a recipient CSV in "file" with phone, name and custom field columns)
+app.post('/api/campaigns/:workspaceId', authorizeAccount, requireRole('admin'), campaignService.uploadRecipientFile, async (req, res) => {
+  let chatIds;
+  try {
+    chatIds = JSON.parse(req.body.chatIds || '[]');
+  } catch {
+    return res.status(400).json({
+      success: false,
+      message: 'chatIds must be a JSON list of chat IDs'
+    });
+  }
+
+  try {
+    const { account } = req;
+    const campaign = campaignService.formatCampaign(await campaignService.createCampaign(account, req.member, {
+      name: req.body.name,
+      template: req.body.template,
+      chatIds,
+      file: req.file
+    }));
+
+    whatsappService.emitEvent(account, 'campaign', { campaign });
+    res.status(201).json({
+      success: true,
+      campaign
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to create campaign');
+  }
+});
+
+// Get a campaign's report: the result for each recipient, in sending order
+app.get('/api/campaigns/:workspaceId/:campaignId', authorizeMember, async (req, res) => {
+  try {
+    const { campaign, recipients } = await campaignService.getCampaignReport(req.params.workspaceId, req.params.campaignId);
+    res.json({
+      success: true,
+      campaign: campaignService.formatCampaign(campaign),
+      recipients: recipients.map(campaignService.formatRecipient)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get campaign');
+  }
+});
+
+// Stop a campaign that is still sending
+app.post('/api/campaigns/:workspaceId/:campaignId/cancel', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, campaignId } = req.params;
+    const cancelled = await campaignService.cancelCampaign(workspaceId, campaignId);
+    const campaign = campaignService.formatCampaign(cancelled);
+
+    whatsappService.emitEvent(await accountService.resolveAccount(workspaceId, cancelled.accountId), 'campaign', { campaign });
+    res.json({
+      success: true,
+      campaign
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to cancel campaign');
+  }
+});
+
+// Get the workspace's auto-reply rules in the order they are checked against incoming messages
+app.get('/api/auto-replies/:workspaceId', authorizeMember, async (req, res) => {
+  try {
+    const rules = await autoReplyService.listRules(req.params.workspaceId);
+    res.json({
+      success: true,
+      rules: rules.map(autoReplyService.formatRule)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get auto-reply rules');
+  }
+});
+
+// Add an auto-reply rule at the end of the list
+// ({ name, enabled, matchType, pattern, chatType, replySnippetId, tag, assigneeId, cooldownMinutes })
+app.post('/api/auto-replies/:workspaceId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await autoReplyService.createRule(req.params.workspaceId, req.member, req.body);
+    res.status(201).json({
+      success: true,
+      rule: autoReplyService.formatRule(rule)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add auto-reply rule');
+  }
+});
+
+// Reorder the auto-reply rules ({ ruleIds }: every rule ID, in the new order)
+app.put('/api/auto-replies/:workspaceId/order', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const rules = await autoReplyService.reorderRules(req.params.workspaceId, req.body.ruleIds);
+    res.json({
+      success: true,
+      rules: rules.map(autoReplyService.formatRule)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to reorder auto-reply rules');
+  }
+});
+
+// Edit an auto-reply rule (same fields as adding one)
+app.put('/api/auto-replies/:workspaceId/:ruleId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, ruleId } = req.params;
+    const rule = await autoReplyService.updateRule(workspaceId, ruleId, req.body);
+    res.json({
+      success: true,
+      rule: autoReplyService.formatRule(rule)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update auto-reply rule');
+  }
+});
+
+// Delete an auto-reply rule
+app.delete('/api/auto-replies/:workspaceId/:ruleId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, ruleId } = req.params;
+    await autoReplyService.deleteRule(workspaceId, ruleId);
+    res.json({
+      success: true,
+      message: 'Auto-reply rule deleted'
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete auto-reply rule');
+  }
+});
+
+// Get the workspace's webhooks, with their signing secrets
+app.get('/api/webhooks/:workspaceId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.params.workspaceId);
+    res.json({
+      success: true,
+      webhooks: webhooks.map(webhookService.formatWebhook),
+      events: webhookService.WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get webhooks');
+  }
+});
+
+// Register a webhook ({ url, events, enabled }); the response includes its new signing secret
+app.post('/api/webhooks/:workspaceId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await webhookService.createWebhook(req.params.workspaceId, req.member, req.body);
+    res.status(201).json({
+      success: true,
+      webhook: webhookService.formatWebhook(webhook)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add webhook');
+  }
+});
+
+// Edit a webhook ({ url, events, enabled, rotateSecret }; fields left out keep their value)
+app.put('/api/webhooks/:workspaceId/:webhookId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+    const webhook = await webhookService.updateWebhook(workspaceId, webhookId, req.body);
+    res.json({
+      success: true,
+      webhook: webhookService.formatWebhook(webhook)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update webhook');
+  }
+});
+
+// Delete a webhook and its delivery log
+app.delete('/api/webhooks/:workspaceId/:webhookId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+    await webhookService.deleteWebhook(workspaceId, webhookId);
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// Queue a ping delivery to a webhook, to check the receiver and its signature verification
+app.post('/api/webhooks/:workspaceId/:webhookId/test', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+    const delivery = await webhookService.sendTestEvent(workspaceId, webhookId);
+    res.status(202).json({
+      success: true,
+      delivery: webhookService.formatDelivery(delivery)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to send test delivery');
+  }
+});
+
+// Get a webhook's delivery log, newest first
+app.get('/api/webhooks/:workspaceId/:webhookId/deliveries', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+    const deliveries = await webhookService.listDeliveries(workspaceId, webhookId);
+    res.json({
+      success: true,
+      deliveries: deliveries.map(webhookService.formatDelivery)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get webhook deliveries');
+  }
+});
+
+// List the workspace's WhatsApp accounts with their connection status
+app.get('/api/whatsapp/accounts/:workspaceId', authorizeMember, async (req, res) => {
+  try {
+    // Workspaces that never linked a number still get their (empty) first account listed
+    await accountService.getDefaultAccount(req.params.workspaceId);
+    const accounts = await accountService.listAccounts(req.params.workspaceId);
+    res.json({
+      success: true,
+      accounts: accounts.map(accountService.formatAccount)
+    });
+  } catch (error) {
+    console.error('Error listing WhatsApp accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list WhatsApp accounts',
+      error: error.message
+    });
+  }
+});
+
+// Add a named WhatsApp account (e.g. "Sales"); it is linked afterwards via initialize or pairing-code
+app.post('/api/whatsapp/accounts/:workspaceId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const account = await accountService.createAccount(req.params.workspaceId, req.body.name);
+    res.status(201).json({
+      success: true,
+      account: accountService.formatAccount(account)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ACCOUNT_NAME') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error creating WhatsApp account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create WhatsApp account',
+      error: error.message
+    });
+  }
+});
+
+// Rename a WhatsApp account
+app.put('/api/whatsapp/accounts/:workspaceId/:accountId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, accountId } = req.params;
+    const account = await accountService.resolveAccount(workspaceId, accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'WhatsApp account not found'
+      });
+    }
+
+    const updated = await accountService.renameAccount(account, req.body.name);
+    res.json({
+      success: true,
+      account: accountService.formatAccount(updated)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ACCOUNT_NAME') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error renaming WhatsApp account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename WhatsApp account',
+      error: error.message
+    });
+  }
+});
+
+// Delete a WhatsApp account: logs it out and removes its session and stored messages
+app.delete('/api/whatsapp/accounts/:workspaceId/:accountId', authorizeMember, requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId, accountId } = req.params;
+    const account = await accountService.resolveAccount(workspaceId, accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'WhatsApp account not found'
+      });
+    }
+
+    await accountService.deleteAccount(account);
+    res.json({
+      success: true,
+      message: 'WhatsApp account deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting WhatsApp account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete WhatsApp account',
+      error: error.message
+    });
+  }
+});
+
+// Check and restore WhatsApp session
+app.get('/api/whatsapp/check-session/:workspaceId', authorizeAccount, async (req, res) => {
+  try {
+    const { account } = req;
+    
+    // First, check if there's an active connected client
+    const client = whatsappService.getClient(account);
+    const status = whatsappService.getConnectionStatus(account);
+    
+    if (client && client.info && status === 'connected') {
+      console.log(`Active connected client found for account ${account.id}`);
+      return res.json({
+        success: true,
+        accountId: account.id,
+        hasSession: true,
+        connected: true,
+        message: 'WhatsApp is already connected'
+      });
+    }
+    
+    // Check if session files exist
+    const hasSession = await whatsappService.hasSessionFiles(account);
+    
+    if (!hasSession) {
+      console.log(`No session files found for account ${account.id}`);
+      return res.json({
+        success: true,
+        accountId: account.id,
+        hasSession: false,
+        connected: false,
+        message: 'No existing session found'
+      });
+    }
+
+    console.log(`Session files found for account ${account.id}, attempting to restore...`);
+    
+    // Try to restore session
+    const result = await whatsappService.restoreWhatsAppSession(account);
+    
+    // Update account data if connected
+    if (result.success && result.connected) {
+      await updateAccountWhatsAppStatus(account, true);
+    }
+    
+    res.json({ ...result, accountId: account.id });
+  } catch (error) {
+    console.error('Error checking/restoring WhatsApp session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check WhatsApp session',
+      error: error.message
+    });
+  }
+});
+
+// Helper function to update an account's WhatsApp status
+async function updateAccountWhatsAppStatus(account, isConnected) {
+  try {
+    await whatsappAccountsRepository.setConnected(account.id, isConnected);
+    console.log(`Account ${account.id} WhatsApp status updated: connected=${isConnected}`);
+  } catch (error) {
+    console.error('Error updating account WhatsApp status:', error);
+    // Don't throw - this is a non-critical operation
+  }
+}
+
+// Initialize WhatsApp connection (for new connections)
+app.post('/api/whatsapp/initialize/:workspaceId', authorizeAccount, requireRole('admin'), async (req, res) => {
+  try {
+    const { account } = req;
+
+    const result = await whatsappService.initializeWhatsApp(account);
+    
+    // Update account data if connected
+    if (result.success && result.connected) {
+      await updateAccountWhatsAppStatus(account, true);
+    }
+    
+    res.json({ ...result, accountId: account.id });
+  } catch (error) {
+    console.error('Error initializing WhatsApp:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to initialize WhatsApp connection',
+      error: error.message
+    });
+  }
+});
+
+// Request a pairing code to link a phone number without scanning a QR code
+app.post('/api/whatsapp/pairing-code/:workspaceId', authorizeAccount, requireRole('admin'), async (req, res) => {
+  try {
+    const { account } = req;
+    // International format without "+", spaces or dashes, e.g. 12025550108
+    const phoneNumber = String(req.body.phoneNumber || '').replace(/\D/g, '');
+
+    if (phoneNumber.length < 7 || phoneNumber.length > 15) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter the phone number in international format, including the country code'
+      });
+    }
+
+    const pairingCode = await whatsappService.requestPairingCode(account, phoneNumber);
+
+    res.json({
+      success: true,
+      accountId: account.id,
+      code: pairingCode.code,
+      expiresAt: pairingCode.expiresAt
+    });
+  } catch (error) {
+    if (error.code === 'ALREADY_CONNECTED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error requesting pairing code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get a pairing code',
+      error: error.message
+    });
+  }
+});
+
+// Get QR code
+app.get('/api/whatsapp/qr/:workspaceId', authorizeAccount, requireRole('admin'), (req, res) => {
+  try {
+    const { account } = req;
+    const qrCode = whatsappService.getQRCode(account);
+    const status = whatsappService.getConnectionStatus(account);
+
+    if (qrCode) {
+      res.json({
+        success: true,
+        qrCode: qrCode,
+        status: status
+      });
+    } else {
+      res.json({
+        success: false,
+        qrCode: null,
+        status: status,
+        message: status === 'connected' ? 'WhatsApp already connected' : 'QR code not available yet'
+      });
+    }
+  } catch (error) {
+    console.error('Error getting QR code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get QR code'
+    });
+  }
+});
+
+// Get connection status
+app.get('/api/whatsapp/status/:workspaceId', authorizeAccount, (req, res) => {
+  try {
+    const { account } = req;
+    const status = whatsappService.getConnectionStatus(account);
+    const clientInfo = whatsappService.getClientInfo(account);
+
+    res.json({
+      success: true,
+      accountId: account.id,
+      status: status,
+      connected: status === 'connected',
+      clientInfo: clientInfo
+    });
+  } catch (error) {
+    console.error('Error getting connection status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get connection status'
+    });
+  }
+});
+
+// Live event stream (Server-Sent Events) for messages, acks, QR/pairing codes, connection status changes,
+// assignments, conversation statuses, notes, contact fields, tags, scheduled messages and campaign progress.
+// Covers all of the workspace's accounts; every event's data carries the accountId it belongs to.
+app.get('/api/whatsapp/events/:workspaceId', authorizeMemberByQuery, async (req, res) => {
+  const { workspaceId } = req.params;
+
+  let accounts;
+  try {
+    accounts = await accountService.listAccounts(workspaceId);
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to open event stream'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // QR and pairing codes link a phone to the workspace's number, so only admins get to see them
+  const canLink = workspaceService.hasRole(req.member.role, 'admin');
+  const sendEvent = ({ type, data }) => {
+    if (!canLink && (type === 'qr' || type === 'pairing_code')) {
+      return;
+    }
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Send current state immediately so clients don't have to poll for it
+  for (const account of accounts) {
+    const accountId = account.id;
+    const status = whatsappService.getConnectionStatus(account);
+    sendEvent({ type: 'status', data: { status, connected: status === 'connected', accountId } });
+    const qrCode = whatsappService.getQRCode(account);
+    if (qrCode) {
+      sendEvent({ type: 'qr', data: { qrCode, accountId } });
+    }
+    const pairingCode = whatsappService.getPairingCode(account);
+    if (pairingCode) {
+      sendEvent({ type: 'pairing_code', data: { ...pairingCode, accountId } });
+    }
+  }
+
+  const unsubscribe = whatsappService.subscribe(workspaceId, sendEvent);
+
+  // Keep the connection alive through proxies
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Get an account's opening hours and its automatic greeting and away message
+app.get('/api/whatsapp/business-hours/:workspaceId', authorizeAccount, async (req, res) => {
+  try {
+    const businessHours = await businessHoursService.getBusinessHours(req.account);
+    res.json({
+      success: true,
+      businessHours: businessHoursService.formatBusinessHours(businessHours)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get business hours');
+  }
+});
+
+// Set an account's opening hours ({ timezone, schedule, holidays, awayMessage, greetingMessage };
+// a blank message turns it off)
+app.put('/api/whatsapp/business-hours/:workspaceId', authorizeAccount, requireRole('admin'), async (req, res) => {
+  try {
+    const businessHours = await businessHoursService.updateBusinessHours(req.account, req.body);
+    res.json({
+      success: true,
+      businessHours: businessHoursService.formatBusinessHours(businessHours)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update business hours');
+  }
+});
+
+// Update WhatsApp connection status in account data
+app.post('/api/whatsapp/update-status/:workspaceId', authorizeAccount, requireRole('admin'), async (req, res) => {
+  try {
+    const { connected } = req.body;
+    
+    await updateAccountWhatsAppStatus(req.account, connected === true);
+    
+    res.json({
+      success: true,
+      message: 'Account WhatsApp status updated'
+    });
+  } catch (error) {
+    console.error('Error updating WhatsApp status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update WhatsApp status'
+    });
+  }
+});
+
+// Disconnect WhatsApp
+app.post('/api/whatsapp/disconnect/:workspaceId', authorizeAccount, requireRole('admin'), async (req, res) => {
+  try {
+    const { account } = req;
+    await whatsappService.disconnectWhatsApp(account);
+    
+    // Update account data
+    await updateAccountWhatsAppStatus(account, false);
+    
+    res.json({
+      success: true,
+      message: 'WhatsApp disconnected successfully'
+    });
+  } catch (error) {
+    console.error('Error disconnecting WhatsApp:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disconnect WhatsApp'
+    });
+  }
+});
+
+// Get all chats/conversations (served from the chat summary cache; avatars are loaded separately).
+// ?accountId=all returns the chats of every account in one list (unified inbox).
+app.get('/api/whatsapp/chats/:workspaceId', authorizeMember, async (req, res) => {
+  const { workspaceId } = req.params;
+  
+  try {
+    if (req.query.accountId === 'all') {
+      const accounts = await accountService.listAccounts(workspaceId);
+      const chats = await whatsappService.getUnifiedChats(accounts);
+
+      return res.json({
+        success: true,
+        chats: chats,
+        connected: accounts.some(account => whatsappService.getConnectionStatus(account) === 'connected')
+      });
+    }
+
+    const account = await accountService.resolveAccount(workspaceId, req.query.accountId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'WhatsApp account not found'
+      });
+    }
+
+    const chats = await whatsappService.getChats(account);
+    
+    res.json({
+      success: true,
+      chats: chats,
+      connected: whatsappService.getConnectionStatus(account) === 'connected'
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error getting chats for workspace ${workspaceId}:`, error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get chats',
+      error: error.message
+    });
+  }
+});
+
+// Get conversation count
+app.get('/api/whatsapp/chats/:workspaceId/count', authorizeAccount, async (req, res) => {
+  try {
+    const count = await whatsappService.getChatCount(req.account);
+    res.json({
+      success: true,
+      count: count
+    });
+  } catch (error) {
+    console.error('Error getting chat count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get chat count',
+      error: error.message
+    });
+  }
+});
+
+// Get a chat's profile picture URL (null if it has none)
+app.get('/api/whatsapp/chats/:workspaceId/:chatId/avatar', authorizeAccount, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const avatar = await whatsappService.getChatAvatar(req.account, chatId);
+    res.json({
+      success: true,
+      avatar: avatar
+    });
+  } catch (error) {
+    console.error('Error getting chat avatar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get chat avatar',
+      error: error.message
+    });
+  }
+});
+
+// Get messages for a specific chat (newest page first; pass ?before=<messageId> for older pages)
+app.get('/api/whatsapp/chats/:workspaceId/:chatId/messages', authorizeAccount, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { before } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be a whole number between 1 and 200'
+      });
+    }
+
+    // Served from the local archive, so history is available even while WhatsApp is offline
+    const { messages, hasMore } = await whatsappService.getChatMessages(req.account, chatId, {
+      before: before || null,
+      limit
+    });
+    res.json({
+      success: true,
+      messages: messages,
+      hasMore: hasMore,
+      nextCursor: hasMore && messages.length > 0 ? messages[0].id : null,
+      connected: whatsappService.getConnectionStatus(req.account) === 'connected'
+    });
+  } catch (error) {
+    console.error('Error getting messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get messages',
+      error: error.message
+    });
+  }
+});
+
+// Download a message's media (cached on disk after the first download).
+// Accepts ?token= so it can be used directly in <img>/<video> src attributes; ?download=1 forces a file download.
+// The MIME type comes from the sender, so only image/video/audio types are shown inline, and never with script.
+app.get('/api/whatsapp/media/:workspaceId/:messageId', authorizeAccountByQuery, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const media = await whatsappService.getMessageMedia(req.account, messageId);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media is no longer available'
+      });
+    }
+
+    res.setHeader('Content-Type', media.mimetype || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', 'sandbox');
+    if (req.query.download || !mediaService.isInlineMediaType(media.mimetype)) {
+      res.attachment(media.filename || 'download');
+    }
+    res.sendFile(media.dataPath);
+  } catch (error) {
+    if (error.code === 'CLIENT_NOT_CONNECTED') {
+      return res.status(503).json({
+        success: false,
+        message: 'Media has not been downloaded yet and WhatsApp is not connected',
+        error: error.message
+      });
+    }
+    console.error('Error getting media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get media',
+      error: error.message
+    });
+  }
+});
+
+// Mark a chat as read, here and on WhatsApp (read receipts)
+app.post('/api/whatsapp/chats/:workspaceId/:chatId/read', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    await whatsappService.markChatRead(req.account, req.params.chatId);
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error marking chat as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark chat as read',
+      error: error.message
+    });
+  }
+});
+
+// Assign a chat to a member ({ assigneeId }), or unassign it ({ assigneeId: null })
+app.put('/api/whatsapp/chats/:workspaceId/:chatId/assignment', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId } = req.params;
+    const conversation = await assignmentService.assignConversation(account, chatId, req.body.assigneeId, req.member);
+    const assignee = assignmentService.formatAssignee(conversation);
+
+    whatsappService.emitEvent(account, 'assignment', { chatId, assignee });
+    res.json({
+      success: true,
+      assignee
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to assign conversation');
+  }
+});
+
+// Set a chat's workflow status ({ status, snoozedUntil }); snoozedUntil (epoch ms) is required for snoozed
+app.put('/api/whatsapp/chats/:workspaceId/:chatId/status', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId } = req.params;
+    const { status, snoozedUntil } = req.body;
+    const conversation = await conversationService.setStatus(account, chatId, status, snoozedUntil);
+    const formatted = conversationService.formatStatus(conversation);
+
+    whatsappService.emitEvent(account, 'conversation_status', { chatId, ...formatted });
+    res.json({
+      success: true,
+      ...formatted
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update conversation status');
+  }
+});
+
+// Replace a chat's custom contact fields ({ fields: { name: value } }); empty values remove a field
+app.put('/api/whatsapp/chats/:workspaceId/:chatId/contact-fields', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId } = req.params;
+    const conversation = await contactFieldService.setContactFields(account, chatId, req.body.fields);
+    const contactFields = contactFieldService.formatContactFields(conversation);
+
+    whatsappService.emitEvent(account, 'contact_fields', { chatId, contactFields });
+    res.json({
+      success: true,
+      contactFields
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update contact fields');
+  }
+});
+
+// Replace a chat's tags ({ tags: ['vip', ...] })
+app.put('/api/whatsapp/chats/:workspaceId/:chatId/tags', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId } = req.params;
+    const tags = tagService.formatTags(await tagService.setTags(account, chatId, req.body.tags));
+
+    whatsappService.emitEvent(account, 'tags', { chatId, tags });
+    res.json({
+      success: true,
+      tags
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update tags');
+  }
+});
+
+// Get a chat's private notes (never sent to WhatsApp), oldest first
+app.get('/api/whatsapp/chats/:workspaceId/:chatId/notes', authorizeAccount, async (req, res) => {
+  try {
+    const notes = await noteService.listNotes(req.account, req.params.chatId);
+    res.json({
+      success: true,
+      notes: notes.map(noteService.formatNote)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get notes');
+  }
+});
+
+// Add a note to a chat ({ body })
+app.post('/api/whatsapp/chats/:workspaceId/:chatId/notes', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId } = req.params;
+    const note = noteService.formatNote(await noteService.createNote(account, chatId, req.member, req.body.body));
+
+    whatsappService.emitEvent(account, 'note', { chatId: note.chatId, note });
+    res.status(201).json({
+      success: true,
+      note
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add note');
+  }
+});
+
+// Edit a note ({ body }); authors edit their own notes, admins any
+app.put('/api/whatsapp/chats/:workspaceId/:chatId/notes/:noteId', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId, noteId } = req.params;
+    const note = noteService.formatNote(await noteService.updateNote(account, chatId, noteId, req.member, req.body.body));
+
+    whatsappService.emitEvent(account, 'note', { chatId: note.chatId, note });
+    res.json({
+      success: true,
+      note
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update note');
+  }
+});
+
+// Delete a note; authors delete their own notes, admins any
+app.delete('/api/whatsapp/chats/:workspaceId/:chatId/notes/:noteId', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId, noteId } = req.params;
+    const note = await noteService.deleteNote(account, chatId, noteId, req.member);
+
+    whatsappService.emitEvent(account, 'note_deleted', { chatId: note.chatId, id: note.id });
+    res.json({
+      success: true,
+      message: 'Note deleted'
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete note');
+  }
+});
+
+// Get a chat's messages waiting to be sent later (and those that failed to send), soonest first
+app.get('/api/whatsapp/chats/:workspaceId/:chatId/scheduled', authorizeAccount, async (req, res) => {
+  try {
+    const scheduledMessages = await scheduledMessageService.listScheduledMessages(req.account, req.params.chatId);
+    res.json({
+      success: true,
+      scheduledMessages: scheduledMessages.map(scheduledMessageService.formatScheduledMessage)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get scheduled messages');
+  }
+});
+
+// Schedule a message ({ body, sendAt } with sendAt in epoch milliseconds)
+app.post('/api/whatsapp/chats/:workspaceId/:chatId/scheduled', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId } = req.params;
+    const { body, sendAt } = req.body;
+    const scheduledMessage = scheduledMessageService.formatScheduledMessage(
+      await scheduledMessageService.scheduleMessage(account, chatId, req.member, body, sendAt)
+    );
+
+    whatsappService.emitEvent(account, 'scheduled_message', { chatId: scheduledMessage.chatId, scheduledMessage });
+    res.status(201).json({
+      success: true,
+      scheduledMessage
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to schedule message');
+  }
+});
+
+// Change a scheduled message's text or time ({ body, sendAt }); a failed message is queued again
+app.put('/api/whatsapp/chats/:workspaceId/:chatId/scheduled/:jobId', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId, jobId } = req.params;
+    const { body, sendAt } = req.body;
+    const scheduledMessage = scheduledMessageService.formatScheduledMessage(
+      await scheduledMessageService.updateScheduledMessage(account, chatId, jobId, body, sendAt)
+    );
+
+    whatsappService.emitEvent(account, 'scheduled_message', { chatId: scheduledMessage.chatId, scheduledMessage });
+    res.json({
+      success: true,
+      scheduledMessage
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update scheduled message');
+  }
+});
+
+// Cancel a scheduled message
+app.delete('/api/whatsapp/chats/:workspaceId/:chatId/scheduled/:jobId', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { account } = req;
+    const { chatId, jobId } = req.params;
+    const job = await scheduledMessageService.cancelScheduledMessage(account, chatId, jobId);
+
+    whatsappService.emitEvent(account, 'scheduled_message_deleted', { chatId: job.chatId, id: job.id });
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled'
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to cancel scheduled message');
+  }
+});
+
+// Send a message
+app.post('/api/whatsapp/chats/:workspaceId/:chatId/send', authorizeAccount, requireRole('agent'), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { message } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    const result = await whatsappService.sendMessage(req.account, chatId, message);
+    res.json({
+      success: true,
+      message: 'Message sent successfully',
+      messageId: result
+    });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: error.message
+    });
+  }
+});
+
+// Send a media attachment (multipart/form-data with "file" and optional "caption")
+app.post('/api/whatsapp/chats/:workspaceId/:chatId/send-media', authorizeAccount, requireRole('agent'), mediaService.uploadMedia, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { caption } = req.body;
+
+    const messageId = await whatsappService.sendMedia(req.account, chatId, req.file, req.mediaCategory, caption);
+    res.json({
+      success: true,
+      message: 'Media sent successfully',
+      messageId: messageId
+    });
+  } catch (error) {
+    console.error('Error sending media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send media',
+      error: error.message
+    });
+  }
+});
+
+// Start the server when run directly (npm start); tests require the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT}`);
+
+    // Bring back WhatsApp sessions that were connected before the restart
+    whatsappService.restoreSavedSessions().catch((error) => {
+      console.error('Error restoring saved WhatsApp sessions:', error);
+    });
+
+    // Snoozed conversations come back on their own; tell open dashboards
+    conversationService.startSnoozeTimer((account, conversation) => {
+      whatsappService.emitEvent(account, 'conversation_status', {
+        chatId: conversation.chatId,
+        ...conversationService.formatStatus(conversation)
+      });
+    });
+
+    // Campaign messages go out one by one; open campaign reports follow along
+    campaignQueueService.startCampaignQueue((account, campaign, recipient) => {
+      whatsappService.emitEvent(account, 'campaign', {
+        campaign: campaignService.formatCampaign(campaign),
+        recipient: campaignService.formatRecipient(recipient)
+      });
+    });
+
+    // Webhook deliveries go out in the background, retried with backoff
+    webhookService.startWebhookDelivery();
+
+    // Scheduled messages go out from the job queue; open dashboards see them sent (or failing)
+    scheduledMessageService.startScheduler((account, job) => {
+      whatsappService.emitEvent(account, 'scheduled_message', {
+        chatId: job.chatId,
+        scheduledMessage: scheduledMessageService.formatScheduledMessage(job)
+      });
+    });
+  });
+}
+
+module.exports = app;
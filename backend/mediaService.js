@@ -0,0 +1,198 @@
+const multer = require('multer');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+const MB = 1024 * 1024;
+
+// Accepted upload MIME types per media category, with WhatsApp's size limits
+const MEDIA_CATEGORIES = {
+  image: {
+    maxSize: 5 * MB,
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+  },
+  video: {
+    maxSize: 16 * MB,
+    mimeTypes: ['video/mp4', 'video/3gpp', 'video/quicktime']
+  },
+  audio: {
+    maxSize: 16 * MB,
+    mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/amr', 'audio/wav', 'audio/webm']
+  },
+  document: {
+    maxSize: 100 * MB,
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/zip',
+      'text/plain',
+      'text/csv'
+    ]
+  }
+};
+
+// Downloaded media is cached per WhatsApp account under data/media-cache/<accountId>/
+const mediaCacheDir = path.join(__dirname, 'data', 'media-cache');
+
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(MEDIA_CATEGORIES).map(category => category.maxSize));
+
+/**
+ * Get the media category for a MIME type
+ * @param {string} mimetype - MIME type
+ * @returns {string|null} - 'image', 'video', 'audio', 'document' or null if not allowed
+ */
+function getMediaCategory(mimetype) {
+  const entry = Object.entries(MEDIA_CATEGORIES).find(([, category]) => category.mimeTypes.includes(mimetype));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Check if media may be shown inline in the browser: only the image, video and audio types we accept.
+ * Anything else (HTML, SVG, ...) is served as a download, so a sender can't get script run on the API origin.
+ * @param {string} mimetype - MIME type, possibly with parameters ("audio/ogg; codecs=opus")
+ * @returns {boolean} - True if it can be served inline
+ */
+function isInlineMediaType(mimetype) {
+  const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  return ['image', 'video', 'audio'].includes(getMediaCategory(type));
+}
+
+// Uploads are kept in memory - they are sent straight on to WhatsApp as base64
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!getMediaCategory(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not supported`);
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Express middleware: parse a single uploaded file from the "file" field and
+ * enforce MIME and per-category size limits. Sets req.file and req.mediaCategory.
+ */
+function uploadMedia(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File is too large (max ${MAX_UPLOAD_SIZE / MB} MB)`
+        });
+      }
+      if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+        return res.status(415).json({
+          success: false,
+          message: error.message
+        });
+      }
+      return next(error);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is required'
+      });
+    }
+
+    const category = getMediaCategory(req.file.mimetype);
+    const { maxSize } = MEDIA_CATEGORIES[category];
+    if (req.file.size > maxSize) {
+      return res.status(413).json({
+        success: false,
+        message: `${category.charAt(0).toUpperCase() + category.slice(1)} files must be ${maxSize / MB} MB or smaller`
+      });
+    }
+
+    req.mediaCategory = category;
+    next();
+  });
+}
+
+/**
+ * Get cache file paths for a message's media
+ * @param {string} accountId - WhatsApp account ID
+ * @param {string} messageId - Serialized message ID
+ * @returns {{ dataPath: string, metaPath: string }}
+ */
+function getCachePaths(accountId, messageId) {
+  // Message IDs contain characters that aren't safe in file names
+  const key = crypto.createHash('sha256').update(messageId).digest('hex');
+  const accountDir = path.join(mediaCacheDir, path.basename(accountId));
+  return {
+    dataPath: path.join(accountDir, `${key}.bin`),
+    metaPath: path.join(accountDir, `${key}.json`)
+  };
+}
+
+/**
+ * Read cached media for a message
+ * @param {string} accountId - WhatsApp account ID
+ * @param {string} messageId - Serialized message ID
+ * @returns {Promise<Object|null>} - { dataPath, mimetype, filename, size } or null if not cached
+ */
+async function getCachedMedia(accountId, messageId) {
+  const { dataPath, metaPath } = getCachePaths(accountId, messageId);
+  try {
+    const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    await fs.access(dataPath);
+    return { dataPath, ...meta };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write downloaded media to the cache
+ * @param {string} accountId - WhatsApp account ID
+ * @param {string} messageId - Serialized message ID
+ * @param {Object} media - whatsapp-web.js MessageMedia ({ mimetype, data (base64), filename })
+ * @returns {Promise<Object>} - Cached media ({ dataPath, mimetype, filename, size })
+ */
+async function cacheMedia(accountId, messageId, media) {
+  const { dataPath, metaPath } = getCachePaths(accountId, messageId);
+  const buffer = Buffer.from(media.data, 'base64');
+  const meta = {
+    mimetype: media.mimetype,
+    filename: media.filename || null,
+    size: buffer.length
+  };
+
+  await fs.mkdir(path.dirname(dataPath), { recursive: true });
+  await fs.writeFile(dataPath, buffer);
+  // Written last so a half-written data file is never treated as cached
+  await fs.writeFile(metaPath, JSON.stringify(meta), 'utf8');
+  return { dataPath, ...meta };
+}
+
+/**
+ * Remove all cached media of an account
+ * @param {string} accountId - WhatsApp account ID
+ * @returns {Promise<void>}
+ */
+async function clearCachedMedia(accountId) {
+  await fs.rm(path.join(mediaCacheDir, path.basename(accountId)), { recursive: true, force: true });
+}
+
+module.exports = {
+  MEDIA_CATEGORIES,
+  getMediaCategory,
+  isInlineMediaType,
+  uploadMedia,
+  getCachedMedia,
+  cacheMedia,
+  clearCachedMedia
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const workspaceService = require('./workspaceService');
+
+const MAX_NOTE_LENGTH = 4000;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function noteError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate and trim a note's text
+ * @param {string} body - Requested text
+ * @returns {string} - Trimmed text
+ */
+function normalizeBody(body) {
+  const trimmed = typeof body === 'string' ? body.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NOTE_LENGTH) {
+    throw noteError('INVALID_NOTE', `Notes must be 1-${MAX_NOTE_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Find a chat's note the actor may change: their own, or any note for admins
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {string} noteId - Note ID
+ * @param {Object} actor - Acting member
+ * @returns {Promise<Object>} - Note
+ */
+async function getEditableNote(account, chatId, noteId, actor) {
+  const note = await getStorage().notes.findById(account.id, chatId, noteId);
+  if (!note) {
+    throw noteError('NOTE_NOT_FOUND', 'Note not found');
+  }
+  if (note.authorId !== actor.userId && !workspaceService.hasRole(actor.role, 'admin')) {
+    throw noteError('FORBIDDEN', 'Only the author or an admin can change this note');
+  }
+  return note;
+}
+
+/**
+ * Get a chat's notes, oldest first
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array<Object>>} - Notes
+ */
+async function listNotes(account, chatId) {
+  return getStorage().notes.listByChat(account.id, chatId);
+}
+
+/**
+ * Add a note to a chat
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {Object} author - Member writing the note
+ * @param {string} body - Note text
+ * @returns {Promise<Object>} - Created note
+ */
+async function createNote(account, chatId, author, body) {
+  return getStorage().notes.create({
+    id: crypto.randomUUID(),
+    accountId: account.id,
+    chatId,
+    authorId: author.userId,
+    body: normalizeBody(body),
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Change a note's text
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID the note belongs to
+ * @param {string} noteId - Note ID
+ * @param {Object} actor - Acting member
+ * @param {string} body - New text
+ * @returns {Promise<Object>} - Updated note
+ */
+async function updateNote(account, chatId, noteId, actor, body) {
+  const text = normalizeBody(body);
+  await getEditableNote(account, chatId, noteId, actor);
+  return getStorage().notes.updateBody(account.id, chatId, noteId, text);
+}
+
+/**
+ * Delete a note
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID the note belongs to
+ * @param {string} noteId - Note ID
+ * @param {Object} actor - Acting member
+ * @returns {Promise<Object>} - Deleted note
+ */
+async function deleteNote(account, chatId, noteId, actor) {
+  const note = await getEditableNote(account, chatId, noteId, actor);
+  await getStorage().notes.delete(account.id, chatId, noteId);
+  return note;
+}
+
+/**
+ * Transform a note to API format
+ * @param {Object} note - Note
+ * @returns {Object} - Formatted note
+ */
+function formatNote(note) {
+  return {
+    id: note.id,
+    chatId: note.chatId,
+    body: note.body,
+    // null once the author's account is gone
+    author: note.authorId ? { id: note.authorId, name: note.authorName } : null,
+    // Epoch milliseconds, like message timestamps, so notes can be placed in the timeline
+    timestamp: new Date(note.createdAt).getTime(),
+    editedAt: note.updatedAt !== note.createdAt ? new Date(note.updatedAt).getTime() : null
+  };
+}
+
+module.exports = {
+  listNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+  formatNote
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15 keeps hashing around 50-100ms on typical hardware)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PREFIX = 'scrypt';
+
+/**
+ * Derive a scrypt key for a password
+ * @param {string} password - Plaintext password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt cost parameters { N, r, p }
+ * @returns {Promise<Buffer>} - Derived key
+ */
+function deriveKey(password, salt, params) {
+  return scrypt(password, salt, KEY_LENGTH, {
+    ...params,
+    // scrypt needs roughly 128 * N * r bytes of memory
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash: scrypt$N$r$p$salt$key
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+  // Hash both sides first so length differences don't leak through timing
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Verify a password against a stored user record.
+ * Supports both scrypt hashes and legacy plaintext passwords.
+ * @param {string} password - Plaintext password to check
+ * @param {Object} user - User record ({ passwordHash } or legacy { password })
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPassword(password, user) {
+  if (user && user.passwordHash) {
+    const [prefix, N, r, p, salt, key] = user.passwordHash.split('$');
+    if (prefix !== HASH_PREFIX || !salt || !key) {
+      return false;
+    }
+    const expected = Buffer.from(key, 'base64');
+    const actual = await deriveKey(password, Buffer.from(salt, 'base64'), {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    });
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  if (user && typeof user.password === 'string') {
+    return safeEqual(password, user.password);
+  }
+
+  // No usable credentials - still spend comparable time so missing users can't be detected
+  await hashPassword(password);
+  return false;
+}
+
+/**
+ * Check if a user record needs its password (re-)hashed
+ * @param {Object} user - User record
+ * @returns {boolean} - True for legacy plaintext records or outdated cost parameters
+ */
+function needsRehash(user) {
+  if (!user.passwordHash) {
+    return true;
+  }
+  const [prefix, N, r, p] = user.passwordHash.split('$');
+  return prefix !== HASH_PREFIX ||
+    Number(N) !== SCRYPT_PARAMS.N ||
+    Number(r) !== SCRYPT_PARAMS.r ||
+    Number(p) !== SCRYPT_PARAMS.p;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const whatsappService = require('./whatsappService');
+
+// WhatsApp's limit for a text message
+const MAX_BODY_LENGTH = 4096;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+// Failed sends are retried this many times in total, waiting RETRY_DELAY_MS longer after each attempt
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const SEND_CHECK_INTERVAL_MS = 15 * 1000;
+
+let sendTimer = null;
+let isSending = false;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function scheduleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate a scheduled message's text and time
+ * @param {string} body - Message text
+ * @param {number} sendAt - Epoch milliseconds
+ * @returns {{ body: string, sendAt: string }} - Text and ISO time
+ */
+function normalizeJob(body, sendAt) {
+  if (typeof body !== 'string' || !body.trim() || body.length > MAX_BODY_LENGTH) {
+    throw scheduleError('INVALID_SCHEDULED_MESSAGE', `Messages must be 1-${MAX_BODY_LENGTH} characters`);
+  }
+  const time = Number(sendAt);
+  if (!Number.isFinite(time) || time <= Date.now()) {
+    throw scheduleError('INVALID_SCHEDULED_MESSAGE', 'Pick a time in the future');
+  }
+  if (time > Date.now() + MAX_SCHEDULE_AHEAD_MS) {
+    throw scheduleError('INVALID_SCHEDULED_MESSAGE', 'Messages can be scheduled up to a year ahead');
+  }
+  return { body, sendAt: new Date(time).toISOString() };
+}
+
+/**
+ * Get a chat's messages that are scheduled or failed to send, soonest first
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array<Object>>} - Scheduled messages
+ */
+async function listScheduledMessages(account, chatId) {
+  return getStorage().scheduledMessages.listPendingByChat(account.id, chatId);
+}
+
+/**
+ * Schedule a message to be sent to a chat later
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {Object} author - Member scheduling it
+ * @param {string} body - Message text
+ * @param {number} sendAt - Epoch milliseconds
+ * @returns {Promise<Object>} - Scheduled message
+ */
+async function scheduleMessage(account, chatId, author, body, sendAt) {
+  return getStorage().scheduledMessages.create({
+    id: crypto.randomUUID(),
+    accountId: account.id,
+    chatId,
+    ...normalizeJob(body, sendAt),
+    createdBy: author.userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Change a scheduled message's text and time. A failed message is queued again.
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID the message is scheduled in
+ * @param {string} jobId - Scheduled message ID
+ * @param {string} body - Message text
+ * @param {number} sendAt - Epoch milliseconds
+ * @returns {Promise<Object>} - Updated scheduled message
+ */
+async function updateScheduledMessage(account, chatId, jobId, body, sendAt) {
+  const job = await getStorage().scheduledMessages.reschedule({
+    id: jobId,
+    accountId: account.id,
+    chatId,
+    ...normalizeJob(body, sendAt)
+  });
+  if (!job) {
+    throw scheduleError('SCHEDULED_MESSAGE_NOT_FOUND', 'This message was already sent or cancelled');
+  }
+  return job;
+}
+
+/**
+ * Cancel a scheduled message
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID the message is scheduled in
+ * @param {string} jobId - Scheduled message ID
+ * @returns {Promise<Object>} - Cancelled scheduled message
+ */
+async function cancelScheduledMessage(account, chatId, jobId) {
+  const scheduledMessageRepository = getStorage().scheduledMessages;
+  const job = await scheduledMessageRepository.findById(account.id, jobId);
+  if (!job || job.chatId !== chatId || !(await scheduledMessageRepository.delete(account.id, chatId, jobId))) {
+    throw scheduleError('SCHEDULED_MESSAGE_NOT_FOUND', 'This message was already sent or cancelled');
+  }
+  return job;
+}
+
+/**
+ * Try to send one due message. Messages of disconnected accounts wait, without using up an
+ * attempt, until the account is connected again.
+ * @param {Object} account - WhatsApp account
+ * @param {Object} job - Scheduled message
+ * @returns {Promise<Object|null>} - Updated scheduled message, or null if it has to wait
+ */
+async function sendDueMessage(account, job) {
+  const scheduledMessageRepository = getStorage().scheduledMessages;
+  if (whatsappService.getConnectionStatus(account) !== 'connected') {
+    return null;
+  }
+
+  try {
+    const messageId = await whatsappService.sendMessage(account, job.chatId, job.body);
+    return scheduledMessageRepository.markSent(job, messageId);
+  } catch (error) {
+    if (whatsappService.getConnectionStatus(account) !== 'connected') {
+      return null;
+    }
+    const attempts = job.attempts + 1;
+    const nextAttemptAt = attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + attempts * RETRY_DELAY_MS).toISOString()
+      : null;
+    console.error(`Error sending scheduled message ${job.id} (attempt ${attempts}):`, error.message);
+    return scheduledMessageRepository.markAttemptFailed(job, error.message, nextAttemptAt);
+  }
+}
+
+/**
+ * Send due scheduled messages, checking every SEND_CHECK_INTERVAL_MS. The queue lives in the
+ * database, so messages that came due while the server was down go out after a restart.
+ * @param {Function} onChange - Called with (account, scheduledMessage) after every send attempt
+ */
+function startScheduler(onChange) {
+  if (sendTimer) {
+    return;
+  }
+  sendTimer = setInterval(async () => {
+    // A slow send can outlast the interval; don't pick up the same jobs twice
+    if (isSending) {
+      return;
+    }
+    isSending = true;
+    try {
+      const storage = getStorage();
+      const accounts = new Map();
+      for (const job of await storage.scheduledMessages.listDue(new Date().toISOString())) {
+        if (!accounts.has(job.accountId)) {
+          accounts.set(job.accountId, await storage.whatsappAccounts.findById(job.accountId));
+        }
+        const account = accounts.get(job.accountId);
+        const updated = account && await sendDueMessage(account, job);
+        if (updated) {
+          onChange(account, updated);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending scheduled messages:', error);
+    } finally {
+      isSending = false;
+    }
+  }, SEND_CHECK_INTERVAL_MS);
+  sendTimer.unref();
+}
+
+/**
+ * Transform a scheduled message to API format
+ * @param {Object} job - Scheduled message
+ * @returns {Object} - Formatted scheduled message
+ */
+function formatScheduledMessage(job) {
+  return {
+    id: job.id,
+    chatId: job.chatId,
+    body: job.body,
+    // Epoch milliseconds, like message timestamps
+    sendAt: new Date(job.sendAt).getTime(),
+    // scheduled, sent or failed (gave up after MAX_ATTEMPTS; editing queues it again)
+    status: job.status,
+    lastError: job.lastError,
+    // null once the creator's account is gone
+    createdBy: job.createdBy ? { id: job.createdBy, name: job.createdByName } : null
+  };
+}
+
+module.exports = {
+  listScheduledMessages,
+  scheduleMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  startScheduler,
+  formatScheduledMessage
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const defaultSnippets = require('./defaultSnippets');
+
+// Icons the snippets panel can draw (lucide-react names)
+const ICONS = ['MessageCircle', 'Clock', 'FileText', 'Calendar', 'Wrench', 'DollarSign', 'Heart', 'AlertCircle'];
+const DEFAULT_ICON = 'FileText';
+const DEFAULT_CATEGORY = 'General';
+const MAX_TITLE_LENGTH = 100;
+const MAX_CATEGORY_LENGTH = 50;
+// WhatsApp's limit for a text message
+const MAX_CONTENT_LENGTH = 4096;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function snippetError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate and trim a snippet's fields. Category and icon fall back to defaults.
+ * @param {Object} input - { title, content, category, icon }
+ * @returns {Object} - { title, content, category, icon }
+ */
+function normalizeSnippet(input) {
+  const { title, content, category, icon } = input || {};
+  const trimmedTitle = typeof title === 'string' ? title.trim() : '';
+  if (!trimmedTitle || trimmedTitle.length > MAX_TITLE_LENGTH) {
+    throw snippetError('INVALID_SNIPPET', `Title must be 1-${MAX_TITLE_LENGTH} characters`);
+  }
+  // Keep the content's own line breaks and spacing; only reject empty replies
+  if (typeof content !== 'string' || !content.trim() || content.length > MAX_CONTENT_LENGTH) {
+    throw snippetError('INVALID_SNIPPET', `Content must be 1-${MAX_CONTENT_LENGTH} characters`);
+  }
+  const trimmedCategory = typeof category === 'string' && category.trim() ? category.trim() : DEFAULT_CATEGORY;
+  if (trimmedCategory.length > MAX_CATEGORY_LENGTH) {
+    throw snippetError('INVALID_SNIPPET', `Category must be at most ${MAX_CATEGORY_LENGTH} characters`);
+  }
+  if (icon && !ICONS.includes(icon)) {
+    throw snippetError('INVALID_SNIPPET', `Icon must be one of ${ICONS.join(', ')}`);
+  }
+  return {
+    title: trimmedTitle,
+    content,
+    category: trimmedCategory,
+    icon: icon || DEFAULT_ICON
+  };
+}
+
+/**
+ * Get a workspace's snippets in display order
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Snippets
+ */
+async function listSnippets(workspaceId) {
+  return getStorage().snippets.listByWorkspace(workspaceId);
+}
+
+/**
+ * Add a snippet at the end of the workspace's list
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} author - Member creating it
+ * @param {Object} input - { title, content, category, icon }
+ * @returns {Promise<Object>} - Created snippet
+ */
+async function createSnippet(workspaceId, author, input) {
+  const snippetRepository = getStorage().snippets;
+  const id = crypto.randomUUID();
+  await snippetRepository.createMany([{
+    id,
+    workspaceId,
+    ...normalizeSnippet(input),
+    createdBy: author.userId,
+    createdAt: new Date().toISOString()
+  }]);
+  return snippetRepository.findById(workspaceId, id);
+}
+
+/**
+ * Give a new workspace the starter snippets
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<void>}
+ */
+async function addDefaultSnippets(workspaceId) {
+  const createdAt = new Date().toISOString();
+  await getStorage().snippets.createMany(defaultSnippets.map(snippet => ({
+    id: crypto.randomUUID(),
+    workspaceId,
+    ...snippet,
+    createdAt
+  })));
+}
+
+/**
+ * Change a snippet
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} snippetId - Snippet ID
+ * @param {Object} input - { title, content, category, icon }
+ * @returns {Promise<Object>} - Updated snippet
+ */
+async function updateSnippet(workspaceId, snippetId, input) {
+  const fields = normalizeSnippet(input);
+  const snippet = await getStorage().snippets.update({ id: snippetId, workspaceId, ...fields });
+  if (!snippet) {
+    throw snippetError('SNIPPET_NOT_FOUND', 'Snippet not found');
+  }
+  return snippet;
+}
+
+/**
+ * Delete a snippet
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} snippetId - Snippet ID
+ * @returns {Promise<void>}
+ */
+async function deleteSnippet(workspaceId, snippetId) {
+  if (!await getStorage().snippets.delete(workspaceId, snippetId)) {
+    throw snippetError('SNIPPET_NOT_FOUND', 'Snippet not found');
+  }
+}
+
+/**
+ * Put a workspace's snippets in a new order
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>} snippetIds - Every snippet ID of the workspace, in the new order
+ * @returns {Promise<Array<Object>>} - Snippets in their new order
+ */
+async function reorderSnippets(workspaceId, snippetIds) {
+  const snippetRepository = getStorage().snippets;
+  const existing = await snippetRepository.listByWorkspace(workspaceId);
+  const existingIds = new Set(existing.map(snippet => snippet.id));
+  const isComplete = Array.isArray(snippetIds)
+    && snippetIds.length === existingIds.size
+    && new Set(snippetIds).size === snippetIds.length
+    && snippetIds.every(id => existingIds.has(id));
+  if (!isComplete) {
+    // Most likely someone else added or removed a snippet meanwhile
+    throw snippetError('INVALID_SNIPPET_ORDER', 'The snippet list has changed. Reload it and try again.');
+  }
+
+  await snippetRepository.reorder(workspaceId, snippetIds);
+  return snippetRepository.listByWorkspace(workspaceId);
+}
+
+/**
+ * Transform a snippet to API format (the Snippet typedef in the frontend)
+ * @param {Object} snippet - Snippet
+ * @returns {Object} - Formatted snippet
+ */
+function formatSnippet(snippet) {
+  return {
+    id: snippet.id,
+    title: snippet.title,
+    content: snippet.content,
+    category: snippet.category,
+    icon: snippet.icon
+  };
+}
+
+module.exports = {
+  ICONS,
+  normalizeSnippet,
+  listSnippets,
+  createSnippet,
+  addDefaultSnippets,
+  updateSnippet,
+  deleteSnippet,
+  reorderSnippets,
+  formatSnippet
+};
@@ -0,0 +1,287 @@
+const multer = require('multer');
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('./storage');
+const snippetService = require('./snippetService');
+const { parseCsv, toCsvField, fromCsvField } = require('./csv');
+
+const MAX_IMPORT_SIZE = 1024 * 1024;
+const MAX_IMPORT_SNIPPETS = 500;
+// Validation errors listed in the response; the rest are only counted
+const MAX_REPORTED_ERRORS = 5;
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['title', 'content', 'category', 'icon'];
+
+const FORMATS = {
+  json: { extension: '.json', contentType: 'application/json' },
+  csv: { extension: '.csv', contentType: 'text/csv' }
+};
+
+// Both update snippets whose title matches and add the rest; replace also deletes the snippets the file
+// doesn't have and puts the list in the file's order. Matched snippets keep their ID, so auto-reply rules
+// that send them keep working.
+const STRATEGIES = ['merge', 'replace'];
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function importError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Work out an uploaded file's format from ?format=, its extension or its MIME type
+ * @param {Object} file - Uploaded file (multer)
+ * @param {string} [requested] - Format asked for by the client
+ * @returns {string} - 'json' or 'csv'
+ */
+function getFileFormat(file, requested) {
+  if (requested) {
+    if (!FORMATS[requested]) {
+      throw importError('INVALID_SNIPPET_FORMAT', 'Format must be json or csv');
+    }
+    return requested;
+  }
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const format = Object.keys(FORMATS).find(name => (
+    FORMATS[name].extension === extension || FORMATS[name].contentType === file.mimetype
+  ));
+  if (!format) {
+    throw importError('INVALID_SNIPPET_FORMAT', 'Import a .json or .csv file');
+  }
+  return format;
+}
+
+/**
+ * Read the snippets out of an import file, without validating them
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<{ label: string, input: Object }>} - Snippets with a label for error messages
+ */
+function readSnippetFile(text, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw importError('INVALID_SNIPPET_IMPORT', "The file isn't valid JSON");
+    }
+    // Accept an exported collection ({ snippets: [...] }) or a bare array
+    const snippets = Array.isArray(data) ? data : data && data.snippets;
+    if (!Array.isArray(snippets)) {
+      throw importError('INVALID_SNIPPET_IMPORT', 'The JSON file must contain a "snippets" array');
+    }
+    return snippets.map((input, index) => ({
+      label: `Snippet ${index + 1}`,
+      input: input && typeof input === 'object' ? input : {}
+    }));
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  if (!columns.includes('title') || !columns.includes('content')) {
+    throw importError('INVALID_SNIPPET_IMPORT', `The CSV file needs a header row with ${CSV_COLUMNS.join(', ')} columns`);
+  }
+  return rows.map((fields, index) => ({
+    // Row 1 is the header
+    label: `Row ${index + 2}`,
+    input: Object.fromEntries(columns.map((column, i) => [column, fields[i] && fromCsvField(fields[i])]))
+  }));
+}
+
+/**
+ * Validate the snippets of an import file. Titles must be unique within the file.
+ * @param {Array<{ label: string, input: Object }>} entries - Snippets read from the file
+ * @returns {Array<{ snippet: Object, input: Object }>} - Normalized snippets ({ title, content, category, icon }) with their input
+ */
+function validateImport(entries) {
+  if (entries.length === 0) {
+    throw importError('INVALID_SNIPPET_IMPORT', 'The file contains no snippets');
+  }
+  if (entries.length > MAX_IMPORT_SNIPPETS) {
+    throw importError('INVALID_SNIPPET_IMPORT', `Import at most ${MAX_IMPORT_SNIPPETS} snippets at a time`);
+  }
+
+  const errors = [];
+  const snippets = [];
+  const titles = new Set();
+  for (const { label, input } of entries) {
+    try {
+      const snippet = snippetService.normalizeSnippet(input);
+      const key = snippet.title.toLowerCase();
+      if (titles.has(key)) {
+        errors.push(`${label}: the title "${snippet.title}" is used more than once`);
+      }
+      titles.add(key);
+      snippets.push({ snippet, input });
+    } catch (error) {
+      if (error.code !== 'INVALID_SNIPPET') {
+        throw error;
+      }
+      errors.push(`${label}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw importError('INVALID_SNIPPET_IMPORT', `${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}${more}`);
+  }
+  return snippets;
+}
+
+/**
+ * Check whether an imported snippet would change an existing one
+ * @param {Object} existing - Existing snippet
+ * @param {Object} snippet - Normalized imported snippet
+ * @returns {boolean}
+ */
+function isUnchanged(existing, snippet) {
+  return existing.title === snippet.title
+    && existing.content === snippet.content
+    && existing.category === snippet.category
+    && existing.icon === snippet.icon;
+}
+
+/**
+ * Export a workspace's snippets in display order
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<Object>} - { filename, contentType, body }
+ */
+async function exportSnippets(workspaceId, format) {
+  if (!FORMATS[format]) {
+    throw importError('INVALID_SNIPPET_FORMAT', 'Format must be json or csv');
+  }
+  const snippets = (await snippetService.listSnippets(workspaceId)).map(snippet => ({
+    title: snippet.title,
+    content: snippet.content,
+    category: snippet.category,
+    icon: snippet.icon
+  }));
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify({ version: EXPORT_VERSION, snippets }, null, 2);
+  } else {
+    const lines = [CSV_COLUMNS, ...snippets.map(snippet => CSV_COLUMNS.map(column => snippet[column]))];
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    body = `\uFEFF${lines.map(fields => fields.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+  }
+
+  return {
+    filename: `snippets-${new Date().toISOString().slice(0, 10)}${FORMATS[format].extension}`,
+    contentType: FORMATS[format].contentType,
+    body
+  };
+}
+
+/**
+ * Import snippets from an uploaded JSON or CSV file. Duplicates are found by title (ignoring case):
+ * the existing snippet with that title is updated, anything else is added at the end. Replacing
+ * also deletes the snippets the file doesn't have.
+ * Nothing is saved if any snippet is invalid.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} author - Member importing them
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} options - { format, strategy ('merge' or 'replace'), dryRun (only report what would change) }
+ * @returns {Promise<Object>} - { created, updated, unchanged, deleted } counts
+ */
+async function importSnippets(workspaceId, author, file, { format, strategy = 'merge', dryRun = false } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw importError('INVALID_SNIPPET_IMPORT', `Strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const snippets = validateImport(readSnippetFile(text, getFileFormat(file, format)));
+
+  const existing = await snippetService.listSnippets(workspaceId);
+  // With duplicate titles already in the workspace, the first one in the list gets updated
+  const byTitle = new Map();
+  for (const snippet of existing) {
+    const key = snippet.title.toLowerCase();
+    if (!byTitle.has(key)) {
+      byTitle.set(key, snippet);
+    }
+  }
+
+  const createdAt = new Date().toISOString();
+  const changes = { delete: [], update: [], create: [], order: null };
+  const importedIds = [];
+  let unchanged = 0;
+  for (const { snippet: imported, input } of snippets) {
+    const match = byTitle.get(imported.title.toLowerCase());
+    // Keep the category and icon of a snippet being updated when the file leaves them out
+    const snippet = match
+      ? { ...imported, category: input.category ? imported.category : match.category, icon: input.icon ? imported.icon : match.icon }
+      : imported;
+    if (match && isUnchanged(match, snippet)) {
+      unchanged++;
+      importedIds.push(match.id);
+    } else if (match) {
+      changes.update.push({ id: match.id, workspaceId, ...snippet });
+      importedIds.push(match.id);
+    } else {
+      const id = crypto.randomUUID();
+      changes.create.push({ id, workspaceId, ...snippet, createdBy: author.userId, createdAt });
+      importedIds.push(id);
+    }
+  }
+
+  if (strategy === 'replace') {
+    const keep = new Set(importedIds);
+    changes.delete = existing.filter(snippet => !keep.has(snippet.id)).map(snippet => snippet.id);
+    changes.order = importedIds;
+  }
+  if (!dryRun) {
+    await getStorage().snippets.applyImport(workspaceId, changes);
+  }
+  return {
+    created: changes.create.length,
+    updated: changes.update.length,
+    unchanged,
+    deleted: changes.delete.length
+  };
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_SIZE,
+    files: 1
+  }
+});
+
+/**
+ * Express middleware: parse an uploaded snippet file from the "file" field. Sets req.file.
+ */
+function uploadSnippetFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File is too large (max ${MAX_IMPORT_SIZE / 1024 / 1024} MB)`
+        });
+      }
+      return next(error);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is required'
+      });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  exportSnippets,
+  importSnippets,
+  uploadSnippetFile
+};
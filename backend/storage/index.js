@@ -0,0 +1,45 @@
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+// Storage drivers, keyed by STORAGE_DRIVER. Each driver returns the same repository interface.
+const drivers = {
+  sqlite: () => require('./sqlite').createSqliteStorage({
+    filePath: process.env.DATABASE_PATH || path.join(dataDir, 'app.db'),
+    legacyUsersPath: path.join(dataDir, 'users.json')
+  })
+};
+
+let storage = null;
+
+/**
+ * Initialize the configured storage driver (once)
+ * @returns {Object} - Storage with repositories (users, workspaces, whatsappAccounts, messages, chats, conversations, notes, snippets, scheduledMessages, campaigns, autoReplyRules, businessHours, webhooks)
+ */
+function initStorage() {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'sqlite';
+    const createDriver = drivers[driverName];
+    if (!createDriver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+    }
+    storage = createDriver();
+  }
+  return storage;
+}
+
+/**
+ * Get the initialized storage
+ * @returns {Object} - Storage with repositories (users, workspaces, whatsappAccounts, messages, chats, conversations, notes, snippets, scheduledMessages, campaigns, autoReplyRules, businessHours, webhooks)
+ */
+function getStorage() {
+  if (!storage) {
+    throw new Error('Storage not initialized');
+  }
+  return storage;
+}
+
+module.exports = {
+  initStorage,
+  getStorage
+};
@@ -0,0 +1,181 @@
+/**
+ * Map an auto_reply_rules row (joined with the reply snippet's title and the assignee's name) to a rule
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Rule or null
+ */
+function toRule(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    name: row.name,
+    enabled: row.enabled === 1,
+    position: row.position,
+    matchType: row.match_type,
+    pattern: row.pattern,
+    chatType: row.chat_type,
+    replySnippetId: row.reply_snippet_id,
+    replySnippetTitle: row.reply_snippet_title,
+    tag: row.tag,
+    assigneeId: row.assignee_id,
+    assigneeName: row.assignee_name,
+    cooldownMinutes: row.cooldown_minutes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const SELECT_RULE = `
+  SELECT r.*, s.title AS reply_snippet_title, u.name AS assignee_name FROM auto_reply_rules r
+  LEFT JOIN snippets s ON s.id = r.reply_snippet_id
+  LEFT JOIN users u ON u.id = r.assignee_id
+`;
+
+/**
+ * Create the SQLite-backed repository for a workspace's auto-reply rules and their cooldowns
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Auto-reply rule repository
+ */
+function createAutoReplyRuleRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO auto_reply_rules (
+        id, workspace_id, name, enabled, position, match_type, pattern, chat_type, reply_snippet_id, tag,
+        assignee_id, cooldown_minutes, created_by, created_at, updated_at
+      )
+      VALUES (
+        @id, @workspaceId, @name, @enabled,
+        (SELECT COALESCE(MAX(position) + 1, 0) FROM auto_reply_rules WHERE workspace_id = @workspaceId),
+        @matchType, @pattern, @chatType, @replySnippetId, @tag, @assigneeId, @cooldownMinutes,
+        @createdBy, @createdAt, @createdAt
+      )
+    `),
+    findById: db.prepare(`${SELECT_RULE} WHERE r.workspace_id = ? AND r.id = ?`),
+    listByWorkspace: db.prepare(`${SELECT_RULE} WHERE r.workspace_id = ? ORDER BY r.position, r.created_at`),
+    update: db.prepare(`
+      UPDATE auto_reply_rules
+      SET name = @name, enabled = @enabled, match_type = @matchType, pattern = @pattern, chat_type = @chatType,
+        reply_snippet_id = @replySnippetId, tag = @tag, assignee_id = @assigneeId,
+        cooldown_minutes = @cooldownMinutes, updated_at = @updatedAt
+      WHERE workspace_id = @workspaceId AND id = @id
+    `),
+    setPosition: db.prepare('UPDATE auto_reply_rules SET position = ? WHERE workspace_id = ? AND id = ?'),
+    delete: db.prepare('DELETE FROM auto_reply_rules WHERE workspace_id = ? AND id = ?'),
+    findFiring: db.prepare('SELECT fired_at FROM auto_reply_firings WHERE rule_id = ? AND account_id = ? AND chat_id = ?'),
+    recordFiring: db.prepare(`
+      INSERT INTO auto_reply_firings (rule_id, account_id, chat_id, fired_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (rule_id, account_id, chat_id) DO UPDATE SET fired_at = excluded.fired_at
+    `)
+  };
+
+  const toParams = (rule) => ({
+    id: rule.id,
+    workspaceId: rule.workspaceId,
+    name: rule.name,
+    enabled: rule.enabled ? 1 : 0,
+    matchType: rule.matchType,
+    pattern: rule.pattern || null,
+    chatType: rule.chatType,
+    replySnippetId: rule.replySnippetId || null,
+    tag: rule.tag || null,
+    assigneeId: rule.assigneeId || null,
+    cooldownMinutes: rule.cooldownMinutes
+  });
+
+  const reorder = db.transaction((workspaceId, ruleIds) => {
+    ruleIds.forEach((ruleId, position) => {
+      statements.setPosition.run(position, workspaceId, ruleId);
+    });
+  });
+
+  return {
+    /**
+     * Add a rule at the end of its workspace's list
+     * @param {Object} rule - { id, workspaceId, name, enabled, matchType, pattern, chatType, replySnippetId, tag, assigneeId, cooldownMinutes, createdBy, createdAt }
+     * @returns {Promise<Object>} - Stored rule
+     */
+    async create(rule) {
+      statements.insert.run({ ...toParams(rule), createdBy: rule.createdBy, createdAt: rule.createdAt });
+      return toRule(statements.findById.get(rule.workspaceId, rule.id));
+    },
+
+    /**
+     * Find a rule by ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} ruleId - Rule ID
+     * @returns {Promise<Object|null>} - Rule or null
+     */
+    async findById(workspaceId, ruleId) {
+      return toRule(statements.findById.get(workspaceId, ruleId));
+    },
+
+    /**
+     * Get a workspace's rules in the order they are checked
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Array<Object>>} - Rules
+     */
+    async listByWorkspace(workspaceId) {
+      return statements.listByWorkspace.all(workspaceId).map(toRule);
+    },
+
+    /**
+     * Change a rule
+     * @param {Object} rule - { id, workspaceId, name, enabled, matchType, pattern, chatType, replySnippetId, tag, assigneeId, cooldownMinutes }
+     * @returns {Promise<Object|null>} - Updated rule or null if it doesn't exist
+     */
+    async update(rule) {
+      statements.update.run({ ...toParams(rule), updatedAt: new Date().toISOString() });
+      return toRule(statements.findById.get(rule.workspaceId, rule.id));
+    },
+
+    /**
+     * Put a workspace's rules in the given order (single transaction)
+     * @param {string} workspaceId - Workspace ID
+     * @param {Array<string>} ruleIds - Rule IDs in their new order
+     * @returns {Promise<void>}
+     */
+    async reorder(workspaceId, ruleIds) {
+      reorder(workspaceId, ruleIds);
+    },
+
+    /**
+     * Delete a rule
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} ruleId - Rule ID
+     * @returns {Promise<boolean>} - False if it didn't exist
+     */
+    async delete(workspaceId, ruleId) {
+      return statements.delete.run(workspaceId, ruleId).changes > 0;
+    },
+
+    /**
+     * Get when a rule last fired in a chat
+     * @param {string} ruleId - Rule ID
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<string|null>} - ISO time, or null if it never did
+     */
+    async getLastFiredAt(ruleId, accountId, chatId) {
+      const row = statements.findFiring.get(ruleId, accountId, chatId);
+      return row ? row.fired_at : null;
+    },
+
+    /**
+     * Remember that a rule fired in a chat
+     * @param {string} ruleId - Rule ID
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<void>}
+     */
+    async recordFiring(ruleId, accountId, chatId) {
+      statements.recordFiring.run(ruleId, accountId, chatId, new Date().toISOString());
+    }
+  };
+}
+
+module.exports = {
+  createAutoReplyRuleRepository
+};
@@ -0,0 +1,88 @@
+/**
+ * Map a business_hours row to an account's business hours
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Business hours or null
+ */
+function toBusinessHours(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    accountId: row.account_id,
+    timezone: row.timezone,
+    schedule: JSON.parse(row.schedule),
+    holidays: JSON.parse(row.holidays),
+    awayMessage: row.away_message,
+    greetingMessage: row.greeting_message,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Create the SQLite-backed repository for the accounts' business hours and the away messages sent
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Business hours repository
+ */
+function createBusinessHoursRepository(db) {
+  const statements = {
+    findByAccount: db.prepare('SELECT * FROM business_hours WHERE account_id = ?'),
+    save: db.prepare(`
+      INSERT INTO business_hours (account_id, timezone, schedule, holidays, away_message, greeting_message, updated_at)
+      VALUES (@accountId, @timezone, @schedule, @holidays, @awayMessage, @greetingMessage, @updatedAt)
+      ON CONFLICT (account_id) DO UPDATE SET
+        timezone = excluded.timezone, schedule = excluded.schedule, holidays = excluded.holidays,
+        away_message = excluded.away_message, greeting_message = excluded.greeting_message,
+        updated_at = excluded.updated_at
+    `),
+    // Only succeeds if the chat hasn't had the away message in this closed period yet
+    claimAwayReply: db.prepare(`
+      INSERT INTO away_replies (account_id, chat_id, closed_period, sent_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (account_id, chat_id) DO UPDATE SET closed_period = excluded.closed_period, sent_at = excluded.sent_at
+      WHERE closed_period != excluded.closed_period
+    `)
+  };
+
+  return {
+    /**
+     * Get an account's business hours
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<Object|null>} - Business hours, or null if never configured
+     */
+    async findByAccount(accountId) {
+      return toBusinessHours(statements.findByAccount.get(accountId));
+    },
+
+    /**
+     * Create or replace an account's business hours
+     * @param {Object} businessHours - { accountId, timezone, schedule, holidays, awayMessage, greetingMessage }
+     * @returns {Promise<Object>} - Stored business hours
+     */
+    async save(businessHours) {
+      statements.save.run({
+        accountId: businessHours.accountId,
+        timezone: businessHours.timezone,
+        schedule: JSON.stringify(businessHours.schedule),
+        holidays: JSON.stringify(businessHours.holidays),
+        awayMessage: businessHours.awayMessage || null,
+        greetingMessage: businessHours.greetingMessage || null,
+        updatedAt: new Date().toISOString()
+      });
+      return toBusinessHours(statements.findByAccount.get(businessHours.accountId));
+    },
+
+    /**
+     * Reserve the away message of a closed period for a chat (atomic, so it's sent once)
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} closedPeriod - Key of the closed period
+     * @returns {Promise<boolean>} - False if the chat already got it in this period
+     */
+    async claimAwayReply(accountId, chatId, closedPeriod) {
+      return statements.claimAwayReply.run(accountId, chatId, closedPeriod, new Date().toISOString()).changes > 0;
+    }
+  };
+}
+
+module.exports = {
+  createBusinessHoursRepository
+};
@@ -0,0 +1,279 @@
+const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'failed', 'cancelled'];
+
+// An ack only moves a recipient forward: sent -> delivered -> read
+const EARLIER_ACK_STATUSES = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered']
+};
+
+/**
+ * Map a campaigns row (joined with its account, creator and recipient counts) to a campaign
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Campaign or null
+ */
+function toCampaign(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    accountName: row.account_name,
+    name: row.name,
+    template: row.template,
+    status: row.status,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    counts: {
+      total: row.total,
+      ...Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, row[status]]))
+    }
+  };
+}
+
+/**
+ * Map a campaign_recipients row to a recipient
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Recipient or null
+ */
+function toRecipient(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    campaignId: row.campaign_id,
+    position: row.position,
+    chatId: row.chat_id,
+    name: row.name,
+    phone: row.phone,
+    body: row.body,
+    status: row.status,
+    messageId: row.message_id,
+    error: row.error,
+    sentAt: row.sent_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const SELECT_CAMPAIGN = `
+  SELECT c.*, a.name AS account_name, u.name AS created_by_name, COUNT(r.id) AS total,
+    ${RECIPIENT_STATUSES.map(status => `COALESCE(SUM(r.status = '${status}'), 0) AS ${status}`).join(', ')}
+  FROM campaigns c
+  JOIN whatsapp_accounts a ON a.id = c.account_id
+  LEFT JOIN users u ON u.id = c.created_by
+  LEFT JOIN campaign_recipients r ON r.campaign_id = c.id
+`;
+
+/**
+ * Create the SQLite-backed repository for broadcast campaigns and their recipients
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Campaign repository
+ */
+function createCampaignRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO campaigns (id, account_id, name, template, created_by, created_at)
+      VALUES (@id, @accountId, @name, @template, @createdBy, @createdAt)
+    `),
+    insertRecipient: db.prepare(`
+      INSERT INTO campaign_recipients (id, campaign_id, position, chat_id, name, phone, body, updated_at)
+      VALUES (@id, @campaignId, @position, @chatId, @name, @phone, @body, @updatedAt)
+    `),
+    findById: db.prepare(`${SELECT_CAMPAIGN} WHERE a.workspace_id = ? AND c.id = ? GROUP BY c.id`),
+    findByIdUnscoped: db.prepare(`${SELECT_CAMPAIGN} WHERE c.id = ? GROUP BY c.id`),
+    listByWorkspace: db.prepare(`
+      ${SELECT_CAMPAIGN} WHERE a.workspace_id = ? GROUP BY c.id ORDER BY c.created_at DESC
+    `),
+    listRecipients: db.prepare('SELECT * FROM campaign_recipients WHERE campaign_id = ? ORDER BY position'),
+    findRecipient: db.prepare('SELECT * FROM campaign_recipients WHERE id = ?'),
+    listSendingAccountIds: db.prepare("SELECT DISTINCT account_id FROM campaigns WHERE status = 'sending'"),
+    // Campaigns go out one after the other, in the order they were created
+    nextPendingRecipient: db.prepare(`
+      SELECT r.* FROM campaign_recipients r
+      JOIN campaigns c ON c.id = r.campaign_id
+      WHERE c.account_id = ? AND c.status = 'sending' AND r.status = 'pending'
+      ORDER BY c.created_at, r.position LIMIT 1
+    `),
+    // Also after the campaign was cancelled while this message was on its way: it did go out
+    markRecipientSent: db.prepare(`
+      UPDATE campaign_recipients SET status = 'sent', message_id = ?, sent_at = ?, error = NULL, updated_at = ?
+      WHERE id = ?
+    `),
+    markRecipientFailed: db.prepare(`
+      UPDATE campaign_recipients SET status = 'failed', error = ?, updated_at = ? WHERE id = ? AND status = 'pending'
+    `),
+    complete: db.prepare(`
+      UPDATE campaigns SET status = 'completed', completed_at = ?
+      WHERE id = ? AND status = 'sending'
+        AND NOT EXISTS (SELECT 1 FROM campaign_recipients WHERE campaign_id = campaigns.id AND status = 'pending')
+    `),
+    cancel: db.prepare(`
+      UPDATE campaigns SET status = 'cancelled', completed_at = ?
+      WHERE id = ? AND status = 'sending' AND account_id IN (SELECT id FROM whatsapp_accounts WHERE workspace_id = ?)
+    `),
+    cancelRecipients: db.prepare(`
+      UPDATE campaign_recipients SET status = 'cancelled', updated_at = ? WHERE campaign_id = ? AND status = 'pending'
+    `),
+    findRecipientByMessage: db.prepare(`
+      SELECT r.* FROM campaign_recipients r
+      JOIN campaigns c ON c.id = r.campaign_id
+      WHERE c.account_id = ? AND r.message_id = ?
+    `),
+    setRecipientStatus: db.prepare('UPDATE campaign_recipients SET status = ?, updated_at = ? WHERE id = ?')
+  };
+
+  const insertCampaign = db.transaction((campaign, recipients) => {
+    statements.insert.run({
+      id: campaign.id,
+      accountId: campaign.accountId,
+      name: campaign.name,
+      template: campaign.template,
+      createdBy: campaign.createdBy,
+      createdAt: campaign.createdAt
+    });
+    recipients.forEach((recipient, position) => {
+      statements.insertRecipient.run({
+        id: recipient.id,
+        campaignId: campaign.id,
+        position,
+        chatId: recipient.chatId,
+        name: recipient.name || null,
+        phone: recipient.phone || null,
+        body: recipient.body,
+        updatedAt: campaign.createdAt
+      });
+    });
+  });
+
+  const cancelCampaign = db.transaction((workspaceId, campaignId) => {
+    const now = new Date().toISOString();
+    if (statements.cancel.run(now, campaignId, workspaceId).changes === 0) {
+      return false;
+    }
+    statements.cancelRecipients.run(now, campaignId);
+    return true;
+  });
+
+  return {
+    /**
+     * Create a campaign with its recipients, ready to send
+     * @param {Object} campaign - { id, accountId, name, template, createdBy, createdAt }
+     * @param {Array<Object>} recipients - In sending order: { id, chatId, name, phone, body }
+     * @returns {Promise<Object>} - Stored campaign
+     */
+    async create(campaign, recipients) {
+      insertCampaign(campaign, recipients);
+      return toCampaign(statements.findByIdUnscoped.get(campaign.id));
+    },
+
+    /**
+     * Find one of a workspace's campaigns by ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Object|null>} - Campaign or null
+     */
+    async findById(workspaceId, campaignId) {
+      return toCampaign(statements.findById.get(workspaceId, campaignId));
+    },
+
+    /**
+     * Get the campaigns of all of a workspace's accounts, newest first
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Array<Object>>} - Campaigns
+     */
+    async listByWorkspace(workspaceId) {
+      return statements.listByWorkspace.all(workspaceId).map(toCampaign);
+    },
+
+    /**
+     * Get a campaign's recipients in sending order
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Array<Object>>} - Recipients
+     */
+    async listRecipients(campaignId) {
+      return statements.listRecipients.all(campaignId).map(toRecipient);
+    },
+
+    /**
+     * Get the accounts that have campaigns still sending
+     * @returns {Promise<Array<string>>} - WhatsApp account IDs
+     */
+    async listSendingAccountIds() {
+      return statements.listSendingAccountIds.all().map(row => row.account_id);
+    },
+
+    /**
+     * Get the next recipient to message from an account
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<Object|null>} - Recipient or null if nothing is waiting
+     */
+    async nextPendingRecipient(accountId) {
+      return toRecipient(statements.nextPendingRecipient.get(accountId));
+    },
+
+    /**
+     * Record that a recipient's message went out
+     * @param {Object} recipient - Recipient
+     * @param {string} messageId - ID of the sent WhatsApp message
+     * @returns {Promise<Object>} - Updated recipient
+     */
+    async markRecipientSent(recipient, messageId) {
+      const now = new Date().toISOString();
+      statements.markRecipientSent.run(messageId, now, now, recipient.id);
+      return toRecipient(statements.findRecipient.get(recipient.id));
+    },
+
+    /**
+     * Record that a recipient's message couldn't be sent
+     * @param {Object} recipient - Recipient
+     * @param {string} error - What went wrong
+     * @returns {Promise<Object>} - Updated recipient
+     */
+    async markRecipientFailed(recipient, error) {
+      statements.markRecipientFailed.run(error, new Date().toISOString(), recipient.id);
+      return toRecipient(statements.findRecipient.get(recipient.id));
+    },
+
+    /**
+     * Mark a campaign completed once no recipient is waiting any more
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<boolean>} - True if it was completed just now
+     */
+    async completeIfDone(campaignId) {
+      return statements.complete.run(new Date().toISOString(), campaignId).changes > 0;
+    },
+
+    /**
+     * Stop a campaign that is still sending; recipients that weren't messaged yet are cancelled
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<boolean>} - False if it doesn't exist or isn't sending any more
+     */
+    async cancel(workspaceId, campaignId) {
+      return cancelCampaign(workspaceId, campaignId);
+    },
+
+    /**
+     * Move a campaign message's recipient forward after an ack (sent -> delivered -> read)
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} messageId - WhatsApp message ID
+     * @param {string} status - 'delivered' or 'read'
+     * @returns {Promise<Object|null>} - Updated recipient, or null if the message isn't from a campaign or nothing changed
+     */
+    async recordAck(accountId, messageId, status) {
+      const recipient = toRecipient(statements.findRecipientByMessage.get(accountId, messageId));
+      if (!recipient || !(EARLIER_ACK_STATUSES[status] || []).includes(recipient.status)) {
+        return null;
+      }
+      statements.setRecipientStatus.run(status, new Date().toISOString(), recipient.id);
+      return { ...recipient, status };
+    }
+  };
+}
+
+module.exports = {
+  createCampaignRepository
+};
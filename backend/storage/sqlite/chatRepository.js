@@ -0,0 +1,229 @@
+/**
+ * Map a chats row to a chat summary object
+ * @param {Object} row - Database row
+ * @returns {Object} - Chat summary
+ */
+function toChatSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    phoneNumber: row.phone_number,
+    isGroup: row.is_group === 1,
+    isReadOnly: row.is_read_only === 1,
+    unread: row.unread,
+    timestamp: row.timestamp,
+    lastMessage: row.last_message_id
+      ? {
+          id: row.last_message_id,
+          body: row.last_message_body,
+          type: row.last_message_type,
+          fromMe: row.last_message_from_me === 1,
+          hasMedia: row.last_message_has_media === 1
+        }
+      : null,
+    avatarUrl: row.avatar_url,
+    avatarFetchedAt: row.avatar_fetched_at
+  };
+}
+
+/**
+ * Flatten a summary's last message into statement parameters
+ * @param {Object|null} message - Stored message or summary last message
+ * @returns {Object} - Statement parameters
+ */
+function lastMessageParams(message) {
+  return {
+    lastMessageId: message ? message.id : null,
+    lastMessageBody: message ? message.body || null : null,
+    lastMessageType: message ? message.type : null,
+    lastMessageFromMe: message && message.fromMe ? 1 : 0,
+    lastMessageHasMedia: message && message.hasMedia ? 1 : 0
+  };
+}
+
+// Only replace the last message when the incoming one is at least as new, so a
+// slow full sync can't overwrite a message that arrived while it was running
+const NEWER = 'COALESCE(excluded.timestamp, 0) >= COALESCE(chats.timestamp, 0)';
+const LAST_MESSAGE_UPDATE = `
+  timestamp = CASE WHEN ${NEWER} THEN excluded.timestamp ELSE chats.timestamp END,
+  last_message_id = CASE WHEN ${NEWER} THEN excluded.last_message_id ELSE chats.last_message_id END,
+  last_message_body = CASE WHEN ${NEWER} THEN excluded.last_message_body ELSE chats.last_message_body END,
+  last_message_type = CASE WHEN ${NEWER} THEN excluded.last_message_type ELSE chats.last_message_type END,
+  last_message_from_me = CASE WHEN ${NEWER} THEN excluded.last_message_from_me ELSE chats.last_message_from_me END,
+  last_message_has_media = CASE WHEN ${NEWER} THEN excluded.last_message_has_media ELSE chats.last_message_has_media END
+`;
+
+/**
+ * Create the SQLite-backed chat summary repository
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Chat repository
+ */
+function createChatRepository(db) {
+  const statements = {
+    upsertSummary: db.prepare(`
+      INSERT INTO chats (
+        account_id, id, name, phone_number, is_group, is_read_only, unread, timestamp,
+        last_message_id, last_message_body, last_message_type, last_message_from_me, last_message_has_media,
+        updated_at
+      )
+      VALUES (
+        @accountId, @id, @name, @phoneNumber, @isGroup, @isReadOnly, @unread, @timestamp,
+        @lastMessageId, @lastMessageBody, @lastMessageType, @lastMessageFromMe, @lastMessageHasMedia,
+        @updatedAt
+      )
+      ON CONFLICT(account_id, id) DO UPDATE SET
+        name = excluded.name,
+        phone_number = excluded.phone_number,
+        is_group = excluded.is_group,
+        is_read_only = excluded.is_read_only,
+        unread = excluded.unread,
+        updated_at = excluded.updated_at,
+        ${LAST_MESSAGE_UPDATE}
+    `),
+    deleteMissing: db.prepare(`
+      DELETE FROM chats WHERE account_id = ? AND id NOT IN (SELECT value FROM json_each(?))
+    `),
+    recordMessage: db.prepare(`
+      INSERT INTO chats (
+        account_id, id, name, phone_number, is_group, unread, timestamp,
+        last_message_id, last_message_body, last_message_type, last_message_from_me, last_message_has_media,
+        updated_at
+      )
+      VALUES (
+        @accountId, @id, @name, @phoneNumber, @isGroup, @unreadIncrement, @timestamp,
+        @lastMessageId, @lastMessageBody, @lastMessageType, @lastMessageFromMe, @lastMessageHasMedia,
+        @updatedAt
+      )
+      ON CONFLICT(account_id, id) DO UPDATE SET
+        name = COALESCE(chats.name, excluded.name),
+        unread = chats.unread + @unreadIncrement,
+        ${LAST_MESSAGE_UPDATE}
+    `),
+    listByAccount: db.prepare(`
+      SELECT * FROM chats WHERE account_id = ?
+      ORDER BY timestamp IS NULL, timestamp DESC
+    `),
+    findById: db.prepare('SELECT * FROM chats WHERE account_id = ? AND id = ?'),
+    countByAccount: db.prepare('SELECT COUNT(*) AS count FROM chats WHERE account_id = ?'),
+    markRead: db.prepare('UPDATE chats SET unread = 0 WHERE account_id = ? AND id = ?'),
+    setAvatar: db.prepare('UPDATE chats SET avatar_url = ?, avatar_fetched_at = ? WHERE account_id = ? AND id = ?'),
+    deleteByAccount: db.prepare('DELETE FROM chats WHERE account_id = ?')
+  };
+
+  const replaceAll = db.transaction((accountId, summaries) => {
+    const syncedAt = new Date().toISOString();
+    for (const summary of summaries) {
+      statements.upsertSummary.run({
+        accountId,
+        id: summary.id,
+        name: summary.name || null,
+        phoneNumber: summary.phoneNumber || null,
+        isGroup: summary.isGroup ? 1 : 0,
+        isReadOnly: summary.isReadOnly ? 1 : 0,
+        unread: summary.unread || 0,
+        timestamp: summary.timestamp || null,
+        ...lastMessageParams(summary.lastMessage),
+        updatedAt: syncedAt
+      });
+    }
+    // Anything missing from a full sync has been deleted on WhatsApp
+    statements.deleteMissing.run(accountId, JSON.stringify(summaries.map(summary => summary.id)));
+  });
+
+  return {
+    /**
+     * Replace an account's chat summaries with a full sync from WhatsApp (single transaction).
+     * Cached avatars are kept.
+     * @param {string} accountId - WhatsApp account ID
+     * @param {Array<Object>} summaries - Chat summaries
+     * @returns {Promise<void>}
+     */
+    async replaceAll(accountId, summaries) {
+      replaceAll(accountId, summaries);
+    },
+
+    /**
+     * Update a chat's summary for a new message, creating the chat if it isn't known yet
+     * @param {string} accountId - WhatsApp account ID
+     * @param {Object} message - Stored message
+     * @param {Object} [options] - { name, incrementUnread } - name is only used for new chats
+     * @returns {Promise<void>}
+     */
+    async recordMessage(accountId, message, { name = null, incrementUnread = false } = {}) {
+      statements.recordMessage.run({
+        accountId,
+        id: message.chatId,
+        name,
+        phoneNumber: message.chatId.split('@')[0],
+        isGroup: message.chatId.endsWith('@g.us') ? 1 : 0,
+        unreadIncrement: incrementUnread ? 1 : 0,
+        timestamp: message.timestamp,
+        ...lastMessageParams(message),
+        updatedAt: new Date().toISOString()
+      });
+    },
+
+    /**
+     * Get all chat summaries for an account, most recent first
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<Array<Object>>} - Chat summaries
+     */
+    async listByAccount(accountId) {
+      return statements.listByAccount.all(accountId).map(toChatSummary);
+    },
+
+    /**
+     * Find a chat summary by ID
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} - Chat summary or null
+     */
+    async findById(accountId, chatId) {
+      const row = statements.findById.get(accountId, chatId);
+      return row ? toChatSummary(row) : null;
+    },
+
+    /**
+     * Count an account's chats
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<number>} - Chat count
+     */
+    async countByAccount(accountId) {
+      return statements.countByAccount.get(accountId).count;
+    },
+
+    /**
+     * Reset a chat's unread count
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<void>}
+     */
+    async markRead(accountId, chatId) {
+      statements.markRead.run(accountId, chatId);
+    },
+
+    /**
+     * Cache a chat's profile picture URL (null if it has none)
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string|null} avatarUrl - Profile picture URL
+     * @returns {Promise<void>}
+     */
+    async setAvatar(accountId, chatId, avatarUrl) {
+      statements.setAvatar.run(avatarUrl, new Date().toISOString(), accountId, chatId);
+    },
+
+    /**
+     * Delete an account's chat summaries
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<void>}
+     */
+    async deleteByAccount(accountId) {
+      statements.deleteByAccount.run(accountId);
+    }
+  };
+}
+
+module.exports = {
+  createChatRepository
+};
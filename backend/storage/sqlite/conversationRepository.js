@@ -0,0 +1,253 @@
+/**
+ * Map a conversations row (joined with the assignee's user) to a conversation
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Conversation or null
+ */
+function toConversation(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    accountId: row.account_id,
+    chatId: row.chat_id,
+    assigneeId: row.assignee_id,
+    assigneeName: row.assignee_name,
+    assignedBy: row.assigned_by,
+    assignedAt: row.assigned_at,
+    status: row.status,
+    snoozedUntil: row.snoozed_until,
+    statusUpdatedAt: row.status_updated_at,
+    contactFields: JSON.parse(row.contact_fields),
+    tags: JSON.parse(row.tags)
+  };
+}
+
+const SELECT_CONVERSATION = `
+  SELECT c.*, u.name AS assignee_name FROM conversations c
+  LEFT JOIN users u ON u.id = c.assignee_id
+`;
+
+/**
+ * Create the SQLite-backed conversation repository - the team's workflow state for a chat
+ * (assignee, status, custom contact fields and tags), keyed like chats by account and chat ID.
+ * Chats without a row are unassigned and open.
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Conversation repository
+ */
+function createConversationRepository(db) {
+  const statements = {
+    findById: db.prepare(`${SELECT_CONVERSATION} WHERE c.account_id = ? AND c.chat_id = ?`),
+    listByAccount: db.prepare(`${SELECT_CONVERSATION} WHERE c.account_id = ?`),
+    assign: db.prepare(`
+      INSERT INTO conversations (account_id, chat_id, assignee_id, assigned_by, assigned_at)
+      VALUES (@accountId, @chatId, @assigneeId, @assignedBy, @assignedAt)
+      ON CONFLICT (account_id, chat_id) DO UPDATE SET
+        assignee_id = excluded.assignee_id,
+        assigned_by = excluded.assigned_by,
+        assigned_at = excluded.assigned_at
+    `),
+    // Only claims the conversation if nobody has it, so routing can't override a manual assignment
+    assignIfUnassigned: db.prepare(`
+      INSERT INTO conversations (account_id, chat_id, assignee_id, assigned_by, assigned_at)
+      VALUES (@accountId, @chatId, @assigneeId, NULL, @assignedAt)
+      ON CONFLICT (account_id, chat_id) DO UPDATE SET
+        assignee_id = excluded.assignee_id,
+        assigned_by = NULL,
+        assigned_at = excluded.assigned_at
+      WHERE conversations.assignee_id IS NULL
+    `),
+    countByAssignee: db.prepare(`
+      SELECT c.assignee_id, COUNT(*) AS count FROM conversations c
+      JOIN whatsapp_accounts a ON a.id = c.account_id
+      WHERE a.workspace_id = ? AND c.assignee_id IS NOT NULL AND c.status != 'resolved'
+      GROUP BY c.assignee_id
+    `),
+    setStatus: db.prepare(`
+      INSERT INTO conversations (account_id, chat_id, status, snoozed_until, status_updated_at)
+      VALUES (@accountId, @chatId, @status, @snoozedUntil, @updatedAt)
+      ON CONFLICT (account_id, chat_id) DO UPDATE SET
+        status = excluded.status,
+        snoozed_until = excluded.snoozed_until,
+        status_updated_at = excluded.status_updated_at
+    `),
+    reopen: db.prepare(`
+      UPDATE conversations SET status = 'open', snoozed_until = NULL, status_updated_at = ?
+      WHERE account_id = ? AND chat_id = ? AND status != 'open'
+    `),
+    listExpiredSnoozes: db.prepare(`
+      ${SELECT_CONVERSATION} WHERE c.status = 'snoozed' AND c.snoozed_until <= ?
+    `),
+    setContactFields: db.prepare(`
+      INSERT INTO conversations (account_id, chat_id, contact_fields)
+      VALUES (@accountId, @chatId, @contactFields)
+      ON CONFLICT (account_id, chat_id) DO UPDATE SET contact_fields = excluded.contact_fields
+    `),
+    setTags: db.prepare(`
+      INSERT INTO conversations (account_id, chat_id, tags)
+      VALUES (@accountId, @chatId, @tags)
+      ON CONFLICT (account_id, chat_id) DO UPDATE SET tags = excluded.tags
+    `),
+    unassignUser: db.prepare(`
+      UPDATE conversations SET assignee_id = NULL, assigned_by = NULL, assigned_at = NULL
+      WHERE assignee_id = ? AND account_id IN (SELECT id FROM whatsapp_accounts WHERE workspace_id = ?)
+    `)
+  };
+
+  const reopenExpiredSnoozes = db.transaction((now) => {
+    const expired = statements.listExpiredSnoozes.all(now);
+    for (const row of expired) {
+      statements.reopen.run(now, row.account_id, row.chat_id);
+    }
+    return expired.map(row => ({ ...toConversation(row), status: 'open', snoozedUntil: null, statusUpdatedAt: now }));
+  });
+
+  return {
+    /**
+     * Find a chat's conversation state
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} - Conversation or null if it was never assigned or given a status
+     */
+    async findById(accountId, chatId) {
+      return toConversation(statements.findById.get(accountId, chatId));
+    },
+
+    /**
+     * Get the conversation state of an account's chats
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<Array<Object>>} - Conversations
+     */
+    async listByAccount(accountId) {
+      return statements.listByAccount.all(accountId).map(toConversation);
+    },
+
+    /**
+     * Assign a chat to a user, or unassign it
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string|null} assigneeId - User ID, or null to unassign
+     * @param {string|null} assignedBy - User ID of whoever assigned it, null for automatic routing and auto-reply rules
+     * @returns {Promise<Object>} - Updated conversation
+     */
+    async assign(accountId, chatId, assigneeId, assignedBy) {
+      statements.assign.run({
+        accountId,
+        chatId,
+        assigneeId,
+        assignedBy: assigneeId ? assignedBy : null,
+        assignedAt: assigneeId ? new Date().toISOString() : null
+      });
+      return toConversation(statements.findById.get(accountId, chatId));
+    },
+
+    /**
+     * Assign a chat to a user unless someone already has it
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} assigneeId - User ID
+     * @returns {Promise<Object|null>} - Updated conversation, or null if it was already assigned
+     */
+    async assignIfUnassigned(accountId, chatId, assigneeId) {
+      const result = statements.assignIfUnassigned.run({
+        accountId,
+        chatId,
+        assigneeId,
+        assignedAt: new Date().toISOString()
+      });
+      return result.changes > 0 ? toConversation(statements.findById.get(accountId, chatId)) : null;
+    },
+
+    /**
+     * Count the unresolved conversations assigned to each user across a workspace's accounts
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Map<string, number>>} - Count by user ID; users without conversations are missing
+     */
+    async countByAssignee(workspaceId) {
+      return new Map(statements.countByAssignee.all(workspaceId).map(row => [row.assignee_id, row.count]));
+    },
+
+    /**
+     * Set a chat's workflow status
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} status - open, pending, snoozed or resolved
+     * @param {string|null} snoozedUntil - ISO time a snoozed chat reopens; null for other statuses
+     * @returns {Promise<Object>} - Updated conversation
+     */
+    async setStatus(accountId, chatId, status, snoozedUntil) {
+      statements.setStatus.run({
+        accountId,
+        chatId,
+        status,
+        snoozedUntil: status === 'snoozed' ? snoozedUntil : null,
+        updatedAt: new Date().toISOString()
+      });
+      return toConversation(statements.findById.get(accountId, chatId));
+    },
+
+    /**
+     * Reopen a chat that isn't open
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} - Updated conversation, or null if it was already open
+     */
+    async reopen(accountId, chatId) {
+      const result = statements.reopen.run(new Date().toISOString(), accountId, chatId);
+      return result.changes > 0 ? toConversation(statements.findById.get(accountId, chatId)) : null;
+    },
+
+    /**
+     * Reopen every snoozed chat whose snooze has run out (single transaction)
+     * @returns {Promise<Array<Object>>} - Reopened conversations
+     */
+    async reopenExpiredSnoozes() {
+      return reopenExpiredSnoozes(new Date().toISOString());
+    },
+
+    /**
+     * Replace a chat's custom contact fields
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {Object<string, string>} contactFields - Field values by name
+     * @returns {Promise<Object>} - Updated conversation
+     */
+    async setContactFields(accountId, chatId, contactFields) {
+      statements.setContactFields.run({
+        accountId,
+        chatId,
+        contactFields: JSON.stringify(contactFields)
+      });
+      return toConversation(statements.findById.get(accountId, chatId));
+    },
+
+    /**
+     * Replace a chat's tags
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {Array<string>} tags - Tags
+     * @returns {Promise<Object>} - Updated conversation
+     */
+    async setTags(accountId, chatId, tags) {
+      statements.setTags.run({
+        accountId,
+        chatId,
+        tags: JSON.stringify(tags)
+      });
+      return toConversation(statements.findById.get(accountId, chatId));
+    },
+
+    /**
+     * Unassign all of a user's conversations in a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async unassignUser(workspaceId, userId) {
+      statements.unassignUser.run(userId, workspaceId);
+    }
+  };
+}
+
+module.exports = {
+  createConversationRepository
+};
@@ -0,0 +1,56 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const migrations = require('./migrations');
+
+/**
+ * Open the SQLite database and apply pending migrations
+ * @param {string} filePath - Path to the database file
+ * @returns {Database} - better-sqlite3 database handle
+ */
+function openDatabase(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+
+  runMigrations(db);
+  return db;
+}
+
+/**
+ * Apply all migrations that haven't run yet, each in its own transaction
+ * @param {Database} db - Database handle
+ */
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+
+  const pending = migrations
+    .filter(migration => !applied.has(migration.version))
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`Applied database migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+module.exports = {
+  openDatabase
+};
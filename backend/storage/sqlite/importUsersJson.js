@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+const IMPORT_NAME = 'users_json';
+
+/**
+ * One-time import of the legacy data/users.json file into SQLite.
+ * Runs in a single transaction; on success the JSON file is renamed to
+ * users.json.imported so it's kept as a backup but never read again.
+ * A corrupted file is left untouched and the error is thrown to the caller.
+ * @param {Database} db - better-sqlite3 database handle
+ * @param {string} jsonPath - Path to users.json
+ * @returns {{ imported: number, skipped: number }|null} - Import counts, or null if there was nothing to import
+ */
+function importUsersJson(db, jsonPath) {
+  if (db.prepare('SELECT 1 FROM imports WHERE name = ?').get(IMPORT_NAME)) {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = fs.readFileSync(jsonPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const users = raw.trim() ? JSON.parse(raw) : [];
+  if (!Array.isArray(users)) {
+    throw new Error(`${jsonPath} does not contain an array of users`);
+  }
+
+  const insertUser = db.prepare(`
+    INSERT OR IGNORE INTO users (id, name, email, password_hash, legacy_password, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertWorkspace = db.prepare(`
+    INSERT OR IGNORE INTO workspaces (id, name, created_at) VALUES (?, ?, ?)
+  `);
+  const insertOwner = db.prepare(`
+    INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role, joined_at) VALUES (?, ?, 'owner', ?)
+  `);
+  const insertAccount = db.prepare(`
+    INSERT OR IGNORE INTO whatsapp_accounts (id, workspace_id, name, connected, connected_at, disconnected_at, created_at)
+    VALUES (?, ?, 'Main', ?, ?, ?, ?)
+  `);
+  const recordImport = db.prepare(`
+    INSERT INTO imports (name, source, record_count, imported_at) VALUES (?, ?, ?, ?)
+  `);
+
+  const result = db.transaction(() => {
+    let imported = 0;
+    let skipped = 0;
+
+    for (const user of users) {
+      if (!user || !user.id || !user.email) {
+        skipped++;
+        continue;
+      }
+
+      const createdAt = user.createdAt || new Date().toISOString();
+      const { changes } = insertUser.run(
+        String(user.id),
+        user.name || '',
+        String(user.email).toLowerCase().trim(),
+        user.passwordHash || null,
+        user.passwordHash ? null : (user.password || null),
+        createdAt
+      );
+
+      if (changes === 0) {
+        // Duplicate ID or email - keep the first record
+        skipped++;
+        continue;
+      }
+
+      // Every legacy user owns a workspace with the user's ID
+      insertWorkspace.run(String(user.id), user.name || '', createdAt);
+      insertOwner.run(String(user.id), String(user.id), createdAt);
+
+      if (user.whatsappConnected !== undefined || user.whatsappConnectedAt || user.whatsappDisconnectedAt) {
+        // The workspace's first account shares the user's ID, which is where the session directory lives
+        insertAccount.run(
+          String(user.id),
+          String(user.id),
+          user.whatsappConnected ? 1 : 0,
+          user.whatsappConnectedAt || null,
+          user.whatsappDisconnectedAt || null,
+          createdAt
+        );
+      }
+      imported++;
+    }
+
+    recordImport.run(IMPORT_NAME, jsonPath, imported, new Date().toISOString());
+    return { imported, skipped };
+  })();
+
+  fs.renameSync(jsonPath, `${jsonPath}.imported`);
+  return result;
+}
+
+module.exports = {
+  importUsersJson
+};
@@ -0,0 +1,59 @@
+const { openDatabase } = require('./database');
+const { createUserRepository } = require('./userRepository');
+const { createWorkspaceRepository } = require('./workspaceRepository');
+const { createWhatsAppAccountRepository } = require('./whatsappAccountRepository');
+const { createMessageRepository } = require('./messageRepository');
+const { createChatRepository } = require('./chatRepository');
+const { createConversationRepository } = require('./conversationRepository');
+const { createNoteRepository } = require('./noteRepository');
+const { createSnippetRepository } = require('./snippetRepository');
+const { createScheduledMessageRepository } = require('./scheduledMessageRepository');
+const { createCampaignRepository } = require('./campaignRepository');
+const { createAutoReplyRuleRepository } = require('./autoReplyRuleRepository');
+const { createBusinessHoursRepository } = require('./businessHoursRepository');
+const { createWebhookRepository } = require('./webhookRepository');
+const { importUsersJson } = require('./importUsersJson');
+
+/**
+ * Create the SQLite storage driver
+ * @param {Object} options - { filePath, legacyUsersPath }
+ * @returns {Object} - Repositories and lifecycle helpers
+ */
+function createSqliteStorage({ filePath, legacyUsersPath }) {
+  const db = openDatabase(filePath);
+
+  if (legacyUsersPath) {
+    try {
+      const result = importUsersJson(db, legacyUsersPath);
+      if (result) {
+        console.log(`Imported ${result.imported} users from ${legacyUsersPath} (${result.skipped} skipped)`);
+      }
+    } catch (error) {
+      // Leave the JSON file in place so nothing is lost; the import is retried on next start
+      console.error(`Failed to import ${legacyUsersPath}, keeping it untouched:`, error.message);
+    }
+  }
+
+  return {
+    users: createUserRepository(db),
+    workspaces: createWorkspaceRepository(db),
+    whatsappAccounts: createWhatsAppAccountRepository(db),
+    messages: createMessageRepository(db),
+    chats: createChatRepository(db),
+    conversations: createConversationRepository(db),
+    notes: createNoteRepository(db),
+    snippets: createSnippetRepository(db),
+    scheduledMessages: createScheduledMessageRepository(db),
+    campaigns: createCampaignRepository(db),
+    autoReplyRules: createAutoReplyRuleRepository(db),
+    businessHours: createBusinessHoursRepository(db),
+    webhooks: createWebhookRepository(db),
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,162 @@
+/**
+ * Map a messages row to a stored message object
+ * @param {Object} row - Database row
+ * @returns {Object} - Stored message
+ */
+function toMessage(row) {
+  return {
+    id: row.id,
+    chatId: row.chat_id,
+    fromMe: row.from_me === 1,
+    author: row.author,
+    body: row.body,
+    type: row.type,
+    timestamp: row.timestamp,
+    ack: row.ack,
+    hasMedia: row.has_media === 1,
+    mediaMimetype: row.media_mimetype,
+    mediaFilename: row.media_filename,
+    mediaSize: row.media_size,
+    mediaDuration: row.media_duration
+  };
+}
+
+/**
+ * Create the SQLite-backed message archive repository
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Message repository
+ */
+function createMessageRepository(db) {
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO messages (
+        account_id, chat_id, id, from_me, author, body, type, timestamp, ack, has_media,
+        media_mimetype, media_filename, media_size, media_duration
+      )
+      VALUES (
+        @accountId, @chatId, @id, @fromMe, @author, @body, @type, @timestamp, @ack, @hasMedia,
+        @mediaMimetype, @mediaFilename, @mediaSize, @mediaDuration
+      )
+      ON CONFLICT(account_id, id) DO UPDATE SET
+        body = excluded.body,
+        type = excluded.type,
+        ack = MAX(COALESCE(messages.ack, 0), COALESCE(excluded.ack, 0)),
+        has_media = excluded.has_media,
+        media_mimetype = COALESCE(excluded.media_mimetype, messages.media_mimetype),
+        media_filename = COALESCE(excluded.media_filename, messages.media_filename),
+        media_size = COALESCE(excluded.media_size, messages.media_size),
+        media_duration = COALESCE(excluded.media_duration, messages.media_duration)
+    `),
+    updateAck: db.prepare(`
+      UPDATE messages SET ack = MAX(COALESCE(ack, 0), ?) WHERE account_id = ? AND id = ?
+    `),
+    listLatest: db.prepare(`
+      SELECT * FROM messages WHERE account_id = ? AND chat_id = ?
+      ORDER BY timestamp DESC, rowid DESC LIMIT ?
+    `),
+    listBefore: db.prepare(`
+      SELECT m.* FROM messages m, messages cursor
+      WHERE cursor.account_id = @accountId AND cursor.id = @before
+        AND m.account_id = @accountId AND m.chat_id = @chatId
+        AND (m.timestamp < cursor.timestamp OR (m.timestamp = cursor.timestamp AND m.rowid < cursor.rowid))
+      ORDER BY m.timestamp DESC, m.rowid DESC LIMIT @limit
+    `),
+    countByChat: db.prepare('SELECT COUNT(*) AS count FROM messages WHERE account_id = ? AND chat_id = ?'),
+    findById: db.prepare('SELECT * FROM messages WHERE account_id = ? AND id = ?'),
+    deleteByAccount: db.prepare('DELETE FROM messages WHERE account_id = ?')
+  };
+
+  const upsertMany = db.transaction((accountId, messages) => {
+    for (const message of messages) {
+      statements.upsert.run({
+        accountId,
+        chatId: message.chatId,
+        id: message.id,
+        fromMe: message.fromMe ? 1 : 0,
+        author: message.author || null,
+        body: message.body || null,
+        type: message.type,
+        timestamp: message.timestamp,
+        ack: message.ack === undefined ? null : message.ack,
+        hasMedia: message.hasMedia ? 1 : 0,
+        mediaMimetype: message.mediaMimetype || null,
+        mediaFilename: message.mediaFilename || null,
+        mediaSize: message.mediaSize || null,
+        mediaDuration: message.mediaDuration || null
+      });
+    }
+  });
+
+  return {
+    /**
+     * Insert or update messages for an account (single transaction)
+     * @param {string} accountId - WhatsApp account ID
+     * @param {Array<Object>} messages - Stored message objects
+     * @returns {Promise<void>}
+     */
+    async upsertMany(accountId, messages) {
+      if (messages.length > 0) {
+        upsertMany(accountId, messages);
+      }
+    },
+
+    /**
+     * Record a new ack value for a message (acks never go backwards)
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} messageId - Serialized message ID
+     * @param {number} ack - Ack value
+     * @returns {Promise<void>}
+     */
+    async updateAck(accountId, messageId, ack) {
+      statements.updateAck.run(ack, accountId, messageId);
+    },
+
+    /**
+     * Get a page of messages in a chat, oldest first
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {Object} [options] - { before, limit } - before is a message ID cursor; omit for the latest page
+     * @returns {Promise<Array<Object>>} - Stored messages
+     */
+    async listByChat(accountId, chatId, { before = null, limit = 100 } = {}) {
+      const rows = before
+        ? statements.listBefore.all({ accountId, chatId, before, limit })
+        : statements.listLatest.all(accountId, chatId, limit);
+      return rows.reverse().map(toMessage);
+    },
+
+    /**
+     * Find an archived message by ID
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} messageId - Serialized message ID
+     * @returns {Promise<Object|null>} - Stored message or null
+     */
+    async findById(accountId, messageId) {
+      const row = statements.findById.get(accountId, messageId);
+      return row ? toMessage(row) : null;
+    },
+
+    /**
+     * Count archived messages in a chat
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<number>} - Message count
+     */
+    async countByChat(accountId, chatId) {
+      return statements.countByChat.get(accountId, chatId).count;
+    },
+
+    /**
+     * Delete an account's archived messages
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<void>}
+     */
+    async deleteByAccount(accountId) {
+      statements.deleteByAccount.run(accountId);
+    }
+  };
+}
+
+module.exports = {
+  createMessageRepository
+};
@@ -0,0 +1,465 @@
+const crypto = require('crypto');
+const defaultSnippets = require('../../defaultSnippets');
+
+// Ordered schema migrations. Never edit a migration that has shipped - add a new one instead.
+module.exports = [
+  {
+    version: 1,
+    name: 'create_users',
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT,
+          legacy_password TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'create_whatsapp_accounts',
+    up(db) {
+      db.exec(`
+        CREATE TABLE whatsapp_accounts (
+          user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          connected INTEGER NOT NULL DEFAULT 0,
+          connected_at TEXT,
+          disconnected_at TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'create_imports',
+    up(db) {
+      // Records one-time data imports (e.g. the legacy users.json file)
+      db.exec(`
+        CREATE TABLE imports (
+          name TEXT PRIMARY KEY,
+          source TEXT,
+          record_count INTEGER NOT NULL,
+          imported_at TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'create_messages',
+    up(db) {
+      db.exec(`
+        CREATE TABLE messages (
+          user_id TEXT NOT NULL,
+          chat_id TEXT NOT NULL,
+          id TEXT NOT NULL,
+          from_me INTEGER NOT NULL,
+          author TEXT,
+          body TEXT,
+          type TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          ack INTEGER,
+          has_media INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (user_id, id)
+        );
+        CREATE INDEX idx_messages_chat ON messages (user_id, chat_id, timestamp);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'add_message_media_metadata',
+    up(db) {
+      db.exec(`
+        ALTER TABLE messages ADD COLUMN media_mimetype TEXT;
+        ALTER TABLE messages ADD COLUMN media_filename TEXT;
+        ALTER TABLE messages ADD COLUMN media_size INTEGER;
+        ALTER TABLE messages ADD COLUMN media_duration INTEGER;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'create_chats',
+    up(db) {
+      // Chat list summaries, kept up to date from WhatsApp so the chat list never waits on the browser
+      db.exec(`
+        CREATE TABLE chats (
+          user_id TEXT NOT NULL,
+          id TEXT NOT NULL,
+          name TEXT,
+          phone_number TEXT,
+          is_group INTEGER NOT NULL DEFAULT 0,
+          is_read_only INTEGER NOT NULL DEFAULT 0,
+          unread INTEGER NOT NULL DEFAULT 0,
+          timestamp INTEGER,
+          last_message_id TEXT,
+          last_message_body TEXT,
+          last_message_type TEXT,
+          last_message_from_me INTEGER,
+          last_message_has_media INTEGER NOT NULL DEFAULT 0,
+          avatar_url TEXT,
+          avatar_fetched_at TEXT,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, id)
+        );
+        CREATE INDEX idx_chats_recent ON chats (user_id, timestamp DESC);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'multiple_whatsapp_accounts',
+    up(db) {
+      // A user can run several named WhatsApp numbers. The existing account keeps the user's
+      // ID as its account ID, so its session directory (data/<id>), archive and media cache stay valid.
+      db.exec(`
+        CREATE TABLE whatsapp_accounts_new (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          connected INTEGER NOT NULL DEFAULT 0,
+          connected_at TEXT,
+          disconnected_at TEXT,
+          created_at TEXT NOT NULL
+        );
+        INSERT INTO whatsapp_accounts_new (id, user_id, name, connected, connected_at, disconnected_at, created_at)
+          SELECT user_id, user_id, 'Main', connected, connected_at, disconnected_at,
+            COALESCE(connected_at, disconnected_at, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+          FROM whatsapp_accounts;
+        DROP TABLE whatsapp_accounts;
+        ALTER TABLE whatsapp_accounts_new RENAME TO whatsapp_accounts;
+        CREATE INDEX idx_whatsapp_accounts_user ON whatsapp_accounts (user_id, created_at);
+
+        ALTER TABLE messages RENAME COLUMN user_id TO account_id;
+        ALTER TABLE chats RENAME COLUMN user_id TO account_id;
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'create_workspaces',
+    up(db) {
+      // WhatsApp accounts belong to a workspace whose members share them. Every existing user
+      // becomes the owner of a workspace with the user's ID, which keeps account IDs unchanged.
+      db.exec(`
+        CREATE TABLE workspaces (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE TABLE workspace_members (
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          user_id TEXT NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'agent', 'read_only')),
+          joined_at TEXT NOT NULL,
+          PRIMARY KEY (workspace_id, user_id)
+        );
+        CREATE TABLE workspace_invites (
+          id TEXT PRIMARY KEY,
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          email TEXT NOT NULL COLLATE NOCASE,
+          role TEXT NOT NULL CHECK (role IN ('admin', 'agent', 'read_only')),
+          invited_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL,
+          UNIQUE (workspace_id, email)
+        );
+
+        INSERT INTO workspaces (id, name, created_at)
+          SELECT id, name, created_at FROM users;
+        INSERT INTO workspace_members (workspace_id, user_id, role, joined_at)
+          SELECT id, id, 'owner', created_at FROM users;
+
+        CREATE TABLE whatsapp_accounts_new (
+          id TEXT PRIMARY KEY,
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          connected INTEGER NOT NULL DEFAULT 0,
+          connected_at TEXT,
+          disconnected_at TEXT,
+          created_at TEXT NOT NULL
+        );
+        INSERT INTO whatsapp_accounts_new (id, workspace_id, name, connected, connected_at, disconnected_at, created_at)
+          SELECT id, user_id, name, connected, connected_at, disconnected_at, created_at
+          FROM whatsapp_accounts;
+        DROP TABLE whatsapp_accounts;
+        ALTER TABLE whatsapp_accounts_new RENAME TO whatsapp_accounts;
+        CREATE INDEX idx_whatsapp_accounts_workspace ON whatsapp_accounts (workspace_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'create_conversations',
+    up(db) {
+      // Team workflow state per chat. Kept apart from the chats cache, which a full sync
+      // rewrites, and removed with the account (chats rows are deleted explicitly instead).
+      db.exec(`
+        CREATE TABLE conversations (
+          account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          chat_id TEXT NOT NULL,
+          assignee_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+          assigned_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          assigned_at TEXT,
+          PRIMARY KEY (account_id, chat_id)
+        );
+        CREATE INDEX idx_conversations_assignee ON conversations (assignee_id);
+
+        ALTER TABLE workspaces ADD COLUMN routing_mode TEXT NOT NULL DEFAULT 'manual'
+          CHECK (routing_mode IN ('manual', 'round_robin', 'least_busy'));
+        ALTER TABLE workspaces ADD COLUMN last_routed_user_id TEXT;
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'add_conversation_status',
+    up(db) {
+      // Workflow status; chats without a conversations row are open
+      db.exec(`
+        ALTER TABLE conversations ADD COLUMN status TEXT NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'pending', 'snoozed', 'resolved'));
+        ALTER TABLE conversations ADD COLUMN snoozed_until TEXT;
+        ALTER TABLE conversations ADD COLUMN status_updated_at TEXT;
+        CREATE INDEX idx_conversations_snoozed ON conversations (snoozed_until) WHERE status = 'snoozed';
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'create_notes',
+    up(db) {
+      // Private team notes on a chat; never sent to WhatsApp
+      db.exec(`
+        CREATE TABLE notes (
+          id TEXT PRIMARY KEY,
+          account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          chat_id TEXT NOT NULL,
+          author_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+          body TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_notes_chat ON notes (account_id, chat_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'create_snippets',
+    up(db) {
+      // Quick replies shared by a workspace, in the order the team arranged them
+      db.exec(`
+        CREATE TABLE snippets (
+          id TEXT PRIMARY KEY,
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          title TEXT NOT NULL,
+          content TEXT NOT NULL,
+          category TEXT NOT NULL,
+          icon TEXT,
+          position INTEGER NOT NULL,
+          created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_snippets_workspace ON snippets (workspace_id, position);
+      `);
+
+      // Existing workspaces start with the quick replies the panel used to show
+      const insert = db.prepare(`
+        INSERT INTO snippets (id, workspace_id, title, content, category, icon, position, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const now = new Date().toISOString();
+      for (const { id: workspaceId } of db.prepare('SELECT id FROM workspaces').all()) {
+        defaultSnippets.forEach((snippet, position) => {
+          insert.run(crypto.randomUUID(), workspaceId, snippet.title, snippet.content, snippet.category, snippet.icon, position, now, now);
+        });
+      }
+    }
+  },
+  {
+    version: 13,
+    name: 'add_contact_fields',
+    up(db) {
+      // Custom fields about the contact behind a chat (e.g. company, order number) as a JSON object,
+      // used to fill snippet placeholders
+      db.exec(`
+        ALTER TABLE conversations ADD COLUMN contact_fields TEXT NOT NULL DEFAULT '{}';
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'create_scheduled_messages',
+    up(db) {
+      // Messages queued to be sent at a later time. next_attempt_at starts at send_at and moves
+      // back after a failed attempt; sent jobs are kept with the ID of the WhatsApp message.
+      db.exec(`
+        CREATE TABLE scheduled_messages (
+          id TEXT PRIMARY KEY,
+          account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          chat_id TEXT NOT NULL,
+          body TEXT NOT NULL,
+          send_at TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'sent', 'failed')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT NOT NULL,
+          last_error TEXT,
+          message_id TEXT,
+          sent_at TEXT,
+          created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_scheduled_messages_chat ON scheduled_messages (account_id, chat_id, send_at);
+        CREATE INDEX idx_scheduled_messages_due ON scheduled_messages (next_attempt_at) WHERE status = 'scheduled';
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'create_campaigns',
+    up(db) {
+      // Broadcast campaigns: one message, filled in per recipient when the campaign is created, sent to a
+      // list of chats through a throttled queue. Recipient statuses follow the message's acks.
+      db.exec(`
+        CREATE TABLE campaigns (
+          id TEXT PRIMARY KEY,
+          account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          template TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'completed', 'cancelled')),
+          created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL,
+          completed_at TEXT
+        );
+        CREATE INDEX idx_campaigns_account ON campaigns (account_id, created_at);
+        CREATE TABLE campaign_recipients (
+          id TEXT PRIMARY KEY,
+          campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          chat_id TEXT NOT NULL,
+          name TEXT,
+          phone TEXT,
+          body TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'sent', 'delivered', 'read', 'failed', 'cancelled')),
+          message_id TEXT,
+          error TEXT,
+          sent_at TEXT,
+          updated_at TEXT NOT NULL,
+          UNIQUE (campaign_id, chat_id)
+        );
+        CREATE INDEX idx_campaign_recipients_order ON campaign_recipients (campaign_id, position);
+        CREATE INDEX idx_campaign_recipients_message ON campaign_recipients (message_id) WHERE message_id IS NOT NULL;
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'create_auto_reply_rules',
+    up(db) {
+      // Conversation tags (a JSON array of labels), and the workspace's auto-reply rules, checked in
+      // position order against incoming messages. auto_reply_firings remembers when a rule last fired
+      // in a chat, for its cooldown.
+      db.exec(`
+        ALTER TABLE conversations ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+        CREATE TABLE auto_reply_rules (
+          id TEXT PRIMARY KEY,
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          position INTEGER NOT NULL,
+          match_type TEXT NOT NULL CHECK (match_type IN ('keyword', 'regex', 'first_message')),
+          pattern TEXT,
+          chat_type TEXT NOT NULL DEFAULT 'any' CHECK (chat_type IN ('any', 'individual', 'group')),
+          reply_snippet_id TEXT REFERENCES snippets(id) ON DELETE SET NULL,
+          tag TEXT,
+          assignee_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+          cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+          created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_auto_reply_rules_workspace ON auto_reply_rules (workspace_id, position);
+        CREATE TABLE auto_reply_firings (
+          rule_id TEXT NOT NULL REFERENCES auto_reply_rules(id) ON DELETE CASCADE,
+          account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          chat_id TEXT NOT NULL,
+          fired_at TEXT NOT NULL,
+          PRIMARY KEY (rule_id, account_id, chat_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'create_business_hours',
+    up(db) {
+      // Opening hours of an account: weekly schedule and holidays as JSON, read in the account's
+      // time zone. away_replies remembers the closed period a chat last got the away message in,
+      // so it gets one per period.
+      db.exec(`
+        CREATE TABLE business_hours (
+          account_id TEXT PRIMARY KEY REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          timezone TEXT NOT NULL,
+          schedule TEXT NOT NULL,
+          holidays TEXT NOT NULL DEFAULT '[]',
+          away_message TEXT,
+          greeting_message TEXT,
+          updated_at TEXT NOT NULL
+        );
+        CREATE TABLE away_replies (
+          account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+          chat_id TEXT NOT NULL,
+          closed_period TEXT NOT NULL,
+          sent_at TEXT NOT NULL,
+          PRIMARY KEY (account_id, chat_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'create_webhooks',
+    up(db) {
+      // Outbound webhooks (events is a JSON array of event types) and their delivery log. A delivery
+      // is pending until the receiver answers 2xx or the retries run out; its payload is stored as
+      // sent, so retries carry the same body.
+      db.exec(`
+        CREATE TABLE webhooks (
+          id TEXT PRIMARY KEY,
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          events TEXT NOT NULL,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_webhooks_workspace ON webhooks (workspace_id);
+        CREATE TABLE webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+          event TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          response_status INTEGER,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          completed_at TEXT
+        );
+        CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+        CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+      `);
+    }
+  }
+];
@@ -0,0 +1,111 @@
+/**
+ * Map a notes row (joined with the author's user) to a note
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Note or null
+ */
+function toNote(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    chatId: row.chat_id,
+    authorId: row.author_id,
+    authorName: row.author_name,
+    body: row.body,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const SELECT_NOTE = `
+  SELECT n.*, u.name AS author_name FROM notes n
+  LEFT JOIN users u ON u.id = n.author_id
+`;
+
+/**
+ * Create the SQLite-backed repository for private notes on chats
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Note repository
+ */
+function createNoteRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO notes (id, account_id, chat_id, author_id, body, created_at, updated_at)
+      VALUES (@id, @accountId, @chatId, @authorId, @body, @createdAt, @createdAt)
+    `),
+    findById: db.prepare(`${SELECT_NOTE} WHERE n.account_id = ? AND n.chat_id = ? AND n.id = ?`),
+    listByChat: db.prepare(`${SELECT_NOTE} WHERE n.account_id = ? AND n.chat_id = ? ORDER BY n.created_at`),
+    updateBody: db.prepare('UPDATE notes SET body = ?, updated_at = ? WHERE account_id = ? AND chat_id = ? AND id = ?'),
+    delete: db.prepare('DELETE FROM notes WHERE account_id = ? AND chat_id = ? AND id = ?')
+  };
+
+  return {
+    /**
+     * Store a new note
+     * @param {Object} note - { id, accountId, chatId, authorId, body, createdAt }
+     * @returns {Promise<Object>} - Stored note
+     */
+    async create(note) {
+      statements.insert.run({
+        id: note.id,
+        accountId: note.accountId,
+        chatId: note.chatId,
+        authorId: note.authorId,
+        body: note.body,
+        createdAt: note.createdAt
+      });
+      return toNote(statements.findById.get(note.accountId, note.chatId, note.id));
+    },
+
+    /**
+     * Find a chat's note by ID
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} noteId - Note ID
+     * @returns {Promise<Object|null>} - Note or null (also if it belongs to another chat)
+     */
+    async findById(accountId, chatId, noteId) {
+      return toNote(statements.findById.get(accountId, chatId, noteId));
+    },
+
+    /**
+     * Get a chat's notes, oldest first
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array<Object>>} - Notes
+     */
+    async listByChat(accountId, chatId) {
+      return statements.listByChat.all(accountId, chatId).map(toNote);
+    },
+
+    /**
+     * Change a note's text
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} noteId - Note ID
+     * @param {string} body - New text
+     * @returns {Promise<Object|null>} - Updated note or null if the chat has no such note
+     */
+    async updateBody(accountId, chatId, noteId, body) {
+      statements.updateBody.run(body, new Date().toISOString(), accountId, chatId, noteId);
+      return toNote(statements.findById.get(accountId, chatId, noteId));
+    },
+
+    /**
+     * Delete a note
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} noteId - Note ID
+     * @returns {Promise<void>}
+     */
+    async delete(accountId, chatId, noteId) {
+      statements.delete.run(accountId, chatId, noteId);
+    }
+  };
+}
+
+module.exports = {
+  createNoteRepository
+};
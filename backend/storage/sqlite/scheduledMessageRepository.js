@@ -0,0 +1,183 @@
+/**
+ * Map a scheduled_messages row (joined with the creator's user) to a scheduled message
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Scheduled message or null
+ */
+function toScheduledMessage(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    chatId: row.chat_id,
+    body: row.body,
+    sendAt: row.send_at,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    messageId: row.message_id,
+    sentAt: row.sent_at,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const SELECT_SCHEDULED_MESSAGE = `
+  SELECT s.*, u.name AS created_by_name FROM scheduled_messages s
+  LEFT JOIN users u ON u.id = s.created_by
+`;
+
+/**
+ * Create the SQLite-backed job store for messages scheduled to be sent later
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Scheduled message repository
+ */
+function createScheduledMessageRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO scheduled_messages (id, account_id, chat_id, body, send_at, next_attempt_at, created_by, created_at, updated_at)
+      VALUES (@id, @accountId, @chatId, @body, @sendAt, @sendAt, @createdBy, @createdAt, @createdAt)
+    `),
+    findById: db.prepare(`${SELECT_SCHEDULED_MESSAGE} WHERE s.account_id = ? AND s.id = ?`),
+    listPendingByChat: db.prepare(`
+      ${SELECT_SCHEDULED_MESSAGE} WHERE s.account_id = ? AND s.chat_id = ? AND s.status != 'sent' ORDER BY s.send_at
+    `),
+    listDue: db.prepare(`
+      ${SELECT_SCHEDULED_MESSAGE} WHERE s.status = 'scheduled' AND s.next_attempt_at <= ? ORDER BY s.next_attempt_at
+    `),
+    // Editing starts the job over, including a failed one
+    reschedule: db.prepare(`
+      UPDATE scheduled_messages
+      SET body = @body, send_at = @sendAt, next_attempt_at = @sendAt, status = 'scheduled', attempts = 0,
+        last_error = NULL, updated_at = @updatedAt
+      WHERE account_id = @accountId AND chat_id = @chatId AND id = @id AND status != 'sent'
+    `),
+    markSent: db.prepare(`
+      UPDATE scheduled_messages
+      SET status = 'sent', attempts = attempts + 1, message_id = ?, sent_at = ?, last_error = NULL, updated_at = ?
+      WHERE id = ?
+    `),
+    markAttemptFailed: db.prepare(`
+      UPDATE scheduled_messages
+      SET status = @status, attempts = attempts + 1, next_attempt_at = @nextAttemptAt, last_error = @error,
+        updated_at = @updatedAt
+      WHERE id = @id
+    `),
+    delete: db.prepare("DELETE FROM scheduled_messages WHERE account_id = ? AND chat_id = ? AND id = ? AND status != 'sent'")
+  };
+
+  return {
+    /**
+     * Queue a message
+     * @param {Object} job - { id, accountId, chatId, body, sendAt, createdBy, createdAt }
+     * @returns {Promise<Object>} - Stored scheduled message
+     */
+    async create(job) {
+      statements.insert.run({
+        id: job.id,
+        accountId: job.accountId,
+        chatId: job.chatId,
+        body: job.body,
+        sendAt: job.sendAt,
+        createdBy: job.createdBy,
+        createdAt: job.createdAt
+      });
+      return toScheduledMessage(statements.findById.get(job.accountId, job.id));
+    },
+
+    /**
+     * Find a scheduled message by ID
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} jobId - Scheduled message ID
+     * @returns {Promise<Object|null>} - Scheduled message or null
+     */
+    async findById(accountId, jobId) {
+      return toScheduledMessage(statements.findById.get(accountId, jobId));
+    },
+
+    /**
+     * Get a chat's scheduled messages that haven't been sent (including failed ones), soonest first
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array<Object>>} - Scheduled messages
+     */
+    async listPendingByChat(accountId, chatId) {
+      return statements.listPendingByChat.all(accountId, chatId).map(toScheduledMessage);
+    },
+
+    /**
+     * Get the scheduled messages due for a send attempt, across all accounts
+     * @param {string} now - ISO time
+     * @returns {Promise<Array<Object>>} - Scheduled messages, most overdue first
+     */
+    async listDue(now) {
+      return statements.listDue.all(now).map(toScheduledMessage);
+    },
+
+    /**
+     * Change an unsent message's text and time and queue it again
+     * @param {Object} job - { id, accountId, chatId, body, sendAt }
+     * @returns {Promise<Object|null>} - Updated scheduled message, or null if the chat has no such unsent message
+     */
+    async reschedule(job) {
+      const result = statements.reschedule.run({
+        id: job.id,
+        accountId: job.accountId,
+        chatId: job.chatId,
+        body: job.body,
+        sendAt: job.sendAt,
+        updatedAt: new Date().toISOString()
+      });
+      return result.changes > 0 ? toScheduledMessage(statements.findById.get(job.accountId, job.id)) : null;
+    },
+
+    /**
+     * Record that a scheduled message went out
+     * @param {Object} job - Scheduled message
+     * @param {string} messageId - ID of the sent WhatsApp message
+     * @returns {Promise<Object>} - Updated scheduled message
+     */
+    async markSent(job, messageId) {
+      const now = new Date().toISOString();
+      statements.markSent.run(messageId, now, now, job.id);
+      return toScheduledMessage(statements.findById.get(job.accountId, job.id));
+    },
+
+    /**
+     * Record a failed send attempt
+     * @param {Object} job - Scheduled message
+     * @param {string} error - What went wrong
+     * @param {string|null} nextAttemptAt - ISO time to try again, or null to give up (status failed)
+     * @returns {Promise<Object>} - Updated scheduled message
+     */
+    async markAttemptFailed(job, error, nextAttemptAt) {
+      statements.markAttemptFailed.run({
+        id: job.id,
+        status: nextAttemptAt ? 'scheduled' : 'failed',
+        nextAttemptAt: nextAttemptAt || job.nextAttemptAt,
+        error,
+        updatedAt: new Date().toISOString()
+      });
+      return toScheduledMessage(statements.findById.get(job.accountId, job.id));
+    },
+
+    /**
+     * Delete (cancel) an unsent scheduled message
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} chatId - Chat ID
+     * @param {string} jobId - Scheduled message ID
+     * @returns {Promise<boolean>} - False if the chat has no such message or it was already sent
+     */
+    async delete(accountId, chatId, jobId) {
+      return statements.delete.run(accountId, chatId, jobId).changes > 0;
+    }
+  };
+}
+
+module.exports = {
+  createScheduledMessageRepository
+};
@@ -0,0 +1,170 @@
+/**
+ * Map a snippets row to a snippet
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Snippet or null
+ */
+function toSnippet(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    title: row.title,
+    content: row.content,
+    category: row.category,
+    icon: row.icon,
+    position: row.position,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Create the SQLite-backed repository for a workspace's quick replies (snippets)
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Snippet repository
+ */
+function createSnippetRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO snippets (id, workspace_id, title, content, category, icon, position, created_by, created_at, updated_at)
+      VALUES (
+        @id, @workspaceId, @title, @content, @category, @icon,
+        (SELECT COALESCE(MAX(position) + 1, 0) FROM snippets WHERE workspace_id = @workspaceId),
+        @createdBy, @createdAt, @createdAt
+      )
+    `),
+    findById: db.prepare('SELECT * FROM snippets WHERE workspace_id = ? AND id = ?'),
+    listByWorkspace: db.prepare('SELECT * FROM snippets WHERE workspace_id = ? ORDER BY position, created_at'),
+    update: db.prepare(`
+      UPDATE snippets SET title = @title, content = @content, category = @category, icon = @icon, updated_at = @updatedAt
+      WHERE workspace_id = @workspaceId AND id = @id
+    `),
+    setPosition: db.prepare('UPDATE snippets SET position = ? WHERE workspace_id = ? AND id = ?'),
+    delete: db.prepare('DELETE FROM snippets WHERE workspace_id = ? AND id = ?')
+  };
+
+  const insertSnippet = (snippet) => {
+    statements.insert.run({
+      id: snippet.id,
+      workspaceId: snippet.workspaceId,
+      title: snippet.title,
+      content: snippet.content,
+      category: snippet.category,
+      icon: snippet.icon || null,
+      createdBy: snippet.createdBy || null,
+      createdAt: snippet.createdAt
+    });
+  };
+
+  const updateSnippet = (snippet) => {
+    statements.update.run({
+      id: snippet.id,
+      workspaceId: snippet.workspaceId,
+      title: snippet.title,
+      content: snippet.content,
+      category: snippet.category,
+      icon: snippet.icon || null,
+      updatedAt: new Date().toISOString()
+    });
+  };
+
+  const createMany = db.transaction((snippets) => {
+    snippets.forEach(insertSnippet);
+  });
+
+  const applyImport = db.transaction((workspaceId, { delete: snippetIds = [], update, create, order = null }) => {
+    snippetIds.forEach(snippetId => statements.delete.run(workspaceId, snippetId));
+    update.forEach(updateSnippet);
+    create.forEach(insertSnippet);
+    if (order) {
+      order.forEach((snippetId, position) => {
+        statements.setPosition.run(position, workspaceId, snippetId);
+      });
+    }
+  });
+
+  const reorder = db.transaction((workspaceId, snippetIds) => {
+    snippetIds.forEach((snippetId, position) => {
+      statements.setPosition.run(position, workspaceId, snippetId);
+    });
+  });
+
+  return {
+    /**
+     * Add snippets at the end of their workspace's list, in the given order (single transaction)
+     * @param {Array<Object>} snippets - { id, workspaceId, title, content, category, icon, createdBy, createdAt }
+     * @returns {Promise<void>}
+     */
+    async createMany(snippets) {
+      createMany(snippets);
+    },
+
+    /**
+     * Find a snippet by ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} snippetId - Snippet ID
+     * @returns {Promise<Object|null>} - Snippet or null
+     */
+    async findById(workspaceId, snippetId) {
+      return toSnippet(statements.findById.get(workspaceId, snippetId));
+    },
+
+    /**
+     * Get a workspace's snippets in display order
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Array<Object>>} - Snippets
+     */
+    async listByWorkspace(workspaceId) {
+      return statements.listByWorkspace.all(workspaceId).map(toSnippet);
+    },
+
+    /**
+     * Change a snippet's title, content, category and icon
+     * @param {Object} snippet - { id, workspaceId, title, content, category, icon }
+     * @returns {Promise<Object|null>} - Updated snippet or null if it doesn't exist
+     */
+    async update(snippet) {
+      updateSnippet(snippet);
+      return toSnippet(statements.findById.get(snippet.workspaceId, snippet.id));
+    },
+
+    /**
+     * Apply an import to a workspace's snippets (single transaction): delete the given snippets,
+     * update others, add new ones at the end of the list and optionally put the list in a new order
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} changes - { delete: [snippetId], update: [{ id, workspaceId, title, ... }],
+     *   create: [{ id, workspaceId, title, ..., createdAt }], order: [snippetId] or null }
+     * @returns {Promise<void>}
+     */
+    async applyImport(workspaceId, changes) {
+      applyImport(workspaceId, changes);
+    },
+
+    /**
+     * Put a workspace's snippets in the given order (single transaction)
+     * @param {string} workspaceId - Workspace ID
+     * @param {Array<string>} snippetIds - Snippet IDs in their new order
+     * @returns {Promise<void>}
+     */
+    async reorder(workspaceId, snippetIds) {
+      reorder(workspaceId, snippetIds);
+    },
+
+    /**
+     * Delete a snippet
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} snippetId - Snippet ID
+     * @returns {Promise<boolean>} - False if it didn't exist
+     */
+    async delete(workspaceId, snippetId) {
+      return statements.delete.run(workspaceId, snippetId).changes > 0;
+    }
+  };
+}
+
+module.exports = {
+  createSnippetRepository
+};
@@ -0,0 +1,99 @@
+/**
+ * Map a users row to the user object shape used across the app
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - User or null
+ */
+function toUser(row) {
+  if (!row) {
+    return null;
+  }
+  const user = {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    passwordHash: row.password_hash || undefined,
+    createdAt: row.created_at
+  };
+  // Accounts imported from users.json keep their plaintext password until the next login
+  if (row.legacy_password !== null) {
+    user.password = row.legacy_password;
+  }
+  return user;
+}
+
+/**
+ * Create the SQLite-backed user repository
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - User repository
+ */
+function createUserRepository(db) {
+  const statements = {
+    findById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    findByEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
+    insert: db.prepare(`
+      INSERT INTO users (id, name, email, password_hash, legacy_password, created_at)
+      VALUES (@id, @name, @email, @passwordHash, @password, @createdAt)
+    `),
+    updatePasswordHash: db.prepare('UPDATE users SET password_hash = ?, legacy_password = NULL WHERE id = ?')
+  };
+
+  return {
+    /**
+     * Find a user by ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} - User or null
+     */
+    async findById(userId) {
+      return toUser(statements.findById.get(userId));
+    },
+
+    /**
+     * Find a user by email (case-insensitive)
+     * @param {string} email - Email address
+     * @returns {Promise<Object|null>} - User or null
+     */
+    async findByEmail(email) {
+      return toUser(statements.findByEmail.get(email.trim()));
+    },
+
+    /**
+     * Create a user. Rejects with code 'USER_EXISTS' if the email is taken.
+     * @param {Object} user - { id, name, email, passwordHash, createdAt }
+     * @returns {Promise<Object>} - Created user
+     */
+    async create(user) {
+      try {
+        statements.insert.run({
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          passwordHash: user.passwordHash || null,
+          password: user.password || null,
+          createdAt: user.createdAt
+        });
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+          const conflict = new Error('User with this email already exists');
+          conflict.code = 'USER_EXISTS';
+          throw conflict;
+        }
+        throw error;
+      }
+      return toUser(statements.findById.get(user.id));
+    },
+
+    /**
+     * Replace a user's password hash (clears any legacy plaintext password)
+     * @param {string} userId - User ID
+     * @param {string} passwordHash - New password hash
+     * @returns {Promise<void>}
+     */
+    async updatePasswordHash(userId, passwordHash) {
+      statements.updatePasswordHash.run(passwordHash, userId);
+    }
+  };
+}
+
+module.exports = {
+  createUserRepository
+};
@@ -0,0 +1,265 @@
+/**
+ * Map a webhooks row to a webhook
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Webhook or null
+ */
+function toWebhook(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    enabled: row.enabled === 1,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Map a webhook_deliveries row (joined with its webhook's URL and secret) to a delivery
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Delivery or null
+ */
+function toDelivery(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    url: row.url,
+    secret: row.secret,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+const SELECT_DELIVERY = `
+  SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+  JOIN webhooks w ON w.id = d.webhook_id
+`;
+
+/**
+ * Create the SQLite-backed repository for a workspace's outbound webhooks and their delivery log
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Webhook repository
+ */
+function createWebhookRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO webhooks (id, workspace_id, url, secret, events, enabled, created_by, created_at, updated_at)
+      VALUES (@id, @workspaceId, @url, @secret, @events, @enabled, @createdBy, @createdAt, @createdAt)
+    `),
+    findById: db.prepare('SELECT * FROM webhooks WHERE workspace_id = ? AND id = ?'),
+    listByWorkspace: db.prepare('SELECT * FROM webhooks WHERE workspace_id = ? ORDER BY created_at'),
+    listEnabledByWorkspace: db.prepare('SELECT * FROM webhooks WHERE workspace_id = ? AND enabled = 1'),
+    update: db.prepare(`
+      UPDATE webhooks SET url = @url, events = @events, enabled = @enabled, updated_at = @updatedAt
+      WHERE workspace_id = @workspaceId AND id = @id
+    `),
+    setSecret: db.prepare('UPDATE webhooks SET secret = ?, updated_at = ? WHERE workspace_id = ? AND id = ?'),
+    delete: db.prepare('DELETE FROM webhooks WHERE workspace_id = ? AND id = ?'),
+    insertDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at, created_at)
+      VALUES (@id, @webhookId, @event, @payload, @createdAt, @createdAt)
+    `),
+    findDelivery: db.prepare(`${SELECT_DELIVERY} WHERE d.id = ?`),
+    listDeliveries: db.prepare(`${SELECT_DELIVERY} WHERE d.webhook_id = ? ORDER BY d.created_at DESC, d.rowid DESC LIMIT ?`),
+    listDue: db.prepare(`
+      SELECT * FROM (
+        SELECT d.*, d.rowid AS delivery_rowid, w.url, w.secret,
+          ROW_NUMBER() OVER (PARTITION BY d.webhook_id ORDER BY d.next_attempt_at, d.rowid) AS due_rank
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+      ) WHERE due_rank <= ? ORDER BY next_attempt_at, delivery_rowid
+    `),
+    markSucceeded: db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'succeeded', attempts = attempts + 1, next_attempt_at = NULL, response_status = ?, error = NULL,
+        completed_at = ?
+      WHERE id = ?
+    `),
+    markAttemptFailed: db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = @status, attempts = attempts + 1, next_attempt_at = @nextAttemptAt, response_status = @responseStatus,
+        error = @error, completed_at = @completedAt
+      WHERE id = @id
+    `),
+    deleteCompletedBefore: db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND completed_at < ?")
+  };
+
+  const toParams = (webhook) => ({
+    id: webhook.id,
+    workspaceId: webhook.workspaceId,
+    url: webhook.url,
+    events: JSON.stringify(webhook.events),
+    enabled: webhook.enabled ? 1 : 0
+  });
+
+  const insertDeliveries = db.transaction((deliveries) => {
+    for (const delivery of deliveries) {
+      statements.insertDelivery.run(delivery);
+    }
+  });
+
+  return {
+    /**
+     * Register a webhook
+     * @param {Object} webhook - { id, workspaceId, url, secret, events, enabled, createdBy, createdAt }
+     * @returns {Promise<Object>} - Stored webhook
+     */
+    async create(webhook) {
+      statements.insert.run({
+        ...toParams(webhook),
+        secret: webhook.secret,
+        createdBy: webhook.createdBy,
+        createdAt: webhook.createdAt
+      });
+      return toWebhook(statements.findById.get(webhook.workspaceId, webhook.id));
+    },
+
+    /**
+     * Find a webhook by ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Object|null>} - Webhook or null
+     */
+    async findById(workspaceId, webhookId) {
+      return toWebhook(statements.findById.get(workspaceId, webhookId));
+    },
+
+    /**
+     * Get a workspace's webhooks, oldest first
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} [options] - { enabledOnly }
+     * @returns {Promise<Array<Object>>} - Webhooks
+     */
+    async listByWorkspace(workspaceId, { enabledOnly = false } = {}) {
+      const statement = enabledOnly ? statements.listEnabledByWorkspace : statements.listByWorkspace;
+      return statement.all(workspaceId).map(toWebhook);
+    },
+
+    /**
+     * Change a webhook's URL, events or enabled flag
+     * @param {Object} webhook - { id, workspaceId, url, events, enabled }
+     * @returns {Promise<Object|null>} - Updated webhook or null if it doesn't exist
+     */
+    async update(webhook) {
+      statements.update.run({ ...toParams(webhook), updatedAt: new Date().toISOString() });
+      return toWebhook(statements.findById.get(webhook.workspaceId, webhook.id));
+    },
+
+    /**
+     * Replace a webhook's signing secret
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} webhookId - Webhook ID
+     * @param {string} secret - New secret
+     * @returns {Promise<Object|null>} - Updated webhook or null if it doesn't exist
+     */
+    async setSecret(workspaceId, webhookId, secret) {
+      statements.setSecret.run(secret, new Date().toISOString(), workspaceId, webhookId);
+      return toWebhook(statements.findById.get(workspaceId, webhookId));
+    },
+
+    /**
+     * Delete a webhook and its delivery log
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<boolean>} - False if it didn't exist
+     */
+    async delete(workspaceId, webhookId) {
+      return statements.delete.run(workspaceId, webhookId).changes > 0;
+    },
+
+    /**
+     * Queue deliveries, due right away (single transaction)
+     * @param {Array<Object>} deliveries - { id, webhookId, event, payload, createdAt }
+     * @returns {Promise<void>}
+     */
+    async createDeliveries(deliveries) {
+      insertDeliveries(deliveries);
+    },
+
+    /**
+     * Find a delivery by ID
+     * @param {string} deliveryId - Delivery ID
+     * @returns {Promise<Object|null>} - Delivery or null
+     */
+    async findDelivery(deliveryId) {
+      return toDelivery(statements.findDelivery.get(deliveryId));
+    },
+
+    /**
+     * Get a webhook's latest deliveries, newest first
+     * @param {string} webhookId - Webhook ID
+     * @param {number} limit - Maximum number of deliveries
+     * @returns {Promise<Array<Object>>} - Deliveries
+     */
+    async listDeliveries(webhookId, limit) {
+      return statements.listDeliveries.all(webhookId, limit).map(toDelivery);
+    },
+
+    /**
+     * Get the pending deliveries whose next attempt is due, oldest first
+     * @param {string} now - ISO time
+     * @param {number} limitPerWebhook - Maximum number of deliveries of each webhook
+     * @returns {Promise<Array<Object>>} - Deliveries, with their webhook's URL and secret
+     */
+    async listDue(now, limitPerWebhook) {
+      return statements.listDue.all(now, limitPerWebhook).map(toDelivery);
+    },
+
+    /**
+     * Record a delivery the receiver accepted
+     * @param {string} deliveryId - Delivery ID
+     * @param {number} responseStatus - HTTP status of the response
+     * @returns {Promise<void>}
+     */
+    async markSucceeded(deliveryId, responseStatus) {
+      statements.markSucceeded.run(responseStatus, new Date().toISOString(), deliveryId);
+    },
+
+    /**
+     * Record a failed attempt: retry at nextAttemptAt, or give up if it's null
+     * @param {string} deliveryId - Delivery ID
+     * @param {Object} failure - { responseStatus, error, nextAttemptAt }
+     * @returns {Promise<void>}
+     */
+    async markAttemptFailed(deliveryId, { responseStatus = null, error, nextAttemptAt }) {
+      statements.markAttemptFailed.run({
+        id: deliveryId,
+        status: nextAttemptAt ? 'pending' : 'failed',
+        nextAttemptAt,
+        responseStatus,
+        error,
+        completedAt: nextAttemptAt ? null : new Date().toISOString()
+      });
+    },
+
+    /**
+     * Delete finished deliveries from the log
+     * @param {string} before - ISO time; deliveries completed earlier are deleted
+     * @returns {Promise<number>} - Number deleted
+     */
+    async deleteCompletedBefore(before) {
+      return statements.deleteCompletedBefore.run(before).changes;
+    }
+  };
+}
+
+module.exports = {
+  createWebhookRepository
+};
@@ -0,0 +1,127 @@
+/**
+ * Map a whatsapp_accounts row to the account object shape used across the app
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Account or null
+ */
+function toAccount(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    name: row.name,
+    connected: row.connected === 1,
+    connectedAt: row.connected_at,
+    disconnectedAt: row.disconnected_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create the SQLite-backed WhatsApp account repository.
+ * A workspace can have several accounts (one per WhatsApp number).
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - WhatsApp account repository
+ */
+function createWhatsAppAccountRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO whatsapp_accounts (id, workspace_id, name, created_at)
+      VALUES (@id, @workspaceId, @name, @createdAt)
+    `),
+    findById: db.prepare('SELECT * FROM whatsapp_accounts WHERE id = ?'),
+    listByWorkspace: db.prepare('SELECT * FROM whatsapp_accounts WHERE workspace_id = ? ORDER BY created_at, rowid'),
+    listConnected: db.prepare('SELECT * FROM whatsapp_accounts WHERE connected = 1 ORDER BY created_at, rowid'),
+    rename: db.prepare('UPDATE whatsapp_accounts SET name = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM whatsapp_accounts WHERE id = ?'),
+    markConnected: db.prepare(`
+      UPDATE whatsapp_accounts SET connected = 1, connected_at = ?, disconnected_at = NULL WHERE id = ?
+    `),
+    markDisconnected: db.prepare(`
+      UPDATE whatsapp_accounts SET connected = 0, disconnected_at = ? WHERE id = ?
+    `)
+  };
+
+  return {
+    /**
+     * Create an account
+     * @param {Object} account - { id, workspaceId, name, createdAt }
+     * @returns {Promise<Object>} - Created account
+     */
+    async create(account) {
+      statements.insert.run({
+        id: account.id,
+        workspaceId: account.workspaceId,
+        name: account.name,
+        createdAt: account.createdAt
+      });
+      return toAccount(statements.findById.get(account.id));
+    },
+
+    /**
+     * Find an account by ID
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<Object|null>} - Account or null
+     */
+    async findById(accountId) {
+      return toAccount(statements.findById.get(accountId));
+    },
+
+    /**
+     * Get a workspace's accounts, oldest first
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Array<Object>>} - Accounts
+     */
+    async listByWorkspace(workspaceId) {
+      return statements.listByWorkspace.all(workspaceId).map(toAccount);
+    },
+
+    /**
+     * Get the accounts that were connected when last seen
+     * @returns {Promise<Array<Object>>} - Accounts
+     */
+    async listConnected() {
+      return statements.listConnected.all().map(toAccount);
+    },
+
+    /**
+     * Rename an account
+     * @param {string} accountId - WhatsApp account ID
+     * @param {string} name - New display name
+     * @returns {Promise<Object|null>} - Updated account or null if it doesn't exist
+     */
+    async rename(accountId, name) {
+      statements.rename.run(name, accountId);
+      return toAccount(statements.findById.get(accountId));
+    },
+
+    /**
+     * Delete an account
+     * @param {string} accountId - WhatsApp account ID
+     * @returns {Promise<void>}
+     */
+    async delete(accountId) {
+      statements.delete.run(accountId);
+    },
+
+    /**
+     * Record a connection state change for an account
+     * @param {string} accountId - WhatsApp account ID
+     * @param {boolean} isConnected - Whether WhatsApp is now connected
+     * @returns {Promise<void>}
+     */
+    async setConnected(accountId, isConnected) {
+      const now = new Date().toISOString();
+      if (isConnected) {
+        statements.markConnected.run(now, accountId);
+      } else {
+        statements.markDisconnected.run(now, accountId);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createWhatsAppAccountRepository
+};
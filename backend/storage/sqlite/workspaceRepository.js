@@ -0,0 +1,271 @@
+/**
+ * Map a workspaces row to the workspace object shape used across the app
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Workspace or null
+ */
+function toWorkspace(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    routingMode: row.routing_mode,
+    lastRoutedUserId: row.last_routed_user_id,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Map a workspace_members row (joined with users) to a member
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Member or null
+ */
+function toMember(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    workspaceId: row.workspace_id,
+    userId: row.user_id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    joinedAt: row.joined_at
+  };
+}
+
+/**
+ * Map a workspace_invites row (joined with workspaces) to an invite
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null} - Invite or null
+ */
+function toInvite(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    workspaceName: row.workspace_name,
+    email: row.email,
+    role: row.role,
+    invitedBy: row.invited_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create the SQLite-backed workspace repository (workspaces, their members and pending invites).
+ * A user is a member of exactly one workspace.
+ * @param {Database} db - better-sqlite3 database handle
+ * @returns {Object} - Workspace repository
+ */
+function createWorkspaceRepository(db) {
+  const statements = {
+    insert: db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (?, ?, ?)'),
+    findById: db.prepare('SELECT * FROM workspaces WHERE id = ?'),
+    rename: db.prepare('UPDATE workspaces SET name = ? WHERE id = ?'),
+    setRoutingMode: db.prepare('UPDATE workspaces SET routing_mode = ? WHERE id = ?'),
+    setLastRoutedUser: db.prepare('UPDATE workspaces SET last_routed_user_id = ? WHERE id = ?'),
+    insertMember: db.prepare(`
+      INSERT INTO workspace_members (workspace_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)
+    `),
+    findMemberByUser: db.prepare(`
+      SELECT m.*, u.name, u.email FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.user_id = ?
+    `),
+    listMembers: db.prepare(`
+      SELECT m.*, u.name, u.email FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = ?
+      ORDER BY m.joined_at, u.name
+    `),
+    setMemberRole: db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?'),
+    deleteMember: db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?'),
+    upsertInvite: db.prepare(`
+      INSERT INTO workspace_invites (id, workspace_id, email, role, invited_by, created_at)
+      VALUES (@id, @workspaceId, @email, @role, @invitedBy, @createdAt)
+      ON CONFLICT (workspace_id, email) DO UPDATE SET
+        id = excluded.id,
+        role = excluded.role,
+        invited_by = excluded.invited_by,
+        created_at = excluded.created_at
+    `),
+    findInvite: db.prepare(`
+      SELECT i.*, w.name AS workspace_name FROM workspace_invites i
+      JOIN workspaces w ON w.id = i.workspace_id
+      WHERE i.id = ?
+    `),
+    listInvites: db.prepare(`
+      SELECT i.*, w.name AS workspace_name FROM workspace_invites i
+      JOIN workspaces w ON w.id = i.workspace_id
+      WHERE i.workspace_id = ?
+      ORDER BY i.created_at DESC
+    `),
+    deleteInvite: db.prepare('DELETE FROM workspace_invites WHERE id = ?')
+  };
+
+  const createWithOwner = db.transaction((workspace, ownerId) => {
+    statements.insert.run(workspace.id, workspace.name, workspace.createdAt);
+    statements.insertMember.run(workspace.id, ownerId, 'owner', workspace.createdAt);
+  });
+
+  const acceptInvite = db.transaction((invite, userId, joinedAt) => {
+    statements.insertMember.run(invite.workspaceId, userId, invite.role, joinedAt);
+    statements.deleteInvite.run(invite.id);
+  });
+
+  return {
+    /**
+     * Create a workspace with its owner (single transaction)
+     * @param {Object} workspace - { id, name, createdAt }
+     * @param {string} ownerId - User ID of the owner
+     * @returns {Promise<Object>} - Created workspace
+     */
+    async create(workspace, ownerId) {
+      createWithOwner(workspace, ownerId);
+      return toWorkspace(statements.findById.get(workspace.id));
+    },
+
+    /**
+     * Find a workspace by ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Object|null>} - Workspace or null
+     */
+    async findById(workspaceId) {
+      return toWorkspace(statements.findById.get(workspaceId));
+    },
+
+    /**
+     * Rename a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} name - New name
+     * @returns {Promise<Object|null>} - Updated workspace or null if it doesn't exist
+     */
+    async rename(workspaceId, name) {
+      statements.rename.run(name, workspaceId);
+      return toWorkspace(statements.findById.get(workspaceId));
+    },
+
+    /**
+     * Change how new conversations are routed to agents
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} routingMode - manual, round_robin or least_busy
+     * @returns {Promise<Object|null>} - Updated workspace or null if it doesn't exist
+     */
+    async setRoutingMode(workspaceId, routingMode) {
+      statements.setRoutingMode.run(routingMode, workspaceId);
+      return toWorkspace(statements.findById.get(workspaceId));
+    },
+
+    /**
+     * Remember who got the last automatically routed conversation (round-robin position)
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async setLastRoutedUser(workspaceId, userId) {
+      statements.setLastRoutedUser.run(userId, workspaceId);
+    },
+
+    /**
+     * Find the workspace membership of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} - Member or null if the user isn't in a workspace
+     */
+    async findMembership(userId) {
+      return toMember(statements.findMemberByUser.get(userId));
+    },
+
+    /**
+     * Get a workspace's members, in the order they joined
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Array<Object>>} - Members
+     */
+    async listMembers(workspaceId) {
+      return statements.listMembers.all(workspaceId).map(toMember);
+    },
+
+    /**
+     * Change a member's role
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - User ID
+     * @param {string} role - New role
+     * @returns {Promise<void>}
+     */
+    async setMemberRole(workspaceId, userId, role) {
+      statements.setMemberRole.run(role, workspaceId, userId);
+    },
+
+    /**
+     * Remove a member from a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async removeMember(workspaceId, userId) {
+      statements.deleteMember.run(workspaceId, userId);
+    },
+
+    /**
+     * Create an invite, replacing any pending invite for the same email
+     * @param {Object} invite - { id, workspaceId, email, role, invitedBy, createdAt }
+     * @returns {Promise<Object>} - Stored invite
+     */
+    async createInvite(invite) {
+      statements.upsertInvite.run({
+        id: invite.id,
+        workspaceId: invite.workspaceId,
+        email: invite.email,
+        role: invite.role,
+        invitedBy: invite.invitedBy || null,
+        createdAt: invite.createdAt
+      });
+      return toInvite(statements.findInvite.get(invite.id));
+    },
+
+    /**
+     * Find an invite by ID
+     * @param {string} inviteId - Invite ID
+     * @returns {Promise<Object|null>} - Invite or null
+     */
+    async findInvite(inviteId) {
+      return toInvite(statements.findInvite.get(inviteId));
+    },
+
+    /**
+     * Get a workspace's pending invites, newest first
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Array<Object>>} - Invites
+     */
+    async listInvites(workspaceId) {
+      return statements.listInvites.all(workspaceId).map(toInvite);
+    },
+
+    /**
+     * Delete an invite
+     * @param {string} inviteId - Invite ID
+     * @returns {Promise<void>}
+     */
+    async deleteInvite(inviteId) {
+      statements.deleteInvite.run(inviteId);
+    },
+
+    /**
+     * Add a user to the invite's workspace with the invited role and use up the invite (single transaction)
+     * @param {Object} invite - Invite
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - New member
+     */
+    async acceptInvite(invite, userId) {
+      acceptInvite(invite, userId, new Date().toISOString());
+      return toMember(statements.findMemberByUser.get(userId));
+    }
+  };
+}
+
+module.exports = {
+  createWorkspaceRepository
+};
@@ -0,0 +1,89 @@
+const { getStorage } = require('./storage');
+
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS = 20;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function tagError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate one tag
+ * @param {string} tag - Tag
+ * @returns {string} - Trimmed tag
+ */
+function normalizeTag(tag) {
+  const trimmed = typeof tag === 'string' ? tag.trim() : '';
+  if (!trimmed || trimmed.length > MAX_TAG_LENGTH) {
+    throw tagError('INVALID_TAGS', `Tags must be 1-${MAX_TAG_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Validate a chat's tags. Tags that only differ in case count as the same tag; the first is kept.
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>} - Normalized tags
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw tagError('INVALID_TAGS', 'Tags must be a list');
+  }
+  const seen = new Set();
+  const normalized = tags.map(normalizeTag).filter(tag => !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  if (normalized.length > MAX_TAGS) {
+    throw tagError('INVALID_TAGS', `A chat can have at most ${MAX_TAGS} tags`);
+  }
+  return normalized;
+}
+
+/**
+ * Replace a chat's tags
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {Array<string>} tags - Tags
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function setTags(account, chatId, tags) {
+  return getStorage().conversations.setTags(account.id, chatId, normalizeTags(tags));
+}
+
+/**
+ * Add a tag to a chat unless it already has it
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {string} tag - Tag
+ * @returns {Promise<Object|null>} - Updated conversation, or null if the chat already had the tag
+ */
+async function addTag(account, chatId, tag) {
+  const conversation = await getStorage().conversations.findById(account.id, chatId);
+  const tags = conversation ? conversation.tags : [];
+  if (tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+    return null;
+  }
+  return setTags(account, chatId, [...tags, tag]);
+}
+
+/**
+ * Get a chat's tags in API format
+ * @param {Object|null} conversation - Conversation
+ * @returns {Array<string>} - Tags
+ */
+function formatTags(conversation) {
+  return conversation ? conversation.tags : [];
+}
+
+module.exports = {
+  normalizeTag,
+  setTags,
+  addTag,
+  formatTags
+};
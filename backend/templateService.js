@@ -0,0 +1,97 @@
+const { getStorage } = require('./storage');
+
+// Server-side counterpart of frontend/src/lib/templates.js, for messages the backend sends on its
+// own (campaigns, auto-replies, greetings and away messages). Placeholders like {{name}} or
+// {{company}}: the built-in names are the reserved ones of contactFieldService.js, any other name
+// is a custom contact field.
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+// {{date}} and {{time}} formats, by time zone
+const formats = new Map();
+
+/**
+ * Get the {{date}} and {{time}} formats of a time zone
+ * @param {string} [timezone] - IANA time zone; the server's when left out
+ * @returns {{ date: Intl.DateTimeFormat, time: Intl.DateTimeFormat }}
+ */
+function getFormats(timezone) {
+  const key = timezone || '';
+  if (!formats.has(key)) {
+    formats.set(key, {
+      date: new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'long', day: 'numeric', timeZone: timezone }),
+      time: new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit', timeZone: timezone })
+    });
+  }
+  return formats.get(key);
+}
+
+/**
+ * Collect the placeholder values for a recipient
+ * @param {Object} recipient - { name, phone, agent, contactFields, timezone } - name is null when only the number
+ *   is known; {{date}} and {{time}} are in timezone (IANA name), or the server's time zone without one
+ * @returns {Object<string, string>} - Values by placeholder name
+ */
+function getPlaceholderValues({ name = null, phone = '', agent = null, contactFields = {}, timezone = null }) {
+  const now = Date.now();
+  const { date: dateFormat, time: timeFormat } = getFormats(timezone || undefined);
+  return {
+    ...contactFields,
+    name: name || '',
+    first_name: name ? name.split(/\s+/)[0] : '',
+    phone: phone || '',
+    agent: agent || '',
+    date: dateFormat.format(now),
+    time: timeFormat.format(now)
+  };
+}
+
+/**
+ * Fill a template's placeholders. Placeholders without a value are left in the text.
+ * @param {string} content - Template text
+ * @param {Object<string, string>} values - Values by placeholder name (see getPlaceholderValues)
+ * @returns {{ text: string, unresolved: string[] }} - Filled text and the names that couldn't be filled
+ */
+function fillTemplate(content, values) {
+  const unresolved = new Set();
+  const text = content.replace(PLACEHOLDER_PATTERN, (placeholder, rawName) => {
+    const name = rawName.toLowerCase();
+    const value = Object.prototype.hasOwnProperty.call(values, name) ? values[name] : '';
+    if (!value) {
+      unresolved.add(name);
+      return placeholder;
+    }
+    return value;
+  });
+  return { text, unresolved: [...unresolved] };
+}
+
+/**
+ * Fill a template for one of an account's chats, with the chat's name, number, assignee and contact fields
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {string} content - Template text
+ * @param {string} timezone - The account's time zone (IANA name, from its business hours), for {{date}} and {{time}}
+ * @returns {Promise<{ text: string, unresolved: string[] }>} - See fillTemplate
+ */
+async function fillTemplateForChat(account, chatId, content, timezone) {
+  const storage = getStorage();
+  const [chat, conversation] = await Promise.all([
+    storage.chats.findById(account.id, chatId),
+    storage.conversations.findById(account.id, chatId)
+  ]);
+  // A chat without a saved name is called by its number; that's no name to greet someone with
+  const name = chat && chat.name && chat.name !== chat.phoneNumber ? chat.name : null;
+  return fillTemplate(content, getPlaceholderValues({
+    name,
+    phone: chat && chat.phoneNumber,
+    agent: conversation && conversation.assigneeName,
+    contactFields: conversation ? conversation.contactFields : {},
+    timezone
+  }));
+}
+
+module.exports = {
+  getPlaceholderValues,
+  fillTemplate,
+  fillTemplateForChat
+};
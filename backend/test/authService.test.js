@@ -0,0 +1,91 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let authService;
+
+/**
+ * Run an auth middleware against a fake request
+ * @param {Function} middleware - requireAuth or requireAuthOrQueryToken
+ * @param {Object} request - { headers, query }
+ * @returns {Promise<Object>} - { status, auth }: status 200 if the middleware called next()
+ */
+async function runMiddleware(middleware, { headers = {}, query = {} }) {
+  const req = { headers, query };
+  let status = 200;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  await middleware(req, res, () => {});
+  return { status, auth: req.auth };
+}
+
+describe('authService', () => {
+  before(() => {
+    // A fixed secret keeps the tests from writing one to the data directory
+    process.env.AUTH_SECRET = 'test-secret';
+    authService = require('../authService');
+  });
+
+  it('issues an HS256 access token with a one hour expiry', async () => {
+    const { token, expiresIn } = await authService.issueTokens('user-1');
+    const [header, payload] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url').toString('utf8')), { alg: 'HS256', typ: 'JWT' });
+    assert.equal(expiresIn, 3600);
+    assert.equal(claims.sub, 'user-1');
+    assert.equal(claims.typ, 'access');
+    assert.equal(claims.exp - claims.iat, 3600);
+  });
+
+  it('accepts a valid access token from the Authorization header', async () => {
+    const { token } = await authService.issueTokens('user-1');
+    const result = await runMiddleware(authService.requireAuth, { headers: { authorization: `Bearer ${token}` } });
+
+    assert.deepEqual(result, { status: 200, auth: { userId: 'user-1' } });
+  });
+
+  it('rejects tampered tokens and refresh tokens used as access tokens', async () => {
+    const { token, refreshToken } = await authService.issueTokens('user-1');
+    const [header, , signature] = token.split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'user-2', typ: 'access', exp: 9999999999 })).toString('base64url');
+    const forged = [header, payload, signature].join('.');
+
+    for (const candidate of [forged, refreshToken, 'not-a-token']) {
+      const result = await runMiddleware(authService.requireAuth, { headers: { authorization: `Bearer ${candidate}` } });
+      assert.equal(result.status, 401);
+    }
+  });
+
+  it('rejects access tokens once they expire', async (t) => {
+    const { token } = await authService.issueTokens('user-1');
+    const issuedAt = Date.now();
+    t.mock.method(Date, 'now', () => issuedAt + 3600 * 1000);
+
+    const result = await runMiddleware(authService.requireAuth, { headers: { authorization: `Bearer ${token}` } });
+    assert.equal(result.status, 401);
+  });
+
+  it('only takes ?token= in requireAuthOrQueryToken', async () => {
+    const { token } = await authService.issueTokens('user-1');
+
+    assert.equal((await runMiddleware(authService.requireAuth, { query: { token } })).status, 401);
+    assert.equal((await runMiddleware(authService.requireAuthOrQueryToken, { query: { token } })).status, 200);
+    assert.equal((await runMiddleware(authService.requireAuthOrQueryToken, { query: { token: [token] } })).status, 401);
+  });
+
+  it('exchanges a refresh token for a new token pair', async () => {
+    const { token, refreshToken } = await authService.issueTokens('user-1');
+
+    const refreshed = await authService.refreshTokens(refreshToken);
+    assert.equal(refreshed.userId, 'user-1');
+    assert.equal(typeof refreshed.token, 'string');
+    assert.equal(await authService.refreshTokens(token), null);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getClosedPeriod } = require('../businessHoursService');
+
+const WEEKDAYS_9_TO_6 = {
+  sunday: [],
+  monday: [{ open: '09:00', close: '18:00' }],
+  tuesday: [{ open: '09:00', close: '18:00' }],
+  wednesday: [{ open: '09:00', close: '18:00' }],
+  thursday: [{ open: '09:00', close: '18:00' }],
+  friday: [{ open: '09:00', close: '18:00' }],
+  saturday: []
+};
+
+/**
+ * Build business hours for a test
+ * @param {Object} [overrides] - { timezone, schedule, holidays }
+ * @returns {Object} - Business hours
+ */
+function businessHours(overrides = {}) {
+  return { timezone: 'America/New_York', schedule: WEEKDAYS_9_TO_6, holidays: [], ...overrides };
+}
+
+describe('getClosedPeriod', () => {
+  it('returns null during opening hours', () => {
+    // Monday 2026-10-19, 14:00 EDT
+    assert.equal(getClosedPeriod(businessHours(), Date.parse('2026-10-19T18:00:00Z')), null);
+  });
+
+  it('names the closed period after the next opening', () => {
+    // Monday 07:00 and 20:00 EDT
+    assert.equal(getClosedPeriod(businessHours(), Date.parse('2026-10-19T11:00:00Z')), '2026-10-19 09:00');
+    assert.equal(getClosedPeriod(businessHours(), Date.parse('2026-10-20T00:00:00Z')), '2026-10-20 09:00');
+  });
+
+  it('treats a Friday evening and the weekend after as one period', () => {
+    // Friday 19:00 EDT, Saturday 12:00 EDT and Monday 08:59 EDT
+    for (const now of ['2026-10-23T23:00:00Z', '2026-10-24T16:00:00Z', '2026-10-26T12:59:00Z']) {
+      assert.equal(getClosedPeriod(businessHours(), Date.parse(now)), '2026-10-26 09:00');
+    }
+  });
+
+  it('uses the local time of the configured time zone', () => {
+    // 18:00 UTC is Tuesday 03:00 in Tokyo
+    const tokyo = businessHours({ timezone: 'Asia/Tokyo' });
+    assert.equal(getClosedPeriod(tokyo, Date.parse('2026-10-19T18:00:00Z')), '2026-10-20 09:00');
+  });
+
+  it('follows daylight saving time changes', () => {
+    // New York is back on EST (UTC-5) from 2026-11-01
+    assert.equal(getClosedPeriod(businessHours(), Date.parse('2026-11-02T13:30:00Z')), '2026-11-02 09:00');
+    assert.equal(getClosedPeriod(businessHours(), Date.parse('2026-11-02T14:30:00Z')), null);
+  });
+
+  it('stays closed on holidays', () => {
+    const withHoliday = businessHours({ holidays: ['2026-10-26'] });
+
+    // Monday 10:00 EDT on the holiday, and the Friday evening before it
+    assert.equal(getClosedPeriod(withHoliday, Date.parse('2026-10-26T14:00:00Z')), '2026-10-27 09:00');
+    assert.equal(getClosedPeriod(withHoliday, Date.parse('2026-10-23T23:00:00Z')), '2026-10-27 09:00');
+  });
+
+  it('handles breaks within a day and closing at midnight', () => {
+    const schedule = {
+      ...WEEKDAYS_9_TO_6,
+      monday: [{ open: '09:00', close: '12:00' }, { open: '13:00', close: '24:00' }]
+    };
+
+    // Monday 12:30 and 23:59 EDT
+    assert.equal(getClosedPeriod(businessHours({ schedule }), Date.parse('2026-10-19T16:30:00Z')), '2026-10-19 13:00');
+    assert.equal(getClosedPeriod(businessHours({ schedule }), Date.parse('2026-10-20T03:59:00Z')), null);
+  });
+
+  it('is closed indefinitely without any opening hours', () => {
+    const closed = businessHours({ schedule: { ...WEEKDAYS_9_TO_6, monday: [], tuesday: [], wednesday: [], thursday: [], friday: [] } });
+    assert.equal(getClosedPeriod(closed, Date.parse('2026-10-19T18:00:00Z')), 'indefinitely');
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, toCsvField, fromCsvField } = require('../csv');
+
+describe('parseCsv', () => {
+  it('splits rows and fields, with LF or CRLF line breaks', () => {
+    assert.deepEqual(parseCsv('phone,name\n15551234567,Ann\r\n15557654321,Bob'), [
+      ['phone', 'name'],
+      ['15551234567', 'Ann'],
+      ['15557654321', 'Bob']
+    ]);
+  });
+
+  it('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('"Doe, Jane","Say ""hi""","two\nlines"\n'), [
+      ['Doe, Jane', 'Say "hi"', 'two\nlines']
+    ]);
+  });
+
+  it('keeps empty fields but skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,,c\n\n   \n,\n'), [
+      ['a', '', 'c'],
+      ['', '']
+    ]);
+  });
+
+  it('throws INVALID_CSV for an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a,"b\n'), { code: 'INVALID_CSV' });
+  });
+
+  it('reads back what toCsvField writes', () => {
+    const values = ['plain', 'with, comma', 'with "quotes"', 'multi\nline', ' padded ', '', null];
+    const text = values.map(toCsvField).join(',');
+
+    assert.equal(toCsvField('plain'), 'plain');
+    assert.equal(toCsvField(' padded '), '" padded "');
+    assert.deepEqual(parseCsv(text), [['plain', 'with, comma', 'with "quotes"', 'multi\nline', ' padded ', '', '']]);
+  });
+});
+
+describe('toCsvField', () => {
+  it('writes cells a spreadsheet would run as a formula as text', () => {
+    assert.equal(toCsvField('=HYPERLINK("http://evil.test")'), '"\'=HYPERLINK(""http://evil.test"")"');
+    assert.equal(toCsvField('+1 555'), "'+1 555");
+    assert.equal(toCsvField('-1'), "'-1");
+    assert.equal(toCsvField('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(toCsvField('\t=1'), "'\t=1");
+    assert.equal(toCsvField("it's fine"), "it's fine");
+  });
+
+  it('gets every value back through fromCsvField', () => {
+    const values = ['=1+1', "'=1+1", "''-x", "'quoted", '@mention', 'plain', ''];
+    const [fields] = parseCsv(values.map(toCsvField).join(','));
+
+    assert.deepEqual(fields.map(fromCsvField), values);
+  });
+});
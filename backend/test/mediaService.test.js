@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isInlineMediaType } = require('../mediaService');
+
+describe('isInlineMediaType', () => {
+  it('allows the accepted image, video and audio types, with or without parameters', () => {
+    for (const type of ['image/jpeg', 'image/webp', 'video/mp4', 'audio/ogg; codecs=opus', 'Audio/MPEG']) {
+      assert.equal(isInlineMediaType(type), true, type);
+    }
+  });
+
+  it('refuses types a browser could run script from, and documents', () => {
+    for (const type of ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'application/pdf', 'text/plain', '', undefined]) {
+      assert.equal(isInlineMediaType(type), false, String(type));
+    }
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const passwordService = require('../passwordService');
+
+describe('passwordService', () => {
+  it('hashes with a random salt and verifies the password', async () => {
+    const first = await passwordService.hashPassword('correct horse');
+    const second = await passwordService.hashPassword('correct horse');
+
+    assert.match(first, /^scrypt\$32768\$8\$1\$[^$]+\$[^$]+$/);
+    assert.notEqual(first, second);
+    assert.equal(await passwordService.verifyPassword('correct horse', { passwordHash: first }), true);
+    assert.equal(await passwordService.verifyPassword('wrong horse', { passwordHash: first }), false);
+  });
+
+  it('rejects malformed hashes and users without credentials', async () => {
+    assert.equal(await passwordService.verifyPassword('secret', { passwordHash: 'bcrypt$abc' }), false);
+    assert.equal(await passwordService.verifyPassword('secret', {}), false);
+    assert.equal(await passwordService.verifyPassword('secret', null), false);
+  });
+
+  it('verifies legacy plaintext records and flags them for rehashing', async () => {
+    const legacy = { password: 'secret' };
+
+    assert.equal(await passwordService.verifyPassword('secret', legacy), true);
+    assert.equal(await passwordService.verifyPassword('Secret', legacy), false);
+    assert.equal(passwordService.needsRehash(legacy), true);
+  });
+
+  it('flags hashes with outdated cost parameters for rehashing', async () => {
+    const current = await passwordService.hashPassword('secret');
+    const [prefix, , r, p, salt, key] = current.split('$');
+    const outdated = [prefix, 16384, r, p, salt, key].join('$');
+
+    assert.equal(passwordService.needsRehash({ passwordHash: current }), false);
+    assert.equal(passwordService.needsRehash({ passwordHash: outdated }), true);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Non-GET workspace routes a read-only member may use
+const READ_ONLY_WRITE_ROUTES = [
+  // Leaving the workspace (removing yourself)
+  'DELETE /api/workspaces/:workspaceId/members/:userId'
+];
+
+let tempDir;
+let server;
+let baseUrl;
+let routes;
+// Sessions by name: { token, workspaceId }
+const sessions = {};
+
+/**
+ * Send a request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} url - Path and query
+ * @param {string} [token] - Access token
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function request(method, url, token, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body === undefined || method === 'GET' ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(5000)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text.startsWith('{') ? JSON.parse(text) : text };
+}
+
+/**
+ * Sign up a user, optionally through an invite
+ * @param {string} name - Session name (also used for the email address)
+ * @param {string} [inviteId] - Invite to accept
+ * @returns {Promise<Object>} - { token, workspaceId }
+ */
+async function signUp(name, inviteId) {
+  const { status, body } = await request('POST', '/api/users/register', null, {
+    name,
+    email: `${name}@example.com`,
+    password: 'correct horse battery',
+    inviteId
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  sessions[name] = { token: body.token, workspaceId: body.workspace.id };
+  return sessions[name];
+}
+
+/**
+ * Invite a member to the owner's workspace and sign them up
+ * @param {string} name - Session name
+ * @param {string} role - Role to invite them with
+ * @returns {Promise<Object>} - { token, workspaceId }
+ */
+async function addMember(name, role) {
+  const { owner } = sessions;
+  const { status, body } = await request('POST', `/api/workspaces/${owner.workspaceId}/invites`, owner.token, {
+    email: `${name}@example.com`,
+    role
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  return signUp(name, body.invite.id);
+}
+
+/**
+ * Fill a route's path parameters: the given workspace, placeholders for everything else
+ * @param {string} routePath - Express route path
+ * @param {string} workspaceId - Workspace ID
+ * @returns {string} - Path
+ */
+function toUrl(routePath, workspaceId) {
+  return routePath.replace(':workspaceId', workspaceId).replace(/:\w+/g, 'missing');
+}
+
+describe('route authorization', () => {
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-routes-'));
+    process.env.DATABASE_PATH = path.join(tempDir, 'app.db');
+    process.env.AUTH_SECRET = 'test-secret';
+    const app = require('../index');
+
+    routes = app._router.stack
+      .filter(layer => layer.route && layer.route.path.includes(':workspaceId'))
+      .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+        method: method.toUpperCase(),
+        path: layer.route.path
+      })));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await signUp('owner');
+    await addMember('agent', 'agent');
+    await addMember('reader', 'read_only');
+    await signUp('outsider');
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('finds the workspace routes', () => {
+    assert.ok(routes.length > 50, `only ${routes.length} routes`);
+  });
+
+  it('refuses requests without a token, or with a query-string token outside the stream and media routes', async () => {
+    const { owner } = sessions;
+    for (const route of routes) {
+      const url = toUrl(route.path, owner.workspaceId);
+      assert.equal((await request(route.method, url)).status, 401, `${route.method} ${route.path}`);
+    }
+    const accounts = await request('GET', `/api/whatsapp/accounts/${owner.workspaceId}?token=${owner.token}`);
+    assert.equal(accounts.status, 401);
+  });
+
+  it('refuses members of other workspaces on every route of a workspace', async () => {
+    const { owner, outsider } = sessions;
+    for (const route of routes) {
+      const { status } = await request(route.method, toUrl(route.path, owner.workspaceId), outsider.token, {});
+      assert.equal(status, 403, `${route.method} ${route.path}`);
+    }
+  });
+
+  it('refuses read-only members every change', async () => {
+    const { owner, reader } = sessions;
+    const writeRoutes = routes.filter(route => route.method !== 'GET'
+      && !READ_ONLY_WRITE_ROUTES.includes(`${route.method} ${route.path}`));
+    assert.ok(writeRoutes.some(route => route.path === '/api/whatsapp/chats/:workspaceId/:chatId/read'));
+
+    for (const route of writeRoutes) {
+      const { status } = await request(route.method, toUrl(route.path, owner.workspaceId), reader.token, {});
+      assert.equal(status, 403, `${route.method} ${route.path}`);
+    }
+  });
+
+  it('lets read-only members read their workspace', async () => {
+    const { owner, reader } = sessions;
+    for (const url of [
+      `/api/workspaces/${owner.workspaceId}`,
+      `/api/whatsapp/accounts/${owner.workspaceId}`,
+      `/api/snippets/${owner.workspaceId}`
+    ]) {
+      assert.equal((await request('GET', url, reader.token)).status, 200, url);
+    }
+  });
+
+  it('lets agents work on chats but not manage the workspace', async () => {
+    const { owner, agent } = sessions;
+    const chatUrl = `/api/whatsapp/chats/${owner.workspaceId}/15551234567@c.us`;
+
+    assert.equal((await request('POST', `${chatUrl}/read`, agent.token)).status, 200);
+    assert.equal((await request('PUT', `${chatUrl}/tags`, agent.token, { tags: ['vip'] })).status, 200);
+    for (const [method, url] of [
+      ['POST', `/api/workspaces/${owner.workspaceId}/invites`],
+      ['POST', `/api/webhooks/${owner.workspaceId}`],
+      ['POST', `/api/auto-replies/${owner.workspaceId}`],
+      ['PUT', `/api/whatsapp/business-hours/${owner.workspaceId}`],
+      ['POST', `/api/whatsapp/accounts/${owner.workspaceId}`],
+      ['PUT', `/api/workspaces/${owner.workspaceId}`]
+    ]) {
+      assert.equal((await request(method, url, agent.token, {})).status, 403, `${method} ${url}`);
+    }
+  });
+});
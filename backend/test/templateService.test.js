@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fillTemplate, getPlaceholderValues } = require('../templateService');
+
+describe('templateService', () => {
+  it('fills built-in placeholders and custom contact fields', () => {
+    const values = getPlaceholderValues({
+      name: 'Jane Doe',
+      phone: '15551234567',
+      agent: 'Sam',
+      contactFields: { company: 'Acme' }
+    });
+
+    assert.deepEqual(fillTemplate('Hi {{first_name}} ({{ name }}, {{phone}}) at {{Company}}, this is {{agent}}', values), {
+      text: 'Hi Jane (Jane Doe, 15551234567) at Acme, this is Sam',
+      unresolved: []
+    });
+  });
+
+  it('leaves placeholders without a value in the text and reports them once', () => {
+    const values = getPlaceholderValues({ phone: '15551234567' });
+
+    assert.deepEqual(fillTemplate('Hi {{name}}, {{name}} from {{company}}', values), {
+      text: 'Hi {{name}}, {{name}} from {{company}}',
+      unresolved: ['name', 'company']
+    });
+  });
+
+  it('ignores text that only looks like a placeholder', () => {
+    assert.deepEqual(fillTemplate('{{1st}} {{}} {name} {{toString}}', {}), {
+      text: '{{1st}} {{}} {name} {{toString}}',
+      unresolved: ['tostring']
+    });
+  });
+
+  it('fills date and time with the current date', () => {
+    const { date, time } = getPlaceholderValues({});
+
+    assert.ok(date.includes(String(new Date().getFullYear())));
+    assert.notEqual(time, '');
+  });
+
+  it('fills date and time in the given time zone', (t) => {
+    // 23:30 UTC on 2026-10-19 is already 2026-10-20 in Tokyo, and still 2026-10-19 in New York
+    t.mock.method(Date, 'now', () => Date.parse('2026-10-19T23:30:00Z'));
+    const tokyo = getPlaceholderValues({ timezone: 'Asia/Tokyo' });
+    const newYork = getPlaceholderValues({ timezone: 'America/New_York' });
+
+    const utcDate = new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+    assert.equal(tokyo.date, utcDate.format(Date.parse('2026-10-20T12:00:00Z')));
+    assert.equal(newYork.date, utcDate.format(Date.parse('2026-10-19T12:00:00Z')));
+    assert.notEqual(tokyo.time, newYork.time);
+  });
+});
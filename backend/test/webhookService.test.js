@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isAllowedHost, signPayload } = require('../webhookService');
+
+const SECRET = 'whsec_test';
+const TIMESTAMP = '1760000000';
+const BODY = '{"event":"message","data":{"body":"hi"}}';
+
+describe('signPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256 of the secret', () => {
+    // printf '%s' '1760000000.<body>' | openssl dgst -sha256 -hmac whsec_test
+    assert.equal(
+      signPayload(SECRET, TIMESTAMP, BODY),
+      'sha256=b4012737e8aeafd475a58d773dfb8d3a40898c7b4aee59710215a7f5a416c229'
+    );
+  });
+
+  it('changes with the secret, the timestamp and the body', () => {
+    const signature = signPayload(SECRET, TIMESTAMP, BODY);
+
+    assert.notEqual(signPayload('whsec_other', TIMESTAMP, BODY), signature);
+    assert.notEqual(signPayload(SECRET, '1760000001', BODY), signature);
+    assert.notEqual(signPayload(SECRET, TIMESTAMP, BODY.replace('hi', 'ho')), signature);
+  });
+});
+
+describe('isAllowedHost', () => {
+  it('allows public host names and addresses', () => {
+    for (const host of ['example.com', 'hooks.example.org', '93.184.215.14', '[2606:2800:21f:cb07:6820:80da:af6b:8b2c]']) {
+      assert.equal(isAllowedHost(host), true, host);
+    }
+  });
+
+  it('blocks loopback, private, link-local and IPv4-mapped private addresses', () => {
+    const hosts = [
+      'localhost', 'api.localhost', '127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254',
+      '0.0.0.0', '100.64.0.1', '[::1]', '[fd00::1]', '[fe80::1]', '[::ffff:7f00:1]'
+    ];
+    for (const host of hosts) {
+      assert.equal(isAllowedHost(host), false, host);
+    }
+  });
+});
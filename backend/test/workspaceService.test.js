@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hasRole, canManageRole } = require('../workspaceService');
+
+describe('hasRole', () => {
+  it('ranks read_only < agent < admin < owner', () => {
+    assert.equal(hasRole('owner', 'admin'), true);
+    assert.equal(hasRole('admin', 'admin'), true);
+    assert.equal(hasRole('agent', 'agent'), true);
+    assert.equal(hasRole('agent', 'admin'), false);
+    assert.equal(hasRole('read_only', 'agent'), false);
+    assert.equal(hasRole('read_only', 'read_only'), true);
+  });
+
+  it('refuses unknown roles', () => {
+    assert.equal(hasRole(undefined, 'agent'), false);
+    assert.equal(hasRole('superuser', 'agent'), false);
+  });
+});
+
+describe('canManageRole', () => {
+  it('lets owners manage every role but owner', () => {
+    const owner = { role: 'owner' };
+    assert.deepEqual(['read_only', 'agent', 'admin', 'owner'].map(role => canManageRole(owner, role)), [true, true, true, false]);
+  });
+
+  it('lets admins manage agents and read-only members only', () => {
+    const admin = { role: 'admin' };
+    assert.deepEqual(['read_only', 'agent', 'admin', 'owner'].map(role => canManageRole(admin, role)), [true, true, false, false]);
+  });
+
+  it('lets agents and read-only members manage nobody', () => {
+    for (const role of ['agent', 'read_only']) {
+      assert.equal(['read_only', 'agent'].some(target => canManageRole({ role }, target)), false, role);
+    }
+  });
+});
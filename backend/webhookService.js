@@ -0,0 +1,485 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { getStorage } = require('./storage');
+
+// Live events a webhook can subscribe to: incoming messages, delivery/read acks of sent messages,
+// connection status changes (connect, disconnect, logout) and new QR codes to scan
+const WEBHOOK_EVENTS = ['message', 'message_ack', 'status', 'qr'];
+const MAX_WEBHOOKS_PER_WORKSPACE = 10;
+const MAX_URL_LENGTH = 2048;
+// A delivery is attempted this many times in total, waiting RETRY_DELAY_MS twice as long after each failure
+// (30s, 1m, 2m, 4m, 8m), then it's marked failed
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_CHECK_INTERVAL_MS = 1000;
+// Due deliveries picked up per webhook and check. Each webhook gets its deliveries one at a time, in order;
+// up to MAX_CONCURRENT_WEBHOOKS webhooks are delivered to at once, so a slow receiver only holds up its own
+const DELIVERIES_PER_CHECK = 20;
+const MAX_CONCURRENT_WEBHOOKS = 20;
+// Finished deliveries stay in the log this long
+const DELIVERY_LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Deliveries listed per webhook in the log
+const DELIVERY_LOG_LIMIT = 50;
+// Webhooks can't target this server or the network it runs in, so an admin can't use them to reach
+// internal services. WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this, e.g. for a receiver on localhost in development.
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  privateAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+let deliveryTimer = null;
+let isChecking = false;
+// IDs of the webhooks with deliveries in flight
+const sendingWebhooks = new Set();
+let lastPrunedAt = 0;
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function webhookError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check if an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check if webhooks may be sent to a host name or IP address
+ * @param {string} hostname - URL hostname (IPv6 addresses in brackets)
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return true;
+  }
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return false;
+  }
+  return !net.isIP(host) || !isPrivateAddress(host);
+}
+
+/**
+ * Resolve a webhook URL's host and fail with BLOCKED_ADDRESS if any of its addresses is private.
+ * Checked before every attempt, as a host name can be pointed elsewhere after the webhook was saved.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ */
+async function checkTarget(url) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return;
+  }
+  const { hostname } = new URL(url);
+  const blocked = () => webhookError('BLOCKED_ADDRESS', 'The URL points to a private or loopback address');
+  if (!isAllowedHost(hostname)) {
+    throw blocked();
+  }
+  const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw blocked();
+  }
+}
+
+/**
+ * Validate a webhook
+ * @param {Object} input - { url, events, enabled }
+ * @returns {Object} - Normalized webhook fields
+ */
+function normalizeWebhook(input) {
+  const { url, events, enabled = true } = input || {};
+
+  let parsed;
+  try {
+    parsed = new URL(typeof url === 'string' ? url.trim() : '');
+  } catch {
+    throw webhookError('INVALID_WEBHOOK', 'URL must be an absolute http:// or https:// URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.href.length > MAX_URL_LENGTH) {
+    throw webhookError('INVALID_WEBHOOK', `URL must be an http:// or https:// URL of at most ${MAX_URL_LENGTH} characters`);
+  }
+  if (!isAllowedHost(parsed.hostname)) {
+    throw webhookError('INVALID_WEBHOOK', 'URL must point to a public host, not a private or loopback address');
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw webhookError('INVALID_WEBHOOK', `Events must be one or more of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (typeof enabled !== 'boolean') {
+    throw webhookError('INVALID_WEBHOOK', 'Enabled must be true or false');
+  }
+
+  return {
+    url: parsed.href,
+    events: WEBHOOK_EVENTS.filter(event => events.includes(event)),
+    enabled
+  };
+}
+
+/**
+ * Generate a secret for signing a webhook's payloads
+ * @returns {string} - 64 hex characters
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Get a workspace's webhooks
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Webhooks, oldest first
+ */
+async function listWebhooks(workspaceId) {
+  return getStorage().webhooks.listByWorkspace(workspaceId);
+}
+
+/**
+ * Register a webhook with a new signing secret
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} author - Member registering it ({ userId })
+ * @param {Object} input - { url, events, enabled }
+ * @returns {Promise<Object>} - Created webhook
+ */
+async function createWebhook(workspaceId, author, input) {
+  const storage = getStorage();
+  const fields = normalizeWebhook(input);
+  if ((await storage.webhooks.listByWorkspace(workspaceId)).length >= MAX_WEBHOOKS_PER_WORKSPACE) {
+    throw webhookError('INVALID_WEBHOOK', `A workspace can have at most ${MAX_WEBHOOKS_PER_WORKSPACE} webhooks`);
+  }
+  return storage.webhooks.create({
+    id: crypto.randomUUID(),
+    workspaceId,
+    ...fields,
+    secret: generateSecret(),
+    createdBy: author.userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Get a webhook, or fail with WEBHOOK_NOT_FOUND
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} - Webhook
+ */
+async function getWebhook(workspaceId, webhookId) {
+  const webhook = await getStorage().webhooks.findById(workspaceId, webhookId);
+  if (!webhook) {
+    throw webhookError('WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+  return webhook;
+}
+
+/**
+ * Change a webhook's URL, events or enabled flag, and optionally replace its secret.
+ * Deliveries already queued keep going to the webhook's current URL.
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} input - { url, events, enabled, rotateSecret }; fields left out keep their value
+ * @returns {Promise<Object>} - Updated webhook
+ */
+async function updateWebhook(workspaceId, webhookId, input) {
+  const storage = getStorage();
+  const webhook = await getWebhook(workspaceId, webhookId);
+  const fields = normalizeWebhook({
+    url: input.url !== undefined ? input.url : webhook.url,
+    events: input.events !== undefined ? input.events : webhook.events,
+    enabled: input.enabled !== undefined ? input.enabled : webhook.enabled
+  });
+
+  const updated = await storage.webhooks.update({ id: webhookId, workspaceId, ...fields });
+  if (input.rotateSecret === true) {
+    return storage.webhooks.setSecret(workspaceId, webhookId, generateSecret());
+  }
+  return updated;
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+async function deleteWebhook(workspaceId, webhookId) {
+  if (!await getStorage().webhooks.delete(workspaceId, webhookId)) {
+    throw webhookError('WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+}
+
+/**
+ * Get a webhook's latest deliveries
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Array<Object>>} - Deliveries, newest first
+ */
+async function listDeliveries(workspaceId, webhookId) {
+  await getWebhook(workspaceId, webhookId);
+  return getStorage().webhooks.listDeliveries(webhookId, DELIVERY_LOG_LIMIT);
+}
+
+/**
+ * Queue a delivery of an event to each of the given webhooks
+ * @param {Array<Object>} webhooks - Webhooks
+ * @param {string} event - Event type
+ * @param {Object} payload - { workspaceId, accountId, data }
+ * @returns {Promise<Array<string>>} - IDs of the queued deliveries
+ */
+async function queueDeliveries(webhooks, event, { workspaceId, accountId, data }) {
+  const createdAt = new Date().toISOString();
+  const deliveries = webhooks.map(webhook => {
+    const id = crypto.randomUUID();
+    // The delivery ID doubles as an idempotency key for receivers, since a retry can repeat a delivery
+    // the receiver processed but didn't acknowledge in time
+    const payload = JSON.stringify({ id, event, workspaceId, accountId, timestamp: createdAt, data });
+    return { id, webhookId: webhook.id, event, payload, createdAt };
+  });
+  if (deliveries.length > 0) {
+    await getStorage().webhooks.createDeliveries(deliveries);
+  }
+  return deliveries.map(delivery => delivery.id);
+}
+
+/**
+ * Queue a live event for the enabled webhooks of the account's workspace that subscribe to it.
+ * Only incoming messages are delivered; messages sent from this account are left out.
+ * @param {Object} account - WhatsApp account the event is about
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload, as sent to live subscribers
+ * @returns {Promise<void>}
+ */
+async function queueEvent(account, type, data) {
+  if (!WEBHOOK_EVENTS.includes(type) || (type === 'message' && data.sender !== 'them')) {
+    return;
+  }
+  const webhooks = (await getStorage().webhooks.listByWorkspace(account.workspaceId, { enabledOnly: true }))
+    .filter(webhook => webhook.events.includes(type));
+  await queueDeliveries(webhooks, type, { workspaceId: account.workspaceId, accountId: account.id, data });
+}
+
+/**
+ * Queue a ping to a webhook, whether it's enabled or not, so the receiver can be checked
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} - Queued delivery
+ */
+async function sendTestEvent(workspaceId, webhookId) {
+  const webhook = await getWebhook(workspaceId, webhookId);
+  const [deliveryId] = await queueDeliveries([webhook], 'ping', {
+    workspaceId,
+    accountId: null,
+    data: { message: 'Test delivery' }
+  });
+  return getStorage().webhooks.findDelivery(deliveryId);
+}
+
+/**
+ * Sign a payload: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret. Receivers recompute
+ * it to check the payload came from this server, and reject old timestamps to stop replays.
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header (epoch seconds)
+ * @param {string} body - Request body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Describe why a delivery attempt failed, by kind only: the log is shown to admins, and details
+ * like response bodies or error messages of the receiver's host aren't theirs to read
+ * @param {Error} error - Error of the attempt
+ * @returns {string} - Short error description
+ */
+function describeDeliveryError(error) {
+  if (error.name === 'TimeoutError') {
+    return `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`;
+  }
+  if (error.code === 'BLOCKED_ADDRESS') {
+    return error.message;
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+    return "The host name couldn't be resolved";
+  }
+  return code ? `Connection failed (${code})` : 'Connection failed';
+}
+
+/**
+ * Attempt a delivery once and record the outcome. Any 2xx response counts as accepted; anything else,
+ * a timeout or a network error schedules a retry until the attempts run out. Only the response status
+ * is kept, never the body.
+ * @param {Object} delivery - Due delivery, with its webhook's URL and secret
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery) {
+  const webhookRepository = getStorage().webhooks;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let failure;
+  try {
+    await checkTarget(delivery.url);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WhatsApp-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (response.ok) {
+      await webhookRepository.markSucceeded(delivery.id, response.status);
+      return;
+    }
+    if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+    failure = { responseStatus: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    failure = { error: describeDeliveryError(error) };
+  }
+
+  const attempts = delivery.attempts + 1;
+  const nextAttemptAt = attempts < MAX_ATTEMPTS
+    ? new Date(Date.now() + RETRY_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+    : null;
+  await webhookRepository.markAttemptFailed(delivery.id, { ...failure, nextAttemptAt });
+}
+
+/**
+ * Attempt a webhook's due deliveries one after the other, in the order they were queued
+ * @param {string} webhookId - Webhook ID
+ * @param {Array<Object>} deliveries - Its due deliveries
+ * @returns {Promise<void>}
+ */
+async function sendDeliveries(webhookId, deliveries) {
+  sendingWebhooks.add(webhookId);
+  try {
+    for (const delivery of deliveries) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error(`Error delivering to webhook ${webhookId}:`, error);
+  } finally {
+    sendingWebhooks.delete(webhookId);
+  }
+}
+
+/**
+ * Work through due webhook deliveries: each webhook's in order, different webhooks at the same time.
+ * The queue lives in the database, so pending deliveries and their retries carry on after a restart.
+ */
+function startWebhookDelivery() {
+  if (deliveryTimer) {
+    return;
+  }
+  deliveryTimer = setInterval(async () => {
+    if (isChecking) {
+      return;
+    }
+    isChecking = true;
+    try {
+      const storage = getStorage();
+      const byWebhook = new Map();
+      for (const delivery of await storage.webhooks.listDue(new Date().toISOString(), DELIVERIES_PER_CHECK)) {
+        if (!sendingWebhooks.has(delivery.webhookId)) {
+          byWebhook.set(delivery.webhookId, [...(byWebhook.get(delivery.webhookId) || []), delivery]);
+        }
+      }
+      for (const [webhookId, deliveries] of byWebhook) {
+        if (sendingWebhooks.size >= MAX_CONCURRENT_WEBHOOKS) {
+          break;
+        }
+        sendDeliveries(webhookId, deliveries);
+      }
+      if (Date.now() - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+        lastPrunedAt = Date.now();
+        await storage.webhooks.deleteCompletedBefore(new Date(Date.now() - DELIVERY_LOG_RETENTION_MS).toISOString());
+      }
+    } catch (error) {
+      console.error('Error delivering webhooks:', error);
+    } finally {
+      isChecking = false;
+    }
+  }, DELIVERY_CHECK_INTERVAL_MS);
+  deliveryTimer.unref();
+}
+
+/**
+ * Transform a webhook to API format. Includes the secret, so only admins get it.
+ * @param {Object} webhook - Webhook
+ * @returns {Object} - Formatted webhook
+ */
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    enabled: webhook.enabled,
+    secret: webhook.secret,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+/**
+ * Transform a delivery to API format
+ * @param {Object} delivery - Delivery
+ * @returns {Object} - Formatted delivery
+ */
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    // pending (retries left), succeeded or failed (gave up)
+    status: delivery.status,
+    attempts: delivery.attempts,
+    // null once finished
+    nextAttemptAt: delivery.nextAttemptAt,
+    responseStatus: delivery.responseStatus,
+    error: delivery.error,
+    payload: JSON.parse(delivery.payload),
+    createdAt: delivery.createdAt,
+    completedAt: delivery.completedAt
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  queueEvent,
+  sendTestEvent,
+  startWebhookDelivery,
+  isAllowedHost,
+  signPayload,
+  formatWebhook,
+  formatDelivery
+};
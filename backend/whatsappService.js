@@ -1,32 +1,522 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const path = require('path');
 const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const { getStorage } = require('./storage');
+const mediaService = require('./mediaService');
+const assignmentService = require('./assignmentService');
+const conversationService = require('./conversationService');
+const contactFieldService = require('./contactFieldService');
+const tagService = require('./tagService');
+const campaignService = require('./campaignService');
+const autoReplyService = require('./autoReplyService');
+const businessHoursService = require('./businessHoursService');
+const webhookService = require('./webhookService');
 
 // Store active clients and QR codes
 const activeClients = new Map();
 const qrCodes = new Map();
+const pairingCodes = new Map(); // Current pairing code per account: { code, expiresAt }
+const pairingNumbers = new Map(); // Phone number of clients started for pairing-code login, keyed by account ID
 const connectionStatus = new Map();
 const initializingClients = new Map(); // Track clients being initialized
+const reconnectAttempts = new Map(); // Consecutive failed reconnects, keyed by account ID
+const reconnectTimers = new Map(); // Pending reconnects, keyed by account ID
+const watchdogTimers = new Map(); // Health check intervals for connected clients, keyed by account ID
+const backfillJobs = new Map(); // Track running message backfill jobs
+const exhaustedHistory = new Set(); // `${accountId}:${chatId}` for chats whose full history is archived
+const mediaDownloads = new Map(); // In-flight media downloads, keyed by `${accountId}:${messageId}`
+const chatSyncs = new Map(); // Running chat summary syncs, keyed by account ID
+const avatarRequests = new Map(); // In-flight profile picture lookups, keyed by `${accountId}:${chatId}`
+
+// How many recent messages per chat the backfill job copies into the local archive
+const BACKFILL_MESSAGE_LIMIT = 100;
+// How much of a chat's WhatsApp history is fetched to tell whether a message is its first
+const FIRST_MESSAGE_LOOKBACK = 10;
+
+// Reconnect backoff: 5s, 10s, 20s ... capped at 5 minutes, then 'failed' after MAX_RECONNECT_ATTEMPTS
+const RECONNECT_BASE_DELAY_MS = 5000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Connected clients are probed with getState(); a crashed or hung browser fails the probe
+const WATCHDOG_INTERVAL_MS = 60 * 1000;
+const WATCHDOG_TIMEOUT_MS = 15 * 1000;
+const WATCHDOG_MAX_FAILURES = 2;
+
+// WhatsApp issues a new pairing code this often; each code is only valid until the next one
+const PAIRING_CODE_INTERVAL_MS = 3 * 60 * 1000;
+// How long to wait for the first pairing code after starting a client
+const PAIRING_CODE_TIMEOUT_MS = 60 * 1000;
+
+// 'disconnected' reasons that mean the session was revoked and a new QR scan is needed
+const LOGGED_OUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+
+// How long a cached profile picture URL is used before asking WhatsApp again
+const AVATAR_TTL_MS = 24 * 60 * 60 * 1000;
+const AVATAR_TIMEOUT_MS = 5000;
+
+// Per-workspace event bus for pushing live updates (messages, acks, QR, status) to subscribers.
+// Events of all of a workspace's accounts go to the same channel, tagged with the account ID.
+const clientEvents = new EventEmitter();
+clientEvents.setMaxListeners(0);
+
+/**
+ * Emit a live event for an account to its workspace's subscribers, and queue it for the
+ * workspace's webhooks that subscribe to it
+ * @param {Object} account - WhatsApp account
+ * @param {string} type - Event type (message, message_ack, qr, pairing_code, status, chats, chat_read, assignment,
+ *   conversation_status, note, note_deleted, contact_fields, tags, scheduled_message, scheduled_message_deleted, campaign)
+ * @param {Object} data - Event payload
+ */
+function emitEvent(account, type, data) {
+  clientEvents.emit(account.workspaceId, { type, data: { ...data, accountId: account.id } });
+  webhookService.queueEvent(account, type, data).catch(error => {
+    console.error(`Error queueing ${type} webhooks for account ${account.id}:`, error);
+  });
+}
+
+/**
+ * Subscribe to live events for all of a workspace's accounts
+ * @param {string} workspaceId - Workspace ID
+ * @param {Function} listener - Called with { type, data } for every event; data.accountId names the account
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(workspaceId, listener) {
+  clientEvents.on(workspaceId, listener);
+  return () => clientEvents.off(workspaceId, listener);
+}
+
+/**
+ * Update connection status for an account and notify subscribers.
+ * Statuses: initializing -> qr_ready (or code_ready for pairing-code login) -> authenticated -> connected, then
+ * reconnecting (backing off) and finally logged_out (needs a new QR scan) or
+ * failed (gave up; a manual restore starts over). not_initialized means no client.
+ * @param {Object} account - WhatsApp account
+ * @param {string} status - New connection status
+ * @param {Object} [details] - Extra fields for the status event (e.g. reconnect attempt)
+ */
+function setConnectionStatus(account, status, details = {}) {
+  connectionStatus.set(account.id, status);
+  emitEvent(account, 'status', { status, connected: status === 'connected', ...details });
+}
+
+/**
+ * Map a whatsapp-web.js ack value to a UI message status
+ * @param {number} ack - Message ack value
+ * @returns {string} - 'read', 'delivered' or 'sent'
+ */
+function ackToStatus(ack) {
+  return ack >= 3 ? 'read' : ack === 2 ? 'delivered' : 'sent';
+}
+
+/**
+ * Extract the fields kept in the local message archive from a whatsapp-web.js message
+ * @param {Object} msg - whatsapp-web.js Message
+ * @returns {Object} - Stored message
+ */
+function toStoredMessage(msg) {
+  return {
+    id: msg.id._serialized,
+    chatId: msg.fromMe ? msg.to : msg.from,
+    fromMe: msg.fromMe,
+    author: msg.author || null,
+    body: msg.body || '',
+    type: msg.type,
+    timestamp: msg.timestamp,
+    ack: msg.ack,
+    hasMedia: msg.hasMedia || false,
+    mediaMimetype: (msg._data && msg._data.mimetype) || null,
+    mediaFilename: (msg._data && msg._data.filename) || null,
+    mediaSize: (msg._data && msg._data.size) || null,
+    mediaDuration: msg.duration ? Number(msg.duration) : null
+  };
+}
+
+/**
+ * Build the API path that serves a message's media
+ * @param {Object} account - WhatsApp account
+ * @param {string} messageId - Serialized message ID
+ * @returns {string} - Media URL path
+ */
+function getMediaUrl(account, messageId) {
+  return `/api/whatsapp/media/${encodeURIComponent(account.workspaceId)}/${encodeURIComponent(messageId)}?accountId=${encodeURIComponent(account.id)}`;
+}
+
+/**
+ * Transform a stored message to UI format
+ * @param {Object} message - Stored message (see toStoredMessage)
+ * @param {Object} account - WhatsApp account (used to build media URLs)
+ * @returns {Object} - Formatted message
+ */
+function formatMessage(message, account) {
+  const isFromMe = message.fromMe;
+
+  const formatted = {
+    id: message.id,
+    chatId: message.chatId,
+    // For media messages the body is the (optional) caption
+    text: message.hasMedia ? message.body || '' : message.body || `[${message.type}]`,
+    // Epoch milliseconds - the UI formats it in the viewer's locale and time zone
+    timestamp: message.timestamp * 1000,
+    sender: isFromMe ? 'me' : 'them',
+    status: isFromMe ? ackToStatus(message.ack) : undefined,
+    type: message.type
+  };
+
+  if (message.hasMedia) {
+    formatted.media = {
+      url: getMediaUrl(account, message.id),
+      mimetype: message.mediaMimetype || null,
+      filename: message.mediaFilename || null,
+      size: message.mediaSize || null,
+      duration: message.mediaDuration || null
+    };
+  }
+
+  return formatted;
+}
+
+/**
+ * Extract a chat list summary from a whatsapp-web.js chat.
+ * Only uses data already on the chat object - no extra browser round-trips.
+ * @param {Object} chat - whatsapp-web.js Chat
+ * @returns {Object} - Chat summary
+ */
+function toChatSummary(chat) {
+  return {
+    id: chat.id._serialized,
+    name: chat.name || null,
+    phoneNumber: chat.id.user || '',
+    isGroup: chat.isGroup || false,
+    isReadOnly: chat.isReadOnly || false,
+    unread: chat.unreadCount || 0,
+    timestamp: chat.timestamp || null,
+    lastMessage: chat.lastMessage ? toStoredMessage(chat.lastMessage) : null
+  };
+}
+
+/**
+ * Get the chat list preview text for a message
+ * @param {Object} message - Stored message
+ * @returns {string} - Preview text
+ */
+function describeMessage(message) {
+  switch (message.type) {
+    case 'image':
+      return message.body || '📷 Image';
+    case 'video':
+      return message.body || '🎥 Video';
+    case 'audio':
+    case 'ptt':
+      return '🎵 Audio';
+    case 'document':
+      return `📄 ${message.body || 'Document'}`;
+    case 'sticker':
+      return '🎨 Sticker';
+    default:
+      return message.body || `[${message.type}]`;
+  }
+}
+
+/**
+ * Transform a cached chat summary to UI format
+ * @param {Object} summary - Chat summary from the chat repository
+ * @param {Object} account - WhatsApp account (used to build media URLs)
+ * @param {Object|null} conversation - The chat's conversation state (assignee, status, contact fields), if any
+ * @returns {Object} - Formatted chat
+ */
+function formatChatSummary(summary, account, conversation) {
+  const lastMessage = summary.lastMessage;
+  const { status, snoozedUntil } = conversationService.formatStatus(conversation);
+  return {
+    id: summary.id,
+    // Chat IDs are only unique per account - the unified inbox lists chats of several accounts
+    accountId: account.id,
+    accountName: account.name,
+    name: summary.name || summary.phoneNumber || 'Unknown',
+    phoneNumber: summary.phoneNumber || '',
+    // Only set once the avatar has been looked up; the UI requests it when the row is visible
+    avatar: summary.avatarUrl || null,
+    lastMessage: lastMessage ? describeMessage(lastMessage) : '',
+    lastMessageType: lastMessage ? lastMessage.type : null,
+    // Served by the media endpoint, so previews are only downloaded when the UI asks for them
+    lastMessageImage: lastMessage && lastMessage.type === 'image' && lastMessage.hasMedia
+      ? getMediaUrl(account, lastMessage.id)
+      : null,
+    // Epoch milliseconds of the last activity, or null for chats without messages
+    timestamp: summary.timestamp ? summary.timestamp * 1000 : null,
+    unread: summary.unread,
+    isGroup: summary.isGroup,
+    isReadOnly: summary.isReadOnly,
+    // Team member handling the conversation ({ id, name }), or null
+    assignee: assignmentService.formatAssignee(conversation),
+    // Workflow status (open, pending, snoozed, resolved); status alone would clash with presence in the UI
+    conversationStatus: status,
+    snoozedUntil,
+    // Custom fields about the contact, by name, for snippet placeholders
+    contactFields: contactFieldService.formatContactFields(conversation),
+    tags: tagService.formatTags(conversation)
+  };
+}
+
+/**
+ * Refresh the cached chat summaries from a connected client.
+ * Concurrent calls for the same account share one sync.
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ * @returns {Promise<void>}
+ */
+function syncChatSummaries(account, client) {
+  if (chatSyncs.has(account.id)) {
+    return chatSyncs.get(account.id);
+  }
+
+  const job = (async () => {
+    try {
+      const chats = await client.getChats();
+      await getStorage().chats.replaceAll(account.id, chats.map(toChatSummary));
+      console.log(`Synced ${chats.length} chat summaries for account ${account.id}`);
+      emitEvent(account, 'chats', { count: chats.length });
+    } finally {
+      chatSyncs.delete(account.id);
+    }
+  })();
+
+  chatSyncs.set(account.id, job);
+  return job;
+}
+
+/**
+ * Copy a chat's recent history from WhatsApp into the local archive
+ * @param {Object} account - WhatsApp account
+ * @param {Object} chat - whatsapp-web.js Chat
+ * @returns {Promise<number>} - Number of messages stored
+ */
+async function backfillChat(account, chat) {
+  const messages = await chat.fetchMessages({ limit: BACKFILL_MESSAGE_LIMIT });
+  await getStorage().messages.upsertMany(account.id, messages.map(toStoredMessage));
+  return messages.length;
+}
+
+/**
+ * Backfill the local archive for every chat of a connected client.
+ * Chats are processed one at a time so the browser isn't overwhelmed.
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ * @returns {Promise<void>}
+ */
+function backfillMessages(account, client) {
+  if (backfillJobs.has(account.id)) {
+    return backfillJobs.get(account.id);
+  }
+
+  const job = (async () => {
+    try {
+      const chats = await client.getChats();
+      let stored = 0;
+      for (const chat of chats) {
+        // Stop if the client went away mid-run
+        if (activeClients.get(account.id) !== client) {
+          return;
+        }
+        try {
+          stored += await backfillChat(account, chat);
+        } catch (error) {
+          console.error(`Error backfilling chat ${chat.id._serialized} for account ${account.id}:`, error.message || error);
+        }
+      }
+      console.log(`Message backfill finished for account ${account.id}: ${stored} messages across ${chats.length} chats`);
+    } catch (error) {
+      console.error(`Error running message backfill for account ${account.id}:`, error);
+    } finally {
+      backfillJobs.delete(account.id);
+    }
+  })();
+
+  backfillJobs.set(account.id, job);
+  return job;
+}
+
+/**
+ * Make a check of whether an incoming message is the first of its chat, looked up once and only when
+ * asked. WhatsApp's own history decides: the local archive only fills through the backfill after a
+ * connect, so on a newly linked number every existing customer would count as new.
+ * @param {Object} account - WhatsApp account
+ * @param {Message} msg - whatsapp-web.js message
+ * @returns {Function} - Resolves true if the chat has no message before this one
+ */
+function createFirstMessageCheck(account, msg) {
+  let result = null;
+  return () => {
+    if (!result) {
+      result = (async () => {
+        try {
+          const chat = await msg.getChat();
+          const messages = await chat.fetchMessages({ limit: FIRST_MESSAGE_LOOKBACK });
+          // Automatic replies may already follow the message, so look for anything before it.
+          // A full page means older history may not have been fetched.
+          const index = messages.findIndex(item => item.id._serialized === msg.id._serialized);
+          return index === 0 && messages.length < FIRST_MESSAGE_LOOKBACK;
+        } catch (error) {
+          // Better to skip a greeting than to greet an existing customer
+          console.error(`Error checking chat history for account ${account.id}:`, error.message || error);
+          return false;
+        }
+      })();
+    }
+    return result;
+  };
+}
+
+/**
+ * Run the workspace's auto-reply rules on an incoming message and carry out what fired
+ * @param {Object} account - WhatsApp account
+ * @param {Object} stored - Stored message
+ * @param {Function} isFirstMessage - Resolves whether this is the chat's first message
+ * @returns {Promise<void>}
+ */
+async function runAutoReplyRules(account, stored, isFirstMessage) {
+  const result = await autoReplyService.applyRules(account, stored, isFirstMessage);
+  if (!result) {
+    return;
+  }
+  if (result.tagged) {
+    emitEvent(account, 'tags', { chatId: stored.chatId, tags: tagService.formatTags(result.tagged) });
+  }
+  if (result.assigned) {
+    emitEvent(account, 'assignment', {
+      chatId: stored.chatId,
+      assignee: assignmentService.formatAssignee(result.assigned)
+    });
+  }
+  if (result.reply) {
+    // Sent like any other message, so it shows up through message_create
+    await sendMessage(account, stored.chatId, result.reply);
+  }
+}
+
+/**
+ * Forward message and ack events from a client to the workspace's subscribers
+ * and keep the local message archive in sync. An incoming message reopens a chat that isn't open,
+ * unassigned chats are routed to an agent when the workspace has routing turned on,
+ * new contacts get the account's greeting, messages outside business hours get its away message,
+ * and the workspace's auto-reply rules run on it; status updates and broadcast lists get none of this.
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ */
+function attachMessageEvents(account, client) {
+  // message_create fires for both incoming and outgoing messages
+  client.on('message_create', async (msg) => {
+    try {
+      const stored = toStoredMessage(msg);
+      const contactName = msg.fromMe ? null : (msg._data && msg._data.notifyName) || null;
+      emitEvent(account, 'message', {
+        ...formatMessage(stored, account),
+        contactName,
+        chatPreview: describeMessage(stored)
+      });
+      await getStorage().messages.upsertMany(account.id, [stored]);
+      await getStorage().chats.recordMessage(account.id, stored, {
+        // In groups the sender's name isn't the chat's name
+        name: stored.chatId.endsWith('@g.us') ? null : contactName,
+        incrementUnread: !msg.fromMe
+      });
+      // Status updates and broadcast lists (@broadcast) aren't conversations, so they're never reopened,
+      // routed or answered. Group chats (@g.us) are: the team replies in them like in any other chat.
+      if (!msg.fromMe && !stored.chatId.endsWith('@broadcast')) {
+        const reopened = await conversationService.reopenOnMessage(account, stored.chatId);
+        if (reopened) {
+          emitEvent(account, 'conversation_status', {
+            chatId: stored.chatId,
+            ...conversationService.formatStatus(reopened)
+          });
+        }
+        const conversation = await assignmentService.routeConversation(account, stored.chatId);
+        if (conversation) {
+          emitEvent(account, 'assignment', {
+            chatId: stored.chatId,
+            assignee: assignmentService.formatAssignee(conversation)
+          });
+        }
+        const isFirstMessage = createFirstMessageCheck(account, msg);
+        for (const reply of await businessHoursService.getAutomaticReplies(account, stored, isFirstMessage)) {
+          await sendMessage(account, stored.chatId, reply);
+        }
+        await runAutoReplyRules(account, stored, isFirstMessage);
+      }
+    } catch (error) {
+      console.error(`Error handling new message for account ${account.id}:`, error);
+    }
+  });
+
+  client.on('message_ack', async (msg, ack) => {
+    try {
+      await getStorage().messages.updateAck(account.id, msg.id._serialized, ack);
+    } catch (error) {
+      console.error(`Error storing ack for account ${account.id}:`, error);
+    }
+    emitEvent(account, 'message_ack', {
+      id: msg.id._serialized,
+      chatId: msg.fromMe ? msg.to : msg.from,
+      status: ackToStatus(ack)
+    });
+
+    // Delivery reports of broadcast campaigns
+    if (msg.fromMe) {
+      try {
+        const update = await campaignService.recordAck(account, msg.id._serialized, ackToStatus(ack));
+        if (update) {
+          emitEvent(account, 'campaign', {
+            campaign: campaignService.formatCampaign(update.campaign),
+            recipient: campaignService.formatRecipient(update.recipient)
+          });
+        }
+      } catch (error) {
+        console.error(`Error recording campaign ack for account ${account.id}:`, error);
+      }
+    }
+  });
+
+  // Refresh the chat list and catch the archive up on anything that arrived while the client was offline
+  client.on('ready', async () => {
+    try {
+      await syncChatSummaries(account, client);
+    } catch (error) {
+      console.error(`Error syncing chats for account ${account.id}:`, error);
+    }
+    backfillMessages(account, client);
+  });
+}
 
 /**
- * Check if WhatsApp session files exist for a user
- * @param {string} userId - User ID
+ * Get the directory that holds an account's WhatsApp session (data/<accountId>)
+ * @param {Object} account - WhatsApp account
+ * @returns {string} - Session directory
+ */
+function getSessionDir(account) {
+  return path.join(__dirname, 'data', path.basename(account.id));
+}
+
+/**
+ * Check if WhatsApp session files exist for an account
+ * @param {Object} account - WhatsApp account
  * @returns {Promise<boolean>} - True if session files exist
  */
-async function hasSessionFiles(userId) {
+async function hasSessionFiles(account) {
   try {
-    const userDataDir = path.join(__dirname, 'data', userId);
+    const sessionDir = getSessionDir(account);
     
     // Check if directory exists
     try {
-      await fs.access(userDataDir);
+      await fs.access(sessionDir);
     } catch {
       return false;
     }
 
     // Check for session files (LocalAuth stores in .wwebjs_auth folder)
-    const authDir = path.join(userDataDir, '.wwebjs_auth');
+    const authDir = path.join(sessionDir, '.wwebjs_auth');
     try {
       const files = await fs.readdir(authDir);
       // Check if there are any session files
@@ -35,53 +525,359 @@ async function hasSessionFiles(userId) {
       return false;
     }
   } catch (error) {
-    console.error(`Error checking session files for user ${userId}:`, error);
+    console.error(`Error checking session files for account ${account.id}:`, error);
     return false;
   }
 }
 
 /**
- * Restore/load existing WhatsApp session for a user
- * @param {string} userId - User ID
- * @returns {Promise<Object>} - Connection status
+ * Create a whatsapp-web.js client that stores its session under the account's session directory
+ * @param {string} sessionDir - Session directory
+ * @param {string|null} pairingPhoneNumber - Log in with a pairing code for this number instead of a QR code
+ * @returns {Client} - Client instance
+ */
+function createClient(sessionDir, pairingPhoneNumber) {
+  return new Client({
+    authStrategy: new LocalAuth({
+      dataPath: sessionDir
+    }),
+    ...(pairingPhoneNumber && {
+      pairWithPhoneNumber: {
+        phoneNumber: pairingPhoneNumber,
+        showNotification: true,
+        intervalMs: PAIRING_CODE_INTERVAL_MS
+      }
+    }),
+    puppeteer: {
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu'
+      ]
+    }
+  });
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Stop the health check for an account's client
+ * @param {Object} account - WhatsApp account
+ */
+function stopWatchdog(account) {
+  clearInterval(watchdogTimers.get(account.id));
+  watchdogTimers.delete(account.id);
+}
+
+/**
+ * Cancel a pending reconnect and reset the backoff for an account
+ * @param {Object} account - WhatsApp account
+ */
+function cancelReconnect(account) {
+  clearTimeout(reconnectTimers.get(account.id));
+  reconnectTimers.delete(account.id);
+  reconnectAttempts.delete(account.id);
+}
+
+/**
+ * Forget a client and close its browser. Errors are ignored - the browser may already be gone.
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ * @returns {Promise<void>}
  */
-async function restoreWhatsAppSession(userId) {
+async function teardownClient(account, client) {
+  // Removed first so events fired while shutting down are ignored as stale
+  if (activeClients.get(account.id) === client) {
+    activeClients.delete(account.id);
+    stopWatchdog(account);
+  }
+  qrCodes.delete(account.id);
+  pairingCodes.delete(account.id);
+  pairingNumbers.delete(account.id);
   try {
-    // Check if client already exists and is ready
-    if (activeClients.has(userId)) {
-      const existingClient = activeClients.get(userId);
-      if (existingClient.info) {
-        return {
-          success: true,
-          connected: true,
-          hasSession: true,
-          message: 'WhatsApp already connected'
-        };
+    await client.destroy();
+  } catch (error) {
+    console.error(`Error destroying client for account ${account.id}:`, error.message || error);
+  }
+}
+
+/**
+ * Retry the saved session with exponential backoff, giving up ('failed') after MAX_RECONNECT_ATTEMPTS
+ * @param {Object} account - WhatsApp account
+ */
+function scheduleReconnect(account) {
+  if (reconnectTimers.has(account.id)) {
+    return;
+  }
+
+  const attempt = (reconnectAttempts.get(account.id) || 0) + 1;
+  if (attempt > MAX_RECONNECT_ATTEMPTS) {
+    console.error(`Giving up reconnecting WhatsApp for account ${account.id} after ${MAX_RECONNECT_ATTEMPTS} attempts`);
+    reconnectAttempts.delete(account.id);
+    setConnectionStatus(account, 'failed');
+    return;
+  }
+
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+  reconnectAttempts.set(account.id, attempt);
+  setConnectionStatus(account, 'reconnecting', { attempt, retryInMs: delay });
+  console.log(`Reconnecting WhatsApp for account ${account.id} in ${delay / 1000}s (attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS})`);
+
+  const timer = setTimeout(async () => {
+    reconnectTimers.delete(account.id);
+    try {
+      await startClient(account, { interactive: false });
+    } catch (error) {
+      // startClient has already scheduled the next attempt
+      console.error(`Reconnect attempt ${attempt} failed for account ${account.id}:`, error.message || error);
+    }
+  }, delay);
+  reconnectTimers.set(account.id, timer);
+}
+
+/**
+ * Drop a client that stopped working and reconnect it with the saved session
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ * @param {string} reason - Why the client was lost (for logs)
+ */
+function handleClientLost(account, client, reason) {
+  // Ignore clients that were already replaced, torn down or disconnected on purpose
+  if (activeClients.get(account.id) !== client) {
+    return;
+  }
+  console.warn(`WhatsApp client for account ${account.id} lost: ${reason}`);
+  teardownClient(account, client);
+  scheduleReconnect(account);
+}
+
+/**
+ * Drop a client whose session was revoked - it needs a new QR scan, so no reconnect is attempted
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ * @param {string} reason - Why the session ended (for logs)
+ */
+async function handleLoggedOut(account, client, reason) {
+  if (activeClients.get(account.id) !== client) {
+    return;
+  }
+  console.warn(`WhatsApp session for account ${account.id} ended: ${reason}`);
+  cancelReconnect(account);
+  await teardownClient(account, client);
+  setConnectionStatus(account, 'logged_out');
+  try {
+    await getStorage().whatsappAccounts.setConnected(account.id, false);
+  } catch (error) {
+    console.error(`Error recording logout for account ${account.id}:`, error);
+  }
+}
+
+/**
+ * Probe a connected client periodically. A hung page or dead browser fails the probe;
+ * WATCHDOG_MAX_FAILURES failures in a row trigger a reconnect.
+ * @param {Object} account - WhatsApp account
+ * @param {Client} client - whatsapp-web.js client
+ */
+function startWatchdog(account, client) {
+  stopWatchdog(account);
+  let failures = 0;
+
+  const timer = setInterval(async () => {
+    if (activeClients.get(account.id) !== client) {
+      clearInterval(timer);
+      return;
+    }
+
+    try {
+      const state = await withTimeout(client.getState(), WATCHDOG_TIMEOUT_MS, 'Health check timed out');
+      if (state === 'UNPAIRED' || state === 'UNPAIRED_IDLE') {
+        await handleLoggedOut(account, client, `state ${state}`);
+        return;
       }
-      // If client exists but not ready, wait a bit and check again
-      if (connectionStatus.get(userId) === 'restoring' || connectionStatus.get(userId) === 'initializing') {
-        // Wait for initialization to complete
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        if (existingClient.info) {
-          return {
-            success: true,
-            connected: true,
-            hasSession: true,
-            message: 'WhatsApp session restored'
-          };
+      failures = state === 'CONNECTED' ? 0 : failures + 1;
+    } catch (error) {
+      failures++;
+      console.warn(`Health check failed for account ${account.id}:`, error.message || error);
+    }
+
+    if (failures >= WATCHDOG_MAX_FAILURES) {
+      handleClientLost(account, client, `${failures} failed health checks`);
+    }
+  }, WATCHDOG_INTERVAL_MS);
+
+  watchdogTimers.set(account.id, timer);
+}
+
+/**
+ * Create, wire up and start a client for an account.
+ * Interactive clients show a QR code (or a pairing code when pairingPhoneNumber is set) for
+ * a new login. Non-interactive clients restore the saved session; if it has expired they end
+ * up 'logged_out', and if they fail to start a reconnect is scheduled.
+ * @param {Object} account - WhatsApp account
+ * @param {Object} options - { interactive, pairingPhoneNumber }
+ * @returns {Promise<Client>} - Started client
+ */
+function startClient(account, { interactive, pairingPhoneNumber = null }) {
+  if (initializingClients.has(account.id)) {
+    return initializingClients.get(account.id);
+  }
+
+  const start = (async () => {
+    clearTimeout(reconnectTimers.get(account.id));
+    reconnectTimers.delete(account.id);
+
+    const sessionDir = getSessionDir(account);
+    await fs.mkdir(sessionDir, { recursive: true });
+
+    const client = createClient(sessionDir, pairingPhoneNumber);
+    activeClients.set(account.id, client);
+    if (pairingPhoneNumber) {
+      pairingNumbers.set(account.id, pairingPhoneNumber);
+    }
+    setConnectionStatus(account, 'initializing');
+
+    client.on('qr', async (qr) => {
+      if (activeClients.get(account.id) !== client) return;
+      if (!interactive) {
+        // WhatsApp wants a new QR scan - the saved session is no longer valid
+        await handleLoggedOut(account, client, 'saved session is no longer valid');
+        return;
+      }
+      try {
+        // Generate QR code as data URL
+        const qrDataUrl = await qrcode.toDataURL(qr);
+        qrCodes.set(account.id, qrDataUrl);
+        setConnectionStatus(account, 'qr_ready');
+        emitEvent(account, 'qr', { qrCode: qrDataUrl });
+        console.log(`QR code generated for account ${account.id}`);
+      } catch (error) {
+        console.error('Error generating QR code:', error);
+      }
+    });
+
+    // Pairing-code login: a new code arrives every PAIRING_CODE_INTERVAL_MS until the phone links
+    client.on('code', (code) => {
+      if (activeClients.get(account.id) !== client) return;
+      const pairingCode = { code, expiresAt: Date.now() + PAIRING_CODE_INTERVAL_MS };
+      pairingCodes.set(account.id, pairingCode);
+      setConnectionStatus(account, 'code_ready');
+      emitEvent(account, 'pairing_code', pairingCode);
+      console.log(`Pairing code generated for account ${account.id}`);
+    });
+
+    client.on('authenticated', () => {
+      if (activeClients.get(account.id) !== client) return;
+      console.log(`WhatsApp authenticated for account ${account.id}`);
+      setConnectionStatus(account, 'authenticated');
+    });
+
+    client.on('ready', async () => {
+      if (activeClients.get(account.id) !== client) return;
+      console.log(`WhatsApp client ready for account ${account.id}`);
+      qrCodes.delete(account.id);
+      pairingCodes.delete(account.id);
+      pairingNumbers.delete(account.id);
+      reconnectAttempts.delete(account.id);
+      setConnectionStatus(account, 'connected');
+      startWatchdog(account, client);
+      try {
+        await getStorage().whatsappAccounts.setConnected(account.id, true);
+      } catch (error) {
+        console.error(`Error recording connection for account ${account.id}:`, error);
+      }
+    });
+
+    client.on('auth_failure', (msg) => {
+      handleLoggedOut(account, client, `auth failure: ${msg}`);
+    });
+
+    client.on('disconnected', (reason) => {
+      console.log(`WhatsApp disconnected for account ${account.id}:`, reason);
+      if (LOGGED_OUT_REASONS.includes(reason)) {
+        handleLoggedOut(account, client, `disconnected (${reason})`);
+      } else if (interactive && !client.info) {
+        // Never finished the first login (e.g. the QR code was never scanned) - nothing to reconnect to
+        if (activeClients.get(account.id) !== client) return;
+        teardownClient(account, client);
+        setConnectionStatus(account, 'failed');
+      } else {
+        handleClientLost(account, client, `disconnected (${reason})`);
+      }
+    });
+
+    attachMessageEvents(account, client);
+
+    try {
+      await client.initialize();
+    } catch (error) {
+      console.error(`Error starting WhatsApp client for account ${account.id}:`, error);
+      if (activeClients.get(account.id) === client) {
+        await teardownClient(account, client);
+        if (interactive) {
+          setConnectionStatus(account, 'failed');
+        } else {
+          scheduleReconnect(account);
         }
       }
+      throw error;
+    }
+
+    // Puppeteer crashes don't always surface as a 'disconnected' event
+    if (client.pupBrowser) {
+      client.pupBrowser.on('disconnected', () => handleClientLost(account, client, 'browser closed'));
+    }
+    if (client.pupPage) {
+      client.pupPage.on('error', (error) => handleClientLost(account, client, `page crashed: ${error.message}`));
     }
 
-    // Check if already initializing
-    if (initializingClients.has(userId)) {
-      // Wait for existing initialization
-      const initPromise = initializingClients.get(userId);
-      return await initPromise;
+    return client;
+  })();
+
+  initializingClients.set(account.id, start);
+  start.then(
+    () => initializingClients.delete(account.id),
+    () => initializingClients.delete(account.id)
+  );
+  return start;
+}
+
+/**
+ * Restore/load existing WhatsApp session for an account
+ * @param {Object} account - WhatsApp account
+ * @returns {Promise<Object>} - Connection status
+ */
+async function restoreWhatsAppSession(account) {
+  try {
+    const existingClient = activeClients.get(account.id);
+    if (existingClient && existingClient.info) {
+      return {
+        success: true,
+        connected: true,
+        hasSession: true,
+        message: 'WhatsApp already connected'
+      };
     }
 
     // Check if session files exist
-    const hasSession = await hasSessionFiles(userId);
+    const hasSession = await hasSessionFiles(account);
     
     if (!hasSession) {
       return {
@@ -92,112 +888,62 @@ async function restoreWhatsAppSession(userId) {
       };
     }
 
-    // Mark as initializing
-    const initPromise = (async () => {
-      try {
-        // Create user data directory
-        const userDataDir = path.join(__dirname, 'data', userId);
-        await fs.mkdir(userDataDir, { recursive: true });
-
-        // Create client with LocalAuth pointing to user's directory
-        const client = new Client({
-          authStrategy: new LocalAuth({
-            dataPath: userDataDir
-          }),
-          puppeteer: {
-            headless: true,
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--no-first-run',
-              '--no-zygote',
-              '--disable-gpu'
-            ]
-          }
-        });
-
-        // Store client
-        activeClients.set(userId, client);
-        connectionStatus.set(userId, 'restoring');
-
-        // Set up event handlers
-        client.on('ready', () => {
-          console.log(`WhatsApp client restored and ready for user ${userId}`);
-          connectionStatus.set(userId, 'connected');
-          // Emit event to update user data (will be handled by the endpoint)
-        });
-
-        client.on('authenticated', () => {
-          console.log(`WhatsApp authenticated for user ${userId}`);
-          connectionStatus.set(userId, 'authenticated');
-        });
-
-        client.on('auth_failure', (msg) => {
-          console.error(`WhatsApp auth failure for user ${userId}:`, msg);
-          connectionStatus.set(userId, 'auth_failure');
-          activeClients.delete(userId);
-        });
-
-        client.on('disconnected', (reason) => {
-          console.log(`WhatsApp disconnected for user ${userId}:`, reason);
-          connectionStatus.set(userId, 'disconnected');
-          activeClients.delete(userId);
-        });
-
-        // Initialize client (will use existing session if available)
-        await client.initialize();
-
-        // Wait a bit to see if it connects automatically
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Check if connected
-        if (client.info) {
-          connectionStatus.set(userId, 'connected');
-          return {
-            success: true,
-            connected: true,
-            hasSession: true,
-            message: 'WhatsApp session restored successfully'
-          };
-        }
+    // Starts a new client unless one is already starting. A pending reconnect runs
+    // now instead of waiting out its backoff, and a 'failed' session gets a fresh set of attempts.
+    if (!existingClient) {
+      cancelReconnect(account);
+    }
+    const client = existingClient || await startClient(account, { interactive: false });
 
-        return {
-          success: true,
-          connected: false,
-          hasSession: true,
-          message: 'Session files found but not connected yet'
-        };
-      } catch (error) {
-        console.error(`Error restoring WhatsApp session for user ${userId}:`, error);
-        activeClients.delete(userId);
-        connectionStatus.delete(userId);
-        throw error;
-      } finally {
-        initializingClients.delete(userId);
-      }
-    })();
+    // Wait a bit to see if it connects automatically
+    if (!client.info) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
 
-    initializingClients.set(userId, initPromise);
-    return await initPromise;
+    return {
+      success: true,
+      connected: !!client.info,
+      hasSession: true,
+      status: getConnectionStatus(account),
+      message: client.info ? 'WhatsApp session restored successfully' : 'Session files found but not connected yet'
+    };
   } catch (error) {
-    console.error(`Error restoring WhatsApp session for user ${userId}:`, error);
-    initializingClients.delete(userId);
+    console.error(`Error restoring WhatsApp session for account ${account.id}:`, error);
     throw error;
   }
 }
 
 /**
- * Initialize WhatsApp client for a user
- * @param {string} userId - User ID
+ * Restore every saved session that was connected when the server last ran.
+ * Sessions are started one at a time so a restart doesn't launch every browser at once.
+ * @returns {Promise<void>}
+ */
+async function restoreSavedSessions() {
+  const accounts = await getStorage().whatsappAccounts.listConnected();
+  for (const account of accounts) {
+    if (activeClients.has(account.id) || !(await hasSessionFiles(account))) {
+      continue;
+    }
+    try {
+      console.log(`Restoring WhatsApp session for account ${account.id}...`);
+      await startClient(account, { interactive: false });
+    } catch (error) {
+      // A reconnect has been scheduled
+      console.error(`Could not restore WhatsApp session for account ${account.id}:`, error.message || error);
+    }
+  }
+}
+
+/**
+ * Initialize WhatsApp client for an account
+ * @param {Object} account - WhatsApp account
  * @returns {Promise<Object>} - Client instance and QR code
  */
-async function initializeWhatsApp(userId) {
+async function initializeWhatsApp(account) {
   try {
     // Check if client already exists and is ready
-    if (activeClients.has(userId)) {
-      const existingClient = activeClients.get(userId);
+    const existingClient = activeClients.get(account.id);
+    if (existingClient) {
       if (existingClient.info) {
         return {
           success: true,
@@ -205,192 +951,193 @@ async function initializeWhatsApp(userId) {
           message: 'WhatsApp already connected'
         };
       }
-      // If client exists but not ready, check status
-      const status = connectionStatus.get(userId);
-      if (status === 'initializing' || status === 'restoring' || status === 'qr_ready') {
+      if (!pairingNumbers.has(account.id)) {
         return {
           success: true,
           connected: false,
           message: 'WhatsApp client is already initializing'
         };
       }
+      // Switching back from pairing-code login to QR
+      await teardownClient(account, existingClient);
     }
 
-    // Check if already initializing
-    if (initializingClients.has(userId)) {
-      // Wait for existing initialization
-      const initPromise = initializingClients.get(userId);
-      return await initPromise;
-    }
-
-    // Mark as initializing
-    const initPromise = (async () => {
-      try {
-        // Create user data directory
-        const userDataDir = path.join(__dirname, 'data', userId);
-        await fs.mkdir(userDataDir, { recursive: true });
-
-        // Create client with LocalAuth pointing to user's directory
-        const client = new Client({
-          authStrategy: new LocalAuth({
-            dataPath: userDataDir
-          }),
-          puppeteer: {
-            headless: true,
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--no-first-run',
-              '--no-zygote',
-              '--disable-gpu'
-            ]
-          }
-        });
-
-        // Store client
-        activeClients.set(userId, client);
-        connectionStatus.set(userId, 'initializing');
-
-        // Set up event handlers
-        client.on('qr', async (qr) => {
-          try {
-            // Generate QR code as data URL
-            const qrDataUrl = await qrcode.toDataURL(qr);
-            qrCodes.set(userId, qrDataUrl);
-            connectionStatus.set(userId, 'qr_ready');
-            console.log(`QR code generated for user ${userId}`);
-          } catch (error) {
-            console.error('Error generating QR code:', error);
-          }
-        });
-
-        client.on('ready', () => {
-          console.log(`WhatsApp client ready for user ${userId}`);
-          connectionStatus.set(userId, 'connected');
-          qrCodes.delete(userId);
-        });
+    // A new login replaces any pending reconnect of the old session
+    cancelReconnect(account);
+    await startClient(account, { interactive: true });
 
-        client.on('authenticated', () => {
-          console.log(`WhatsApp authenticated for user ${userId}`);
-          connectionStatus.set(userId, 'authenticated');
-        });
+    return {
+      success: true,
+      connected: false,
+      message: 'WhatsApp client initialized. Waiting for QR code...'
+    };
+  } catch (error) {
+    console.error(`Error initializing WhatsApp for account ${account.id}:`, error);
+    throw error;
+  }
+}
 
-        client.on('auth_failure', (msg) => {
-          console.error(`WhatsApp auth failure for user ${userId}:`, msg);
-          connectionStatus.set(userId, 'auth_failure');
-          activeClients.delete(userId);
-          qrCodes.delete(userId);
-        });
+/**
+ * Start a pairing-code login: instead of scanning a QR code, the user enters the
+ * returned code on the phone with the given number. Replaces any client that is
+ * waiting for a QR scan.
+ * @param {Object} account - WhatsApp account
+ * @param {string} phoneNumber - Phone number in international format, digits only
+ * @returns {Promise<Object>} - { code, expiresAt } (expiresAt in epoch milliseconds)
+ */
+async function requestPairingCode(account, phoneNumber) {
+  if (initializingClients.has(account.id)) {
+    await initializingClients.get(account.id).catch(() => {});
+  }
 
-        client.on('disconnected', (reason) => {
-          console.log(`WhatsApp disconnected for user ${userId}:`, reason);
-          connectionStatus.set(userId, 'disconnected');
-          activeClients.delete(userId);
-          qrCodes.delete(userId);
-        });
+  const existingClient = activeClients.get(account.id);
+  if (existingClient && existingClient.info) {
+    const error = new Error('WhatsApp already connected');
+    error.code = 'ALREADY_CONNECTED';
+    throw error;
+  }
 
-        // Initialize client
-        await client.initialize();
+  // Pairing mode is a client option, so a fresh client is needed for every number
+  cancelReconnect(account);
+  if (existingClient) {
+    await teardownClient(account, existingClient);
+  }
 
-        return {
-          success: true,
-          connected: false,
-          message: 'WhatsApp client initialized. Waiting for QR code...'
-        };
-      } catch (error) {
-        console.error(`Error initializing WhatsApp for user ${userId}:`, error);
-        activeClients.delete(userId);
-        qrCodes.delete(userId);
-        connectionStatus.delete(userId);
-        throw error;
-      } finally {
-        initializingClients.delete(userId);
+  // Subscribe before starting - the first code can arrive before initialize() resolves
+  let unsubscribe;
+  let timer;
+  const firstCode = new Promise((resolve, reject) => {
+    unsubscribe = subscribe(account.workspaceId, ({ type, data }) => {
+      if (data.accountId !== account.id) {
+        return;
       }
-    })();
+      if (type === 'pairing_code') {
+        resolve(data);
+      } else if (type === 'status' && (data.status === 'failed' || data.status === 'logged_out')) {
+        reject(new Error('WhatsApp client stopped before a pairing code was issued'));
+      }
+    });
+    timer = setTimeout(() => reject(new Error('Timed out waiting for a pairing code')), PAIRING_CODE_TIMEOUT_MS);
+  });
+  // May reject while startClient is still running; the error is picked up by the await below
+  firstCode.catch(() => {});
 
-    initializingClients.set(userId, initPromise);
-    return await initPromise;
+  try {
+    await startClient(account, { interactive: true, pairingPhoneNumber: phoneNumber });
+    return await firstCode;
   } catch (error) {
-    console.error(`Error initializing WhatsApp for user ${userId}:`, error);
-    initializingClients.delete(userId);
+    console.error(`Error requesting pairing code for account ${account.id}:`, error);
+    const client = activeClients.get(account.id);
+    if (client && !client.info) {
+      await teardownClient(account, client);
+      setConnectionStatus(account, 'failed');
+    }
     throw error;
+  } finally {
+    clearTimeout(timer);
+    unsubscribe();
   }
 }
 
 /**
- * Get QR code for a user
- * @param {string} userId - User ID
+ * Get QR code for an account
+ * @param {Object} account - WhatsApp account
  * @returns {string|null} - QR code data URL or null
  */
-function getQRCode(userId) {
-  return qrCodes.get(userId) || null;
+function getQRCode(account) {
+  return qrCodes.get(account.id) || null;
 }
 
 /**
- * Get connection status for a user
- * @param {string} userId - User ID
- * @returns {string} - Connection status
+ * Get the current pairing code for an account
+ * @param {Object} account - WhatsApp account
+ * @returns {Object|null} - { code, expiresAt } or null
  */
-function getConnectionStatus(userId) {
-  return connectionStatus.get(userId) || 'not_initialized';
+function getPairingCode(account) {
+  return pairingCodes.get(account.id) || null;
 }
 
 /**
- * Get WhatsApp client for a user
- * @param {string} userId - User ID
+ * Get connection status for an account
+ * @param {Object} account - WhatsApp account
+ * @returns {string} - Connection status (see setConnectionStatus)
+ */
+function getConnectionStatus(account) {
+  return connectionStatus.get(account.id) || 'not_initialized';
+}
+
+/**
+ * Get WhatsApp client for an account
+ * @param {Object} account - WhatsApp account
  * @returns {Client|null} - Client instance or null
  */
-function getClient(userId) {
-  return activeClients.get(userId) || null;
+function getClient(account) {
+  return activeClients.get(account.id) || null;
 }
 
 /**
- * Disconnect WhatsApp client for a user
- * @param {string} userId - User ID
+ * Disconnect WhatsApp client for an account (logs out and stops any reconnects)
+ * @param {Object} account - WhatsApp account
  * @returns {Promise<void>}
  */
-async function disconnectWhatsApp(userId) {
+async function disconnectWhatsApp(account) {
+  cancelReconnect(account);
+  stopWatchdog(account);
+
+  const client = activeClients.get(account.id);
+  // Forget the client before logging out so its 'disconnected' event doesn't trigger a reconnect
+  activeClients.delete(account.id);
+  qrCodes.delete(account.id);
+
   try {
-    // Remove from initializing map
-    initializingClients.delete(userId);
-    
-    const client = activeClients.get(userId);
     if (client) {
       try {
         await client.logout();
       } catch (err) {
-        console.error(`Error during logout for user ${userId}:`, err);
+        console.error(`Error during logout for account ${account.id}:`, err);
       }
       try {
         await client.destroy();
       } catch (err) {
-        console.error(`Error destroying client for user ${userId}:`, err);
+        console.error(`Error destroying client for account ${account.id}:`, err);
       }
     }
-    activeClients.delete(userId);
-    qrCodes.delete(userId);
-    connectionStatus.delete(userId);
-    console.log(`WhatsApp disconnected for user ${userId}`);
-  } catch (error) {
-    console.error(`Error disconnecting WhatsApp for user ${userId}:`, error);
-    // Clean up even if there's an error
-    activeClients.delete(userId);
-    qrCodes.delete(userId);
-    connectionStatus.delete(userId);
-    initializingClients.delete(userId);
-    throw error;
+    console.log(`WhatsApp disconnected for account ${account.id}`);
+  } finally {
+    connectionStatus.delete(account.id);
+    emitEvent(account, 'status', { status: 'not_initialized', connected: false });
   }
 }
 
+/**
+ * Log out an account and remove everything stored for it: the session directory,
+ * message archive, chat summaries and media cache
+ * @param {Object} account - WhatsApp account
+ * @returns {Promise<void>}
+ */
+async function deleteAccountData(account) {
+  await disconnectWhatsApp(account);
+
+  const storage = getStorage();
+  await storage.messages.deleteByAccount(account.id);
+  await storage.chats.deleteByAccount(account.id);
+  await mediaService.clearCachedMedia(account.id);
+  await fs.rm(getSessionDir(account), { recursive: true, force: true });
+  for (const key of exhaustedHistory) {
+    if (key.startsWith(`${account.id}:`)) {
+      exhaustedHistory.delete(key);
+    }
+  }
+  console.log(`Deleted WhatsApp account ${account.id}`);
+}
+
 /**
  * Get client info if connected
- * @param {string} userId - User ID
+ * @param {Object} account - WhatsApp account
  * @returns {Object|null} - Client info or null
  */
-function getClientInfo(userId) {
-  const client = activeClients.get(userId);
+function getClientInfo(account) {
+  const client = activeClients.get(account.id);
   if (client && client.info) {
     return {
       wid: client.info.wid,
@@ -402,274 +1149,195 @@ function getClientInfo(userId) {
 }
 
 /**
- * Get all chats for a user
- * @param {string} userId - User ID
+ * Get all chats for an account from the chat summary cache, most recent first.
+ * Works while the client is offline. The cache is filled on first use and
+ * refreshed every time the client becomes ready.
+ * @param {Object} account - WhatsApp account
  * @returns {Promise<Array>} - Array of chats
  */
-async function getChats(userId) {
+async function getChats(account) {
   try {
-    const client = getClient(userId);
-    if (!client) {
-      throw new Error('WhatsApp client not initialized');
-    }
+    const chatRepository = getStorage().chats;
+    const client = getClient(account);
 
-    // Wait for client to be ready (with timeout)
-    if (!client.info) {
-      // Wait up to 10 seconds for client to be ready
-      let attempts = 0;
-      while (!client.info && attempts < 20) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        attempts++;
-      }
-      
-      if (!client.info) {
-        throw new Error('WhatsApp client not ready. Please wait a moment and try again.');
-      }
+    // Nothing cached for this account yet - wait for the first sync
+    if (client && client.info && await chatRepository.countByAccount(account.id) === 0) {
+      await syncChatSummaries(account, client);
     }
 
-    console.log(`Fetching chats for user ${userId}...`);
-    
-    // Get all chats
-    const chats = await client.getChats();
-    console.log(`Found ${chats.length} chats for user ${userId}`);
-    
-    if (chats.length === 0) {
-      console.log(`No chats found for user ${userId}`);
-      return [];
-    }
-    
-    // Transform to UI format (process in batches to avoid overwhelming)
-    const formattedChats = await Promise.all(chats.map(async (chat) => {
-      try {
-        // Get contact info
-        let contact = null;
-        let contactName = chat.name || 'Unknown';
-        let phoneNumber = chat.id.user || '';
-        let avatar = null;
+    const [summaries, conversations] = await Promise.all([
+      chatRepository.listByAccount(account.id),
+      assignmentService.getConversations(account)
+    ]);
+    return summaries.map(summary => formatChatSummary(summary, account, conversations.get(summary.id) || null));
+  } catch (error) {
+    console.error(`Error getting chats for account ${account.id}:`, error);
+    throw error;
+  }
+}
 
-        try {
-          // Add timeout for contact fetching (5 seconds)
-          const contactPromise = chat.getContact();
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Contact fetch timeout')), 5000)
-          );
-          contact = await Promise.race([contactPromise, timeoutPromise]);
-          
-          contactName = contact.pushname || contact.name || contact.number || chat.name || 'Unknown';
-          phoneNumber = contact.number || chat.id.user || '';
-          
-          // Try to get profile picture (with timeout - 3 seconds)
-          try {
-            const picPromise = contact.getProfilePicUrl();
-            const picTimeout = new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Profile pic timeout')), 3000)
-            );
-            avatar = await Promise.race([picPromise, picTimeout]);
-          } catch (err) {
-            // Profile pic not available, use null
-            avatar = null;
-          }
-        } catch (err) {
-          // Contact not available, use chat info
-          contactName = chat.name || chat.id.user || 'Unknown';
-          phoneNumber = chat.id.user || '';
-        }
+/**
+ * Get the chats of several accounts as one list, most recent first (unified inbox)
+ * @param {Array<Object>} accounts - WhatsApp accounts
+ * @returns {Promise<Array>} - Array of chats
+ */
+async function getUnifiedChats(accounts) {
+  const chatLists = await Promise.all(accounts.map(account => getChats(account)));
+  return chatLists.flat().sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
 
-        const unreadCount = chat.unreadCount || 0;
-        
-        // Get last message (with timeout - 5 seconds)
-        let lastMessage = null;
-        try {
-          const messagesPromise = chat.fetchMessages({ limit: 1 });
-          const messagesTimeout = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Messages fetch timeout')), 5000)
-          );
-          const messages = await Promise.race([messagesPromise, messagesTimeout]);
-          lastMessage = messages.length > 0 ? messages[0] : null;
-        } catch (err) {
-          console.error(`Error fetching last message for chat ${chat.id._serialized}:`, err.message || err);
-        }
-        
-        // Format timestamp
-        let timestamp = '';
-        if (lastMessage) {
-          const msgDate = new Date(lastMessage.timestamp * 1000);
-          const now = new Date();
-          const diffTime = Math.abs(now - msgDate);
-          const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-          
-          if (diffDays === 0) {
-            timestamp = msgDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-          } else if (diffDays === 1) {
-            timestamp = 'Yesterday';
-          } else if (diffDays < 7) {
-            timestamp = msgDate.toLocaleDateString('en-US', { weekday: 'short' });
-          } else {
-            timestamp = msgDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-          }
-        }
+/**
+ * Get a chat's profile picture URL, cached for AVATAR_TTL_MS
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<string|null>} - Profile picture URL, or null if there is none
+ */
+async function getChatAvatar(account, chatId) {
+  const chatRepository = getStorage().chats;
+  const summary = await chatRepository.findById(account.id, chatId);
+  if (!summary) {
+    return null;
+  }
 
-        // Extract last message info
-        let lastMessageText = '';
-        let lastMessageType = null;
-        let lastMessageImage = null;
-        
-        if (lastMessage) {
-          lastMessageType = lastMessage.type;
-          
-          if (lastMessage.type === 'image') {
-            // Try to get image URL (with timeout to prevent slow loading)
-            try {
-              if (lastMessage.hasMedia) {
-                const downloadPromise = lastMessage.downloadMedia();
-                const timeoutPromise = new Promise((_, reject) => 
-                  setTimeout(() => reject(new Error('Image download timeout')), 3000)
-                );
-                const media = await Promise.race([downloadPromise, timeoutPromise]);
-                
-                if (media && media.data) {
-                  // Only include if it's not too large (limit to 100KB for preview)
-                  const sizeInKB = media.data.length / 1024;
-                  if (sizeInKB < 100) {
-                    // Convert to data URL for preview
-                    const base64 = media.data.toString('base64');
-                    lastMessageImage = `data:${media.mimetype};base64,${base64}`;
-                  }
-                }
-              }
-            } catch (err) {
-              // Silently fail - just show text instead of image
-              console.debug(`Could not load image preview for chat ${chat.id._serialized}:`, err.message || err);
-            }
-            lastMessageText = lastMessage.caption || '📷 Image';
-          } else if (lastMessage.type === 'video') {
-            lastMessageText = lastMessage.caption || '🎥 Video';
-          } else if (lastMessage.type === 'audio') {
-            lastMessageText = '🎵 Audio';
-          } else if (lastMessage.type === 'document') {
-            lastMessageText = `📄 ${lastMessage.body || 'Document'}`;
-          } else if (lastMessage.type === 'sticker') {
-            lastMessageText = '🎨 Sticker';
-          } else {
-            lastMessageText = lastMessage.body || `[${lastMessage.type}]`;
-          }
-        }
+  const isFresh = summary.avatarFetchedAt && Date.now() - Date.parse(summary.avatarFetchedAt) < AVATAR_TTL_MS;
+  const client = getClient(account);
+  if (isFresh || !client || !client.info) {
+    return summary.avatarUrl;
+  }
 
-        return {
-          id: chat.id._serialized,
-          name: contactName,
-          phoneNumber: phoneNumber,
-          avatar: avatar,
-          lastMessage: lastMessageText,
-          lastMessageType: lastMessageType,
-          lastMessageImage: lastMessageImage,
-          timestamp: timestamp,
-          unread: unreadCount,
-          isGroup: chat.isGroup || false,
-          isReadOnly: chat.isReadOnly || false
-        };
+  // Share one lookup between concurrent requests for the same chat
+  const key = `${account.id}:${chatId}`;
+  if (!avatarRequests.has(key)) {
+    const request = (async () => {
+      try {
+        // Resolves to undefined when there is no picture or privacy settings hide it
+        const avatarUrl = (await withTimeout(client.getProfilePicUrl(chatId), AVATAR_TIMEOUT_MS, 'Profile pic timeout')) || null;
+        await chatRepository.setAvatar(account.id, chatId, avatarUrl);
+        return avatarUrl;
       } catch (error) {
-        console.error(`Error formatting chat ${chat.id._serialized}:`, error);
-        // Return basic chat info even if there's an error
-        return {
-          id: chat.id._serialized,
-          name: chat.name || chat.id.user || 'Unknown',
-          phoneNumber: chat.id.user || '',
-          avatar: null,
-          lastMessage: '',
-          lastMessageType: null,
-          lastMessageImage: null,
-          timestamp: '',
-          unread: 0,
-          isGroup: chat.isGroup || false,
-          isReadOnly: chat.isReadOnly || false
-        };
+        // Keep whatever was cached; try again on the next request
+        console.debug(`Could not load avatar for chat ${chatId}:`, error.message || error);
+        return summary.avatarUrl;
+      } finally {
+        avatarRequests.delete(key);
       }
-    }));
-
-    // Sort by timestamp (most recent first) - WhatsApp already sorts by most recent
-    // Just ensure chats with timestamps come first
-    formattedChats.sort((a, b) => {
-      if (!a.timestamp && !b.timestamp) return 0;
-      if (!a.timestamp) return 1;
-      if (!b.timestamp) return -1;
-      return 0; // WhatsApp already provides them in order
-    });
-
-    console.log(`Formatted ${formattedChats.length} chats for user ${userId}`);
-    return formattedChats;
-  } catch (error) {
-    console.error(`Error getting chats for user ${userId}:`, error);
-    console.error('Error details:', error.message, error.stack);
-    throw error;
+    })();
+    avatarRequests.set(key, request);
   }
+
+  return avatarRequests.get(key);
 }
 
 /**
- * Get messages for a specific chat
- * @param {string} userId - User ID
+ * Get a page of messages for a specific chat from the local archive.
+ * Works while the client is offline. When the archive runs out of older
+ * messages and the client is connected, earlier history is pulled from
+ * WhatsApp into the archive first.
+ * @param {Object} account - WhatsApp account
  * @param {string} chatId - Chat ID
- * @returns {Promise<Array>} - Array of messages
+ * @param {Object} [options] - { before, limit } - before is the ID of the oldest message already loaded
+ * @returns {Promise<Object>} - { messages, hasMore }
  */
-async function getChatMessages(userId, chatId) {
+async function getChatMessages(account, chatId, { before = null, limit = 50 } = {}) {
   try {
-    const client = getClient(userId);
-    if (!client) {
-      throw new Error('WhatsApp client not initialized');
-    }
+    const messageStore = getStorage().messages;
+    // Ask for one extra row to know whether there is another page
+    const readPage = () => messageStore.listByChat(account.id, chatId, { before, limit: limit + 1 });
 
-    // Wait for client to be ready (with timeout)
-    if (!client.info) {
-      // Wait up to 10 seconds for client to be ready
-      let attempts = 0;
-      while (!client.info && attempts < 20) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        attempts++;
-      }
-      
-      if (!client.info) {
-        throw new Error('WhatsApp client not ready. Please wait a moment and try again.');
+    let page = await readPage();
+
+    const client = getClient(account);
+    const historyKey = `${account.id}:${chatId}`;
+    if (page.length <= limit && client && client.info && !exhaustedHistory.has(historyKey)) {
+      try {
+        const storedCount = await messageStore.countByChat(account.id, chatId);
+        const chat = await client.getChatById(chatId);
+        // fetchMessages always returns the newest N, so ask for enough to reach past what we have
+        const messages = await chat.fetchMessages({ limit: storedCount + limit + 1 });
+        await messageStore.upsertMany(account.id, messages.map(toStoredMessage));
+        if (messages.length < storedCount + limit + 1) {
+          // WhatsApp has nothing older - don't ask again for this chat
+          exhaustedHistory.add(historyKey);
+        }
+        page = await readPage();
+      } catch (error) {
+        console.error(`Error loading earlier history for chat ${chatId}:`, error.message || error);
       }
     }
 
-    // Get chat by ID
-    const chat = await client.getChatById(chatId);
-    
-    // Fetch messages (limit to last 100)
-    const messages = await chat.fetchMessages({ limit: 100 });
-    
-    // Transform to UI format
-    const formattedMessages = messages.map((msg) => {
-      const msgDate = new Date(msg.timestamp * 1000);
-      const isFromMe = msg.fromMe;
-      
-      return {
-        id: msg.id._serialized,
-        text: msg.body || `[${msg.type}]`,
-        timestamp: msgDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
-        sender: isFromMe ? 'me' : 'them',
-        status: isFromMe ? (msg.ack === 3 ? 'read' : msg.ack === 2 ? 'delivered' : 'sent') : undefined,
-        type: msg.type
-      };
-    });
-
-    return formattedMessages;
+    const hasMore = page.length > limit;
+    return {
+      messages: (hasMore ? page.slice(1) : page).map(message => formatMessage(message, account)),
+      hasMore
+    };
   } catch (error) {
     console.error(`Error getting messages for chat ${chatId}:`, error);
     throw error;
   }
 }
 
+/**
+ * Get a message's media, from the disk cache or downloaded from WhatsApp on demand
+ * @param {Object} account - WhatsApp account
+ * @param {string} messageId - Serialized message ID
+ * @returns {Promise<Object|null>} - { dataPath, mimetype, filename, size }, or null if the media is gone
+ */
+async function getMessageMedia(account, messageId) {
+  const cached = await mediaService.getCachedMedia(account.id, messageId);
+  if (cached) {
+    return cached;
+  }
+
+  const stored = await getStorage().messages.findById(account.id, messageId);
+  if (stored && !stored.hasMedia) {
+    return null;
+  }
+
+  const client = getClient(account);
+  if (!client || !client.info) {
+    const error = new Error('WhatsApp client not connected');
+    error.code = 'CLIENT_NOT_CONNECTED';
+    throw error;
+  }
+
+  // Share one download between concurrent requests for the same media
+  const key = `${account.id}:${messageId}`;
+  if (!mediaDownloads.has(key)) {
+    const download = (async () => {
+      try {
+        const msg = await client.getMessageById(messageId);
+        if (!msg || !msg.hasMedia) {
+          return null;
+        }
+        const media = await msg.downloadMedia();
+        if (!media || !media.data) {
+          // Expired on WhatsApp's servers or no longer on the phone
+          return null;
+        }
+        return await mediaService.cacheMedia(account.id, messageId, {
+          ...media,
+          filename: media.filename || (stored && stored.mediaFilename)
+        });
+      } finally {
+        mediaDownloads.delete(key);
+      }
+    })();
+    mediaDownloads.set(key, download);
+  }
+
+  return mediaDownloads.get(key);
+}
+
 /**
  * Send a message to a chat
- * @param {string} userId - User ID
+ * @param {Object} account - WhatsApp account
  * @param {string} chatId - Chat ID
  * @param {string} message - Message text
  * @returns {Promise<string>} - Message ID
  */
-async function sendMessage(userId, chatId, message) {
+async function sendMessage(account, chatId, message) {
   try {
-    const client = getClient(userId);
+    const client = getClient(account);
     if (!client || !client.info) {
       throw new Error('WhatsApp client not connected');
     }
@@ -757,50 +1425,116 @@ async function sendMessage(userId, chatId, message) {
 }
 
 /**
- * Get conversation count for a user
- * @param {string} userId - User ID
- * @returns {Promise<number>} - Number of conversations
+ * Send a media attachment to a chat
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @param {Object} file - { buffer, mimetype, originalname }
+ * @param {string} category - Media category ('image', 'video', 'audio', 'document')
+ * @param {string} [caption] - Optional caption
+ * @returns {Promise<string>} - Message ID
  */
-async function getChatCount(userId) {
+async function sendMedia(account, chatId, file, category, caption) {
   try {
-    const client = getClient(userId);
-    if (!client) {
-      throw new Error('WhatsApp client not initialized');
+    const client = getClient(account);
+    if (!client || !client.info) {
+      throw new Error('WhatsApp client not connected');
     }
 
-    // Wait for client to be ready
-    if (!client.info) {
-      let attempts = 0;
-      while (!client.info && attempts < 20) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        attempts++;
-      }
-      
-      if (!client.info) {
-        throw new Error('WhatsApp client not ready');
+    const chat = await client.getChatById(chatId);
+
+    if (!chat) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const media = new MessageMedia(file.mimetype, file.buffer.toString('base64'), file.originalname, file.size);
+
+    try {
+      const sentMessage = await chat.sendMessage(media, {
+        caption: caption || undefined,
+        sendMediaAsDocument: category === 'document'
+      });
+      return sentMessage.id._serialized;
+    } catch (sendError) {
+      // Same whatsapp-web.js markedUnread bug as in sendMessage - the media is sent regardless
+      if (sendError.message && (sendError.message.includes('markedUnread') || sendError.message.includes('Cannot read properties of undefined'))) {
+        console.warn(`WhatsApp Web.js internal error after sending media to chat ${chatId}, treating as sent`);
+        return `temp_${Date.now()}`;
       }
+      throw sendError;
+    }
+  } catch (error) {
+    console.error(`Error sending media to chat ${chatId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a chat as read: reset its cached unread count and send read receipts to WhatsApp, so the chat
+ * isn't unread on the phone either. Without a connection only the cached count is reset; the next
+ * sync after reconnecting brings back WhatsApp's count.
+ * @param {Object} account - WhatsApp account
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<void>}
+ */
+async function markChatRead(account, chatId) {
+  await getStorage().chats.markRead(account.id, chatId);
+  emitEvent(account, 'chat_read', { chatId });
+
+  const client = getClient(account);
+  if (!client || !client.info) {
+    return;
+  }
+  try {
+    const chat = await client.getChatById(chatId);
+    await chat.sendSeen();
+  } catch (error) {
+    console.error(`Error sending read receipts for chat ${chatId}:`, error.message);
+  }
+}
+
+/**
+ * Get conversation count for an account
+ * @param {Object} account - WhatsApp account
+ * @returns {Promise<number>} - Number of conversations
+ */
+async function getChatCount(account) {
+  try {
+    const chatRepository = getStorage().chats;
+    const client = getClient(account);
+
+    if (client && client.info && await chatRepository.countByAccount(account.id) === 0) {
+      await syncChatSummaries(account, client);
     }
 
-    // Get all chats and return count
-    const chats = await client.getChats();
-    return chats.length;
+    return chatRepository.countByAccount(account.id);
   } catch (error) {
-    console.error(`Error getting chat count for user ${userId}:`, error);
+    console.error(`Error getting chat count for account ${account.id}:`, error);
     throw error;
   }
 }
 
 module.exports = {
   initializeWhatsApp,
+  requestPairingCode,
   getQRCode,
+  getPairingCode,
   getConnectionStatus,
   getClient,
   disconnectWhatsApp,
+  deleteAccountData,
   getClientInfo,
   hasSessionFiles,
   restoreWhatsAppSession,
+  restoreSavedSessions,
   getChats,
+  getUnifiedChats,
+  getChatAvatar,
   getChatMessages,
   sendMessage,
-  getChatCount
+  sendMedia,
+  getMessageMedia,
+  getChatCount,
+  markChatRead,
+  emitEvent,
+  subscribe
 };
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const snippetService = require('./snippetService');
+
+// Roles from least to most privileged
+const ROLES = ['read_only', 'agent', 'admin', 'owner'];
+const MAX_WORKSPACE_NAME_LENGTH = 50;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Build an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @returns {Error}
+ */
+function workspaceError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a role is at least as privileged as another
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Required role
+ * @returns {boolean}
+ */
+function hasRole(role, minimumRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Check whether a member may grant a role, or manage someone who has it.
+ * The owner can't be changed; admins manage agents and read-only members; the owner manages everyone else.
+ * @param {Object} actor - Acting member
+ * @param {string} role - Role being granted or held by the target
+ * @returns {boolean}
+ */
+function canManageRole(actor, role) {
+  if (role === 'owner') {
+    return false;
+  }
+  return actor.role === 'owner' || (actor.role === 'admin' && role !== 'admin');
+}
+
+/**
+ * Validate a role that can be given to a member
+ * @param {string} role - Requested role
+ * @returns {string} - Role
+ */
+function normalizeRole(role) {
+  if (!ROLES.includes(role) || role === 'owner') {
+    throw workspaceError('INVALID_ROLE', 'Role must be one of admin, agent or read_only');
+  }
+  return role;
+}
+
+/**
+ * Create a workspace owned by a user, with the starter snippets
+ * @param {Object} user - Owner
+ * @returns {Promise<Object>} - Created workspace
+ */
+async function createWorkspace(user) {
+  const workspace = await getStorage().workspaces.create({
+    id: crypto.randomUUID(),
+    name: user.name,
+    createdAt: new Date().toISOString()
+  }, user.id);
+  await snippetService.addDefaultSnippets(workspace.id);
+  return workspace;
+}
+
+/**
+ * Get a user's workspace membership. Users who aren't in a workspace (e.g. after being
+ * removed from a team) get a new workspace of their own.
+ * @param {Object} user - User
+ * @returns {Promise<Object>} - Member ({ workspaceId, userId, role, ... })
+ */
+async function getMembership(user) {
+  const workspaceRepository = getStorage().workspaces;
+  const member = await workspaceRepository.findMembership(user.id);
+  if (member) {
+    return member;
+  }
+
+  try {
+    await createWorkspace(user);
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE' && error.code !== 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+      throw error;
+    }
+  }
+  return workspaceRepository.findMembership(user.id);
+}
+
+/**
+ * Get the workspace summary included with a signed-in user
+ * @param {Object} user - User
+ * @returns {Promise<Object>} - { id, name, role }
+ */
+async function getWorkspaceSummary(user) {
+  const member = await getMembership(user);
+  const workspace = await getStorage().workspaces.findById(member.workspaceId);
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    role: member.role
+  };
+}
+
+/**
+ * Get a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} - Workspace or null
+ */
+async function getWorkspace(workspaceId) {
+  return getStorage().workspaces.findById(workspaceId);
+}
+
+/**
+ * Rename a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - Updated workspace
+ */
+async function renameWorkspace(workspaceId, name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_WORKSPACE_NAME_LENGTH) {
+    throw workspaceError('INVALID_WORKSPACE_NAME', `Workspace name must be 1-${MAX_WORKSPACE_NAME_LENGTH} characters`);
+  }
+  return getStorage().workspaces.rename(workspaceId, trimmed);
+}
+
+/**
+ * Get a workspace's members
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Members
+ */
+async function listMembers(workspaceId) {
+  return getStorage().workspaces.listMembers(workspaceId);
+}
+
+/**
+ * Check whether an invite is older than INVITE_TTL_MS
+ * @param {Object} invite - Invite
+ * @returns {boolean}
+ */
+function isExpired(invite) {
+  return Date.now() - new Date(invite.createdAt).getTime() > INVITE_TTL_MS;
+}
+
+/**
+ * Get a workspace's pending (unexpired) invites
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<Object>>} - Invites
+ */
+async function listInvites(workspaceId) {
+  const invites = await getStorage().workspaces.listInvites(workspaceId);
+  return invites.filter((invite) => !isExpired(invite));
+}
+
+/**
+ * Invite someone to join the actor's workspace. Inviting the same email again replaces the old invite.
+ * Invites are for people without an account yet; they accept by signing up with the invite.
+ * @param {Object} actor - Inviting member
+ * @param {string} email - Invitee's email
+ * @param {string} role - Role the invitee gets
+ * @returns {Promise<Object>} - Invite
+ */
+async function inviteMember(actor, email, role) {
+  const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw workspaceError('INVALID_EMAIL', 'Invalid email format');
+  }
+  if (!canManageRole(actor, normalizeRole(role))) {
+    throw workspaceError('FORBIDDEN', 'Only the owner can invite admins');
+  }
+  if (await getStorage().users.findByEmail(normalizedEmail)) {
+    throw workspaceError('ALREADY_REGISTERED', 'Someone with this email already has an account');
+  }
+
+  return getStorage().workspaces.createInvite({
+    id: crypto.randomBytes(24).toString('base64url'),
+    workspaceId: actor.workspaceId,
+    email: normalizedEmail,
+    role,
+    invitedBy: actor.userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Find a pending invite
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object|null>} - Invite, or null if it doesn't exist or has expired
+ */
+async function getInvite(inviteId) {
+  const invite = await getStorage().workspaces.findInvite(inviteId);
+  return invite && !isExpired(invite) ? invite : null;
+}
+
+/**
+ * Withdraw a pending invite
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<boolean>} - False if the workspace has no such invite
+ */
+async function revokeInvite(workspaceId, inviteId) {
+  const workspaceRepository = getStorage().workspaces;
+  const invite = await workspaceRepository.findInvite(inviteId);
+  if (!invite || invite.workspaceId !== workspaceId) {
+    return false;
+  }
+  await workspaceRepository.deleteInvite(inviteId);
+  return true;
+}
+
+/**
+ * Add a newly registered user to the invite's workspace
+ * @param {Object} invite - Invite (see getInvite)
+ * @param {Object} user - User who signed up with the invite
+ * @returns {Promise<Object>} - New member
+ */
+async function acceptInvite(invite, user) {
+  return getStorage().workspaces.acceptInvite(invite, user.id);
+}
+
+/**
+ * Find a member of the actor's workspace and check the actor may manage them
+ * @param {Object} actor - Acting member
+ * @param {string} userId - Target user ID
+ * @returns {Promise<Object>} - Target member
+ */
+async function getManageableMember(actor, userId) {
+  const members = await listMembers(actor.workspaceId);
+  const member = members.find((item) => item.userId === userId);
+  if (!member) {
+    throw workspaceError('MEMBER_NOT_FOUND', 'Member not found');
+  }
+  if (!canManageRole(actor, member.role)) {
+    throw workspaceError('FORBIDDEN', member.role === 'owner'
+      ? 'The workspace owner cannot be changed'
+      : 'Only the owner can manage admins');
+  }
+  return member;
+}
+
+/**
+ * Change a member's role
+ * @param {Object} actor - Acting member
+ * @param {string} userId - Target user ID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} - Updated member
+ */
+async function updateMemberRole(actor, userId, role) {
+  if (userId === actor.userId) {
+    throw workspaceError('FORBIDDEN', 'You cannot change your own role');
+  }
+  const member = await getManageableMember(actor, userId);
+  if (!canManageRole(actor, normalizeRole(role))) {
+    throw workspaceError('FORBIDDEN', 'Only the owner can make someone an admin');
+  }
+  await getStorage().workspaces.setMemberRole(actor.workspaceId, userId, role);
+  // Read-only members can't reply, so their conversations go back to the team
+  if (role === 'read_only') {
+    await getStorage().conversations.unassignUser(actor.workspaceId, userId);
+  }
+  return { ...member, role };
+}
+
+/**
+ * Remove a member from the actor's workspace, unassigning their conversations.
+ * Any member except the owner may leave.
+ * @param {Object} actor - Acting member
+ * @param {string} userId - Target user ID
+ * @returns {Promise<void>}
+ */
+async function removeMember(actor, userId) {
+  if (userId === actor.userId) {
+    if (actor.role === 'owner') {
+      throw workspaceError('FORBIDDEN', 'The workspace owner cannot leave it');
+    }
+  } else {
+    await getManageableMember(actor, userId);
+  }
+  await getStorage().workspaces.removeMember(actor.workspaceId, userId);
+  await getStorage().conversations.unassignUser(actor.workspaceId, userId);
+}
+
+/**
+ * Transform a member to API format
+ * @param {Object} member - Member
+ * @returns {Object} - Formatted member
+ */
+function formatMember(member) {
+  return {
+    userId: member.userId,
+    name: member.name,
+    email: member.email,
+    role: member.role,
+    joinedAt: member.joinedAt
+  };
+}
+
+/**
+ * Transform an invite to API format
+ * @param {Object} invite - Invite
+ * @returns {Object} - Formatted invite
+ */
+function formatInvite(invite) {
+  return {
+    id: invite.id,
+    email: invite.email,
+    role: invite.role,
+    workspaceName: invite.workspaceName,
+    createdAt: invite.createdAt,
+    expiresAt: new Date(new Date(invite.createdAt).getTime() + INVITE_TTL_MS).toISOString()
+  };
+}
+
+/**
+ * Express middleware: require the authenticated user to be a member of :workspaceId.
+ * Must run after requireAuth. Sets req.member = { workspaceId, userId, role, ... }.
+ */
+async function requireMember(req, res, next) {
+  try {
+    const member = await getStorage().workspaces.findMembership(req.auth.userId);
+    if (!member || member.workspaceId !== req.params.workspaceId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this workspace'
+      });
+    }
+    req.member = member;
+    next();
+  } catch (error) {
+    console.error('Error checking workspace membership:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check workspace access'
+    });
+  }
+}
+
+/**
+ * Create Express middleware that requires at least the given role. Must run after requireMember.
+ * @param {string} minimumRole - One of ROLES
+ * @returns {Function} - Middleware
+ */
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.member.role, minimumRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role in this workspace does not allow this'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  canManageRole,
+  createWorkspace,
+  getMembership,
+  getWorkspaceSummary,
+  getWorkspace,
+  renameWorkspace,
+  listMembers,
+  listInvites,
+  inviteMember,
+  getInvite,
+  revokeInvite,
+  acceptInvite,
+  updateMemberRole,
+  removeMember,
+  formatMember,
+  formatInvite,
+  requireMember,
+  requireRole
+};
@@ -3,6 +3,8 @@ import { Login } from './components/Login';
 import { SignUp } from './components/SignUp';
 import { Dashboard } from './components/Dashboard';
 import { WhatsAppConnect } from './components/WhatsAppConnect';
+import { AutoReplySettings } from './components/AutoReplySettings';
+import { BusinessHoursSettings } from './components/BusinessHoursSettings';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { PublicRoute } from './components/PublicRoute';
 
@@ -42,6 +44,22 @@ function App() {
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/settings/auto-replies" 
+          element={
+            <ProtectedRoute>
+              <AutoReplySettings />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/settings/business-hours" 
+          element={
+            <ProtectedRoute>
+              <BusinessHoursSettings />
+            </ProtectedRoute>
+          } 
+        />
         <Route path="/" element={<Navigate to="/login" replace />} />
       </Routes>
     </BrowserRouter>
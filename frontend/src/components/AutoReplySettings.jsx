@@ -0,0 +1,451 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, ArrowDown, ArrowUp, Bot, Pencil, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { authFetch } from '../lib/auth';
+import { hasRole, ROLES } from '../lib/workspace';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+const MATCH_TYPES = [
+  { id: 'keyword', label: 'Message contains a keyword' },
+  { id: 'regex', label: 'Message matches a regular expression' },
+  { id: 'first_message', label: 'First message ever in the chat' },
+];
+
+const CHAT_TYPES = [
+  { id: 'any', label: 'All chats' },
+  { id: 'individual', label: 'Individual chats only' },
+  { id: 'group', label: 'Groups only' },
+];
+
+const EMPTY_RULE = {
+  name: '',
+  enabled: true,
+  matchType: 'keyword',
+  pattern: '',
+  chatType: 'any',
+  replySnippetId: '',
+  tag: '',
+  assigneeId: '',
+  cooldownMinutes: '60',
+};
+
+const SELECT_CLASS_NAME = 'h-8 w-full rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+// The request body the API takes for a rule as it lists it
+const toRuleInput = (rule) => ({
+  name: rule.name,
+  enabled: rule.enabled,
+  matchType: rule.matchType,
+  pattern: rule.pattern,
+  chatType: rule.chatType,
+  replySnippetId: rule.replySnippet?.id || null,
+  tag: rule.tag,
+  assigneeId: rule.assignee?.id || null,
+  cooldownMinutes: rule.cooldownMinutes,
+});
+
+const describeCondition = (rule) => {
+  const chats = rule.chatType === 'any' ? '' : ` (${rule.chatType === 'group' ? 'groups' : 'individual chats'})`;
+  if (rule.matchType === 'first_message') return `First message in a chat${chats}`;
+  if (rule.matchType === 'regex') return `Message matches /${rule.pattern}/${chats}`;
+  return `Message contains ${rule.pattern.split(', ').map((keyword) => `"${keyword}"`).join(' or ')}${chats}`;
+};
+
+const describeActions = (rule) => {
+  const actions = [];
+  if (rule.replySnippet) actions.push(`reply with "${rule.replySnippet.title}"`);
+  if (rule.tag) actions.push(`tag "${rule.tag}"`);
+  if (rule.assignee) actions.push(`assign to ${rule.assignee.name}`);
+  // A rule keeps its other actions when its snippet or assignee is deleted
+  return actions.length > 0 ? actions.join(', ') : 'nothing (its snippet or assignee was removed)';
+};
+
+// Create or edit a rule; rule is null for a new one
+function RuleDialog({ open, onOpenChange, rule, snippets, members, onSave }) {
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(rule
+        ? {
+            ...toRuleInput(rule),
+            pattern: rule.pattern || '',
+            replySnippetId: rule.replySnippet?.id || '',
+            tag: rule.tag || '',
+            assigneeId: rule.assignee?.id || '',
+            cooldownMinutes: String(rule.cooldownMinutes),
+          }
+        : EMPTY_RULE);
+    }
+  }, [open, rule]);
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const hasAction = Boolean(form.replySnippetId || form.tag.trim() || form.assigneeId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      name: form.name,
+      enabled: form.enabled,
+      matchType: form.matchType,
+      pattern: form.matchType === 'first_message' ? null : form.pattern,
+      chatType: form.chatType,
+      replySnippetId: form.replySnippetId || null,
+      tag: form.tag.trim() || null,
+      assigneeId: form.assigneeId || null,
+      cooldownMinutes: Number(form.cooldownMinutes),
+    });
+    setIsSaving(false);
+    if (saved) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>{rule ? 'Edit rule' : 'New rule'}</DialogTitle>
+          <DialogDescription>
+            Runs on every incoming message. Only the first matching rule fires.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <Input
+            value={form.name}
+            onChange={setField('name')}
+            placeholder="Name, e.g. Prices"
+            maxLength={100}
+            autoFocus
+            required
+            className="focus-visible:ring-emerald-500"
+            aria-label="Name"
+          />
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">When</p>
+            <select value={form.matchType} onChange={setField('matchType')} className={SELECT_CLASS_NAME} aria-label="Condition">
+              {MATCH_TYPES.map((type) => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+            {form.matchType !== 'first_message' && (
+              <Input
+                value={form.pattern}
+                onChange={setField('pattern')}
+                placeholder={form.matchType === 'keyword' ? 'price, cost, how much' : '\\b(menu|card)\\b'}
+                maxLength={200}
+                required
+                className="h-8 focus-visible:ring-emerald-500"
+                aria-label={form.matchType === 'keyword' ? 'Keywords' : 'Regular expression'}
+              />
+            )}
+            <p className="text-xs text-gray-500">
+              {form.matchType === 'keyword' && 'Comma-separated; whole words, upper or lower case'}
+              {form.matchType === 'regex' && 'Case-insensitive'}
+            </p>
+            <select value={form.chatType} onChange={setField('chatType')} className={SELECT_CLASS_NAME} aria-label="Chats">
+              {CHAT_TYPES.map((type) => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Then</p>
+            <select value={form.replySnippetId} onChange={setField('replySnippetId')} className={SELECT_CLASS_NAME} aria-label="Reply with">
+              <option value="">Don't reply</option>
+              {snippets.map((snippet) => (
+                <option key={snippet.id} value={snippet.id}>Reply with {snippet.title}</option>
+              ))}
+            </select>
+            <Input
+              value={form.tag}
+              onChange={setField('tag')}
+              placeholder="Add a tag (optional)"
+              maxLength={30}
+              className="h-8 focus-visible:ring-emerald-500"
+              aria-label="Tag"
+            />
+            <select value={form.assigneeId} onChange={setField('assigneeId')} className={SELECT_CLASS_NAME} aria-label="Assign to">
+              <option value="">Don't assign</option>
+              {members.map((member) => (
+                <option key={member.userId} value={member.userId}>Assign to {member.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Fire at most once every
+            <Input
+              type="number"
+              min={0}
+              max={10080}
+              value={form.cooldownMinutes}
+              onChange={setField('cooldownMinutes')}
+              required
+              className="h-8 w-20 focus-visible:ring-emerald-500"
+            />
+            minutes per chat
+          </label>
+
+          <Button
+            type="submit"
+            className="w-full bg-emerald-600 hover:bg-emerald-700"
+            disabled={isSaving || !form.name.trim() || !hasAction}
+          >
+            {isSaving ? 'Saving...' : hasAction ? 'Save' : 'Pick at least one action'}
+          </Button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Settings page for the workspace's auto-reply rules: answer common questions with a snippet, tag or
+// assign chats automatically. Everyone can see the rules; admins manage them.
+export function AutoReplySettings() {
+  const [rules, setRules] = useState([]);
+  const [snippets, setSnippets] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const navigate = useNavigate();
+  const isAdmin = hasRole('admin');
+  const workspaceId = localStorage.getItem('workspaceId');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId) return;
+    try {
+      const [rulesData, snippetsData, workspaceData] = await Promise.all([
+        authFetch(`${API_BASE_URL}/api/auto-replies/${workspaceId}`).then((response) => response.json()),
+        authFetch(`${API_BASE_URL}/api/snippets/${workspaceId}`).then((response) => response.json()),
+        authFetch(`${API_BASE_URL}/api/workspaces/${workspaceId}`).then((response) => response.json()),
+      ]);
+
+      if (!rulesData.success) {
+        throw new Error(rulesData.message || 'Failed to load rules');
+      }
+      setRules(rulesData.rules);
+      if (snippetsData.success) {
+        setSnippets(snippetsData.snippets);
+      }
+      if (workspaceData.success) {
+        // Only members who can reply can be given conversations
+        setMembers(workspaceData.members.filter((member) => ROLES.indexOf(member.role) >= ROLES.indexOf('agent')));
+      }
+    } catch (error) {
+      console.error('Error loading auto-reply rules:', error);
+      toast.error(error.message || 'Failed to load rules');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Run a rule change; the backend answers with a user-facing message on failure
+  const updateRules = async (url, options) => {
+    try {
+      const response = await authFetch(url, options);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update rules');
+      }
+      return data;
+    } catch (error) {
+      console.error('Error updating auto-reply rules:', error);
+      toast.error(error.message || 'Failed to update rules');
+      return null;
+    }
+  };
+
+  const saveRule = (ruleId, fields) => updateRules(
+    ruleId ? `${API_BASE_URL}/api/auto-replies/${workspaceId}/${ruleId}` : `${API_BASE_URL}/api/auto-replies/${workspaceId}`,
+    {
+      method: ruleId ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(fields),
+    }
+  );
+
+  const handleSave = async (fields) => {
+    const data = await saveRule(editingRule?.id, fields);
+    if (!data) return false;
+
+    setRules((prev) => (editingRule
+      ? prev.map((rule) => (rule.id === data.rule.id ? data.rule : rule))
+      : [...prev, data.rule]));
+    toast.success(editingRule ? 'Rule updated' : 'Rule added');
+    return true;
+  };
+
+  const handleToggle = async (rule) => {
+    const data = await saveRule(rule.id, { ...toRuleInput(rule), enabled: !rule.enabled });
+    if (data) {
+      setRules((prev) => prev.map((item) => (item.id === data.rule.id ? data.rule : item)));
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    const data = await updateRules(`${API_BASE_URL}/api/auto-replies/${workspaceId}/${rule.id}`, {
+      method: 'DELETE',
+    });
+    if (data) {
+      setRules((prev) => prev.filter((item) => item.id !== rule.id));
+      toast.success('Rule deleted');
+    }
+  };
+
+  const handleMove = async (index, offset) => {
+    const order = rules.map((rule) => rule.id);
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    const data = await updateRules(`${API_BASE_URL}/api/auto-replies/${workspaceId}/order`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ruleIds: order }),
+    });
+    if (data) {
+      setRules(data.rules);
+    }
+  };
+
+  const openDialog = (rule) => {
+    setEditingRule(rule);
+    setIsDialogOpen(true);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center gap-3">
+          <Button variant="ghost" size="icon" onClick={() => navigate('/dashboard')} title="Back to inbox">
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+          <div className="flex-1 min-w-0">
+            <h1 className="text-lg font-semibold text-gray-900">Auto-replies</h1>
+            <p className="text-sm text-gray-600">
+              Checked from top to bottom on every incoming message; the first match fires
+            </p>
+          </div>
+          {isAdmin && (
+            <Button onClick={() => openDialog(null)} className="bg-emerald-600 hover:bg-emerald-700">
+              <Plus className="w-4 h-4 mr-1" />
+              New rule
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 py-6 space-y-2">
+        {isLoading ? (
+          <p className="text-sm text-gray-600 text-center py-8">Loading rules...</p>
+        ) : rules.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Bot className="w-10 h-10 mx-auto mb-2 opacity-40" />
+            <p className="text-sm">No auto-reply rules yet</p>
+            {isAdmin && <p className="text-xs mt-1">Answer questions like "price" or "opening hours" with a snippet</p>}
+          </div>
+        ) : (
+          rules.map((rule, index) => (
+            <div
+              key={rule.id}
+              className={`flex items-start gap-3 p-3 bg-white border border-gray-200 rounded-lg ${rule.enabled ? '' : 'opacity-60'}`}
+            >
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => handleToggle(rule)}
+                disabled={!isAdmin}
+                className="mt-1 accent-emerald-600"
+                aria-label={rule.enabled ? `Turn off ${rule.name}` : `Turn on ${rule.name}`}
+              />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{rule.name}</p>
+                <p className="text-xs text-gray-600 truncate" title={describeCondition(rule)}>{describeCondition(rule)}</p>
+                <p className="text-xs text-gray-600">
+                  Then {describeActions(rule)}
+                  {rule.cooldownMinutes > 0 && ` · at most once every ${rule.cooldownMinutes} min per chat`}
+                </p>
+              </div>
+              {isAdmin && (
+                <div className="flex items-center gap-0.5">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    className="w-7 h-7 text-gray-500"
+                    title="Move up"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === rules.length - 1}
+                    className="w-7 h-7 text-gray-500"
+                    title="Move down"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => openDialog(rule)}
+                    className="w-7 h-7 text-gray-500 hover:text-emerald-600"
+                    title="Edit rule"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleDelete(rule)}
+                    className="w-7 h-7 text-gray-500 hover:text-red-600"
+                    title="Delete rule"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      <RuleDialog
+        open={isDialogOpen}
+        onOpenChange={setIsDialogOpen}
+        rule={editingRule}
+        snippets={snippets}
+        members={members}
+        onSave={handleSave}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,357 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Plus, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { authFetch } from '../lib/auth';
+import { UNIFIED_INBOX, getSavedActiveAccountId, withAccountId } from '../lib/accounts';
+import { hasRole } from '../lib/workspace';
+import { BUILT_IN_PLACEHOLDERS } from '../lib/templates';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+// Monday first, as people read a week; the keys are the ones the API uses
+const DAYS = [
+  { id: 'monday', label: 'Monday' },
+  { id: 'tuesday', label: 'Tuesday' },
+  { id: 'wednesday', label: 'Wednesday' },
+  { id: 'thursday', label: 'Thursday' },
+  { id: 'friday', label: 'Friday' },
+  { id: 'saturday', label: 'Saturday' },
+  { id: 'sunday', label: 'Sunday' },
+];
+
+const MAX_INTERVALS_PER_DAY = 4;
+const DEFAULT_INTERVAL = { open: '09:00', close: '18:00' };
+
+// Browsers without Intl.supportedValuesOf just get no suggestions
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const TEXTAREA_CLASS_NAME = 'w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm resize-y focus:outline-none focus:ring-2 focus:ring-emerald-500 disabled:bg-gray-50';
+const SELECT_CLASS_NAME = 'h-8 rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+const fetchBusinessHours = async (workspaceId, accountId) => {
+  const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/business-hours/${workspaceId}`, accountId));
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.message || 'Failed to load business hours');
+  }
+  return data.businessHours;
+};
+
+// The editable fields of business hours as the API returns them; messages that are off are empty
+const toForm = (businessHours) => ({
+  timezone: businessHours.timezone,
+  schedule: businessHours.schedule,
+  holidays: businessHours.holidays,
+  awayMessage: businessHours.awayMessage || '',
+  greetingMessage: businessHours.greetingMessage || '',
+});
+
+// Settings page for an account's opening hours, holidays and the automatic greeting and away
+// message. Everyone can see them; admins change them.
+export function BusinessHoursSettings() {
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [form, setForm] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [newHoliday, setNewHoliday] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const navigate = useNavigate();
+  const isAdmin = hasRole('admin');
+  const workspaceId = localStorage.getItem('workspaceId');
+
+  useEffect(() => {
+    loadAccounts();
+  }, []);
+
+  const loadAccounts = async () => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/whatsapp/accounts/${workspaceId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load WhatsApp accounts');
+      }
+      setAccounts(data.accounts);
+      // Start with the number picked in the inbox
+      const savedAccountId = getSavedActiveAccountId();
+      const initialAccount = savedAccountId !== UNIFIED_INBOX && data.accounts.find((account) => account.id === savedAccountId);
+      const initialAccountId = (initialAccount || data.accounts[0])?.id;
+      if (initialAccountId) {
+        setAccountId(initialAccountId);
+        const businessHours = await fetchBusinessHours(workspaceId, initialAccountId);
+        setForm(toForm(businessHours));
+        setIsOpen(businessHours.isOpen);
+      }
+    } catch (error) {
+      console.error('Error loading business hours:', error);
+      toast.error(error.message || 'Failed to load business hours');
+    }
+  };
+
+  const handleAccountChange = async (id) => {
+    setAccountId(id);
+    setForm(null);
+    try {
+      applyBusinessHours(await fetchBusinessHours(workspaceId, id));
+    } catch (error) {
+      console.error('Error loading business hours:', error);
+      toast.error(error.message || 'Failed to load business hours');
+    }
+  };
+
+  const applyBusinessHours = (businessHours) => {
+    setForm(toForm(businessHours));
+    setIsOpen(businessHours.isOpen);
+  };
+
+  const setIntervals = (day, intervals) => {
+    setForm({ ...form, schedule: { ...form.schedule, [day]: intervals } });
+  };
+
+  const updateInterval = (day, index, field, value) => {
+    setIntervals(day, form.schedule[day].map((interval, i) => (i === index ? { ...interval, [field]: value } : interval)));
+  };
+
+  const addHoliday = () => {
+    if (!newHoliday || form.holidays.includes(newHoliday)) return;
+    setForm({ ...form, holidays: [...form.holidays, newHoliday].sort() });
+    setNewHoliday('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/business-hours/${workspaceId}`, accountId), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to save business hours');
+      }
+      applyBusinessHours(data.businessHours);
+      toast.success('Business hours saved');
+    } catch (error) {
+      console.error('Error saving business hours:', error);
+      toast.error(error.message || 'Failed to save business hours');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center gap-3">
+          <Button variant="ghost" size="icon" onClick={() => navigate('/dashboard')} title="Back to inbox">
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+          <div className="flex-1 min-w-0">
+            <h1 className="text-lg font-semibold text-gray-900">Business hours</h1>
+            <p className="text-sm text-gray-600">
+              Greet new contacts and let customers know when you'll be back
+            </p>
+          </div>
+          {accounts.length > 1 && (
+            <select
+              value={accountId}
+              onChange={(e) => handleAccountChange(e.target.value)}
+              className={SELECT_CLASS_NAME}
+              aria-label="WhatsApp number"
+            >
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>{account.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 py-6">
+        {!form ? (
+          <p className="text-sm text-gray-600 text-center py-8">Loading business hours...</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <fieldset disabled={!isAdmin} className="space-y-6">
+              <section className="p-4 bg-white border border-gray-200 rounded-lg space-y-3">
+                <div className="flex items-center gap-2">
+                  <h2 className="flex-1 text-sm font-medium text-gray-900">Opening hours</h2>
+                  <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${isOpen ? 'bg-emerald-50 text-emerald-700' : 'bg-gray-100 text-gray-600'}`}>
+                    {isOpen ? 'Open now' : 'Closed now'}
+                  </span>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  Time zone
+                  <Input
+                    value={form.timezone}
+                    onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                    list="business-hours-time-zones"
+                    required
+                    className="h-8 w-64 focus-visible:ring-emerald-500"
+                  />
+                </label>
+                <datalist id="business-hours-time-zones">
+                  {TIME_ZONES.map((timeZone) => (
+                    <option key={timeZone} value={timeZone} />
+                  ))}
+                </datalist>
+                {DAYS.map((day) => {
+                  const intervals = form.schedule[day.id];
+                  return (
+                    <div key={day.id} className="flex items-start gap-3 py-1 border-t first:border-t-0">
+                      <label className="flex items-center gap-2 w-32 h-8 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={intervals.length > 0}
+                          onChange={(e) => setIntervals(day.id, e.target.checked ? [DEFAULT_INTERVAL] : [])}
+                          className="accent-emerald-600"
+                        />
+                        {day.label}
+                      </label>
+                      <div className="flex-1 space-y-1">
+                        {intervals.length === 0 && <p className="h-8 leading-8 text-sm text-gray-500">Closed</p>}
+                        {intervals.map((interval, index) => (
+                          <div key={index} className="flex items-center gap-2">
+                            <Input
+                              type="time"
+                              value={interval.open}
+                              onChange={(e) => updateInterval(day.id, index, 'open', e.target.value)}
+                              required
+                              className="h-8 w-28 focus-visible:ring-emerald-500"
+                              aria-label={`${day.label} opens at`}
+                            />
+                            <span className="text-sm text-gray-500">to</span>
+                            <Input
+                              type="time"
+                              value={interval.close === '24:00' ? '23:59' : interval.close}
+                              onChange={(e) => updateInterval(day.id, index, 'close', e.target.value)}
+                              required
+                              className="h-8 w-28 focus-visible:ring-emerald-500"
+                              aria-label={`${day.label} closes at`}
+                            />
+                            {isAdmin && (
+                              <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => setIntervals(day.id, intervals.filter((_, i) => i !== index))}
+                                className="w-7 h-7 text-gray-500 hover:text-red-600"
+                                title="Remove these hours"
+                              >
+                                <X className="w-4 h-4" />
+                              </Button>
+                            )}
+                            {isAdmin && index === intervals.length - 1 && intervals.length < MAX_INTERVALS_PER_DAY && (
+                              <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => setIntervals(day.id, [...intervals, { open: interval.close, close: '23:59' }])}
+                                className="w-7 h-7 text-gray-500 hover:text-emerald-600"
+                                title="Add hours, e.g. after a lunch break"
+                              >
+                                <Plus className="w-4 h-4" />
+                              </Button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </section>
+
+              <section className="p-4 bg-white border border-gray-200 rounded-lg space-y-3">
+                <h2 className="text-sm font-medium text-gray-900">Holidays</h2>
+                <p className="text-xs text-gray-500">Closed all day, whatever the weekly hours say</p>
+                {form.holidays.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {form.holidays.map((holiday) => (
+                      <span key={holiday} className="inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded bg-gray-100 text-xs font-medium text-gray-700">
+                        {holiday}
+                        {isAdmin && (
+                          <button
+                            type="button"
+                            onClick={() => setForm({ ...form, holidays: form.holidays.filter((item) => item !== holiday) })}
+                            className="text-gray-500 hover:text-red-600"
+                            aria-label={`Remove holiday ${holiday}`}
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {isAdmin && (
+                  <div className="flex items-center gap-2">
+                    <Input
+                      type="date"
+                      value={newHoliday}
+                      onChange={(e) => setNewHoliday(e.target.value)}
+                      className="h-8 w-44 focus-visible:ring-emerald-500"
+                      aria-label="Holiday"
+                    />
+                    <Button type="button" variant="outline" size="sm" onClick={addHoliday} disabled={!newHoliday}>
+                      Add holiday
+                    </Button>
+                  </div>
+                )}
+              </section>
+
+              <section className="p-4 bg-white border border-gray-200 rounded-lg space-y-3">
+                <h2 className="text-sm font-medium text-gray-900">Automatic messages</h2>
+                <p className="text-xs text-gray-500">
+                  Leave a message empty to turn it off. Groups never get them.
+                  {' '}{Object.keys(BUILT_IN_PLACEHOLDERS).map((placeholder) => `{{${placeholder}}}`).join(', ')} and contact
+                  fields are filled in for the chat.
+                </p>
+                <label className="block space-y-1">
+                  <span className="text-sm text-gray-700">Greeting, sent to contacts writing for the first time</span>
+                  <textarea
+                    value={form.greetingMessage}
+                    onChange={(e) => setForm({ ...form, greetingMessage: e.target.value })}
+                    placeholder="Hi {{first_name}}, thanks for reaching out! How can we help?"
+                    maxLength={4096}
+                    rows={3}
+                    className={TEXTAREA_CLASS_NAME}
+                  />
+                </label>
+                <label className="block space-y-1">
+                  <span className="text-sm text-gray-700">Away message, sent outside opening hours (once per chat until you open again)</span>
+                  <textarea
+                    value={form.awayMessage}
+                    onChange={(e) => setForm({ ...form, awayMessage: e.target.value })}
+                    placeholder="Thanks for your message! We're closed right now and will reply as soon as we're back."
+                    maxLength={4096}
+                    rows={3}
+                    className={TEXTAREA_CLASS_NAME}
+                  />
+                </label>
+              </section>
+
+              {isAdmin && (
+                <div className="flex justify-end">
+                  <Button type="submit" disabled={isSaving || !accountId} className="bg-emerald-600 hover:bg-emerald-700">
+                    {isSaving ? 'Saving...' : 'Save'}
+                  </Button>
+                </div>
+              )}
+            </fieldset>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,463 @@
+import { useState, useEffect, useRef } from 'react';
+import { ArrowLeft, Megaphone, Plus, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { authFetch } from '../lib/auth';
+import { withAccountId } from '../lib/accounts';
+import { formatChatTime } from '../lib/format';
+import { hasRole } from '../lib/workspace';
+import { BUILT_IN_PLACEHOLDERS } from '../lib/templates';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+const CAMPAIGN_STATUS_LABELS = {
+  sending: 'Sending',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+// Recipient results, in the order the report lists their counts
+const RECIPIENT_STATUSES = [
+  { id: 'pending', label: 'Waiting', className: 'bg-gray-100 text-gray-600' },
+  { id: 'sent', label: 'Sent', className: 'bg-emerald-50 text-emerald-700' },
+  { id: 'delivered', label: 'Delivered', className: 'bg-emerald-100 text-emerald-700' },
+  { id: 'read', label: 'Read', className: 'bg-emerald-600 text-white' },
+  { id: 'failed', label: 'Failed', className: 'bg-red-100 text-red-700' },
+  { id: 'cancelled', label: 'Not sent', className: 'bg-gray-100 text-gray-500' },
+];
+
+const SELECT_CLASS_NAME = 'h-8 w-full rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+// Messages that went out, whatever happened to them afterwards
+const countSent = ({ sent, delivered, read }) => sent + delivered + read;
+
+const upsertById = (list, item) => (
+  list.some((entry) => entry.id === item.id)
+    ? list.map((entry) => (entry.id === item.id ? item : entry))
+    : [item, ...list]
+);
+
+function StatusCounts({ counts }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {RECIPIENT_STATUSES.filter((status) => counts[status.id] > 0).map((status) => (
+        <span key={status.id} className={`px-1.5 py-0.5 rounded text-xs font-medium ${status.className}`}>
+          {counts[status.id]} {status.label.toLowerCase()}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Broadcast campaigns: send one message (filled in per recipient) to a list of chats or to the
+// contacts of a CSV file, and follow each recipient's delivery. chats are the chats loaded in the
+// inbox; campaignEvent is the latest live { campaign, recipient } update.
+export function CampaignsDialog({ open, onOpenChange, accounts = [], chats = [], defaultAccountId = null, campaignEvent = null }) {
+  const [campaigns, setCampaigns] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  // 'list', 'new' or 'report'
+  const [view, setView] = useState('list');
+  const [report, setReport] = useState(null);
+  const [snippets, setSnippets] = useState([]);
+  const [name, setName] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [template, setTemplate] = useState('');
+  const [chatSearch, setChatSearch] = useState('');
+  const [selectedChatIds, setSelectedChatIds] = useState([]);
+  const [file, setFile] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const fileInputRef = useRef(null);
+  const workspaceId = localStorage.getItem('workspaceId');
+  const isAdmin = hasRole('admin');
+
+  useEffect(() => {
+    if (open) {
+      setView('list');
+      setReport(null);
+      loadCampaigns();
+    }
+  }, [open]);
+
+  // Keep the list and the open report up to date while messages go out and acks come in
+  useEffect(() => {
+    if (!campaignEvent) return;
+    const { campaign, recipient } = campaignEvent;
+    setCampaigns((prev) => upsertById(prev, campaign));
+    setReport((prev) => {
+      if (!prev || prev.campaign.id !== campaign.id) return prev;
+      return {
+        campaign,
+        recipients: recipient
+          ? prev.recipients.map((item) => (item.id === recipient.id ? recipient : item))
+          : prev.recipients,
+      };
+    });
+  }, [campaignEvent]);
+
+  const loadCampaigns = async () => {
+    const currentWorkspaceId = localStorage.getItem('workspaceId');
+    if (!currentWorkspaceId) return;
+    try {
+      setIsLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/api/campaigns/${currentWorkspaceId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load campaigns');
+      }
+      setCampaigns(data.campaigns);
+    } catch (error) {
+      console.error('Error loading campaigns:', error);
+      toast.error(error.message || 'Failed to load campaigns');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openReport = async (campaign) => {
+    setReport({ campaign, recipients: null });
+    setView('report');
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/campaigns/${workspaceId}/${campaign.id}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load campaign report');
+      }
+      setReport({ campaign: data.campaign, recipients: data.recipients });
+    } catch (error) {
+      console.error('Error loading campaign report:', error);
+      toast.error(error.message || 'Failed to load campaign report');
+    }
+  };
+
+  const openNewCampaign = async () => {
+    setName('');
+    setAccountId(defaultAccountId && accounts.some((account) => account.id === defaultAccountId) ? defaultAccountId : accounts[0]?.id || '');
+    setTemplate('');
+    setChatSearch('');
+    setSelectedChatIds([]);
+    setFile(null);
+    setView('new');
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/snippets/${workspaceId}`);
+      const data = await response.json();
+      if (data.success) {
+        setSnippets(data.snippets);
+      }
+    } catch (error) {
+      // The snippet picker is a shortcut; the message can still be typed
+      console.error('Error loading snippets:', error);
+    }
+  };
+
+  // Groups aren't offered: a broadcast goes to people one by one
+  const accountChats = chats.filter((chat) => chat.accountId === accountId && !chat.isGroup);
+  const shownChats = accountChats.filter((chat) => (
+    chat.name.toLowerCase().includes(chatSearch.toLowerCase()) || (chat.phoneNumber || '').includes(chatSearch)
+  ));
+
+  const toggleChat = (chatId) => {
+    setSelectedChatIds((prev) => (prev.includes(chatId) ? prev.filter((id) => id !== chatId) : [...prev, chatId]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (selectedChatIds.length === 0 && !file) {
+      toast.error('Pick chats or upload a CSV file of recipients');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('name', name);
+    formData.append('template', template);
+    formData.append('chatIds', JSON.stringify(selectedChatIds));
+    if (file) {
+      formData.append('file', file);
+    }
+
+    setIsCreating(true);
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/campaigns/${workspaceId}`, accountId), {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to create campaign');
+      }
+      setCampaigns((prev) => upsertById(prev, data.campaign));
+      toast.success(`Sending ${name} to ${data.campaign.counts.total} recipients`);
+      openReport(data.campaign);
+    } catch (error) {
+      console.error('Error creating campaign:', error);
+      toast.error(error.message || 'Failed to create campaign');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCancel = async (campaign) => {
+    if (!window.confirm(`Stop ${campaign.name}? Recipients who haven't been messaged yet won't be.`)) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/campaigns/${workspaceId}/${campaign.id}/cancel`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to cancel campaign');
+      }
+      // The recipients that were waiting are cancelled now
+      openReport(data.campaign);
+    } catch (error) {
+      console.error('Error cancelling campaign:', error);
+      toast.error(error.message || 'Failed to cancel campaign');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[600px]">
+        <DialogHeader>
+          <DialogTitle>
+            {view === 'new' ? 'New campaign' : view === 'report' && report ? report.campaign.name : 'Campaigns'}
+          </DialogTitle>
+          <DialogDescription>
+            {view === 'report' && report
+              ? `From ${report.campaign.accountName}, started ${formatChatTime(report.campaign.createdAt)}${report.campaign.createdBy ? ` by ${report.campaign.createdBy.name}` : ''}`
+              : 'Send one message to many contacts. Messages go out one at a time, a few seconds apart.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {view !== 'list' && (
+          <Button variant="ghost" size="sm" className="w-fit -mt-2 text-gray-600" onClick={() => setView('list')}>
+            <ArrowLeft className="w-4 h-4" />
+            All campaigns
+          </Button>
+        )}
+
+        {view === 'list' && (
+          <div className="space-y-3">
+            {isAdmin && (
+              <Button onClick={openNewCampaign} className="bg-emerald-600 hover:bg-emerald-700">
+                <Plus className="w-4 h-4 mr-1" />
+                New campaign
+              </Button>
+            )}
+            <div className="max-h-96 overflow-y-auto">
+              {isLoading && campaigns.length === 0 ? (
+                <p className="text-sm text-gray-600 text-center py-4">Loading campaigns...</p>
+              ) : campaigns.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  <Megaphone className="w-8 h-8 mx-auto mb-2 opacity-40" />
+                  <p className="text-sm">No campaigns yet</p>
+                </div>
+              ) : (
+                campaigns.map((campaign) => (
+                  <button
+                    key={campaign.id}
+                    type="button"
+                    onClick={() => openReport(campaign)}
+                    className="w-full text-left py-2 px-2 border-b last:border-b-0 hover:bg-gray-50 rounded"
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="flex-1 min-w-0 truncate text-sm font-medium text-gray-900">{campaign.name}</span>
+                      <span className="text-xs text-gray-500">{formatChatTime(campaign.createdAt)}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mb-1">
+                      {CAMPAIGN_STATUS_LABELS[campaign.status]} · {countSent(campaign.counts)} of {campaign.counts.total} sent
+                      {accounts.length > 1 && ` · ${campaign.accountName}`}
+                    </p>
+                    <StatusCounts counts={campaign.counts} />
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+        )}
+
+        {view === 'new' && (
+          <form onSubmit={handleCreate} className="space-y-3">
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Campaign name, e.g. Spring sale"
+              maxLength={100}
+              required
+              className="focus-visible:ring-emerald-500"
+              aria-label="Campaign name"
+            />
+            {accounts.length > 1 && (
+              <select
+                value={accountId}
+                onChange={(e) => {
+                  setAccountId(e.target.value);
+                  setSelectedChatIds([]);
+                }}
+                className={SELECT_CLASS_NAME}
+                aria-label="Send from"
+              >
+                {accounts.map((account) => (
+                  <option key={account.id} value={account.id}>Send from {account.name}</option>
+                ))}
+              </select>
+            )}
+            {snippets.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => setTemplate(snippets.find((snippet) => snippet.id === e.target.value)?.content || template)}
+                className={SELECT_CLASS_NAME}
+                aria-label="Start from a snippet"
+              >
+                <option value="">Start from a snippet...</option>
+                {snippets.map((snippet) => (
+                  <option key={snippet.id} value={snippet.id}>{snippet.title}</option>
+                ))}
+              </select>
+            )}
+            <div>
+              <textarea
+                value={template}
+                onChange={(e) => setTemplate(e.target.value)}
+                placeholder="Hi {{first_name}}, ..."
+                rows={4}
+                maxLength={4096}
+                required
+                className="w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                aria-label="Message"
+              />
+              <p className="text-xs text-gray-500">
+                {Object.keys(BUILT_IN_PLACEHOLDERS).map((placeholder) => `{{${placeholder}}}`).join(', ')}, contact fields
+                and CSV columns are filled in for each recipient
+              </p>
+            </div>
+
+            <div className="pt-3 border-t space-y-2">
+              <div className="flex items-center gap-2">
+                <Input
+                  value={chatSearch}
+                  onChange={(e) => setChatSearch(e.target.value)}
+                  placeholder="Search chats"
+                  className="h-8 flex-1 focus-visible:ring-emerald-500"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setSelectedChatIds([...new Set([...selectedChatIds, ...shownChats.map((chat) => chat.id)])])}
+                  disabled={shownChats.length === 0}
+                >
+                  Select all
+                </Button>
+              </div>
+              <div className="max-h-40 overflow-y-auto rounded-md border border-gray-200">
+                {shownChats.length === 0 ? (
+                  <p className="text-xs text-gray-500 text-center py-3">
+                    {accountChats.length === 0 ? "Open this number's inbox to pick from its chats" : 'No matching chats'}
+                  </p>
+                ) : (
+                  shownChats.map((chat) => (
+                    <label key={chat.key} className="flex items-center gap-2 px-2 py-1 text-sm hover:bg-gray-50 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedChatIds.includes(chat.id)}
+                        onChange={() => toggleChat(chat.id)}
+                        className="accent-emerald-600"
+                      />
+                      <span className="flex-1 min-w-0 truncate">{chat.name}</span>
+                      {chat.phoneNumber && chat.phoneNumber !== chat.name && (
+                        <span className="text-xs text-gray-500">{chat.phoneNumber}</span>
+                      )}
+                    </label>
+                  ))
+                )}
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+              <div className="flex items-center gap-2">
+                <Button type="button" variant="outline" size="sm" onClick={() => fileInputRef.current?.click()}>
+                  <Upload className="w-4 h-4" />
+                  Upload CSV
+                </Button>
+                <p className="flex-1 min-w-0 text-xs text-gray-600 truncate">
+                  {file ? file.name : 'Columns: phone (with country code), name and any fields the message uses'}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between pt-2">
+              <span className="text-sm text-gray-600">
+                {selectedChatIds.length} chats selected{file && ' + CSV recipients'}
+              </span>
+              <Button type="submit" disabled={isCreating || !accountId} className="bg-emerald-600 hover:bg-emerald-700">
+                {isCreating ? 'Starting...' : 'Start campaign'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {view === 'report' && report && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-700">
+                {CAMPAIGN_STATUS_LABELS[report.campaign.status]} · {countSent(report.campaign.counts)} of {report.campaign.counts.total} sent
+              </span>
+              {report.campaign.status === 'sending' && isAdmin && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="ml-auto text-red-600 hover:bg-red-50"
+                  onClick={() => handleCancel(report.campaign)}
+                >
+                  Stop campaign
+                </Button>
+              )}
+            </div>
+            <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-emerald-500 transition-all"
+                style={{ width: `${(countSent(report.campaign.counts) / report.campaign.counts.total) * 100}%` }}
+              />
+            </div>
+            <StatusCounts counts={report.campaign.counts} />
+            <p className="text-xs text-gray-500 whitespace-pre-wrap border-l-2 border-gray-200 pl-2">{report.campaign.template}</p>
+            <div className="max-h-72 overflow-y-auto">
+              {!report.recipients ? (
+                <p className="text-sm text-gray-600 text-center py-4">Loading report...</p>
+              ) : (
+                report.recipients.map((recipient) => {
+                  const status = RECIPIENT_STATUSES.find((item) => item.id === recipient.status);
+                  return (
+                    <div key={recipient.id} className="flex items-center gap-3 py-1.5 border-b last:border-b-0">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-gray-900 truncate">{recipient.name || recipient.phone}</p>
+                        {recipient.error && <p className="text-xs text-red-600 truncate" title={recipient.error}>{recipient.error}</p>}
+                      </div>
+                      {recipient.name && recipient.phone && <span className="text-xs text-gray-500">{recipient.phone}</span>}
+                      <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${status.className}`}>{status.label}</span>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
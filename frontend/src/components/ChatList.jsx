@@ -1,12 +1,126 @@
+import { useEffect, useState } from 'react';
 import { Search } from 'lucide-react';
 import { Avatar, AvatarFallback, AvatarImage } from './ui/avatar';
 import { Input } from './ui/input';
 import { ScrollArea } from './ui/scroll-area';
+import { useInView } from '../hooks/useInView';
+import { withAuthToken } from '../lib/auth';
+import { formatChatTime, formatUpcomingTime } from '../lib/format';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+// Workflow status tabs (chat.conversationStatus)
+const STATUS_TABS = [
+  { id: 'open', label: 'Open' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'snoozed', label: 'Snoozed' },
+  { id: 'resolved', label: 'Resolved' },
+];
+
+// Assignment filters: conversations assigned to the signed-in user, to nobody, or everything
+const ASSIGNMENT_FILTERS = [
+  { id: 'mine', label: 'Mine', empty: 'No conversations are assigned to you', matches: (chat, userId) => chat.assignee?.id === userId },
+  { id: 'unassigned', label: 'Unassigned', empty: 'Every conversation is assigned', matches: (chat) => !chat.assignee },
+  { id: 'all', label: 'All', empty: 'No conversations here', matches: () => true },
+];
+
+// Avatars and image previews are only loaded once a row scrolls into view
+function ChatRow({ chat, isSelected, showAccount, onSelect, onVisible }) {
+  const [rowRef, inView] = useInView();
+
+  useEffect(() => {
+    if (inView && onVisible) {
+      onVisible(chat);
+    }
+  }, [inView, chat, onVisible]);
+
+  return (
+    <div
+      ref={rowRef}
+      onClick={() => onSelect(chat.key)}
+      className={`p-4 cursor-pointer transition-colors hover:bg-gray-50 ${
+        isSelected ? 'bg-emerald-50' : ''
+      }`}
+    >
+      <div className="flex items-start gap-3">
+        <div className="relative">
+          <Avatar className="w-12 h-12">
+            {chat.avatar && <AvatarImage src={chat.avatar} alt={chat.name} />}
+            <AvatarFallback>{chat.name.charAt(0)}</AvatarFallback>
+          </Avatar>
+          {chat.status === 'online' && (
+            <div className="absolute bottom-0 right-0 w-3 h-3 bg-emerald-500 border-2 border-white rounded-full" />
+          )}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between mb-1">
+            <div className="flex items-center gap-2 min-w-0">
+              <h3 className="font-medium text-gray-900 truncate">{chat.name}</h3>
+              {showAccount && chat.accountName && (
+                <span className="flex-shrink-0 px-1.5 py-0.5 rounded bg-emerald-50 text-emerald-700 text-[10px] font-medium">
+                  {chat.accountName}
+                </span>
+              )}
+            </div>
+            <span className="text-xs text-gray-500 ml-2 flex-shrink-0">{formatChatTime(chat.timestamp)}</span>
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            {chat.lastMessageImage && inView ? (
+              <div className="flex items-center gap-2 flex-1 min-w-0">
+                <div className="relative w-10 h-10 flex-shrink-0 rounded overflow-hidden bg-gray-100">
+                  <img 
+                    src={withAuthToken(`${API_BASE_URL}${chat.lastMessageImage}`)} 
+                    alt="Preview" 
+                    loading="lazy"
+                    className="w-full h-full object-cover"
+                    onError={(e) => {
+                      e.target.style.display = 'none';
+                    }}
+                  />
+                </div>
+                <p className="text-sm text-gray-600 truncate flex-1">{chat.lastMessage}</p>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600 truncate flex-1">{chat.lastMessage}</p>
+            )}
+            {chat.conversationStatus === 'snoozed' && chat.snoozedUntil && (
+              <span className="flex-shrink-0 text-[10px] text-gray-500" title="Snoozed until">
+                {formatUpcomingTime(chat.snoozedUntil)}
+              </span>
+            )}
+            {chat.assignee && (
+              <span
+                className="flex-shrink-0 w-5 h-5 flex items-center justify-center bg-gray-200 text-gray-600 text-[10px] font-medium rounded-full"
+                title={`Assigned to ${chat.assignee.name}`}
+              >
+                {chat.assignee.name.charAt(0).toUpperCase()}
+              </span>
+            )}
+            {chat.unread > 0 && (
+              <span className="ml-2 flex-shrink-0 w-5 h-5 flex items-center justify-center bg-emerald-500 text-white text-xs rounded-full">
+                {chat.unread}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Chats are identified by chat.key (account + chat ID), since one contact can have a chat on several accounts
+export function ChatList({ chats = [], selectedChatKey, showAccount = false, onSelectChat, onChatVisible, searchQuery, onSearchChange, isLoading = false }) {
+  const [statusTab, setStatusTab] = useState('open');
+  const [assignmentFilter, setAssignmentFilter] = useState('all');
+  const userId = localStorage.getItem('userId');
+  const activeFilter = ASSIGNMENT_FILTERS.find((filter) => filter.id === assignmentFilter);
+  const hasStatus = (chat, status) => (chat.conversationStatus || 'open') === status;
 
-export function ChatList({ chats = [], selectedChatId, onSelectChat, searchQuery, onSearchChange, isLoading = false }) {
   const filteredChats = (chats || []).filter(chat =>
-    (chat.name || '').toLowerCase().includes(searchQuery.toLowerCase()) ||
-    (chat.lastMessage || '').toLowerCase().includes(searchQuery.toLowerCase())
+    hasStatus(chat, statusTab) && activeFilter.matches(chat, userId) && (
+      (chat.name || '').toLowerCase().includes(searchQuery.toLowerCase()) ||
+      (chat.lastMessage || '').toLowerCase().includes(searchQuery.toLowerCase())
+    )
   );
 
   return (
@@ -23,6 +137,44 @@ export function ChatList({ chats = [], selectedChatId, onSelectChat, searchQuery
             className="pl-10 bg-gray-50 border-gray-200 focus-visible:ring-emerald-500"
           />
         </div>
+        <div className="flex mt-3 border-b border-gray-200">
+          {STATUS_TABS.map((tab) => {
+            const count = (chats || []).filter((chat) => hasStatus(chat, tab.id) && activeFilter.matches(chat, userId)).length;
+            return (
+              <button
+                key={tab.id}
+                type="button"
+                onClick={() => setStatusTab(tab.id)}
+                className={`flex-1 pb-2 text-xs font-medium border-b-2 -mb-px transition-colors ${
+                  statusTab === tab.id
+                    ? 'border-emerald-500 text-emerald-700'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {tab.label} {count > 0 && <span className="text-gray-400">{count}</span>}
+              </button>
+            );
+          })}
+        </div>
+        <div className="flex gap-1 mt-3">
+          {ASSIGNMENT_FILTERS.map((filter) => {
+            const count = (chats || []).filter((chat) => hasStatus(chat, statusTab) && filter.matches(chat, userId)).length;
+            return (
+              <button
+                key={filter.id}
+                type="button"
+                onClick={() => setAssignmentFilter(filter.id)}
+                className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                  assignmentFilter === filter.id
+                    ? 'bg-emerald-100 text-emerald-700'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {filter.label} <span className="text-gray-500">{count}</span>
+              </button>
+            );
+          })}
+        </div>
       </div>
 
       {/* Chat List */}
@@ -39,59 +191,18 @@ export function ChatList({ chats = [], selectedChatId, onSelectChat, searchQuery
             </div>
           ) : filteredChats.length === 0 ? (
             <div className="p-8 text-center text-gray-500">
-              <p>No conversations match your search</p>
+              <p>{searchQuery ? 'No conversations match your search' : activeFilter.empty}</p>
             </div>
           ) : (
             filteredChats.map((chat) => (
-            <div
-              key={chat.id}
-              onClick={() => onSelectChat(chat.id)}
-              className={`p-4 cursor-pointer transition-colors hover:bg-gray-50 ${
-                selectedChatId === chat.id ? 'bg-emerald-50' : ''
-              }`}
-            >
-              <div className="flex items-start gap-3">
-                <div className="relative">
-                  <Avatar className="w-12 h-12">
-                    <AvatarImage src={chat.avatar} alt={chat.name} />
-                    <AvatarFallback>{chat.name.charAt(0)}</AvatarFallback>
-                  </Avatar>
-                  {chat.status === 'online' && (
-                    <div className="absolute bottom-0 right-0 w-3 h-3 bg-emerald-500 border-2 border-white rounded-full" />
-                  )}
-                </div>
-                <div className="flex-1 min-w-0">
-                  <div className="flex items-center justify-between mb-1">
-                    <h3 className="font-medium text-gray-900 truncate">{chat.name}</h3>
-                    <span className="text-xs text-gray-500 ml-2 flex-shrink-0">{chat.timestamp}</span>
-                  </div>
-                  <div className="flex items-center justify-between gap-2">
-                    {chat.lastMessageImage ? (
-                      <div className="flex items-center gap-2 flex-1 min-w-0">
-                        <div className="relative w-10 h-10 flex-shrink-0 rounded overflow-hidden bg-gray-100">
-                          <img 
-                            src={chat.lastMessageImage} 
-                            alt="Preview" 
-                            className="w-full h-full object-cover"
-                            onError={(e) => {
-                              e.target.style.display = 'none';
-                            }}
-                          />
-                        </div>
-                        <p className="text-sm text-gray-600 truncate flex-1">{chat.lastMessage}</p>
-                      </div>
-                    ) : (
-                      <p className="text-sm text-gray-600 truncate flex-1">{chat.lastMessage}</p>
-                    )}
-                    {chat.unread && chat.unread > 0 && (
-                      <span className="ml-2 flex-shrink-0 w-5 h-5 flex items-center justify-center bg-emerald-500 text-white text-xs rounded-full">
-                        {chat.unread}
-                      </span>
-                    )}
-                  </div>
-                </div>
-              </div>
-            </div>
+              <ChatRow
+                key={chat.key}
+                chat={chat}
+                isSelected={selectedChatKey === chat.key}
+                showAccount={showAccount}
+                onSelect={onSelectChat}
+                onVisible={onChatVisible}
+              />
             ))
           )}
         </div>
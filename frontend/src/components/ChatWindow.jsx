@@ -1,34 +1,237 @@
-import { useState } from 'react';
-import { Paperclip, Phone, Send, Smile, Video, MoreVertical } from 'lucide-react';
+import { Fragment, useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { Clock, Paperclip, Pencil, Phone, Send, Smile, StickyNote, Tags, Trash2, Video, MoreVertical, X, FileText, UserRound } from 'lucide-react';
 import { useDrop } from 'react-dnd';
+import { NativeTypes } from 'react-dnd-html5-backend';
 import { Avatar, AvatarFallback, AvatarImage } from './ui/avatar';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { ScrollArea } from './ui/scroll-area';
 import { MessageBubble } from './MessageBubble';
+import { NoteBubble } from './NoteBubble';
+import { ContactFieldsDialog } from './ContactFieldsDialog';
+import { ScheduledMessageDialog } from './ScheduledMessageDialog';
 import { toast } from 'sonner';
+import { formatDateSeparator, formatUpcomingTime, isSameDay } from '../lib/format';
+import { hasRole } from '../lib/workspace';
+import { fillTemplate, findPlaceholders } from '../lib/templates';
 
-export function ChatWindow({ chat, messages, onSendMessage }) {
+// Start loading older messages when scrolled this close to the top (px)
+const LOAD_OLDER_THRESHOLD = 80;
+
+// Mirrors the backend's upload rules (mediaService.js); the server has the final say
+const ACCEPTED_FILE_TYPES = 'image/jpeg,image/png,image/webp,image/gif,video/mp4,video/3gpp,video/quicktime,audio/*,application/pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.zip,.txt,.csv';
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Snooze presets; each returns when the conversation reopens (epoch milliseconds)
+const SNOOZE_OPTIONS = [
+  { id: 'snooze_hour', label: 'Snooze 1 hour', until: () => Date.now() + HOUR_MS },
+  {
+    id: 'snooze_tomorrow',
+    label: 'Snooze until tomorrow',
+    until: () => {
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return tomorrow.setHours(9, 0, 0, 0);
+    },
+  },
+  { id: 'snooze_week', label: 'Snooze 1 week', until: () => Date.now() + 7 * 24 * HOUR_MS },
+];
+
+const STATUS_LABELS = {
+  open: 'Open',
+  pending: 'Pending',
+  snoozed: 'Snoozed',
+  resolved: 'Resolved',
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// assignees are the workspace members a conversation can be given to ({ userId, name });
+// draft ({ text }) replaces the composer text, e.g. with a snippet that still has placeholders;
+// scheduledMessages are the chat's messages waiting to be sent later, soonest first;
+// onUpdateTags is called with the chat's new tag list when a tag is removed
+export function ChatWindow({ chat, messages, notes = [], scheduledMessages = [], accountLabel = null, readOnly = false, assignees = [], draft = null, onAssign, onStatusChange, onUpdateContactFields, onUpdateTags, onAddNote, onUpdateNote, onDeleteNote, onScheduleMessage, onUpdateScheduledMessage, onCancelScheduledMessage, onSendMessage, onSendMedia, hasMoreMessages = false, isLoadingOlder = false, onLoadOlder }) {
   const [inputValue, setInputValue] = useState('');
+  const [pendingFile, setPendingFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  // In note mode the composer adds a private note instead of sending a WhatsApp message
+  const [isNoteMode, setIsNoteMode] = useState(false);
+  const [isContactFieldsOpen, setIsContactFieldsOpen] = useState(false);
+  // { text } while scheduling the composer text, { scheduledMessage } while editing a scheduled message
+  const [scheduling, setScheduling] = useState(null);
+  const fileInputRef = useRef(null);
+  const inputRef = useRef(null);
+  const messagesEndRef = useRef(null);
+  const viewportRef = useRef(null);
+  // Distance from the bottom before older messages were prepended, used to keep the view anchored
+  const scrollAnchor = useRef(null);
+  const userId = localStorage.getItem('userId');
+  const isAdmin = hasRole('admin');
+
+  // Messages and notes in one timeline. While older messages are still unloaded, notes from
+  // before the oldest loaded message wait until that part of the conversation is loaded.
+  const oldestLoaded = messages.length > 0 ? messages[0].timestamp : null;
+  const timeline = [
+    ...messages.map((message) => ({ key: message.id, message, timestamp: message.timestamp })),
+    ...notes
+      .filter((note) => !hasMoreMessages || oldestLoaded === null || note.timestamp >= oldestLoaded)
+      .map((note) => ({ key: `note:${note.id}`, note, timestamp: note.timestamp })),
+  ].sort((a, b) => a.timestamp - b.timestamp);
+  const lastItemKey = timeline.length > 0 ? timeline[timeline.length - 1].key : null;
+
+  // Placeholders a snippet left in the composer (notes aren't sent, so they're fine there)
+  const placeholders = isNoteMode ? [] : findPlaceholders(inputValue);
+
+  // Keep the newest message or note in view as they arrive (not when older pages are prepended)
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [lastItemKey, chat?.key]);
+
+  // After older messages are prepended, restore the previous position so the view doesn't jump
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    if (viewport && scrollAnchor.current !== null) {
+      viewport.scrollTop = viewport.scrollHeight - scrollAnchor.current;
+      scrollAnchor.current = null;
+    }
+  }, [messages]);
+
+  const handleScroll = (e) => {
+    const viewport = e.currentTarget;
+    if (viewport.scrollTop < LOAD_OLDER_THRESHOLD && hasMoreMessages && !isLoadingOlder && onLoadOlder) {
+      scrollAnchor.current = viewport.scrollHeight - viewport.scrollTop;
+      onLoadOlder();
+    }
+  };
+
+  const selectFile = (file) => {
+    if (!file) return;
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error('File is too large (max 100 MB)');
+      return;
+    }
+    setPendingFile(file);
+    setPreviewUrl(file.type.startsWith('image/') ? URL.createObjectURL(file) : null);
+  };
 
-  const [{ isOver }, drop] = useDrop(() => ({
-    accept: 'snippet',
-    drop: (item) => {
-      setInputValue(item.snippet.content);
-      toast.success('Snippet added to input field');
+  const clearPendingFile = () => {
+    setPendingFile(null);
+    setPreviewUrl(null);
+    setUploadProgress(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Release the image preview when it's replaced or the component unmounts
+  useEffect(() => {
+    return () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+    };
+  }, [previewUrl]);
+
+  // Don't carry an unsent attachment over to another chat
+  useEffect(() => {
+    clearPendingFile();
+  }, [chat?.key]);
+
+  useEffect(() => {
+    if (draft) {
+      setIsNoteMode(false);
+      setInputValue(draft.text);
+      inputRef.current?.focus();
+    }
+  }, [draft]);
+
+  const [{ isOver, isDraggingFile }, drop] = useDrop(() => ({
+    accept: ['snippet', NativeTypes.FILE],
+    drop: (item, monitor) => {
+      if (monitor.getItemType() === NativeTypes.FILE) {
+        if (isNoteMode) {
+          toast.error('Notes can only contain text');
+          return;
+        }
+        selectFile(item.files[0]);
+        return;
+      }
+      const { text, unresolved } = fillTemplate(item.snippet.content, chat);
+      setInputValue(text);
+      if (unresolved.length > 0) {
+        toast.warning(`Fill in ${unresolved.map((name) => `{{${name}}}`).join(', ')} before sending`);
+      } else {
+        toast.success('Snippet added to input field');
+      }
     },
     collect: (monitor) => ({
       isOver: !!monitor.isOver(),
+      isDraggingFile: monitor.getItemType() === NativeTypes.FILE,
     }),
-  }));
+  }), [isNoteMode, chat]);
+
+  const handleSend = async () => {
+    if (isNoteMode) {
+      const body = inputValue.trim();
+      if (body && await onAddNote(body)) {
+        setInputValue('');
+      }
+      return;
+    }
+
+    if (pendingFile) {
+      if (uploadProgress !== null) return;
+      setUploadProgress(0);
+      try {
+        await onSendMedia(pendingFile, inputValue.trim(), setUploadProgress);
+        clearPendingFile();
+        setInputValue('');
+      } catch (error) {
+        toast.error(error.message || 'Failed to send file');
+        setUploadProgress(null);
+      }
+      return;
+    }
 
-  const handleSend = () => {
     if (inputValue.trim()) {
+      if (placeholders.length > 0
+        && !window.confirm(`Send with ${placeholders.map((item) => item.placeholder).join(', ')} left unfilled?`)) {
+        return;
+      }
       onSendMessage(inputValue);
       setInputValue('');
     }
   };
 
+  const handleSchedule = async (body, sendAt) => {
+    if (scheduling?.scheduledMessage) {
+      return onUpdateScheduledMessage(scheduling.scheduledMessage.id, body, sendAt);
+    }
+    if (!(await onScheduleMessage(body, sendAt))) return false;
+    setInputValue('');
+    return true;
+  };
+
+  // Select a leftover placeholder in the composer so typing replaces it
+  const selectPlaceholder = ({ placeholder, index }) => {
+    inputRef.current?.focus();
+    inputRef.current?.setSelectionRange(index, index + placeholder.length);
+  };
+
+  const handleStatusSelect = (value) => {
+    const snooze = SNOOZE_OPTIONS.find((option) => option.id === value);
+    if (snooze) {
+      onStatusChange('snoozed', snooze.until());
+    } else {
+      onStatusChange(value, null);
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -60,6 +263,11 @@ export function ChatWindow({ chat, messages, onSendMessage }) {
     );
   }
 
+  const conversationStatus = chat.conversationStatus || 'open';
+  const statusLabel = conversationStatus === 'snoozed' && chat.snoozedUntil
+    ? `Snoozed until ${formatUpcomingTime(chat.snoozedUntil)}`
+    : STATUS_LABELS[conversationStatus];
+
   return (
     <div className="flex flex-col h-full bg-gray-50">
       {/* Header */}
@@ -78,10 +286,80 @@ export function ChatWindow({ chat, messages, onSendMessage }) {
             <h2 className="font-medium text-gray-900">{chat.name}</h2>
             <p className="text-xs text-gray-500">
               {chat.status === 'online' ? 'Online' : chat.status === 'away' ? 'Away' : 'Offline'}
+              {accountLabel && <span className="text-emerald-600"> · via {accountLabel}</span>}
             </p>
+            {chat.tags?.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-1">
+                {chat.tags.map((tag) => (
+                  <span key={tag} className="inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded bg-emerald-50 text-xs font-medium text-emerald-700">
+                    {tag}
+                    {!readOnly && onUpdateTags && (
+                      <button
+                        type="button"
+                        onClick={() => onUpdateTags(chat.tags.filter((item) => item !== tag))}
+                        className="text-emerald-600 hover:text-red-600"
+                        aria-label={`Remove tag ${tag}`}
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-2">
+          {readOnly || !onStatusChange ? (
+            <span className="px-2 py-0.5 rounded bg-gray-100 text-xs font-medium text-gray-600">{statusLabel}</span>
+          ) : (
+            <select
+              value={conversationStatus}
+              onChange={(e) => handleStatusSelect(e.target.value)}
+              className="h-8 max-w-[12rem] rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              aria-label="Conversation status"
+            >
+              <option value="open">{STATUS_LABELS.open}</option>
+              <option value="pending">{STATUS_LABELS.pending}</option>
+              {/* Only selectable through one of the snooze presets */}
+              {conversationStatus === 'snoozed' && <option value="snoozed" disabled>{statusLabel}</option>}
+              {SNOOZE_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+              <option value="resolved">{STATUS_LABELS.resolved}</option>
+            </select>
+          )}
+          <div className="flex items-center gap-1.5 mr-2 text-sm text-gray-600" title="Assigned to">
+            <UserRound className="w-4 h-4 flex-shrink-0" />
+            {readOnly || !onAssign ? (
+              <span className="truncate max-w-[10rem]">{chat.assignee?.name || 'Unassigned'}</span>
+            ) : (
+              <select
+                value={chat.assignee?.id || ''}
+                onChange={(e) => onAssign(e.target.value || null)}
+                className="h-8 max-w-[10rem] rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                aria-label="Assign conversation"
+              >
+                <option value="">Unassigned</option>
+                {/* Until the member list has loaded, still show who has the chat */}
+                {chat.assignee && !assignees.some((member) => member.userId === chat.assignee.id) && (
+                  <option value={chat.assignee.id}>{chat.assignee.name}</option>
+                )}
+                {assignees.map((member) => (
+                  <option key={member.userId} value={member.userId}>{member.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => setIsContactFieldsOpen(true)}
+            className="text-gray-600 hover:text-emerald-600"
+            title="Contact fields"
+          >
+            <Tags className="w-5 h-5" />
+          </Button>
           <Button variant="ghost" size="icon" className="text-gray-600 hover:text-emerald-600">
             <Phone className="w-5 h-5" />
           </Button>
@@ -96,56 +374,235 @@ export function ChatWindow({ chat, messages, onSendMessage }) {
 
       {/* Messages */}
       <div className="flex-1 overflow-hidden">
-        <ScrollArea className="h-full p-6">
+        <ScrollArea className="h-full p-6" viewportRef={viewportRef} onViewportScroll={handleScroll}>
           <div className="space-y-1">
-            {messages.map((message) => (
-              <MessageBubble key={message.id} message={message} />
+            {isLoadingOlder && (
+              <div className="flex justify-center py-2">
+                <div className="w-5 h-5 border-2 border-emerald-200 border-t-emerald-600 rounded-full animate-spin"></div>
+              </div>
+            )}
+            {!hasMoreMessages && messages.length > 0 && (
+              <p className="text-center text-xs text-gray-400 py-2">Beginning of conversation</p>
+            )}
+            {timeline.map((item, index) => (
+              <Fragment key={item.key}>
+                {(index === 0 || !isSameDay(timeline[index - 1].timestamp, item.timestamp)) && (
+                  <div className="flex justify-center py-2">
+                    <span className="px-3 py-1 text-xs text-gray-600 bg-white border border-gray-200 rounded-full shadow-sm">
+                      {formatDateSeparator(item.timestamp)}
+                    </span>
+                  </div>
+                )}
+                {item.note ? (
+                  <NoteBubble
+                    note={item.note}
+                    canEdit={!readOnly && (item.note.author?.id === userId || isAdmin)}
+                    onUpdate={onUpdateNote}
+                    onDelete={onDeleteNote}
+                  />
+                ) : (
+                  <MessageBubble message={item.message} />
+                )}
+              </Fragment>
             ))}
+            <div ref={messagesEndRef} />
           </div>
         </ScrollArea>
       </div>
 
-      {/* Input Area */}
-      <div
-        ref={drop}
-        className={`p-4 bg-white border-t border-gray-200 transition-colors ${
-          isOver ? 'bg-emerald-50' : ''
-        }`}
-      >
-        <div className="flex items-end gap-2">
-          <Button
-            variant="ghost"
-            size="icon"
-            className="text-gray-600 hover:text-emerald-600 flex-shrink-0"
-          >
-            <Paperclip className="w-5 h-5" />
-          </Button>
-          <div className="flex-1 relative">
-            <Input
-              type="text"
-              placeholder={isOver ? 'Drop snippet here...' : 'Type a message...'}
-              value={inputValue}
-              onChange={(e) => setInputValue(e.target.value)}
-              onKeyPress={handleKeyPress}
-              className="pr-10 focus-visible:ring-emerald-500"
+      {/* Input Area (read-only members can follow conversations but not reply) */}
+      {readOnly ? (
+        <div className="p-4 bg-white border-t border-gray-200">
+          <p className="text-sm text-center text-gray-500">You have read-only access to this inbox</p>
+        </div>
+      ) : (
+        <div
+          ref={drop}
+          className={`p-4 border-t transition-colors ${
+            isNoteMode ? 'bg-amber-50 border-amber-200' : 'bg-white border-gray-200'
+          } ${isOver ? 'bg-emerald-50' : ''}`}
+        >
+          {isNoteMode && (
+            <p className="mb-2 text-xs text-amber-700">Private note - only your team can see it</p>
+          )}
+          {scheduledMessages.length > 0 && (
+            <div className="mb-2 space-y-1">
+              {scheduledMessages.map((item) => (
+                <div
+                  key={item.id}
+                  className={`group flex items-center gap-2 rounded-md border px-2 py-1 text-xs ${
+                    item.status === 'failed' ? 'border-red-200 bg-red-50 text-red-700' : 'border-gray-200 bg-gray-50 text-gray-600'
+                  }`}
+                >
+                  <Clock className="w-3.5 h-3.5 flex-shrink-0" />
+                  <span className="flex-shrink-0 font-medium" title={item.lastError || undefined}>
+                    {item.status === 'failed' ? 'Failed to send' : formatUpcomingTime(item.sendAt)}
+                  </span>
+                  <span className="flex-1 min-w-0 truncate">{item.body}</span>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setScheduling({ scheduledMessage: item })}
+                    className="w-6 h-6 text-gray-500 hover:text-emerald-600"
+                    title={item.status === 'failed' ? 'Edit and try again' : 'Edit scheduled message'}
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => onCancelScheduledMessage(item.id)}
+                    className="w-6 h-6 text-gray-500 hover:text-red-600"
+                    title="Cancel scheduled message"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+          {placeholders.length > 0 && (
+            <div className="mb-2 flex flex-wrap items-center gap-1 text-xs text-amber-700">
+              <span>Fill in before sending:</span>
+              {placeholders.map((item) => (
+                <button
+                  key={item.index}
+                  type="button"
+                  onClick={() => selectPlaceholder(item)}
+                  className="px-1.5 py-0.5 rounded bg-amber-100 font-mono text-amber-800 hover:bg-amber-200"
+                  title="Select in message"
+                >
+                  {item.placeholder}
+                </button>
+              ))}
+            </div>
+          )}
+          {pendingFile && (
+            <div className="mb-3 flex items-center gap-3 p-2 bg-gray-50 border border-gray-200 rounded-lg">
+              {previewUrl ? (
+                <img src={previewUrl} alt={pendingFile.name} className="w-12 h-12 rounded object-cover flex-shrink-0" />
+              ) : (
+                <div className="w-12 h-12 rounded bg-emerald-100 text-emerald-600 flex items-center justify-center flex-shrink-0">
+                  <FileText className="w-6 h-6" />
+                </div>
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{pendingFile.name}</p>
+                <p className="text-xs text-gray-500">{formatFileSize(pendingFile.size)}</p>
+                {uploadProgress !== null && (
+                  <div className="mt-1 h-1.5 w-full bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-emerald-500 transition-all" style={{ width: `${uploadProgress}%` }} />
+                  </div>
+                )}
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={clearPendingFile}
+                disabled={uploadProgress !== null}
+                className="text-gray-500 hover:text-red-600 flex-shrink-0"
+                title="Remove attachment"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+          <div className="flex items-end gap-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ACCEPTED_FILE_TYPES}
+              className="hidden"
+              onChange={(e) => selectFile(e.target.files[0])}
             />
             <Button
               variant="ghost"
               size="icon"
-              className="absolute right-1 top-1/2 -translate-y-1/2 text-gray-600 hover:text-emerald-600"
+              onClick={() => setIsNoteMode((mode) => !mode)}
+              disabled={!!pendingFile}
+              className={`flex-shrink-0 ${isNoteMode ? 'text-amber-600 bg-amber-100 hover:bg-amber-200' : 'text-gray-600 hover:text-amber-600'}`}
+              title={isNoteMode ? 'Back to replying' : 'Write a private note'}
+              aria-pressed={isNoteMode}
+            >
+              <StickyNote className="w-5 h-5" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={uploadProgress !== null || isNoteMode}
+              className="text-gray-600 hover:text-emerald-600 flex-shrink-0"
+              title="Attach file"
+            >
+              <Paperclip className="w-5 h-5" />
+            </Button>
+            <div className="flex-1 relative">
+              <Input
+                ref={inputRef}
+                type="text"
+                placeholder={
+                  isOver
+                    ? (isDraggingFile ? 'Drop file to attach...' : 'Drop snippet here...')
+                    : isNoteMode
+                      ? 'Add a private note...'
+                      : (pendingFile ? 'Add a caption...' : 'Type a message...')
+                }
+                value={inputValue}
+                onChange={(e) => setInputValue(e.target.value)}
+                onKeyPress={handleKeyPress}
+                className={`pr-10 ${
+                  isNoteMode
+                    ? 'bg-white border-amber-300 focus-visible:ring-amber-500'
+                    : placeholders.length > 0 ? 'border-amber-300 focus-visible:ring-emerald-500' : 'focus-visible:ring-emerald-500'
+                }`}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                className="absolute right-1 top-1/2 -translate-y-1/2 text-gray-600 hover:text-emerald-600"
+              >
+                <Smile className="w-5 h-5" />
+              </Button>
+            </div>
+            {/* Attachments and notes go out right away */}
+            {!isNoteMode && !pendingFile && onScheduleMessage && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setScheduling({ text: inputValue })}
+                className="text-gray-600 hover:text-emerald-600 flex-shrink-0"
+                title="Send later"
+              >
+                <Clock className="w-5 h-5" />
+              </Button>
+            )}
+            <Button
+              onClick={handleSend}
+              disabled={uploadProgress !== null}
+              size="icon"
+              className={`text-white flex-shrink-0 ${isNoteMode ? 'bg-amber-500 hover:bg-amber-600' : 'bg-emerald-500 hover:bg-emerald-600'}`}
+              title={isNoteMode ? 'Add note' : 'Send'}
             >
-              <Smile className="w-5 h-5" />
+              {isNoteMode ? <StickyNote className="w-5 h-5" /> : <Send className="w-5 h-5" />}
             </Button>
           </div>
-          <Button
-            onClick={handleSend}
-            size="icon"
-            className="bg-emerald-500 hover:bg-emerald-600 text-white flex-shrink-0"
-          >
-            <Send className="w-5 h-5" />
-          </Button>
         </div>
-      </div>
+      )}
+
+      <ContactFieldsDialog
+        open={isContactFieldsOpen}
+        onOpenChange={setIsContactFieldsOpen}
+        chat={chat}
+        readOnly={readOnly || !onUpdateContactFields}
+        onSave={onUpdateContactFields}
+      />
+      <ScheduledMessageDialog
+        open={!!scheduling}
+        onOpenChange={(open) => !open && setScheduling(null)}
+        initialText={scheduling?.text || ''}
+        scheduledMessage={scheduling?.scheduledMessage || null}
+        onSave={handleSchedule}
+      />
     </div>
   );
 }
@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { BUILT_IN_PLACEHOLDERS } from '../lib/templates';
+
+const toRows = (fields) => Object.entries(fields || {}).map(([name, value]) => ({ name, value }));
+
+// Custom fields about a chat's contact; snippets use them as {{field_name}} placeholders
+export function ContactFieldsDialog({ open, onOpenChange, chat, readOnly = false, onSave }) {
+  const [rows, setRows] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setRows(toRows(chat?.contactFields));
+    }
+  }, [open, chat?.contactFields]);
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const fields = {};
+    for (const row of rows) {
+      if (row.name.trim()) {
+        fields[row.name.trim()] = row.value;
+      }
+    }
+    setIsSaving(true);
+    const saved = await onSave(fields);
+    setIsSaving(false);
+    if (saved) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>Contact fields</DialogTitle>
+          <DialogDescription>
+            Snippets can use these as placeholders, e.g. {'{{company}}'}.
+            {' '}{Object.keys(BUILT_IN_PLACEHOLDERS).map((name) => `{{${name}}}`).join(', ')} are filled in automatically.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {rows.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-2">No custom fields for {chat?.name}</p>
+          )}
+          {rows.map((row, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Input
+                value={row.name}
+                onChange={(e) => updateRow(index, 'name', e.target.value)}
+                placeholder="field_name"
+                maxLength={32}
+                disabled={readOnly}
+                className="w-40 font-mono text-sm focus-visible:ring-emerald-500"
+                aria-label="Field name"
+              />
+              <Input
+                value={row.value}
+                onChange={(e) => updateRow(index, 'value', e.target.value)}
+                placeholder="Value"
+                maxLength={500}
+                disabled={readOnly}
+                className="flex-1 focus-visible:ring-emerald-500"
+                aria-label="Field value"
+              />
+              {!readOnly && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                  className="text-gray-500 hover:text-red-600"
+                  title="Remove field"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              )}
+            </div>
+          ))}
+          {!readOnly && (
+            <div className="flex items-center justify-between pt-2">
+              <Button
+                type="button"
+                variant="ghost"
+                onClick={() => setRows([...rows, { name: '', value: '' }])}
+                className="text-emerald-700 hover:bg-emerald-50"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add field
+              </Button>
+              <Button type="submit" disabled={isSaving} className="bg-emerald-600 hover:bg-emerald-700">
+                {isSaving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          )}
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,14 +1,18 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
-import { MoreVertical } from 'lucide-react';
+import { Bot, Clock, Megaphone, MoreVertical, Plus, Users, Webhook } from 'lucide-react';
+import { toast } from 'sonner';
 import { ChatList } from './ChatList';
 import { ChatWindow } from './ChatWindow';
 import { SnippetsPanel } from './SnippetsPanel';
-import { mockSnippets } from '../data/mockData';
+import { TeamDialog } from './TeamDialog';
+import { CampaignsDialog } from './CampaignsDialog';
+import { WebhooksDialog } from './WebhooksDialog';
 import { Toaster } from './ui/toaster';
 import { Button } from './ui/button';
+import { Input } from './ui/input';
 import {
   Dialog,
   DialogContent,
@@ -18,132 +22,196 @@ import {
 } from './ui/dialog';
 import { Avatar, AvatarFallback, AvatarImage } from './ui/avatar';
 import { Tabs, TabsList, TabsTrigger, TabsContent } from './ui/tabs';
+import { useWhatsAppEvents } from '../hooks/useWhatsAppEvents';
+import { authFetch, authUpload, clearSession } from '../lib/auth';
+import {
+  UNIFIED_INBOX,
+  getChatKey,
+  getSavedActiveAccountId,
+  saveActiveAccountId,
+  withAccountId,
+} from '../lib/accounts';
+import { hasRole } from '../lib/workspace';
+import { fillTemplate } from '../lib/templates';
 
 const API_BASE_URL = 'http://localhost:5153';
 
+// Most recent activity first; chats without any messages go last
+const sortChatsByRecent = (chats) =>
+  [...chats].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+// Add or update a chat's scheduled message, soonest first; sent ones leave the list (the message itself shows up)
+const upsertScheduledMessage = (list, scheduledMessage) => {
+  const others = list.filter((item) => item.id !== scheduledMessage.id);
+  if (scheduledMessage.status === 'sent') return others;
+  return [...others, scheduledMessage].sort((a, b) => a.sendAt - b.sendAt);
+};
+
+// Mark a chat as read for the whole team and on WhatsApp; other open dashboards get a chat_read event
+const markChatRead = async (accountId, chatId) => {
+  const workspaceId = localStorage.getItem('workspaceId');
+  // Read receipts go out to the customer, so read-only members leave chats unread
+  if (!workspaceId || !hasRole('agent')) return;
+  try {
+    await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chatId}/read`, accountId), {
+      method: 'POST',
+    });
+  } catch (error) {
+    console.error('Error marking chat as read:', error);
+  }
+};
+
 export function Dashboard() {
-  const [selectedChatId, setSelectedChatId] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  // One account's ID, or UNIFIED_INBOX to list the chats of every account together
+  const [activeAccountId, setActiveAccountId] = useState(null);
+  // Chats are identified by chat.key (account + chat ID); see getChatKey
+  const [selectedChatKey, setSelectedChatKey] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [chats, setChats] = useState([]);
   const [messages, setMessages] = useState({});
+  const [messagePaging, setMessagePaging] = useState({});
+  // Private team notes, keyed by chat key like messages
+  const [notes, setNotes] = useState({});
+  // Messages waiting to be sent later (or that failed to send), keyed by chat key
+  const [scheduledMessages, setScheduledMessages] = useState({});
+  // A filled snippet that still has placeholders, handed to the composer instead of being sent
+  const [composerDraft, setComposerDraft] = useState(null);
   const [isAccountDialogOpen, setIsAccountDialogOpen] = useState(false);
+  const [isAddAccountOpen, setIsAddAccountOpen] = useState(false);
+  const [isTeamOpen, setIsTeamOpen] = useState(false);
+  const [isCampaignsOpen, setIsCampaignsOpen] = useState(false);
+  // Latest live campaign update ({ campaign, recipient }), handed to the campaigns dialog
+  const [campaignEvent, setCampaignEvent] = useState(null);
+  const [isWebhooksOpen, setIsWebhooksOpen] = useState(false);
+  const [newAccountName, setNewAccountName] = useState('');
+  const [isCreatingAccount, setIsCreatingAccount] = useState(false);
   const [whatsappAccount, setWhatsappAccount] = useState(null);
   const [conversationCount, setConversationCount] = useState(null);
   const [isLoadingChats, setIsLoadingChats] = useState(true);
   const [chatError, setChatError] = useState(null);
+  // Workspace members, for assigning conversations
+  const [members, setMembers] = useState([]);
   const navigate = useNavigate();
+  // Linking, unlinking and adding numbers is up to admins; read-only members can't reply
+  const canManageNumbers = hasRole('admin');
+  const canReply = hasRole('agent');
   const hasCheckedSession = useRef(false);
-  const isCheckingSession = useRef(false);
+  const selectedChatKeyRef = useRef(selectedChatKey);
+  selectedChatKeyRef.current = selectedChatKey;
+  const activeAccountIdRef = useRef(activeAccountId);
+  activeAccountIdRef.current = activeAccountId;
+  const accountsRef = useRef(accounts);
+  accountsRef.current = accounts;
+  const chatsRef = useRef(chats);
+  chatsRef.current = chats;
+
+  // The account the details dialog is about: the active one, or the first one in the unified inbox
+  const getDialogAccount = () =>
+    accountsRef.current.find((account) => account.id === activeAccountIdRef.current) || accountsRef.current[0] || null;
+  const dialogAccount = getDialogAccount();
+
+  const loadAccounts = async (workspaceId) => {
+    const response = await authFetch(`${API_BASE_URL}/api/whatsapp/accounts/${workspaceId}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load WhatsApp accounts');
+    }
+    setAccounts(data.accounts);
+    return data.accounts;
+  };
+
+  const loadMembers = async (workspaceId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/workspaces/${workspaceId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load team');
+      }
+      setMembers(data.members);
+    } catch (error) {
+      console.error('Error loading team members:', error);
+    }
+  };
 
   useEffect(() => {
-    const userId = localStorage.getItem('userId');
-    
-    if (!userId || hasCheckedSession.current || isCheckingSession.current) {
+    const workspaceId = localStorage.getItem('workspaceId');
+
+    if (!workspaceId || hasCheckedSession.current) {
       return;
     }
 
-    // Check and restore WhatsApp session on mount (only once)
-    const checkAndRestoreSession = async () => {
-      if (isCheckingSession.current) return;
-      
-      isCheckingSession.current = true;
+    // Check and restore the session of every WhatsApp account on mount (only once)
+    const checkAndRestoreSessions = async () => {
       hasCheckedSession.current = true;
+      loadMembers(workspaceId);
 
       try {
-        const sessionResponse = await fetch(`${API_BASE_URL}/api/whatsapp/check-session/${userId}`);
-        const sessionData = await sessionResponse.json();
-        
-        console.log('Session check result:', sessionData);
-        
-        if (sessionData.success && sessionData.connected) {
-          // Connected, load chats
-          console.log('WhatsApp connected, loading chats...');
-          // Wait a moment for client to be fully ready
-          setTimeout(() => {
-            loadChats(userId);
-          }, 1000);
-        } else if (sessionData.success && !sessionData.connected && sessionData.hasSession) {
-          // Session files exist but not connected, try to restore
-          console.log('Session files found, attempting to restore...');
-          // Wait a bit and check again (retry up to 3 times)
-          let retryCount = 0;
-          const maxRetries = 3;
-          
-          const retryCheck = async () => {
-            if (retryCount >= maxRetries) {
-              console.log('Session restore failed after retries, redirecting to connect screen');
-              isCheckingSession.current = false;
-              navigate('/connect');
-              return;
-            }
-            
-            retryCount++;
-            console.log(`Retry ${retryCount}/${maxRetries} - Checking session...`);
-            
-            setTimeout(async () => {
-              try {
-                const retryResponse = await fetch(`${API_BASE_URL}/api/whatsapp/check-session/${userId}`);
-                const retryData = await retryResponse.json();
-                
-                if (retryData.success && retryData.connected) {
-                  console.log('Session restored successfully!');
-                  setTimeout(() => {
-                    loadChats(userId);
-                  }, 1000);
-                  isCheckingSession.current = false;
-                } else if (retryData.hasSession) {
-                  // Still has session but not connected, retry
-                  retryCheck();
-                } else {
-                  console.log('Session restore failed, redirecting to connect screen');
-                  isCheckingSession.current = false;
-                  navigate('/connect');
-                }
-              } catch (err) {
-                console.error('Error during retry:', err);
-                if (retryCount >= maxRetries) {
-                  isCheckingSession.current = false;
-                  navigate('/connect');
-                } else {
-                  retryCheck();
-                }
-              }
-            }, 3000);
-          };
-          
-          retryCheck();
-          return; // Don't set isCheckingSession to false yet
-        } else {
-          // Not connected, redirect to connect
-          console.log('Not connected, redirecting to connect screen');
-          navigate('/connect');
+        const loadedAccounts = await loadAccounts(workspaceId);
+
+        // Saved sessions that aren't running yet are restored in the background;
+        // their progress arrives as status events
+        const results = await Promise.all(loadedAccounts.map(async (account) => {
+          const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/check-session/${workspaceId}`, account.id));
+          return response.json();
+        }));
+
+        console.log('Session check results:', results);
+
+        if (!results.some((result) => result.success && (result.connected || result.hasSession))) {
+          // No number has been linked yet
+          if (hasRole('admin')) {
+            console.log('Not connected, redirecting to connect screen');
+            navigate('/connect');
+            return;
+          }
+          setChatError('No WhatsApp number is connected yet. Ask an admin of your workspace to connect one.');
         }
+
+        const savedAccountId = getSavedActiveAccountId();
+        const isAvailable = savedAccountId === UNIFIED_INBOX
+          ? loadedAccounts.length > 1
+          : loadedAccounts.some((account) => account.id === savedAccountId);
+        setActiveAccountId(isAvailable ? savedAccountId : loadedAccounts[0].id);
       } catch (error) {
         console.error('Error checking session on dashboard:', error);
         setChatError('Failed to check WhatsApp session. Please try again.');
-      } finally {
-        isCheckingSession.current = false;
+        setIsLoadingChats(false);
       }
     };
 
-    checkAndRestoreSession();
+    checkAndRestoreSessions();
   }, []); // Empty dependency array - only run once on mount
 
+  // Switching accounts replaces the chat list
+  useEffect(() => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId || !activeAccountId) return;
+
+    saveActiveAccountId(activeAccountId);
+    setSelectedChatKey(null);
+    setChats([]);
+    loadChats(workspaceId);
+  }, [activeAccountId]);
+
   useEffect(() => {
     // Fetch WhatsApp account status and conversation count when dialog opens
-    const userId = localStorage.getItem('userId');
-    if (isAccountDialogOpen && userId) {
-      fetchWhatsAppStatus(userId);
-      fetchConversationCount(userId);
+    const workspaceId = localStorage.getItem('workspaceId');
+    const account = getDialogAccount();
+    if (isAccountDialogOpen && workspaceId && account) {
+      fetchWhatsAppStatus(workspaceId, account.id);
+      fetchConversationCount(workspaceId, account.id);
     } else {
       // Reset when dialog closes
       setConversationCount(null);
     }
   }, [isAccountDialogOpen]);
 
-  const fetchConversationCount = async (userId) => {
+  const fetchConversationCount = async (workspaceId, accountId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/chats/${userId}/count`);
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/count`, accountId));
       const data = await response.json();
 
       if (data.success) {
@@ -155,104 +223,196 @@ export function Dashboard() {
     }
   };
 
-  const loadChats = async (userId) => {
+  // Chats are served from the backend's summary cache, so this returns quickly.
+  // Silent reloads (after a background sync) keep the current list on screen.
+  const loadChats = async (workspaceId, { silent = false } = {}) => {
+    const accountId = activeAccountIdRef.current;
+    if (!accountId) return;
+
     try {
-      setIsLoadingChats(true);
+      if (!silent) {
+        setIsLoadingChats(true);
+      }
       setChatError(null);
-      console.log('Loading chats for user:', userId);
-      
-      // Add timeout to prevent hanging
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-      
-      try {
-        const response = await fetch(`${API_BASE_URL}/api/whatsapp/chats/${userId}`, {
-          signal: controller.signal
+
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}`, accountId));
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      // Another account was picked while this was loading
+      if (accountId !== activeAccountIdRef.current) return;
+
+      if (data.success) {
+        const loadedChats = (data.chats || []).map((chat) => ({
+          ...chat,
+          key: getChatKey(chat.accountId, chat.id),
+        }));
+        setChats((prev) => {
+          // Keep avatars already looked up this session
+          const previous = new Map(prev.map((chat) => [chat.key, chat]));
+          return sortChatsByRecent(loadedChats.map((chat) => ({
+            ...chat,
+            avatar: chat.avatar || previous.get(chat.key)?.avatar || null,
+          })));
         });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-
-        console.log('Chats response:', data);
-
-        if (data.success) {
-          const loadedChats = data.chats || [];
-          console.log('Chats loaded:', loadedChats.length);
-          setChats(loadedChats);
-          
-          // Select first chat if available and no chat is currently selected
-          if (loadedChats.length > 0 && !selectedChatId) {
-            setSelectedChatId(loadedChats[0].id);
-            loadMessages(userId, loadedChats[0].id);
-          }
-        } else {
-          const errorMsg = data.message || data.error || 'Failed to load conversations';
-          setChatError(errorMsg);
-          console.error('Failed to load chats:', errorMsg);
-        }
-      } catch (fetchError) {
-        clearTimeout(timeoutId);
-        if (fetchError.name === 'AbortError') {
-          throw new Error('Request timed out. Please try again.');
+
+        // Select first chat if available and no chat is currently selected
+        if (loadedChats.length > 0 && !selectedChatKeyRef.current) {
+          setSelectedChatKey(loadedChats[0].key);
         }
-        throw fetchError;
+      } else {
+        const errorMsg = data.message || data.error || 'Failed to load conversations';
+        setChatError(errorMsg);
+        console.error('Failed to load chats:', errorMsg);
       }
     } catch (error) {
       console.error('Error loading chats:', error);
       const errorMsg = error.message || 'Failed to load conversations. Please check your connection.';
       setChatError(errorMsg);
     } finally {
-      setIsLoadingChats(false);
+      if (accountId === activeAccountIdRef.current) {
+        setIsLoadingChats(false);
+      }
     }
   };
 
-  const loadMessages = async (userId, chatId) => {
+  // Look up a chat's avatar the first time its row scrolls into view
+  const requestedAvatars = useRef(new Set());
+  const handleChatVisible = useCallback(async (chat) => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId || chat.avatar || requestedAvatars.current.has(chat.key)) return;
+    requestedAvatars.current.add(chat.key);
+
     try {
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/chats/${userId}/${chatId}/messages`);
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/avatar`, chat.accountId));
+      const data = await response.json();
+      if (data.success && data.avatar) {
+        setChats((prev) => prev.map((item) => (item.key === chat.key ? { ...item, avatar: data.avatar } : item)));
+      }
+    } catch (error) {
+      console.error('Error loading avatar:', error);
+    }
+  }, []);
+
+  const loadMessages = async (workspaceId, chat) => {
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/messages`, chat.accountId));
       const data = await response.json();
 
       if (data.success) {
         setMessages(prev => ({
           ...prev,
-          [chatId]: data.messages
+          [chat.key]: data.messages
+        }));
+        setMessagePaging(prev => ({
+          ...prev,
+          [chat.key]: { hasMore: data.hasMore, isLoadingOlder: false }
         }));
       } else {
+        // Messages come from the local archive, so this isn't caused by WhatsApp being offline
         console.error('Failed to load messages:', data.message || data.error);
-        // If client not connected, try to restore session
-        if (data.error === 'Client not connected' || data.message?.includes('not connected')) {
-          console.log('Client not connected, attempting to restore session...');
-          // Check session and restore if needed
-          const sessionResponse = await fetch(`${API_BASE_URL}/api/whatsapp/check-session/${userId}`);
-          const sessionData = await sessionResponse.json();
-          
-          if (sessionData.success && sessionData.connected) {
-            // Retry loading messages after a short delay
-            setTimeout(() => {
-              loadMessages(userId, chatId);
-            }, 2000);
-          }
-        }
       }
     } catch (error) {
       console.error('Error loading messages:', error);
     }
   };
 
+  const loadNotes = async (workspaceId, chat) => {
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/notes`, chat.accountId));
+      const data = await response.json();
+
+      if (data.success) {
+        setNotes(prev => ({
+          ...prev,
+          [chat.key]: data.notes
+        }));
+      } else {
+        console.error('Failed to load notes:', data.message || data.error);
+      }
+    } catch (error) {
+      console.error('Error loading notes:', error);
+    }
+  };
+
+  const loadScheduledMessages = async (workspaceId, chat) => {
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/scheduled`, chat.accountId));
+      const data = await response.json();
+
+      if (data.success) {
+        setScheduledMessages(prev => ({
+          ...prev,
+          [chat.key]: data.scheduledMessages
+        }));
+      } else {
+        console.error('Failed to load scheduled messages:', data.message || data.error);
+      }
+    } catch (error) {
+      console.error('Error loading scheduled messages:', error);
+    }
+  };
+
+  const loadOlderMessages = async (chat) => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    const paging = messagePaging[chat.key];
+    const loaded = messages[chat.key] || [];
+    if (!workspaceId || !paging?.hasMore || paging.isLoadingOlder || loaded.length === 0) return;
+
+    setMessagePaging(prev => ({
+      ...prev,
+      [chat.key]: { ...prev[chat.key], isLoadingOlder: true }
+    }));
+
+    try {
+      const before = encodeURIComponent(loaded[0].id);
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/messages?before=${before}`, chat.accountId));
+      const data = await response.json();
+
+      if (data.success) {
+        setMessages(prev => {
+          const existing = prev[chat.key] || [];
+          const existingIds = new Set(existing.map(msg => msg.id));
+          return {
+            ...prev,
+            [chat.key]: [...data.messages.filter(msg => !existingIds.has(msg.id)), ...existing]
+          };
+        });
+        setMessagePaging(prev => ({
+          ...prev,
+          [chat.key]: { hasMore: data.hasMore, isLoadingOlder: false }
+        }));
+        return;
+      }
+      console.error('Failed to load older messages:', data.message || data.error);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    }
+
+    setMessagePaging(prev => ({
+      ...prev,
+      [chat.key]: { ...prev[chat.key], isLoadingOlder: false }
+    }));
+  };
+
+  const selectedChat = chats.find((chat) => chat.key === selectedChatKey) || null;
+
   useEffect(() => {
-    const userId = localStorage.getItem('userId');
-    if (userId && selectedChatId) {
-      loadMessages(userId, selectedChatId);
+    const workspaceId = localStorage.getItem('workspaceId');
+    const chat = chatsRef.current.find((item) => item.key === selectedChatKey);
+    if (workspaceId && chat) {
+      loadMessages(workspaceId, chat);
+      loadNotes(workspaceId, chat);
+      loadScheduledMessages(workspaceId, chat);
     }
-  }, [selectedChatId]);
+  }, [selectedChatKey]);
 
-  const fetchWhatsAppStatus = async (userId) => {
+  const fetchWhatsAppStatus = async (workspaceId, accountId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/status/${userId}`);
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/status/${workspaceId}`, accountId));
       const data = await response.json();
 
       if (data.success) {
@@ -279,32 +439,486 @@ export function Dashboard() {
     }
   };
 
-  const selectedChat = chats.find((chat) => chat.id === selectedChatId) || null;
-  const currentMessages = selectedChatId ? messages[selectedChatId] || [] : [];
+  // Live updates pushed from the backend. The stream covers every account; each event carries its accountId.
+  // Chats of other accounts are only listed while the unified inbox is open.
+  const isShownAccount = (accountId) =>
+    activeAccountIdRef.current === UNIFIED_INBOX || activeAccountIdRef.current === accountId;
+
+  useWhatsAppEvents(localStorage.getItem('workspaceId'), {
+    message: (message) => {
+      const { accountId, chatId, contactName, chatPreview, ...newMessage } = message;
+      const chatKey = getChatKey(accountId, chatId);
+      const isOpenChat = chatKey === selectedChatKeyRef.current;
+
+      setMessages((prev) => {
+        // Only keep live messages for chats that have been loaded
+        if (!prev[chatKey]) return prev;
+        if (prev[chatKey].some((msg) => msg.id === newMessage.id)) return prev;
+        return {
+          ...prev,
+          [chatKey]: [...prev[chatKey], newMessage],
+        };
+      });
+
+      // The open chat stays read, also after the chat list is reloaded
+      if (isOpenChat && newMessage.sender === 'them') {
+        markChatRead(accountId, chatId);
+      }
+
+      if (!isShownAccount(accountId)) return;
+
+      setChats((prev) => {
+        const existing = prev.find((chat) => chat.key === chatKey);
+        // Ignore previews older than what the chat already shows
+        if (existing && existing.timestamp > newMessage.timestamp) return prev;
+        const updatedChat = {
+          ...(existing || {
+            key: chatKey,
+            id: chatId,
+            accountId,
+            accountName: accountsRef.current.find((account) => account.id === accountId)?.name || null,
+            name: contactName || chatId.split('@')[0],
+            phoneNumber: chatId.split('@')[0],
+            avatar: null,
+            unread: 0,
+            isGroup: chatId.endsWith('@g.us'),
+            assignee: null,
+            conversationStatus: 'open',
+            snoozedUntil: null,
+            contactFields: {},
+            tags: [],
+          }),
+          lastMessage: chatPreview,
+          lastMessageType: newMessage.type,
+          lastMessageImage: newMessage.type === 'image' && newMessage.media ? newMessage.media.url : null,
+          timestamp: newMessage.timestamp,
+        };
+        if (newMessage.sender === 'them' && !isOpenChat) {
+          updatedChat.unread = (updatedChat.unread || 0) + 1;
+        }
+        return sortChatsByRecent([updatedChat, ...prev.filter((chat) => chat.key !== chatKey)]);
+      });
+    },
+    message_ack: ({ accountId, id, chatId, status }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setMessages((prev) => {
+        if (!prev[chatKey]) return prev;
+        return {
+          ...prev,
+          [chatKey]: prev[chatKey].map((msg) => (msg.id === id ? { ...msg, status } : msg)),
+        };
+      });
+    },
+    // A chat was opened here or by a teammate
+    chat_read: ({ accountId, chatId }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, unread: 0 } : chat)));
+    },
+    // The backend finished refreshing an account's chat cache from WhatsApp
+    chats: ({ accountId }) => {
+      const workspaceId = localStorage.getItem('workspaceId');
+      if (workspaceId && isShownAccount(accountId)) {
+        loadChats(workspaceId, { silent: true });
+      }
+    },
+    // A conversation was assigned by a teammate or routed automatically
+    assignment: ({ accountId, chatId, assignee }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, assignee } : chat)));
+    },
+    // A conversation's status changed, including reopening on a new message or when a snooze ends
+    conversation_status: ({ accountId, chatId, status, snoozedUntil }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setChats((prev) => prev.map((chat) => (
+        chat.key === chatKey ? { ...chat, conversationStatus: status, snoozedUntil } : chat
+      )));
+    },
+    // A teammate edited the custom fields of a chat's contact
+    contact_fields: ({ accountId, chatId, contactFields }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, contactFields } : chat)));
+    },
+    // A teammate or an auto-reply rule changed a chat's tags
+    tags: ({ accountId, chatId, tags }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, tags } : chat)));
+    },
+    // A teammate added or edited a note
+    note: ({ accountId, chatId, note }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setNotes((prev) => {
+        // Only keep live notes for chats that have been loaded
+        if (!prev[chatKey]) return prev;
+        const exists = prev[chatKey].some((item) => item.id === note.id);
+        return {
+          ...prev,
+          [chatKey]: exists
+            ? prev[chatKey].map((item) => (item.id === note.id ? note : item))
+            : [...prev[chatKey], note],
+        };
+      });
+    },
+    note_deleted: ({ accountId, chatId, id }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setNotes((prev) => {
+        if (!prev[chatKey]) return prev;
+        return {
+          ...prev,
+          [chatKey]: prev[chatKey].filter((item) => item.id !== id),
+        };
+      });
+    },
+    // A message was scheduled, edited, sent or failed to send
+    scheduled_message: ({ accountId, chatId, scheduledMessage }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setScheduledMessages((prev) => {
+        if (!prev[chatKey]) return prev;
+        return { ...prev, [chatKey]: upsertScheduledMessage(prev[chatKey], scheduledMessage) };
+      });
+    },
+    scheduled_message_deleted: ({ accountId, chatId, id }) => {
+      const chatKey = getChatKey(accountId, chatId);
+      setScheduledMessages((prev) => {
+        if (!prev[chatKey]) return prev;
+        return {
+          ...prev,
+          [chatKey]: prev[chatKey].filter((item) => item.id !== id),
+        };
+      });
+    },
+    // A campaign started, sent a message, got an ack or stopped
+    campaign: (data) => {
+      setCampaignEvent(data);
+    },
+    // The backend reconnects on its own; just tell the user what is going on
+    status: ({ accountId, status, connected, attempt }) => {
+      const account = accountsRef.current.find((item) => item.id === accountId);
+      if (account) {
+        setAccounts((prev) => prev.map((item) => (item.id === accountId ? { ...item, status, connected } : item)));
+      } else if (accountsRef.current.length > 0) {
+        // Added from another tab
+        loadAccounts(localStorage.getItem('workspaceId')).catch((error) => console.error('Error loading accounts:', error));
+      }
+
+      if (!isShownAccount(accountId)) return;
+      // Say which number it is about when there are several
+      const prefix = account && accountsRef.current.length > 1 ? `${account.name}: ` : '';
+      if (connected) {
+        setChatError(null);
+      } else if (status === 'reconnecting') {
+        setChatError(`${prefix}Connection to WhatsApp lost. Reconnecting${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+      } else if (status === 'logged_out') {
+        setChatError(`${prefix}Your WhatsApp session has ended. Reconnect your account to keep receiving messages.`);
+      } else if (status === 'failed') {
+        setChatError(`${prefix}Could not reconnect to WhatsApp. Reconnect your account to keep receiving messages.`);
+      }
+    },
+  });
+
+  const currentMessages = selectedChatKey ? messages[selectedChatKey] || [] : [];
+  const currentPaging = selectedChatKey ? messagePaging[selectedChatKey] || {} : {};
+  const currentNotes = selectedChatKey ? notes[selectedChatKey] || [] : [];
+  const currentScheduledMessages = selectedChatKey ? scheduledMessages[selectedChatKey] || [] : [];
+
+  const addTempMessage = (chatKey, tempMessage) => {
+    setMessages((prev) => ({
+      ...prev,
+      [chatKey]: [...(prev[chatKey] || []), tempMessage],
+    }));
+  };
+
+  // Swap a temp message for the real one (the live stream may have delivered it already)
+  const confirmTempMessage = (chatKey, tempId, messageId) => {
+    setMessages((prev) => {
+      const chatMessages = prev[chatKey] || [];
+      const alreadyReceived = chatMessages.some(msg => msg.id === messageId);
+      return {
+        ...prev,
+        [chatKey]: alreadyReceived
+          ? chatMessages.filter(msg => msg.id !== tempId)
+          : chatMessages.map(msg => (msg.id === tempId ? { ...msg, id: messageId, status: 'sent' } : msg)),
+      };
+    });
+  };
+
+  const removeTempMessage = (chatKey, tempId) => {
+    setMessages((prev) => ({
+      ...prev,
+      [chatKey]: (prev[chatKey] || []).filter(msg => msg.id !== tempId),
+    }));
+  };
+
+  const handleAssign = async (assigneeId) => {
+    if (!selectedChat) return;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    const chatKey = selectedChat.key;
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${selectedChat.id}/assignment`, selectedChat.accountId), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ assigneeId }),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to assign conversation');
+      }
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, assignee: data.assignee } : chat)));
+      toast.success(data.assignee ? `Assigned to ${data.assignee.name}` : 'Conversation unassigned');
+    } catch (error) {
+      console.error('Error assigning conversation:', error);
+      toast.error(error.message || 'Failed to assign conversation');
+    }
+  };
+
+  const handleStatusChange = async (status, snoozedUntil) => {
+    if (!selectedChat) return;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    const chatKey = selectedChat.key;
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${selectedChat.id}/status`, selectedChat.accountId), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ status, snoozedUntil }),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update conversation status');
+      }
+      setChats((prev) => prev.map((chat) => (
+        chat.key === chatKey ? { ...chat, conversationStatus: data.status, snoozedUntil: data.snoozedUntil } : chat
+      )));
+    } catch (error) {
+      console.error('Error updating conversation status:', error);
+      toast.error(error.message || 'Failed to update conversation status');
+    }
+  };
+
+  // Resolves to true once saved, so the dialog can close
+  const handleUpdateContactFields = async (fields) => {
+    if (!selectedChat) return false;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    const chatKey = selectedChat.key;
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${selectedChat.id}/contact-fields`, selectedChat.accountId), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ fields }),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update contact fields');
+      }
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, contactFields: data.contactFields } : chat)));
+      toast.success('Contact fields saved');
+      return true;
+    } catch (error) {
+      console.error('Error updating contact fields:', error);
+      toast.error(error.message || 'Failed to update contact fields');
+      return false;
+    }
+  };
+
+  const handleUpdateTags = async (tags) => {
+    if (!selectedChat) return;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    const chatKey = selectedChat.key;
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${selectedChat.id}/tags`, selectedChat.accountId), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ tags }),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update tags');
+      }
+      setChats((prev) => prev.map((chat) => (chat.key === chatKey ? { ...chat, tags: data.tags } : chat)));
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      toast.error(error.message || 'Failed to update tags');
+    }
+  };
+
+  // Add, edit or delete a note on the selected chat; resolves to the response data, or null on failure
+  const updateNote = async (path, options, errorMessage) => {
+    if (!selectedChat) return null;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    const url = `${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${selectedChat.id}/notes${path}`;
+    try {
+      const response = await authFetch(withAccountId(url, selectedChat.accountId), options);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || errorMessage);
+      }
+      return data;
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      toast.error(error.message || errorMessage);
+      return null;
+    }
+  };
+
+  const handleAddNote = async (body) => {
+    const chatKey = selectedChat?.key;
+    const data = await updateNote('', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ body }),
+    }, 'Failed to add note');
+    if (!data) return false;
+
+    // The live stream may have delivered it already
+    setNotes((prev) => {
+      const chatNotes = prev[chatKey] || [];
+      if (chatNotes.some((note) => note.id === data.note.id)) return prev;
+      return { ...prev, [chatKey]: [...chatNotes, data.note] };
+    });
+    return true;
+  };
+
+  const handleUpdateNote = async (noteId, body) => {
+    const chatKey = selectedChat?.key;
+    const data = await updateNote(`/${noteId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ body }),
+    }, 'Failed to update note');
+    if (!data) return false;
+
+    setNotes((prev) => ({
+      ...prev,
+      [chatKey]: (prev[chatKey] || []).map((note) => (note.id === noteId ? data.note : note)),
+    }));
+    return true;
+  };
+
+  const handleDeleteNote = async (noteId) => {
+    if (!window.confirm('Delete this note?')) return;
+    const chatKey = selectedChat?.key;
+    const data = await updateNote(`/${noteId}`, { method: 'DELETE' }, 'Failed to delete note');
+    if (!data) return;
+
+    setNotes((prev) => ({
+      ...prev,
+      [chatKey]: (prev[chatKey] || []).filter((note) => note.id !== noteId),
+    }));
+  };
+
+  // Schedule, edit or cancel a message on the selected chat; resolves to the response data, or null on failure
+  const updateScheduledMessage = async (path, options, errorMessage) => {
+    if (!selectedChat) return null;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    const url = `${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${selectedChat.id}/scheduled${path}`;
+    try {
+      const response = await authFetch(withAccountId(url, selectedChat.accountId), options);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || errorMessage);
+      }
+      return data;
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      toast.error(error.message || errorMessage);
+      return null;
+    }
+  };
+
+  // sendAt is in epoch milliseconds; resolves to true once saved
+  const handleScheduleMessage = async (body, sendAt) => {
+    const chatKey = selectedChat?.key;
+    const data = await updateScheduledMessage('', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ body, sendAt }),
+    }, 'Failed to schedule message');
+    if (!data) return false;
+
+    setScheduledMessages((prev) => ({
+      ...prev,
+      [chatKey]: upsertScheduledMessage(prev[chatKey] || [], data.scheduledMessage),
+    }));
+    toast.success(`Message scheduled for ${new Date(sendAt).toLocaleString()}`);
+    return true;
+  };
+
+  const handleUpdateScheduledMessage = async (scheduledMessageId, body, sendAt) => {
+    const chatKey = selectedChat?.key;
+    const data = await updateScheduledMessage(`/${scheduledMessageId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ body, sendAt }),
+    }, 'Failed to update scheduled message');
+    if (!data) return false;
+
+    setScheduledMessages((prev) => ({
+      ...prev,
+      [chatKey]: upsertScheduledMessage(prev[chatKey] || [], data.scheduledMessage),
+    }));
+    return true;
+  };
+
+  const handleCancelScheduledMessage = async (scheduledMessageId) => {
+    if (!window.confirm('Cancel this scheduled message?')) return;
+    const chatKey = selectedChat?.key;
+    const data = await updateScheduledMessage(`/${scheduledMessageId}`, { method: 'DELETE' }, 'Failed to cancel scheduled message');
+    if (!data) return;
+
+    setScheduledMessages((prev) => ({
+      ...prev,
+      [chatKey]: (prev[chatKey] || []).filter((item) => item.id !== scheduledMessageId),
+    }));
+  };
 
   const handleSendMessage = async (text) => {
-    if (!selectedChatId) return;
+    if (!selectedChat) return;
+
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId) return;
 
-    const userId = localStorage.getItem('userId');
-    if (!userId) return;
+    // Replies always go out from the account the chat belongs to
+    const chat = selectedChat;
 
     // Optimistically add message to UI
     const tempMessage = {
       id: `temp_${Date.now()}`,
       text,
-      timestamp: new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      timestamp: Date.now(),
       sender: 'me',
       status: 'sending',
     };
-
-    setMessages((prev) => ({
-      ...prev,
-      [selectedChatId]: [...(prev[selectedChatId] || []), tempMessage],
-    }));
+    addTempMessage(chat.key, tempMessage);
 
     try {
       // Send message via API
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/chats/${userId}/${selectedChatId}/send`, {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/send`, chat.accountId), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -315,43 +929,122 @@ export function Dashboard() {
       const data = await response.json();
 
       if (data.success) {
-        // Reload messages to get the actual sent message
-        await loadMessages(userId, selectedChatId);
+        confirmTempMessage(chat.key, tempMessage.id, data.messageId);
       } else {
         // Remove temp message and show error
-        setMessages((prev) => ({
-          ...prev,
-          [selectedChatId]: (prev[selectedChatId] || []).filter(msg => msg.id !== tempMessage.id),
-        }));
+        removeTempMessage(chat.key, tempMessage.id);
         console.error('Failed to send message:', data.message);
       }
     } catch (error) {
       console.error('Error sending message:', error);
       // Remove temp message
-      setMessages((prev) => ({
-        ...prev,
-        [selectedChatId]: (prev[selectedChatId] || []).filter(msg => msg.id !== tempMessage.id),
-      }));
+      removeTempMessage(chat.key, tempMessage.id);
+    }
+  };
+
+  // Upload and send a file; throws with a user-facing message on failure
+  const handleSendMedia = async (file, caption, onProgress) => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!selectedChat || !workspaceId) return;
+
+    const chat = selectedChat;
+
+    const tempMessage = {
+      id: `temp_${Date.now()}`,
+      text: caption || `📎 ${file.name}`,
+      timestamp: Date.now(),
+      sender: 'me',
+      status: 'sending',
+    };
+    addTempMessage(chat.key, tempMessage);
+
+    const formData = new FormData();
+    formData.append('file', file);
+    if (caption) {
+      formData.append('caption', caption);
+    }
+
+    try {
+      const { data } = await authUpload(
+        withAccountId(`${API_BASE_URL}/api/whatsapp/chats/${workspaceId}/${chat.id}/send-media`, chat.accountId),
+        formData,
+        onProgress
+      );
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to send file');
+      }
+      confirmTempMessage(chat.key, tempMessage.id, data.messageId);
+    } catch (error) {
+      console.error('Error sending media:', error);
+      removeTempMessage(chat.key, tempMessage.id);
+      throw error;
+    }
+  };
+
+  // Create a named account and go link a phone to it
+  const handleAddAccount = async (e) => {
+    e.preventDefault();
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId) return;
+
+    setIsCreatingAccount(true);
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/whatsapp/accounts/${workspaceId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: newAccountName }),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to add WhatsApp number');
+      }
+
+      setIsAddAccountOpen(false);
+      setNewAccountName('');
+      navigate(`/connect?accountId=${encodeURIComponent(data.account.id)}`);
+    } catch (error) {
+      console.error('Error adding WhatsApp account:', error);
+      toast.error(error.message || 'Failed to add WhatsApp number');
+    } finally {
+      setIsCreatingAccount(false);
     }
   };
 
+  // Send a snippet with its placeholders filled for the selected chat. If some can't be filled,
+  // it goes to the composer instead, where they're highlighted.
   const handleSnippetDoubleClick = (snippet) => {
-    handleSendMessage(snippet.content);
+    if (!selectedChat) {
+      toast.error('Select a conversation first');
+      return;
+    }
+    if (!canReply) return;
+
+    const { text, unresolved } = fillTemplate(snippet.content, selectedChat);
+    if (unresolved.length > 0) {
+      setComposerDraft({ text });
+      toast.warning(`Fill in ${unresolved.map((name) => `{{${name}}}`).join(', ')} before sending`);
+      return;
+    }
+    handleSendMessage(text);
+    toast.success('Snippet sent!');
   };
 
   const handleLogout = () => {
     // Clear authentication state
-    localStorage.removeItem('user');
-    localStorage.removeItem('userId');
+    clearSession();
     navigate('/login');
   };
 
   const handleWhatsAppLogout = async () => {
     try {
-      const userId = localStorage.getItem('userId');
-      if (!userId) return;
+      const workspaceId = localStorage.getItem('workspaceId');
+      if (!workspaceId || !dialogAccount) return;
 
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/disconnect/${userId}`, {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/disconnect/${workspaceId}`, dialogAccount.id), {
         method: 'POST',
       });
 
@@ -360,7 +1053,7 @@ export function Dashboard() {
       if (data.success) {
         setIsAccountDialogOpen(false);
         // Refresh account status
-        fetchWhatsAppStatus(userId);
+        fetchWhatsAppStatus(workspaceId, dialogAccount.id);
         console.log('WhatsApp account disconnected');
       } else {
         alert('Failed to disconnect WhatsApp account');
@@ -371,6 +1064,39 @@ export function Dashboard() {
     }
   };
 
+  // Unlink a number and delete everything stored for it
+  const handleRemoveAccount = async () => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId || !dialogAccount) return;
+    if (!window.confirm(`Remove "${dialogAccount.name}"? Its messages will be deleted from this app.`)) return;
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/whatsapp/accounts/${workspaceId}/${dialogAccount.id}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to remove WhatsApp number');
+      }
+
+      setIsAccountDialogOpen(false);
+      const remaining = accounts.filter((account) => account.id !== dialogAccount.id);
+      setAccounts(remaining);
+      if (remaining.length === 0) {
+        navigate('/connect');
+      } else if (activeAccountId === dialogAccount.id || remaining.length === 1) {
+        setActiveAccountId(remaining[0].id);
+      } else {
+        loadChats(workspaceId);
+      }
+      toast.success(`Removed ${dialogAccount.name}`);
+    } catch (error) {
+      console.error('Error removing WhatsApp account:', error);
+      toast.error(error.message || 'Failed to remove WhatsApp number');
+    }
+  };
+
   return (
     <DndProvider backend={HTML5Backend}>
       <div className="flex h-screen bg-gray-100 overflow-hidden">
@@ -379,13 +1105,60 @@ export function Dashboard() {
           <div className="p-4 border-b bg-white flex items-center justify-between">
             <h1 className="text-lg font-semibold">WhatsApp Business</h1>
             <div className="flex items-center gap-2">
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setIsTeamOpen(true)}
+                className="text-gray-600 hover:text-emerald-600"
+                title="Team"
+              >
+                <Users className="w-5 h-5" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setIsCampaignsOpen(true)}
+                className="text-gray-600 hover:text-emerald-600"
+                title="Campaigns"
+              >
+                <Megaphone className="w-5 h-5" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => navigate('/settings/auto-replies')}
+                className="text-gray-600 hover:text-emerald-600"
+                title="Auto-replies"
+              >
+                <Bot className="w-5 h-5" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => navigate('/settings/business-hours')}
+                className="text-gray-600 hover:text-emerald-600"
+                title="Business hours"
+              >
+                <Clock className="w-5 h-5" />
+              </Button>
+              {canManageNumbers && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => setIsWebhooksOpen(true)}
+                  className="text-gray-600 hover:text-emerald-600"
+                  title="Webhooks"
+                >
+                  <Webhook className="w-5 h-5" />
+                </Button>
+              )}
               <Button
                 variant="ghost"
                 size="icon"
                 onClick={() => {
-                  const userId = localStorage.getItem('userId');
-                  if (userId) {
-                    loadChats(userId);
+                  const workspaceId = localStorage.getItem('workspaceId');
+                  if (workspaceId) {
+                    loadChats(workspaceId);
                   }
                 }}
                 className="text-gray-600 hover:text-emerald-600"
@@ -413,14 +1186,42 @@ export function Dashboard() {
               </Button>
             </div>
           </div>
+          <div className="px-4 py-2 border-b bg-white flex items-center gap-2">
+            <select
+              value={activeAccountId || ''}
+              onChange={(e) => setActiveAccountId(e.target.value)}
+              className="flex-1 min-w-0 h-9 rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              aria-label="WhatsApp number"
+            >
+              {accounts.length > 1 && <option value={UNIFIED_INBOX}>All accounts</option>}
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {account.name}
+                  {account.phoneNumber ? ` (+${account.phoneNumber})` : ''}
+                  {account.connected ? '' : ' - offline'}
+                </option>
+              ))}
+            </select>
+            {canManageNumbers && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setIsAddAccountOpen(true)}
+                className="text-gray-600 hover:text-emerald-600"
+                title="Add WhatsApp number"
+              >
+                <Plus className="w-5 h-5" />
+              </Button>
+            )}
+          </div>
           {chatError && (
             <div className="p-4 bg-red-50 border border-red-200 rounded-lg m-4">
               <p className="text-sm text-red-800">{chatError}</p>
               <button
                 onClick={() => {
-                  const userId = localStorage.getItem('userId');
-                  if (userId) {
-                    loadChats(userId);
+                  const workspaceId = localStorage.getItem('workspaceId');
+                  if (workspaceId) {
+                    loadChats(workspaceId);
                   }
                 }}
                 className="mt-2 text-sm text-red-600 hover:text-red-800 underline"
@@ -431,12 +1232,22 @@ export function Dashboard() {
           )}
           <ChatList
             chats={chats}
-            selectedChatId={selectedChatId}
-            onSelectChat={(chatId) => {
-              setSelectedChatId(chatId);
-              const userId = localStorage.getItem('userId');
-              if (userId) {
-                loadMessages(userId, chatId);
+            selectedChatKey={selectedChatKey}
+            showAccount={activeAccountId === UNIFIED_INBOX}
+            onChatVisible={handleChatVisible}
+            onSelectChat={(chatKey) => {
+              const chat = chats.find((item) => item.key === chatKey);
+              if (!chat) return;
+              setSelectedChatKey(chatKey);
+              setChats((prev) => prev.map((item) => (item.key === chatKey ? { ...item, unread: 0 } : item)));
+              if (chat.unread > 0) {
+                markChatRead(chat.accountId, chat.id);
+              }
+              const workspaceId = localStorage.getItem('workspaceId');
+              if (workspaceId) {
+                loadMessages(workspaceId, chat);
+                loadNotes(workspaceId, chat);
+                loadScheduledMessages(workspaceId, chat);
               }
             }}
             searchQuery={searchQuery}
@@ -449,45 +1260,47 @@ export function Dashboard() {
         <div className="w-[45%] flex-shrink-0">
           <ChatWindow
             chat={selectedChat}
+            accountLabel={accounts.length > 1 ? selectedChat?.accountName : null}
+            readOnly={!canReply}
+            assignees={members.filter((member) => member.role !== 'read_only')}
+            onAssign={handleAssign}
+            onStatusChange={handleStatusChange}
+            onUpdateContactFields={handleUpdateContactFields}
+            onUpdateTags={handleUpdateTags}
+            draft={composerDraft}
             messages={currentMessages}
+            notes={currentNotes}
+            onAddNote={handleAddNote}
+            onUpdateNote={handleUpdateNote}
+            onDeleteNote={handleDeleteNote}
+            scheduledMessages={currentScheduledMessages}
+            onScheduleMessage={handleScheduleMessage}
+            onUpdateScheduledMessage={handleUpdateScheduledMessage}
+            onCancelScheduledMessage={handleCancelScheduledMessage}
             onSendMessage={handleSendMessage}
+            onSendMedia={handleSendMedia}
+            hasMoreMessages={!!currentPaging.hasMore}
+            isLoadingOlder={!!currentPaging.isLoadingOlder}
+            onLoadOlder={() => selectedChat && loadOlderMessages(selectedChat)}
           />
         </div>
 
         {/* Right Panel - Snippets Panel (25%) */}
         <div className="w-[25%] flex-shrink-0">
-          <SnippetsPanel snippets={mockSnippets} onSnippetDoubleClick={handleSnippetDoubleClick} />
+          <SnippetsPanel onSnippetDoubleClick={handleSnippetDoubleClick} />
         </div>
       </div>
       <Toaster position="bottom-center" />
       
-      {/* Loading Dialog - Show while conversations are loading */}
-      <Dialog open={isLoadingChats} onOpenChange={() => {}}>
-        <DialogContent className="sm:max-w-[400px]">
-          <DialogHeader>
-            <DialogTitle>Loading Conversations</DialogTitle>
-            <DialogDescription>
-              Please wait while we load your WhatsApp conversations...
-            </DialogDescription>
-          </DialogHeader>
-          <div className="flex flex-col items-center justify-center py-6">
-            <div className="relative">
-              <div className="w-16 h-16 border-4 border-emerald-200 border-t-emerald-600 rounded-full animate-spin"></div>
-            </div>
-            <p className="mt-4 text-sm text-gray-600 text-center">
-              This may take a few moments depending on the number of conversations
-            </p>
-          </div>
-        </DialogContent>
-      </Dialog>
-      
       {/* WhatsApp Account Details Dialog */}
       <Dialog open={isAccountDialogOpen} onOpenChange={setIsAccountDialogOpen}>
         <DialogContent className="sm:max-w-[425px]">
           <DialogHeader>
             <DialogTitle>WhatsApp Account Details</DialogTitle>
           <DialogDescription>
-            View your connected WhatsApp Business account information
+            {dialogAccount
+              ? `Information for the "${dialogAccount.name}" number`
+              : 'View your connected WhatsApp Business account information'}
           </DialogDescription>
         </DialogHeader>
         {whatsappAccount ? (
@@ -585,7 +1398,16 @@ export function Dashboard() {
           </div>
         )}
         
-        <div className="pt-4 border-t mt-4">
+        {canManageNumbers && (
+        <div className="pt-4 border-t mt-4 space-y-2">
+          {dialogAccount && !dialogAccount.connected && (
+            <Button
+              className="w-full bg-emerald-600 hover:bg-emerald-700"
+              onClick={() => navigate(`/connect?accountId=${encodeURIComponent(dialogAccount.id)}`)}
+            >
+              Connect this number
+            </Button>
+          )}
           <Button
             variant="outline"
             className="w-full border-red-200 text-red-600 hover:bg-red-50 hover:text-red-700"
@@ -593,7 +1415,66 @@ export function Dashboard() {
           >
             Logout from WhatsApp
           </Button>
+          <Button
+            variant="ghost"
+            className="w-full text-red-600 hover:bg-red-50 hover:text-red-700"
+            onClick={handleRemoveAccount}
+          >
+            Remove this number
+          </Button>
         </div>
+        )}
+        </DialogContent>
+      </Dialog>
+
+      <TeamDialog
+        open={isTeamOpen}
+        onOpenChange={(open) => {
+          setIsTeamOpen(open);
+          // Pick up role changes and new members for the assignee list
+          if (!open) {
+            loadMembers(localStorage.getItem('workspaceId'));
+          }
+        }}
+      />
+
+      <CampaignsDialog
+        open={isCampaignsOpen}
+        onOpenChange={setIsCampaignsOpen}
+        accounts={accounts}
+        chats={chats}
+        defaultAccountId={activeAccountId === UNIFIED_INBOX ? null : activeAccountId}
+        campaignEvent={campaignEvent}
+      />
+
+      <WebhooksDialog open={isWebhooksOpen} onOpenChange={setIsWebhooksOpen} />
+
+      {/* Add WhatsApp Number Dialog */}
+      <Dialog open={isAddAccountOpen} onOpenChange={setIsAddAccountOpen}>
+        <DialogContent className="sm:max-w-[425px]">
+          <DialogHeader>
+            <DialogTitle>Add WhatsApp number</DialogTitle>
+            <DialogDescription>
+              Give the number a name, then link it by scanning a QR code or entering a pairing code.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleAddAccount} className="space-y-4">
+            <Input
+              value={newAccountName}
+              onChange={(e) => setNewAccountName(e.target.value)}
+              placeholder="e.g. Sales or Support"
+              maxLength={50}
+              autoFocus
+              required
+            />
+            <Button
+              type="submit"
+              className="w-full bg-emerald-600 hover:bg-emerald-700"
+              disabled={isCreatingAccount || !newAccountName.trim()}
+            >
+              {isCreatingAccount ? 'Creating...' : 'Continue'}
+            </Button>
+          </form>
         </DialogContent>
       </Dialog>
     </DndProvider>
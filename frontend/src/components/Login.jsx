@@ -2,6 +2,8 @@ import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
+import { authFetch, saveSession } from '../lib/auth';
+import { hasRole } from '../lib/workspace';
 
 export function Login() {
   const [email, setEmail] = useState('');
@@ -33,17 +35,19 @@ export function Login() {
         return;
       }
 
-      // Store user data in localStorage
-      localStorage.setItem('user', JSON.stringify(data.user));
-      localStorage.setItem('userId', data.user.id);
-      
-      // Verify userId is saved
-      console.log('User logged in. UserID saved to localStorage:', data.user.id);
-      console.log('User data saved to localStorage:', data.user);
+      // Store session token and user data in localStorage
+      saveSession(data);
+      console.log('User logged in:', data.user.id);
+
+      // Only admins can link a number; everyone else goes straight to the shared inbox
+      if (!hasRole('admin')) {
+        navigate('/dashboard');
+        return;
+      }
 
       // Check if WhatsApp session exists
       try {
-        const sessionResponse = await fetch(`http://localhost:5153/api/whatsapp/check-session/${data.user.id}`);
+        const sessionResponse = await authFetch(`http://localhost:5153/api/whatsapp/check-session/${data.workspace.id}`);
         const sessionData = await sessionResponse.json();
 
         if (sessionData.success && sessionData.connected) {
@@ -1,22 +1,122 @@
-import { Check, CheckCheck } from 'lucide-react';
+import { useState } from 'react';
+import { Check, CheckCheck, Download, FileText, ImageOff } from 'lucide-react';
+import { withAuthToken } from '../lib/auth';
+import { formatMessageTime } from '../lib/format';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+function MessageMedia({ message, isMe }) {
+  const [failed, setFailed] = useState(false);
+  const { media, type } = message;
+  const src = withAuthToken(`${API_BASE_URL}${media.url}`);
+  const downloadUrl = withAuthToken(`${API_BASE_URL}${media.url}${media.url.includes('?') ? '&' : '?'}download=1`);
+
+  if (failed) {
+    return (
+      <div className={`flex items-center gap-2 text-xs ${isMe ? 'text-emerald-50' : 'text-gray-500'}`}>
+        <ImageOff className="w-4 h-4" />
+        <span>Media unavailable</span>
+      </div>
+    );
+  }
+
+  switch (type) {
+    case 'image':
+      return (
+        <a href={src} target="_blank" rel="noopener noreferrer">
+          <img
+            src={src}
+            alt={message.text || 'Image'}
+            loading="lazy"
+            onError={() => setFailed(true)}
+            className="max-w-full max-h-80 rounded-md object-contain"
+          />
+        </a>
+      );
+    case 'sticker':
+      return (
+        <img
+          src={src}
+          alt="Sticker"
+          loading="lazy"
+          onError={() => setFailed(true)}
+          className="w-32 h-32 object-contain"
+        />
+      );
+    case 'video':
+      return (
+        <video
+          src={src}
+          controls
+          preload="none"
+          onError={() => setFailed(true)}
+          className="max-w-full max-h-80 rounded-md"
+        />
+      );
+    case 'audio':
+    case 'ptt':
+      return (
+        <audio
+          src={src}
+          controls
+          preload="none"
+          onError={() => setFailed(true)}
+          className="max-w-full"
+        />
+      );
+    default:
+      return (
+        <a
+          href={downloadUrl}
+          className={`flex items-center gap-3 p-2 rounded-md ${isMe ? 'bg-emerald-600' : 'bg-gray-50 border border-gray-200'}`}
+        >
+          <FileText className={`w-8 h-8 flex-shrink-0 ${isMe ? 'text-emerald-50' : 'text-emerald-600'}`} />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium truncate">{media.filename || 'Document'}</p>
+            <p className={`text-xs ${isMe ? 'text-emerald-50' : 'text-gray-500'}`}>{formatFileSize(media.size)}</p>
+          </div>
+          <Download className="w-4 h-4 flex-shrink-0" />
+        </a>
+      );
+  }
+}
 
 export function MessageBubble({ message }) {
   const isMe = message.sender === 'me';
+  const isSticker = message.type === 'sticker' && message.media;
 
   return (
     <div className={`flex ${isMe ? 'justify-end' : 'justify-start'} mb-4`}>
       <div className={`max-w-[70%] ${isMe ? 'items-end' : 'items-start'} flex flex-col`}>
         <div
-          className={`px-4 py-2 rounded-lg ${
-            isMe
-              ? 'bg-emerald-500 text-white rounded-br-none'
-              : 'bg-white text-gray-900 border border-gray-200 rounded-bl-none'
-          }`}
+          className={
+            isSticker
+              ? ''
+              : `px-4 py-2 rounded-lg ${
+                  isMe
+                    ? 'bg-emerald-500 text-white rounded-br-none'
+                    : 'bg-white text-gray-900 border border-gray-200 rounded-bl-none'
+                }`
+          }
         >
-          <p className="text-sm whitespace-pre-wrap break-words">{message.text}</p>
+          {message.media && (
+            <div className={message.text ? 'mb-2' : ''}>
+              <MessageMedia message={message} isMe={isMe} />
+            </div>
+          )}
+          {message.text && (
+            <p className="text-sm whitespace-pre-wrap break-words">{message.text}</p>
+          )}
         </div>
         <div className={`flex items-center gap-1 mt-1 px-1 ${isMe ? 'flex-row-reverse' : 'flex-row'}`}>
-          <span className="text-xs text-gray-500">{message.timestamp}</span>
+          <span className="text-xs text-gray-500">{formatMessageTime(message.timestamp)}</span>
           {isMe && message.status && (
             <div className="text-gray-500">
               {message.status === 'sent' && <Check className="w-3 h-3" />}
@@ -29,4 +129,3 @@ export function MessageBubble({ message }) {
     </div>
   );
 }
-
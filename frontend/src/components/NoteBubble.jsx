@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Lock, Pencil, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { formatMessageTime } from '../lib/format';
+
+// A private team note in the chat timeline; notes are never sent to WhatsApp
+export function NoteBubble({ note, canEdit = false, onUpdate, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(note.body);
+
+  const handleSave = async () => {
+    const body = draft.trim();
+    if (!body) return;
+    if (body !== note.body && !(await onUpdate(note.id, body))) return;
+    setIsEditing(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleSave();
+    } else if (e.key === 'Escape') {
+      setDraft(note.body);
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center mb-2">
+      <div className="group w-full max-w-[85%] rounded-lg border border-amber-200 bg-amber-50 px-4 py-2 shadow-sm">
+        <div className="flex items-center gap-1.5 text-xs text-amber-700">
+          <Lock className="w-3 h-3" />
+          <span className="font-medium">{note.author?.name || 'Former member'}</span>
+          <span className="text-amber-600">· Note · {formatMessageTime(note.timestamp)}{note.editedAt && ' · edited'}</span>
+          {canEdit && !isEditing && (
+            <div className="ml-auto flex opacity-0 group-hover:opacity-100 transition-opacity">
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => {
+                  setDraft(note.body);
+                  setIsEditing(true);
+                }}
+                className="w-6 h-6 text-amber-700 hover:text-amber-900 hover:bg-amber-100"
+                title="Edit note"
+              >
+                <Pencil className="w-3 h-3" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => onDelete(note.id)}
+                className="w-6 h-6 text-amber-700 hover:text-red-600 hover:bg-amber-100"
+                title="Delete note"
+              >
+                <Trash2 className="w-3 h-3" />
+              </Button>
+            </div>
+          )}
+        </div>
+        {isEditing ? (
+          <div className="mt-1 flex items-center gap-2">
+            <Input
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleKeyDown}
+              autoFocus
+              className="h-8 bg-white focus-visible:ring-amber-500"
+            />
+            <Button size="sm" onClick={handleSave} disabled={!draft.trim()} className="bg-amber-500 hover:bg-amber-600">
+              Save
+            </Button>
+          </div>
+        ) : (
+          <p className="mt-1 text-sm text-gray-800 whitespace-pre-wrap break-words">{note.body}</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,38 @@
-import { Navigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { verifySession } from '../lib/auth';
 
 export function ProtectedRoute({ children }) {
-  const userId = localStorage.getItem('userId');
-  const user = localStorage.getItem('user');
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [isChecking, setIsChecking] = useState(true);
+  const location = useLocation();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Verify the session token with the backend instead of trusting localStorage
+    const checkAuth = async () => {
+      const user = await verifySession();
+      if (!cancelled) {
+        setIsAuthenticated(!!user);
+        setIsChecking(false);
+      }
+    };
+
+    checkAuth();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [location.pathname]); // Re-check when route changes
+
+  // Show nothing while checking to prevent flicker
+  if (isChecking) {
+    return null;
+  }
 
   // If user is not authenticated, redirect to login
-  if (!userId || !user) {
+  if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
 
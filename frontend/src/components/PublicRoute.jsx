@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
+import { verifySession } from '../lib/auth';
 
 export function PublicRoute({ children }) {
   const [shouldRedirect, setShouldRedirect] = useState(false);
@@ -7,38 +8,23 @@ export function PublicRoute({ children }) {
   const location = useLocation();
 
   useEffect(() => {
+    let cancelled = false;
+
     // Only check once when component mounts or route changes
-    const checkAuth = () => {
-      const userId = localStorage.getItem('userId');
-      const user = localStorage.getItem('user');
-
-      // Only redirect if both userId and user exist
-      if (userId && user) {
-        try {
-          // Verify the user data is valid JSON
-          const userData = JSON.parse(user);
-          // Also verify userId matches
-          if (userData.id === userId) {
-            setShouldRedirect(true);
-          } else {
-            // Mismatch, clear invalid data
-            localStorage.removeItem('userId');
-            localStorage.removeItem('user');
-            setShouldRedirect(false);
-          }
-        } catch (e) {
-          // Invalid user data, clear it
-          localStorage.removeItem('userId');
-          localStorage.removeItem('user');
-          setShouldRedirect(false);
-        }
-      } else {
-        setShouldRedirect(false);
+    const checkAuth = async () => {
+      // Redirect only if the stored session token is still valid
+      const user = await verifySession();
+      if (!cancelled) {
+        setShouldRedirect(!!user);
+        setIsChecking(false);
       }
-      setIsChecking(false);
     };
 
     checkAuth();
+
+    return () => {
+      cancelled = true;
+    };
   }, [location.pathname]); // Only re-check when route changes
 
   // Show nothing while checking to prevent flicker
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Send-later presets; each returns the send time (epoch milliseconds)
+const PRESETS = [
+  { id: 'hour', label: 'In 1 hour', at: () => Date.now() + HOUR_MS },
+  {
+    id: 'tomorrow',
+    label: 'Tomorrow 9:00',
+    at: () => {
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return tomorrow.setHours(9, 0, 0, 0);
+    },
+  },
+  {
+    id: 'monday',
+    label: 'Monday 9:00',
+    at: () => {
+      const monday = new Date();
+      monday.setDate(monday.getDate() + (((8 - monday.getDay()) % 7) || 7));
+      return monday.setHours(9, 0, 0, 0);
+    },
+  },
+];
+
+// datetime-local inputs work in local time without seconds ("2024-05-01T09:30")
+const toLocalInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+// Pick when a message goes out, for a new message (text from the composer) or an already scheduled one
+export function ScheduledMessageDialog({ open, onOpenChange, initialText = '', scheduledMessage = null, onSave }) {
+  const [text, setText] = useState('');
+  const [sendAt, setSendAt] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setText(scheduledMessage ? scheduledMessage.body : initialText);
+      setSendAt(toLocalInputValue(scheduledMessage ? scheduledMessage.sendAt : PRESETS[0].at()));
+    }
+  }, [open, scheduledMessage, initialText]);
+
+  const sendAtTime = sendAt ? new Date(sendAt).getTime() : NaN;
+  const isValid = text.trim() !== '' && sendAtTime > Date.now();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    setIsSaving(true);
+    const saved = await onSave(text, sendAtTime);
+    setIsSaving(false);
+    if (saved) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>{scheduledMessage ? 'Edit scheduled message' : 'Send later'}</DialogTitle>
+          <DialogDescription>
+            The message goes out at this time, or as soon as WhatsApp is connected again
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Type a message..."
+            rows={4}
+            maxLength={4096}
+            className="w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            aria-label="Message"
+          />
+          <div className="flex flex-wrap gap-2">
+            {PRESETS.map((preset) => (
+              <Button
+                key={preset.id}
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setSendAt(toLocalInputValue(preset.at()))}
+              >
+                {preset.label}
+              </Button>
+            ))}
+          </div>
+          <Input
+            type="datetime-local"
+            value={sendAt}
+            min={toLocalInputValue(Date.now())}
+            onChange={(e) => setSendAt(e.target.value)}
+            className="focus-visible:ring-emerald-500"
+            aria-label="Send at"
+          />
+          <div className="flex justify-end pt-2">
+            <Button type="submit" disabled={!isValid || isSaving} className="bg-emerald-600 hover:bg-emerald-700">
+              {isSaving ? 'Saving...' : scheduledMessage ? 'Save' : 'Schedule'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,7 +1,9 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
+import { saveSession } from '../lib/auth';
+import { ROLE_LABELS } from '../lib/workspace';
 
 export function SignUp() {
   const [formData, setFormData] = useState({
@@ -12,7 +14,34 @@ export function SignUp() {
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [invite, setInvite] = useState(null);
   const navigate = useNavigate();
+  // Invite links (/signup?invite=...) join the inviting team's workspace
+  const [searchParams] = useSearchParams();
+  const inviteId = searchParams.get('invite');
+
+  useEffect(() => {
+    if (!inviteId) return;
+
+    const loadInvite = async () => {
+      try {
+        const response = await fetch(`http://localhost:5153/api/invites/${encodeURIComponent(inviteId)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          setError(data.message || 'This invite is invalid or has expired');
+          return;
+        }
+        setInvite(data.invite);
+        setFormData((prev) => ({ ...prev, email: data.invite.email }));
+      } catch (error) {
+        console.error('Error loading invite:', error);
+        setError('Failed to load the invite. Please check your connection and try again.');
+      }
+    };
+
+    loadInvite();
+  }, [inviteId]);
 
   const handleChange = (e) => {
     setFormData({
@@ -49,6 +78,7 @@ export function SignUp() {
           name: formData.name,
           email: formData.email,
           password: formData.password,
+          inviteId: invite ? invite.id : undefined,
         }),
       });
 
@@ -59,16 +89,12 @@ export function SignUp() {
         return;
       }
 
-      // Store user data in localStorage (auto-login after signup)
-      localStorage.setItem('user', JSON.stringify(data.user));
-      localStorage.setItem('userId', data.user.id);
-      
-      // Verify userId is saved
-      console.log('Account created. UserID saved to localStorage:', data.user.id);
-      console.log('User data saved to localStorage:', data.user);
+      // Store session token and user data (auto-login after signup)
+      saveSession(data);
+      console.log('Account created:', data.user.id);
 
-      // Success - navigate to WhatsApp connection screen
-      navigate('/connect');
+      // Success - new workspaces start by linking a number; invited members go to the team's inbox
+      navigate(invite ? '/dashboard' : '/connect');
     } catch (error) {
       console.error('Signup error:', error);
       setError('Failed to create account. Please check your connection and try again.');
@@ -83,7 +109,9 @@ export function SignUp() {
         <div className="text-center">
           <h2 className="text-3xl font-bold text-gray-900">Create Account</h2>
           <p className="mt-2 text-sm text-gray-600">
-            Sign up to get started with WhatsApp Business
+            {invite
+              ? `Join ${invite.workspaceName} as ${ROLE_LABELS[invite.role].toLowerCase()}`
+              : 'Sign up to get started with WhatsApp Business'}
           </p>
         </div>
 
@@ -125,6 +153,7 @@ export function SignUp() {
                 placeholder="Enter your email"
                 value={formData.email}
                 onChange={handleChange}
+                readOnly={!!invite}
                 className="w-full focus-visible:ring-emerald-500"
               />
             </div>
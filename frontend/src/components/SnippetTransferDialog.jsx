@@ -0,0 +1,176 @@
+import { useState, useEffect, useRef } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { authFetch } from '../lib/auth';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+// How an import treats the existing snippets (see snippetTransferService.js)
+const STRATEGIES = [
+  { id: 'merge', label: 'Merge: update snippets with the same title, add the rest' },
+  { id: 'replace', label: 'Replace: also delete snippets not in the file' },
+];
+
+const describeImport = ({ created, updated, unchanged, deleted }) => [
+  deleted > 0 && `${deleted} deleted`,
+  `${created} new`,
+  `${updated} updated`,
+  unchanged > 0 && `${unchanged} unchanged`,
+].filter(Boolean).join(', ');
+
+// Export the workspace's snippets, or import a collection that was exported elsewhere
+export function SnippetTransferDialog({ open, onOpenChange, canImport = false, onImported }) {
+  const [file, setFile] = useState(null);
+  const [strategy, setStrategy] = useState('merge');
+  const [preview, setPreview] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInputRef = useRef(null);
+  const workspaceId = localStorage.getItem('workspaceId');
+
+  useEffect(() => {
+    if (!open) {
+      setFile(null);
+      setPreview(null);
+    }
+  }, [open]);
+
+  const handleExport = async (format) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/snippets/${workspaceId}/export?format=${format}`);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to export snippets');
+      }
+      const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || `snippets.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting snippets:', error);
+      toast.error(error.message || 'Failed to export snippets');
+    }
+  };
+
+  // Upload the file; with dryRun the backend only validates it and counts what would change
+  const runImport = async (selectedFile, selectedStrategy, dryRun) => {
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+    const query = `strategy=${selectedStrategy}${dryRun ? '&dryRun=1' : ''}`;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/snippets/${workspaceId}/import?${query}`, {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to import snippets');
+      }
+      return data;
+    } catch (error) {
+      console.error('Error importing snippets:', error);
+      toast.error(error.message || 'Failed to import snippets');
+      return null;
+    }
+  };
+
+  const checkFile = async (selectedFile, selectedStrategy) => {
+    setFile(selectedFile);
+    setPreview(null);
+    if (selectedFile) {
+      setPreview(await runImport(selectedFile, selectedStrategy, true));
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    const data = await runImport(file, strategy, false);
+    setIsImporting(false);
+    if (data) {
+      onImported(data.snippets);
+      toast.success(`Snippets imported: ${describeImport(data)}`);
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>Import and export</DialogTitle>
+          <DialogDescription>
+            Move quick replies between workspaces or keep them under version control
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex gap-2">
+          <Button variant="outline" className="flex-1" onClick={() => handleExport('json')}>
+            <Download className="w-4 h-4 mr-2" />
+            Export JSON
+          </Button>
+          <Button variant="outline" className="flex-1" onClick={() => handleExport('csv')}>
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </Button>
+        </div>
+
+        {canImport && (
+          <div className="pt-4 border-t space-y-3">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              className="hidden"
+              onChange={(e) => checkFile(e.target.files[0], strategy)}
+            />
+            <div className="flex items-center gap-2">
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+                <Upload className="w-4 h-4 mr-2" />
+                Choose file
+              </Button>
+              <p className="flex-1 min-w-0 text-sm text-gray-600 truncate">
+                {file ? file.name : 'JSON or CSV with title, content, category and icon'}
+              </p>
+            </div>
+            <select
+              value={strategy}
+              onChange={(e) => {
+                setStrategy(e.target.value);
+                checkFile(file, e.target.value);
+              }}
+              className="h-8 w-full rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              aria-label="Import strategy"
+            >
+              {STRATEGIES.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            {preview && (
+              <p className={`text-sm ${preview.deleted > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                Preview: {describeImport(preview)}
+              </p>
+            )}
+            <Button
+              className="w-full bg-emerald-600 hover:bg-emerald-700"
+              disabled={!preview || isImporting}
+              onClick={handleImport}
+            >
+              {isImporting ? 'Importing...' : 'Import'}
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,41 +1,82 @@
-import { useState } from 'react';
-import { Search, GripVertical, FileText, MessageCircle, Clock, Calendar, Wrench, DollarSign, Heart, AlertCircle } from 'lucide-react';
-import { useDrag } from 'react-dnd';
+import { useState, useEffect, useRef } from 'react';
+import { Search, GripVertical, FileText, MessageCircle, Clock, Calendar, Wrench, DollarSign, Heart, AlertCircle, Plus, Pencil, Trash2, ArrowDownUp } from 'lucide-react';
+import { useDrag, useDrop } from 'react-dnd';
+import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { ScrollArea } from './ui/scroll-area';
 import { Badge } from './ui/badge';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+import { SnippetTransferDialog } from './SnippetTransferDialog';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
 import { toast } from 'sonner';
+import { authFetch } from '../lib/auth';
+import { hasRole } from '../lib/workspace';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+// The icons a snippet can have (same list as snippetService.js)
+const SNIPPET_ICONS = {
+  MessageCircle,
+  Clock,
+  FileText,
+  Calendar,
+  Wrench,
+  DollarSign,
+  Heart,
+  AlertCircle,
+};
+
+const EMPTY_SNIPPET = { title: '', content: '', category: '', icon: 'FileText' };
+
+function SnippetIcon({ name, className = 'w-4 h-4' }) {
+  const Icon = SNIPPET_ICONS[name] || FileText;
+  return <Icon className={className} />;
+}
+
+function SnippetItem({ snippet, index, canEdit, canReorder, onDoubleClick, onEdit, onDelete, onMove, onDragEnd }) {
+  const ref = useRef(null);
 
-function SnippetItem({ snippet, onDoubleClick }) {
   const [{ isDragging }, drag] = useDrag(() => ({
     type: 'snippet',
-    item: { snippet },
+    item: { snippet, index },
     collect: (monitor) => ({
       isDragging: !!monitor.isDragging(),
     }),
-  }));
-
-  const getIcon = (iconName) => {
-    const icons = {
-      MessageCircle: <MessageCircle className="w-4 h-4" />,
-      Clock: <Clock className="w-4 h-4" />,
-      FileText: <FileText className="w-4 h-4" />,
-      Calendar: <Calendar className="w-4 h-4" />,
-      Wrench: <Wrench className="w-4 h-4" />,
-      DollarSign: <DollarSign className="w-4 h-4" />,
-      Heart: <Heart className="w-4 h-4" />,
-      AlertCircle: <AlertCircle className="w-4 h-4" />,
-    };
-    return icons[iconName] || <FileText className="w-4 h-4" />;
-  };
+    end: () => onDragEnd(),
+  }), [snippet, index, onDragEnd]);
+
+  // Dragging a snippet over another one moves it there (sortable list)
+  const [, drop] = useDrop(() => ({
+    accept: 'snippet',
+    hover: (item, monitor) => {
+      if (!canReorder || !ref.current || item.index === index) return;
+
+      // Only move once the pointer crosses the middle of this item, so items don't flip back and forth
+      const rect = ref.current.getBoundingClientRect();
+      const middleY = (rect.bottom - rect.top) / 2;
+      const offsetY = monitor.getClientOffset().y - rect.top;
+      if (item.index < index && offsetY < middleY) return;
+      if (item.index > index && offsetY > middleY) return;
+
+      onMove(item.index, index);
+      item.index = index;
+    },
+  }), [index, canReorder, onMove]);
+
+  drag(drop(ref));
 
   return (
     <TooltipProvider>
       <Tooltip>
         <TooltipTrigger asChild>
           <div
-            ref={drag}
+            ref={ref}
             onDoubleClick={onDoubleClick}
             className={`group p-3 bg-white border border-gray-200 rounded-lg cursor-move hover:border-emerald-300 hover:shadow-sm transition-all ${
               isDragging ? 'opacity-50 scale-95' : ''
@@ -47,8 +88,34 @@ function SnippetItem({ snippet, onDoubleClick }) {
               </div>
               <div className="flex-1 min-w-0">
                 <div className="flex items-center gap-2 mb-1">
-                  <div className="text-emerald-600">{getIcon(snippet.icon || 'FileText')}</div>
-                  <h4 className="font-medium text-sm text-gray-900 truncate">{snippet.title}</h4>
+                  <div className="text-emerald-600"><SnippetIcon name={snippet.icon} /></div>
+                  <h4 className="flex-1 font-medium text-sm text-gray-900 truncate">{snippet.title}</h4>
+                  {canEdit && (
+                    // Double-clicking these shouldn't send the snippet
+                    <div
+                      className="flex opacity-0 group-hover:opacity-100 transition-opacity"
+                      onDoubleClick={(e) => e.stopPropagation()}
+                    >
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={onEdit}
+                        className="w-6 h-6 text-gray-500 hover:text-emerald-600"
+                        title="Edit snippet"
+                      >
+                        <Pencil className="w-3 h-3" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={onDelete}
+                        className="w-6 h-6 text-gray-500 hover:text-red-600"
+                        title="Delete snippet"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </Button>
+                    </div>
+                  )}
                 </div>
                 <p className="text-xs text-gray-600 line-clamp-2 mb-2">{snippet.content}</p>
                 <Badge variant="secondary" className="text-xs bg-emerald-50 text-emerald-700 hover:bg-emerald-100">
@@ -60,15 +127,241 @@ function SnippetItem({ snippet, onDoubleClick }) {
         </TooltipTrigger>
         <TooltipContent side="left" className="max-w-xs">
           <p className="text-sm mb-1 font-medium">Double-click to send</p>
-          <p className="text-xs text-gray-500">Or drag to the message input</p>
+          <p className="text-xs text-gray-500">
+            Or drag to the message input{canReorder && ', or onto another snippet to reorder'}
+          </p>
         </TooltipContent>
       </Tooltip>
     </TooltipProvider>
   );
 }
 
-export function SnippetsPanel({ snippets, onSnippetDoubleClick }) {
+// Create or edit a snippet; snippet is null for a new one
+function SnippetDialog({ open, onOpenChange, snippet, categories, onSave }) {
+  const [form, setForm] = useState(EMPTY_SNIPPET);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(snippet ? { ...EMPTY_SNIPPET, ...snippet } : EMPTY_SNIPPET);
+    }
+  }, [open, snippet]);
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      title: form.title,
+      content: form.content,
+      category: form.category,
+      icon: form.icon,
+    });
+    setIsSaving(false);
+    if (saved) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>{snippet ? 'Edit snippet' : 'New snippet'}</DialogTitle>
+          <DialogDescription>
+            Quick replies are shared with everyone in the workspace. Placeholders like {'{{name}}'}, {'{{agent}}'}
+            {' '}or a contact field such as {'{{company}}'} are filled in for the chat.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            value={form.title}
+            onChange={setField('title')}
+            placeholder="Title"
+            maxLength={100}
+            autoFocus
+            required
+            className="focus-visible:ring-emerald-500"
+          />
+          <Input
+            value={form.category}
+            onChange={setField('category')}
+            placeholder="Category (General if empty)"
+            maxLength={50}
+            list="snippet-categories"
+            className="focus-visible:ring-emerald-500"
+          />
+          <datalist id="snippet-categories">
+            {categories.map((category) => (
+              <option key={category} value={category} />
+            ))}
+          </datalist>
+          <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Icon">
+            {Object.keys(SNIPPET_ICONS).map((name) => (
+              <button
+                key={name}
+                type="button"
+                role="radio"
+                aria-checked={form.icon === name}
+                aria-label={name}
+                onClick={() => setForm({ ...form, icon: name })}
+                className={`p-2 rounded-md border transition-colors ${
+                  form.icon === name
+                    ? 'border-emerald-500 bg-emerald-50 text-emerald-600'
+                    : 'border-gray-200 text-gray-500 hover:text-emerald-600'
+                }`}
+              >
+                <SnippetIcon name={name} />
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={form.content}
+            onChange={setField('content')}
+            placeholder="Message text"
+            maxLength={4096}
+            rows={5}
+            required
+            className="w-full rounded-md border border-gray-200 px-3 py-2 text-sm resize-y focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          />
+          <Button
+            type="submit"
+            className="w-full bg-emerald-600 hover:bg-emerald-700"
+            disabled={isSaving || !form.title.trim() || !form.content.trim()}
+          >
+            {isSaving ? 'Saving...' : 'Save'}
+          </Button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export function SnippetsPanel({ onSnippetDoubleClick }) {
+  const [snippets, setSnippets] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [editingSnippet, setEditingSnippet] = useState(null);
+  const [isTransferOpen, setIsTransferOpen] = useState(false);
+  // The order last saved on the server, to put back if saving a new order fails
+  const savedSnippetsRef = useRef([]);
+  const snippetsRef = useRef(snippets);
+  snippetsRef.current = snippets;
+  const canEdit = hasRole('agent');
+  const workspaceId = localStorage.getItem('workspaceId');
+
+  useEffect(() => {
+    loadSnippets();
+  }, []);
+
+  const applySnippets = (list) => {
+    savedSnippetsRef.current = list;
+    setSnippets(list);
+  };
+
+  const loadSnippets = async () => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/snippets/${workspaceId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load snippets');
+      }
+      savedSnippetsRef.current = data.snippets;
+      setSnippets(data.snippets);
+    } catch (error) {
+      console.error('Error loading snippets:', error);
+      toast.error(error.message || 'Failed to load snippets');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Run a snippet change; the backend answers with a user-facing message on failure
+  const updateSnippets = async (url, options) => {
+    try {
+      const response = await authFetch(url, options);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update snippets');
+      }
+      return data;
+    } catch (error) {
+      console.error('Error updating snippets:', error);
+      toast.error(error.message || 'Failed to update snippets');
+      return null;
+    }
+  };
+
+  const handleSave = async (fields) => {
+    const url = editingSnippet
+      ? `${API_BASE_URL}/api/snippets/${workspaceId}/${editingSnippet.id}`
+      : `${API_BASE_URL}/api/snippets/${workspaceId}`;
+    const data = await updateSnippets(url, {
+      method: editingSnippet ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(fields),
+    });
+    if (!data) return false;
+
+    applySnippets(editingSnippet
+      ? savedSnippetsRef.current.map((snippet) => (snippet.id === data.snippet.id ? data.snippet : snippet))
+      : [...savedSnippetsRef.current, data.snippet]);
+    toast.success(editingSnippet ? 'Snippet updated' : 'Snippet added');
+    return true;
+  };
+
+  const handleDelete = async (snippet) => {
+    if (!window.confirm(`Delete the snippet "${snippet.title}"?`)) return;
+    const data = await updateSnippets(`${API_BASE_URL}/api/snippets/${workspaceId}/${snippet.id}`, {
+      method: 'DELETE',
+    });
+    if (data) {
+      applySnippets(savedSnippetsRef.current.filter((s) => s.id !== snippet.id));
+      toast.success('Snippet deleted');
+    }
+  };
+
+  const handleMove = (fromIndex, toIndex) => {
+    setSnippets((current) => {
+      const next = [...current];
+      const [moved] = next.splice(fromIndex, 1);
+      next.splice(toIndex, 0, moved);
+      return next;
+    });
+  };
+
+  // Save the new order once a drag ends (also after dragging a snippet into the message input)
+  const handleDragEnd = async () => {
+    const order = snippetsRef.current.map((snippet) => snippet.id);
+    const savedOrder = savedSnippetsRef.current.map((snippet) => snippet.id);
+    if (order.join() === savedOrder.join()) return;
+
+    const data = await updateSnippets(`${API_BASE_URL}/api/snippets/${workspaceId}/order`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ snippetIds: order }),
+    });
+    if (data) {
+      applySnippets(data.snippets);
+    } else {
+      setSnippets(savedSnippetsRef.current);
+    }
+  };
+
+  const openDialog = (snippet) => {
+    setEditingSnippet(snippet);
+    setIsDialogOpen(true);
+  };
 
   const filteredSnippets = snippets.filter(
     (snippet) =>
@@ -76,12 +369,39 @@ export function SnippetsPanel({ snippets, onSnippetDoubleClick }) {
       snippet.content.toLowerCase().includes(searchQuery.toLowerCase()) ||
       snippet.category.toLowerCase().includes(searchQuery.toLowerCase())
   );
+  // Reordering a filtered list would be ambiguous, so it only works without a search
+  const canReorder = canEdit && !searchQuery;
+  const categories = [...new Set(snippets.map((snippet) => snippet.category))].sort();
 
   return (
     <div className="flex flex-col h-full bg-gray-50 border-l border-gray-200">
       {/* Header */}
       <div className="p-4 bg-white border-b border-gray-200">
-        <h2 className="font-semibold text-gray-900 mb-3">Quick Replies</h2>
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold text-gray-900">Quick Replies</h2>
+          <div className="flex">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setIsTransferOpen(true)}
+              className="w-8 h-8 text-gray-500 hover:text-emerald-600"
+              title={canEdit ? 'Import or export snippets' : 'Export snippets'}
+            >
+              <ArrowDownUp className="w-4 h-4" />
+            </Button>
+            {canEdit && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => openDialog(null)}
+                className="w-8 h-8 text-gray-500 hover:text-emerald-600"
+                title="New snippet"
+              >
+                <Plus className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        </div>
         <div className="relative">
           <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
           <Input
@@ -97,19 +417,25 @@ export function SnippetsPanel({ snippets, onSnippetDoubleClick }) {
       {/* Snippets List */}
       <ScrollArea className="flex-1 p-4">
         <div className="space-y-3">
-          {filteredSnippets.map((snippet) => (
+          {filteredSnippets.map((snippet, index) => (
             <SnippetItem
               key={snippet.id}
               snippet={snippet}
-              onDoubleClick={() => {
-                onSnippetDoubleClick(snippet);
-                toast.success('Snippet sent!');
-              }}
+              index={index}
+              canEdit={canEdit}
+              canReorder={canReorder}
+              onDoubleClick={() => onSnippetDoubleClick(snippet)}
+              onEdit={() => openDialog(snippet)}
+              onDelete={() => handleDelete(snippet)}
+              onMove={handleMove}
+              onDragEnd={handleDragEnd}
             />
           ))}
-          {filteredSnippets.length === 0 && (
+          {!isLoading && filteredSnippets.length === 0 && (
             <div className="text-center py-8">
-              <p className="text-sm text-gray-500">No snippets found</p>
+              <p className="text-sm text-gray-500">
+                {snippets.length === 0 ? 'No snippets yet' : 'No snippets found'}
+              </p>
             </div>
           )}
         </div>
@@ -121,7 +447,21 @@ export function SnippetsPanel({ snippets, onSnippetDoubleClick }) {
           {snippets.length} saved snippet{snippets.length !== 1 ? 's' : ''}
         </p>
       </div>
+
+      <SnippetDialog
+        open={isDialogOpen}
+        onOpenChange={setIsDialogOpen}
+        snippet={editingSnippet}
+        categories={categories}
+        onSave={handleSave}
+      />
+
+      <SnippetTransferDialog
+        open={isTransferOpen}
+        onOpenChange={setIsTransferOpen}
+        canImport={canEdit}
+        onImported={applySnippets}
+      />
     </div>
   );
 }
-
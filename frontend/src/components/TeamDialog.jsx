@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import { Copy, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { authFetch, verifySession } from '../lib/auth';
+import { ROLE_LABELS, getWorkspace, hasRole } from '../lib/workspace';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+// Mirrors the backend rules: admins manage agents and read-only members, the owner manages everyone but themself
+const canManage = (myRole, role) => role !== 'owner' && (myRole === 'owner' || (myRole === 'admin' && role !== 'admin'));
+
+// How new conversations are handed out (see assignmentService.js)
+const ROUTING_MODES = [
+  { id: 'manual', label: 'Assign manually' },
+  { id: 'round_robin', label: 'Round-robin' },
+  { id: 'least_busy', label: 'Least busy agent' },
+];
+
+const getInviteLink = (invite) => `${window.location.origin}/signup?invite=${encodeURIComponent(invite.id)}`;
+
+export function TeamDialog({ open, onOpenChange }) {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [routingMode, setRoutingMode] = useState('manual');
+  const [isLoading, setIsLoading] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('agent');
+  const [isInviting, setIsInviting] = useState(false);
+  const workspace = getWorkspace();
+  const myRole = workspace?.role;
+  const userId = localStorage.getItem('userId');
+  const isAdmin = hasRole('admin');
+
+  useEffect(() => {
+    if (open) {
+      loadTeam();
+    }
+  }, [open]);
+
+  const loadTeam = async () => {
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (!workspaceId) return;
+    try {
+      setIsLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/api/workspaces/${workspaceId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load team');
+      }
+      setMembers(data.members);
+      setInvites(data.invites);
+      setRoutingMode(data.workspace.routingMode);
+    } catch (error) {
+      console.error('Error loading team:', error);
+      toast.error(error.message || 'Failed to load team');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Run a team change and reload the list; the backend answers with a user-facing message on failure
+  const updateTeam = async (url, options, successMessage) => {
+    try {
+      const response = await authFetch(url, options);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update team');
+      }
+      if (successMessage) {
+        toast.success(successMessage);
+      }
+      await loadTeam();
+      return data;
+    } catch (error) {
+      console.error('Error updating team:', error);
+      toast.error(error.message || 'Failed to update team');
+      return null;
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsInviting(true);
+    const data = await updateTeam(`${API_BASE_URL}/api/workspaces/${workspace.id}/invites`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email: inviteEmail, role: inviteRole }),
+    });
+    setIsInviting(false);
+
+    if (data) {
+      setInviteEmail('');
+      handleCopyLink(data.invite);
+    }
+  };
+
+  const handleCopyLink = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(invite));
+      toast.success(`Invite link for ${invite.email} copied`);
+    } catch {
+      // Clipboard access can be blocked; show the link instead
+      window.prompt('Send this invite link:', getInviteLink(invite));
+    }
+  };
+
+  const handleRoleChange = (member, role) => {
+    updateTeam(`${API_BASE_URL}/api/workspaces/${workspace.id}/members/${member.userId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ role }),
+    }, `${member.name} is now ${ROLE_LABELS[role].toLowerCase()}`);
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.name} from the team?`)) return;
+    updateTeam(`${API_BASE_URL}/api/workspaces/${workspace.id}/members/${member.userId}`, {
+      method: 'DELETE',
+    }, `${member.name} was removed`);
+  };
+
+  const handleRevoke = (invite) => {
+    updateTeam(`${API_BASE_URL}/api/workspaces/${workspace.id}/invites/${encodeURIComponent(invite.id)}`, {
+      method: 'DELETE',
+    }, `Invite for ${invite.email} revoked`);
+  };
+
+  const handleRoutingChange = async (mode) => {
+    const data = await updateTeam(`${API_BASE_URL}/api/workspaces/${workspace.id}/routing`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ routingMode: mode }),
+    }, 'Routing updated');
+    if (data) {
+      setRoutingMode(data.routingMode);
+    }
+  };
+
+  // Leaving gives the user a workspace of their own, which starts without any WhatsApp number
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${workspace.name}? You will lose access to its inbox.`)) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/workspaces/${workspace.id}/members/${userId}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to leave workspace');
+      }
+      localStorage.removeItem('activeAccountId');
+      await verifySession();
+      window.location.assign('/connect');
+    } catch (error) {
+      console.error('Error leaving workspace:', error);
+      toast.error(error.message || 'Failed to leave workspace');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle>Team</DialogTitle>
+          <DialogDescription>
+            Everyone in {workspace?.name || 'this workspace'} works the same WhatsApp inbox
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-72 overflow-y-auto">
+          {isLoading && members.length === 0 ? (
+            <p className="text-sm text-gray-600 text-center py-4">Loading team...</p>
+          ) : (
+            members.map((member) => (
+              <div key={member.userId} className="flex items-center gap-3 py-2 border-b last:border-b-0">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {member.name}
+                    {member.userId === userId && <span className="text-gray-500 font-normal"> (you)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                </div>
+                {member.userId !== userId && canManage(myRole, member.role) ? (
+                  <>
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      className="h-8 rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                      aria-label={`Role of ${member.name}`}
+                    >
+                      {['admin', 'agent', 'read_only'].filter((role) => canManage(myRole, role)).map((role) => (
+                        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                      ))}
+                    </select>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleRemove(member)}
+                      className="text-gray-500 hover:text-red-600"
+                      title="Remove from team"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </>
+                ) : (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-emerald-100 text-emerald-700">
+                    {ROLE_LABELS[member.role]}
+                  </span>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        {isAdmin && (
+          <div className="pt-4 border-t space-y-3">
+            <div className="flex items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900">New conversations</p>
+                <p className="text-xs text-gray-500">Routed to members with the Agent role</p>
+              </div>
+              <select
+                value={routingMode}
+                onChange={(e) => handleRoutingChange(e.target.value)}
+                className="h-8 rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                aria-label="Routing of new conversations"
+              >
+                {ROUTING_MODES.map((mode) => (
+                  <option key={mode.id} value={mode.id}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <form onSubmit={handleInvite} className="flex items-center gap-2">
+              <Input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="Invite by email"
+                required
+                className="flex-1 focus-visible:ring-emerald-500"
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="h-9 rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                aria-label="Role for the invite"
+              >
+                {['admin', 'agent', 'read_only'].filter((role) => canManage(myRole, role)).map((role) => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+              <Button
+                type="submit"
+                disabled={isInviting || !inviteEmail.trim()}
+                className="bg-emerald-600 hover:bg-emerald-700"
+              >
+                Invite
+              </Button>
+            </form>
+
+            {invites.length > 0 && (
+              <div className="space-y-1">
+                <p className="text-xs font-medium text-gray-500 uppercase">Pending invites</p>
+                {invites.map((invite) => (
+                  <div key={invite.id} className="flex items-center gap-2">
+                    <p className="flex-1 min-w-0 text-sm text-gray-700 truncate">
+                      {invite.email} <span className="text-gray-500">· {ROLE_LABELS[invite.role]}</span>
+                    </p>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleCopyLink(invite)}
+                      className="text-gray-500 hover:text-emerald-600"
+                      title="Copy invite link"
+                    >
+                      <Copy className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleRevoke(invite)}
+                      className="text-gray-500 hover:text-red-600"
+                      title="Revoke invite"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {myRole !== 'owner' && (
+          <div className="pt-4 border-t">
+            <Button
+              variant="ghost"
+              className="w-full text-red-600 hover:bg-red-50 hover:text-red-700"
+              onClick={handleLeave}
+            >
+              Leave workspace
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,391 @@
+import { useState, useEffect } from 'react';
+import { ArrowLeft, Copy, Plus, Webhook } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { authFetch } from '../lib/auth';
+import { formatChatTime } from '../lib/format';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+// Events a webhook can subscribe to, in the order the backend lists them
+const WEBHOOK_EVENTS = [
+  { id: 'message', label: 'Incoming messages' },
+  { id: 'message_ack', label: 'Delivery and read receipts' },
+  { id: 'status', label: 'Connects and disconnects' },
+  { id: 'qr', label: 'QR codes to scan' },
+];
+
+// Pending deliveries are queued until their first attempt, retrying after it
+const DELIVERY_STATUSES = {
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-600' },
+  pending: { label: 'Retrying', className: 'bg-amber-100 text-amber-700' },
+  succeeded: { label: 'Delivered', className: 'bg-emerald-100 text-emerald-700' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+};
+
+const upsertById = (list, item) => (
+  list.some((entry) => entry.id === item.id)
+    ? list.map((entry) => (entry.id === item.id ? item : entry))
+    : [...list, item]
+);
+
+const getEventLabel = (event) => WEBHOOK_EVENTS.find((item) => item.id === event)?.label || event;
+
+// Outbound webhooks (admins only): URLs that get a signed JSON POST for the workspace's live events,
+// with the log of recent deliveries and their retries
+export function WebhooksDialog({ open, onOpenChange }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  // 'list', 'form' or 'log'
+  const [view, setView] = useState('list');
+  // Webhook being edited (null for a new one) or whose log is shown
+  const [selected, setSelected] = useState(null);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [deliveries, setDeliveries] = useState(null);
+  const workspaceId = localStorage.getItem('workspaceId');
+
+  useEffect(() => {
+    if (open) {
+      setView('list');
+      setSelected(null);
+      loadWebhooks();
+    }
+  }, [open]);
+
+  const loadWebhooks = async () => {
+    const currentWorkspaceId = localStorage.getItem('workspaceId');
+    if (!currentWorkspaceId) return;
+    try {
+      setIsLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/api/webhooks/${currentWorkspaceId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load webhooks');
+      }
+      setWebhooks(data.webhooks);
+    } catch (error) {
+      console.error('Error loading webhooks:', error);
+      toast.error(error.message || 'Failed to load webhooks');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openForm = (webhook = null) => {
+    setSelected(webhook);
+    setUrl(webhook ? webhook.url : '');
+    setEvents(webhook ? webhook.events : WEBHOOK_EVENTS.map((event) => event.id));
+    setEnabled(webhook ? webhook.enabled : true);
+    setView('form');
+  };
+
+  const openLog = async (webhook) => {
+    setSelected(webhook);
+    setDeliveries(null);
+    setView('log');
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/webhooks/${workspaceId}/${webhook.id}/deliveries`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load deliveries');
+      }
+      setDeliveries(data.deliveries);
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+      toast.error(error.message || 'Failed to load deliveries');
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setEvents((prev) => (prev.includes(event) ? prev.filter((item) => item !== event) : [...prev, event]));
+  };
+
+  const saveWebhook = async (webhook, body) => {
+    const response = await authFetch(
+      webhook ? `${API_BASE_URL}/api/webhooks/${workspaceId}/${webhook.id}` : `${API_BASE_URL}/api/webhooks/${workspaceId}`,
+      {
+        method: webhook ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      }
+    );
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to save webhook');
+    }
+    setWebhooks((prev) => upsertById(prev, data.webhook));
+    return data.webhook;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (events.length === 0) {
+      toast.error('Pick at least one event');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await saveWebhook(selected, { url, events, enabled });
+      toast.success(selected ? 'Webhook updated' : 'Webhook added');
+      setView('list');
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      toast.error(error.message || 'Failed to save webhook');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (webhook) => {
+    try {
+      await saveWebhook(webhook, { enabled: !webhook.enabled });
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      toast.error(error.message || 'Failed to update webhook');
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm('Replace the signing secret? The receiver rejects deliveries until it has the new one.')) return;
+    try {
+      setSelected(await saveWebhook(webhook, { rotateSecret: true }));
+      toast.success('Signing secret replaced');
+    } catch (error) {
+      console.error('Error replacing webhook secret:', error);
+      toast.error(error.message || 'Failed to replace secret');
+    }
+  };
+
+  const handleCopySecret = async (webhook) => {
+    try {
+      await navigator.clipboard.writeText(webhook.secret);
+      toast.success('Signing secret copied');
+    } catch {
+      // Clipboard access can be blocked; show the secret instead
+      window.prompt('Signing secret:', webhook.secret);
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook to ${webhook.url}? Its delivery log is deleted too.`)) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/webhooks/${workspaceId}/${webhook.id}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete webhook');
+      }
+      setWebhooks((prev) => prev.filter((item) => item.id !== webhook.id));
+      setView('list');
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      toast.error(error.message || 'Failed to delete webhook');
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/webhooks/${workspaceId}/${webhook.id}/test`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to send test delivery');
+      }
+      toast.success('Test delivery queued');
+      // Give the delivery a moment to go out before showing its result
+      setTimeout(() => openLog(webhook), 2000);
+    } catch (error) {
+      console.error('Error sending test delivery:', error);
+      toast.error(error.message || 'Failed to send test delivery');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[600px]">
+        <DialogHeader>
+          <DialogTitle>
+            {view === 'form' ? (selected ? 'Edit webhook' : 'New webhook') : view === 'log' ? 'Deliveries' : 'Webhooks'}
+          </DialogTitle>
+          <DialogDescription>
+            {view === 'log' && selected
+              ? selected.url
+              : 'Send incoming messages and session events to your own systems as signed JSON POST requests.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {view !== 'list' && (
+          <Button variant="ghost" size="sm" className="w-fit -mt-2 text-gray-600" onClick={() => setView('list')}>
+            <ArrowLeft className="w-4 h-4" />
+            All webhooks
+          </Button>
+        )}
+
+        {view === 'list' && (
+          <div className="space-y-3">
+            <Button onClick={() => openForm()} className="bg-emerald-600 hover:bg-emerald-700">
+              <Plus className="w-4 h-4 mr-1" />
+              New webhook
+            </Button>
+            <div className="max-h-96 overflow-y-auto">
+              {isLoading && webhooks.length === 0 ? (
+                <p className="text-sm text-gray-600 text-center py-4">Loading webhooks...</p>
+              ) : webhooks.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  <Webhook className="w-8 h-8 mx-auto mb-2 opacity-40" />
+                  <p className="text-sm">No webhooks yet</p>
+                </div>
+              ) : (
+                webhooks.map((webhook) => (
+                  <div key={webhook.id} className="py-2 px-2 border-b last:border-b-0">
+                    <div className="flex items-center gap-2">
+                      <span className={`flex-1 min-w-0 truncate text-sm font-medium ${webhook.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                        {webhook.url}
+                      </span>
+                      <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={webhook.enabled}
+                          onChange={() => handleToggleEnabled(webhook)}
+                          className="accent-emerald-600"
+                        />
+                        Enabled
+                      </label>
+                    </div>
+                    <p className="text-xs text-gray-500 mb-1">{webhook.events.map(getEventLabel).join(' · ')}</p>
+                    <div className="flex flex-wrap gap-1">
+                      <Button variant="ghost" size="sm" className="h-7 text-gray-600" onClick={() => openForm(webhook)}>Edit</Button>
+                      <Button variant="ghost" size="sm" className="h-7 text-gray-600" onClick={() => openLog(webhook)}>Deliveries</Button>
+                      <Button variant="ghost" size="sm" className="h-7 text-gray-600" onClick={() => handleTest(webhook)}>Send test</Button>
+                      <Button variant="ghost" size="sm" className="h-7 text-gray-600" onClick={() => handleCopySecret(webhook)}>
+                        <Copy className="w-3.5 h-3.5" />
+                        Copy secret
+                      </Button>
+                      <Button variant="ghost" size="sm" className="h-7 text-red-600 hover:bg-red-50" onClick={() => handleDelete(webhook)}>
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        )}
+
+        {view === 'form' && (
+          <form onSubmit={handleSave} className="space-y-3">
+            <Input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/whatsapp/webhook"
+              maxLength={2048}
+              required
+              className="focus-visible:ring-emerald-500"
+              aria-label="URL"
+            />
+            <div className="space-y-1">
+              <p className="text-sm font-medium text-gray-700">Events</p>
+              {WEBHOOK_EVENTS.map((event) => (
+                <label key={event.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={events.includes(event.id)}
+                    onChange={() => toggleEvent(event.id)}
+                    className="accent-emerald-600"
+                  />
+                  {event.label}
+                </label>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={enabled}
+                onChange={(e) => setEnabled(e.target.checked)}
+                className="accent-emerald-600"
+              />
+              Enabled
+            </label>
+            {selected && (
+              <div className="pt-3 border-t flex items-center gap-2">
+                <code className="flex-1 min-w-0 truncate text-xs text-gray-600">{selected.secret}</code>
+                <Button type="button" variant="outline" size="sm" onClick={() => handleRotateSecret(selected)}>
+                  Replace secret
+                </Button>
+              </div>
+            )}
+            <p className="text-xs text-gray-500">
+              Each request carries X-Webhook-Timestamp and X-Webhook-Signature: sha256= followed by the HMAC-SHA256 of
+              the timestamp, a dot and the body, keyed with the webhook's secret. Answer with any 2xx status; other
+              answers are retried with growing delays for about 15 minutes.
+            </p>
+            <div className="flex justify-end pt-2">
+              <Button type="submit" disabled={isSaving} className="bg-emerald-600 hover:bg-emerald-700">
+                {isSaving ? 'Saving...' : selected ? 'Save webhook' : 'Add webhook'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {view === 'log' && selected && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-700">Latest 50 deliveries, kept for a week</span>
+              <Button variant="outline" size="sm" className="ml-auto" onClick={() => openLog(selected)}>
+                Refresh
+              </Button>
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              {!deliveries ? (
+                <p className="text-sm text-gray-600 text-center py-4">Loading deliveries...</p>
+              ) : deliveries.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-4">Nothing delivered yet</p>
+              ) : (
+                deliveries.map((delivery) => {
+                  const status = DELIVERY_STATUSES[delivery.status === 'pending' && delivery.attempts === 0 ? 'queued' : delivery.status];
+                  return (
+                    <details key={delivery.id} className="py-1.5 border-b last:border-b-0">
+                      <summary className="flex items-center gap-3 cursor-pointer list-none">
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm text-gray-900 truncate">{delivery.event === 'ping' ? 'Test' : getEventLabel(delivery.event)}</p>
+                          {delivery.error && <p className="text-xs text-red-600 truncate" title={delivery.error}>{delivery.error}</p>}
+                        </div>
+                        <span className="text-xs text-gray-500">
+                          {formatChatTime(delivery.createdAt)} · {delivery.attempts} {delivery.attempts === 1 ? 'attempt' : 'attempts'}
+                        </span>
+                        <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${status.className}`}>{status.label}</span>
+                      </summary>
+                      <pre className="mt-1 max-h-40 overflow-auto rounded bg-gray-50 p-2 text-xs text-gray-700">
+                        {JSON.stringify(delivery.payload, null, 2)}
+                      </pre>
+                    </details>
+                  );
+                })
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
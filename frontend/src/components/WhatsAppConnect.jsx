@@ -1,23 +1,82 @@
-import { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Button } from './ui/button';
-import { Smartphone, QrCode, CheckCircle2 } from 'lucide-react';
+import { Input } from './ui/input';
+import { Tabs, TabsList, TabsTrigger, TabsContent } from './ui/tabs';
+import { Smartphone, QrCode, CheckCircle2, Hash } from 'lucide-react';
+import { useWhatsAppEvents } from '../hooks/useWhatsAppEvents';
+import { authFetch } from '../lib/auth';
+import { withAccountId } from '../lib/accounts';
+import { hasRole } from '../lib/workspace';
 
 const API_BASE_URL = 'http://localhost:5153';
 
+// Pairing codes are shown as ABCD-EFGH, like on the phone
+const formatPairingCode = (code) => (code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code);
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
 export function WhatsAppConnect() {
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [qrCode, setQrCode] = useState(null);
   const [error, setError] = useState(null);
+  const [loginMethod, setLoginMethod] = useState('qr');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [pairingCode, setPairingCode] = useState(null);
+  const [isRequestingCode, setIsRequestingCode] = useState(false);
+  const [pairingError, setPairingError] = useState(null);
+  const [now, setNow] = useState(Date.now());
   const navigate = useNavigate();
-  const statusPollInterval = useRef(null);
-  const qrPollInterval = useRef(null);
+  const [searchParams] = useSearchParams();
+  // The number being linked: ?accountId= when adding one, otherwise the workspace's first account
+  // (known once check-session answers)
+  const accountIdRef = useRef(searchParams.get('accountId'));
+  const hasHandledConnection = useRef(false);
+  // Set once a pairing code was requested - that replaced the QR login on the backend
+  const hasRequestedPairing = useRef(false);
+  const workspaceId = localStorage.getItem('workspaceId');
+
+  // Start (or resume) a QR login. The QR code and connection status arrive through the event stream.
+  const startQrLogin = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const initResponse = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/initialize/${workspaceId}`, accountIdRef.current), {
+        method: 'POST',
+      });
+
+      const initData = await initResponse.json();
+
+      if (!initResponse.ok) {
+        throw new Error(initData.message || 'Failed to initialize WhatsApp');
+      }
+
+      // If already connected, navigate to dashboard
+      if (initData.connected) {
+        setIsConnected(true);
+        setIsLoading(false);
+        navigate('/dashboard');
+      }
+    } catch (err) {
+      console.error('Error initializing WhatsApp:', err);
+      setError(err.message || 'Failed to initialize WhatsApp connection');
+      setIsLoading(false);
+    }
+  }, [navigate, workspaceId]);
 
   useEffect(() => {
-    const userId = localStorage.getItem('userId');
-    
-    if (!userId) {
+    if (!workspaceId) {
+      return;
+    }
+
+    // Linking numbers is up to the workspace's admins
+    if (!hasRole('admin')) {
+      navigate('/dashboard');
       return;
     }
 
@@ -28,9 +87,14 @@ export function WhatsAppConnect() {
         setError(null);
 
         // First, check if session exists
-        const sessionResponse = await fetch(`${API_BASE_URL}/api/whatsapp/check-session/${userId}`);
+        const sessionResponse = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/check-session/${workspaceId}`, accountIdRef.current));
         const sessionData = await sessionResponse.json();
 
+        if (!sessionResponse.ok) {
+          throw new Error(sessionData.message || 'Failed to check WhatsApp session');
+        }
+        accountIdRef.current = sessionData.accountId;
+
         if (sessionData.success && sessionData.connected) {
           // Session exists and is connected, navigate to dashboard
           console.log('WhatsApp session restored, navigating to dashboard');
@@ -39,29 +103,7 @@ export function WhatsAppConnect() {
         }
 
         // No session or not connected, initialize new connection
-        const initResponse = await fetch(`${API_BASE_URL}/api/whatsapp/initialize/${userId}`, {
-          method: 'POST',
-        });
-
-        const initData = await initResponse.json();
-
-        if (!initResponse.ok) {
-          throw new Error(initData.message || 'Failed to initialize WhatsApp');
-        }
-
-        // If already connected, navigate to dashboard
-        if (initData.connected) {
-          setIsConnected(true);
-          setIsLoading(false);
-          navigate('/dashboard');
-          return;
-        }
-
-        // Start polling for QR code
-        startQRPolling(userId);
-        
-        // Start polling for connection status
-        startStatusPolling(userId);
+        await startQrLogin();
       } catch (err) {
         console.error('Error initializing WhatsApp:', err);
         setError(err.message || 'Failed to initialize WhatsApp connection');
@@ -70,97 +112,107 @@ export function WhatsAppConnect() {
     };
 
     initializeConnection();
+  }, [navigate, workspaceId, startQrLogin]);
 
-    // Cleanup intervals on unmount
-    return () => {
-      if (qrPollInterval.current) {
-        clearInterval(qrPollInterval.current);
-      }
-      if (statusPollInterval.current) {
-        clearInterval(statusPollInterval.current);
-      }
-    };
-  }, [navigate]);
+  // Tick the pairing code countdown
+  useEffect(() => {
+    if (!pairingCode) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [pairingCode]);
 
-  const startQRPolling = (userId) => {
-    qrPollInterval.current = setInterval(async () => {
-      try {
-        const response = await fetch(`${API_BASE_URL}/api/whatsapp/qr/${userId}`);
-        const data = await response.json();
-
-        if (data.success && data.qrCode) {
-          setQrCode(data.qrCode);
-          setIsLoading(false);
-          if (qrPollInterval.current) {
-            clearInterval(qrPollInterval.current);
-          }
-        } else if (data.status === 'connected') {
-          setIsConnected(true);
-          setIsLoading(false);
-          if (qrPollInterval.current) {
-            clearInterval(qrPollInterval.current);
-          }
-          
-          // Update user data in backend
-          try {
-            await fetch(`${API_BASE_URL}/api/whatsapp/update-status/${userId}`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({ connected: true }),
-            });
-          } catch (err) {
-            console.error('Error updating user status:', err);
-          }
-          
-          // Navigate to dashboard when connected
-          navigate('/dashboard');
-        }
-      } catch (err) {
-        console.error('Error fetching QR code:', err);
+  const handleRequestPairingCode = async (e) => {
+    e.preventDefault();
+    setIsRequestingCode(true);
+    setPairingError(null);
+
+    try {
+      const response = await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/pairing-code/${workspaceId}`, accountIdRef.current), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ phoneNumber }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to get a pairing code');
       }
-    }, 2000); // Poll every 2 seconds
+
+      hasRequestedPairing.current = true;
+      setQrCode(null);
+      setPairingCode({ code: data.code, expiresAt: data.expiresAt });
+    } catch (err) {
+      console.error('Error requesting pairing code:', err);
+      setPairingError(err.message || 'Failed to get a pairing code');
+    } finally {
+      setIsRequestingCode(false);
+    }
   };
 
-  const startStatusPolling = (userId) => {
-    statusPollInterval.current = setInterval(async () => {
-      try {
-        const response = await fetch(`${API_BASE_URL}/api/whatsapp/status/${userId}`);
-        const data = await response.json();
-
-        if (data.success && data.connected) {
-          setIsConnected(true);
-          setIsLoading(false);
-          if (statusPollInterval.current) {
-            clearInterval(statusPollInterval.current);
-          }
-          if (qrPollInterval.current) {
-            clearInterval(qrPollInterval.current);
-          }
-          
-          // Update user data in backend
-          try {
-            await fetch(`${API_BASE_URL}/api/whatsapp/update-status/${userId}`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({ connected: true }),
-            });
-          } catch (err) {
-            console.error('Error updating user status:', err);
-          }
-          
-          // Navigate to dashboard when connected
-          navigate('/dashboard');
-        }
-      } catch (err) {
-        console.error('Error checking status:', err);
-      }
-    }, 3000); // Poll every 3 seconds
+  const handleLoginMethodChange = (method) => {
+    setLoginMethod(method);
+    // The backend can only wait for one kind of login, so switching back needs a new QR code
+    if (method === 'qr' && hasRequestedPairing.current) {
+      hasRequestedPairing.current = false;
+      setPairingCode(null);
+      startQrLogin();
+    }
   };
 
+  const handleConnected = async () => {
+    if (hasHandledConnection.current) return;
+    hasHandledConnection.current = true;
+
+    setIsConnected(true);
+    setIsLoading(false);
+
+    // Update user data in backend
+    try {
+      await authFetch(withAccountId(`${API_BASE_URL}/api/whatsapp/update-status/${workspaceId}`, accountIdRef.current), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ connected: true }),
+      });
+    } catch (err) {
+      console.error('Error updating user status:', err);
+    }
+
+    // Navigate to dashboard when connected
+    navigate('/dashboard');
+  };
+
+  // The stream carries events for all of the workspace's numbers; only the one being linked matters here
+  const isLinkingAccount = (data) => !!accountIdRef.current && data.accountId === accountIdRef.current;
+
+  useWhatsAppEvents(workspaceId, {
+    qr: (data) => {
+      if (!isLinkingAccount(data)) return;
+      setQrCode(data.qrCode);
+      setIsLoading(false);
+    },
+    // WhatsApp replaces the pairing code every few minutes until the phone is linked
+    pairing_code: (data) => {
+      if (!isLinkingAccount(data)) return;
+      setPairingCode(data);
+    },
+    status: (data) => {
+      if (!isLinkingAccount(data)) return;
+      if (data.connected) {
+        handleConnected();
+      } else if (data.status === 'logged_out' || data.status === 'failed') {
+        setQrCode(null);
+        setPairingCode(null);
+        setError('WhatsApp authentication failed. Please try again.');
+        setIsLoading(false);
+      }
+    },
+  });
+
   const handleContinue = () => {
     // After connection is established, navigate to dashboard
     navigate('/dashboard');
@@ -214,62 +266,139 @@ export function WhatsAppConnect() {
           </p>
         </div>
 
-        {isLoading ? (
-          <div className="space-y-4">
-            <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
-              <div className="animate-pulse">
-                <QrCode className="w-24 h-24 text-gray-300 mb-4" />
+        <Tabs value={loginMethod} onValueChange={handleLoginMethodChange} className="w-full">
+          <TabsList className="grid w-full grid-cols-2">
+            <TabsTrigger value="qr" className="gap-2">
+              <QrCode className="w-4 h-4" />
+              QR code
+            </TabsTrigger>
+            <TabsTrigger value="phone" className="gap-2">
+              <Hash className="w-4 h-4" />
+              Phone number
+            </TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="qr" className="mt-4">
+            {isLoading ? (
+              <div className="space-y-4">
+                <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
+                  <div className="animate-pulse">
+                    <QrCode className="w-24 h-24 text-gray-300 mb-4" />
+                  </div>
+                  <p className="text-sm text-gray-600 text-center">
+                    Generating QR code...
+                  </p>
+                </div>
               </div>
-              <p className="text-sm text-gray-600 text-center">
-                Generating QR code...
-              </p>
-            </div>
-          </div>
-        ) : qrCode ? (
-          <div className="space-y-4">
-            <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
-              <img 
-                src={qrCode} 
-                alt="WhatsApp QR Code" 
-                className="w-64 h-64 mb-4"
-              />
-              <p className="text-sm text-gray-600 text-center">
-                Scan this QR code with your WhatsApp mobile app
-              </p>
-              <p className="text-xs text-gray-500 text-center mt-2">
-                Open WhatsApp → Settings → Linked Devices → Link a Device
-              </p>
-            </div>
-            <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
-              <p className="text-xs text-blue-800">
-                <strong>Tip:</strong> Make sure your phone has an active internet connection and WhatsApp is open.
-              </p>
-            </div>
-          </div>
-        ) : error ? (
-          <div className="space-y-4">
-            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-              <p className="text-sm text-red-800">{error}</p>
-            </div>
-            <Button
-              onClick={() => window.location.reload()}
-              className="w-full bg-emerald-500 hover:bg-emerald-600 text-white"
-            >
-              Retry
-            </Button>
-          </div>
-        ) : (
-          <div className="space-y-4">
-            <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
-              <div className="animate-pulse">
-                <QrCode className="w-24 h-24 text-gray-300 mb-4" />
+            ) : qrCode ? (
+              <div className="space-y-4">
+                <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
+                  <img 
+                    src={qrCode} 
+                    alt="WhatsApp QR Code" 
+                    className="w-64 h-64 mb-4"
+                  />
+                  <p className="text-sm text-gray-600 text-center">
+                    Scan this QR code with your WhatsApp mobile app
+                  </p>
+                  <p className="text-xs text-gray-500 text-center mt-2">
+                    Open WhatsApp → Settings → Linked Devices → Link a Device
+                  </p>
+                </div>
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  <p className="text-xs text-blue-800">
+                    <strong>Tip:</strong> Make sure your phone has an active internet connection and WhatsApp is open.
+                  </p>
+                </div>
               </div>
-              <p className="text-sm text-gray-600 text-center">
-                Waiting for QR code...
-              </p>
-            </div>
-          </div>
-        )}
+            ) : error ? (
+              <div className="space-y-4">
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <p className="text-sm text-red-800">{error}</p>
+                </div>
+                <Button
+                  onClick={() => window.location.reload()}
+                  className="w-full bg-emerald-500 hover:bg-emerald-600 text-white"
+                >
+                  Retry
+                </Button>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
+                  <div className="animate-pulse">
+                    <QrCode className="w-24 h-24 text-gray-300 mb-4" />
+                  </div>
+                  <p className="text-sm text-gray-600 text-center">
+                    Waiting for QR code...
+                  </p>
+                </div>
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="phone" className="mt-4">
+            {pairingCode ? (
+              <div className="space-y-4">
+                <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center">
+                  <p className="text-3xl font-mono font-bold tracking-widest text-gray-900 mb-4">
+                    {formatPairingCode(pairingCode.code)}
+                  </p>
+                  {pairingCode.expiresAt > now ? (
+                    <p className="text-sm text-gray-600 text-center">
+                      Expires in {formatCountdown(pairingCode.expiresAt - now)}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-amber-700 text-center">
+                      This code has expired. A new one will appear shortly.
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500 text-center mt-2">
+                    Open WhatsApp → Settings → Linked Devices → Link a Device → Link with phone number instead, then enter this code
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  onClick={() => setPairingCode(null)}
+                  className="w-full"
+                >
+                  Use a different number
+                </Button>
+              </div>
+            ) : (
+              <form onSubmit={handleRequestPairingCode} className="space-y-4">
+                <div className="space-y-2">
+                  <label htmlFor="pairing-phone" className="text-sm font-medium text-gray-700">
+                    Phone number
+                  </label>
+                  <Input
+                    id="pairing-phone"
+                    type="tel"
+                    placeholder="e.g. +1 202 555 0108"
+                    value={phoneNumber}
+                    onChange={(e) => setPhoneNumber(e.target.value)}
+                    className="focus-visible:ring-emerald-500"
+                  />
+                  <p className="text-xs text-gray-500">
+                    The number of the phone running WhatsApp, including the country code
+                  </p>
+                </div>
+                {pairingError && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                    <p className="text-sm text-red-800">{pairingError}</p>
+                  </div>
+                )}
+                <Button
+                  type="submit"
+                  disabled={isRequestingCode || !phoneNumber.trim()}
+                  className="w-full bg-emerald-500 hover:bg-emerald-600 text-white"
+                >
+                  {isRequestingCode ? 'Requesting code...' : 'Get pairing code'}
+                </Button>
+              </form>
+            )}
+          </TabsContent>
+        </Tabs>
       </div>
     </div>
   );
@@ -2,7 +2,7 @@ import * as React from "react";
 import * as ScrollAreaPrimitive from "@radix-ui/react-scroll-area";
 import { cn } from "./utils";
 
-const ScrollArea = React.forwardRef(({ className, children, ...props }, ref) => {
+const ScrollArea = React.forwardRef(({ className, children, viewportRef, onViewportScroll, ...props }, ref) => {
   return (
     <ScrollAreaPrimitive.Root
       ref={ref}
@@ -10,6 +10,8 @@ const ScrollArea = React.forwardRef(({ className, children, ...props }, ref) =>
       {...props}
     >
       <ScrollAreaPrimitive.Viewport
+        ref={viewportRef}
+        onScroll={onViewportScroll}
         className="focus-visible:ring-ring/50 h-full w-full rounded-[inherit] transition-[color,box-shadow] outline-none focus-visible:ring-[3px] focus-visible:outline-1"
       >
         {children}
@@ -0,0 +1,31 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Track whether an element has scrolled into (or near) the viewport.
+ * Stays true once the element has been seen, so lazily loaded content isn't dropped again.
+ * @param {string} [rootMargin] - Margin around the viewport that counts as visible
+ * @returns {[React.RefObject, boolean]} - Ref to attach to the element, and whether it has been seen
+ */
+export function useInView(rootMargin = '200px') {
+  const ref = useRef(null);
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || inView) {
+      return;
+    }
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setInView(true);
+        observer.disconnect();
+      }
+    }, { rootMargin });
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [inView, rootMargin]);
+
+  return [ref, inView];
+}
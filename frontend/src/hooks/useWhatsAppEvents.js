@@ -0,0 +1,58 @@
+import { useEffect, useRef, useState } from 'react';
+import { refreshSession, withAuthToken } from '../lib/auth';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+const EVENT_TYPES = ['message', 'message_ack', 'qr', 'pairing_code', 'status', 'chats', 'chat_read', 'assignment', 'conversation_status', 'note', 'note_deleted', 'contact_fields', 'tags', 'scheduled_message', 'scheduled_message_deleted', 'campaign'];
+
+/**
+ * Subscribe to the live WhatsApp event stream for a workspace.
+ * EventSource reconnects on its own if the connection drops; if the server
+ * rejects the stream the session is refreshed and the stream reopened.
+ * @param {string|null} workspaceId - Workspace ID (no subscription while null)
+ * @param {Object<string, Function>} handlers - Map of event type to handler, e.g. { message: (data) => {} }
+ */
+export function useWhatsAppEvents(workspaceId, handlers) {
+  // Keep the latest handlers without reopening the stream on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  // Bumped to reopen the stream after the session token is refreshed
+  const [connectionId, setConnectionId] = useState(0);
+
+  useEffect(() => {
+    if (!workspaceId) {
+      return;
+    }
+
+    // EventSource can't send headers, so the token goes in the query string
+    const eventSource = new EventSource(withAuthToken(`${API_BASE_URL}/api/whatsapp/events/${workspaceId}`));
+
+    EVENT_TYPES.forEach((type) => {
+      eventSource.addEventListener(type, (event) => {
+        const handler = handlersRef.current[type];
+        if (!handler) return;
+        try {
+          handler(JSON.parse(event.data));
+        } catch (error) {
+          console.error(`Error handling ${type} event:`, error);
+        }
+      });
+    });
+
+    eventSource.onerror = async () => {
+      if (eventSource.readyState !== EventSource.CLOSED) {
+        console.warn('WhatsApp event stream interrupted, reconnecting...');
+        return;
+      }
+      // The server rejected the stream (usually an expired token) - refresh and reopen
+      eventSource.close();
+      if (await refreshSession()) {
+        setConnectionId((id) => id + 1);
+      }
+    };
+
+    return () => {
+      eventSource.close();
+    };
+  }, [workspaceId, connectionId]);
+}
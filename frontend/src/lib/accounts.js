@@ -0,0 +1,48 @@
+// Helpers for working with several WhatsApp accounts (numbers) in one workspace
+
+// Account selection that shows the chats of every account in one list
+export const UNIFIED_INBOX = 'all';
+
+const ACTIVE_ACCOUNT_KEY = 'activeAccountId';
+
+/**
+ * Add the accountId query parameter that selects which WhatsApp account an API call is for
+ * @param {string} url - API URL
+ * @param {string|null} accountId - Account ID; without one the backend uses the workspace's first account
+ * @returns {string}
+ */
+export function withAccountId(url, accountId) {
+  if (!accountId) return url;
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}accountId=${encodeURIComponent(accountId)}`;
+}
+
+/**
+ * Key a chat by account and chat ID - the same contact can have a chat on several accounts
+ * @param {string} accountId - Account ID
+ * @param {string} chatId - Chat ID
+ * @returns {string}
+ */
+export function getChatKey(accountId, chatId) {
+  return `${accountId}:${chatId}`;
+}
+
+/**
+ * The account (or UNIFIED_INBOX) last picked in the dashboard's account switcher
+ * @returns {string|null}
+ */
+export function getSavedActiveAccountId() {
+  return localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+}
+
+/**
+ * Remember the account picked in the account switcher
+ * @param {string|null} accountId - Account ID or UNIFIED_INBOX; null forgets the choice
+ */
+export function saveActiveAccountId(accountId) {
+  if (accountId) {
+    localStorage.setItem(ACTIVE_ACCOUNT_KEY, accountId);
+  } else {
+    localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+  }
+}
@@ -0,0 +1,217 @@
+import { clearWorkspace, saveWorkspace } from './workspace';
+
+const API_BASE_URL = 'http://localhost:5153';
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Share one in-flight refresh between concurrent requests
+let refreshPromise = null;
+
+/**
+ * Store the session returned by login, signup or refresh
+ * @param {Object} data - Response body with user, workspace, token and refreshToken
+ */
+export function saveSession(data) {
+  localStorage.setItem(TOKEN_KEY, data.token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+  if (data.user) {
+    localStorage.setItem('user', JSON.stringify(data.user));
+    localStorage.setItem('userId', data.user.id);
+  }
+  if (data.workspace) {
+    saveWorkspace(data.workspace);
+  }
+}
+
+/**
+ * Remove all session data from storage
+ */
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem('user');
+  localStorage.removeItem('userId');
+  localStorage.removeItem('activeAccountId');
+  clearWorkspace();
+}
+
+/**
+ * @returns {string|null} - Current access token
+ */
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * @returns {Object|null} - Signed-in user ({ id, name, email, ... })
+ */
+export function getUser() {
+  const user = localStorage.getItem('user');
+  return user ? JSON.parse(user) : null;
+}
+
+/**
+ * Append the session token to a URL, for requests that can't send headers
+ * (EventSource, <img>/<video>/<audio> src, download links)
+ * @param {string} url - URL (may already have a query string)
+ * @returns {string} - URL with ?token=
+ */
+export function withAuthToken(url) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}token=${encodeURIComponent(getToken() || '')}`;
+}
+
+/**
+ * Exchange the stored refresh token for a new session
+ * @returns {Promise<boolean>} - True if the session was refreshed
+ */
+export function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/users/refresh`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          clearSession();
+          return false;
+        }
+
+        saveSession(data);
+        return true;
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+  return refreshPromise;
+}
+
+/**
+ * fetch() with the session token attached.
+ * Retries once with a refreshed token on 401, and sends the user to the
+ * login screen if the session can't be refreshed.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function authFetch(url, options = {}) {
+  const request = () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      Authorization: `Bearer ${getToken()}`,
+    },
+  });
+
+  let response = await request();
+
+  if (response.status === 401) {
+    if (await refreshSession()) {
+      response = await request();
+    } else {
+      clearSession();
+      window.location.assign('/login');
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Verify the stored session with the backend
+ * @returns {Promise<Object|null>} - Authenticated user or null
+ */
+export async function verifySession() {
+  if (!getToken() && !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+    return null;
+  }
+
+  const request = () => fetch(`${API_BASE_URL}/api/users/me`, {
+    headers: {
+      Authorization: `Bearer ${getToken()}`,
+    },
+  });
+
+  try {
+    let response = await request();
+    if (response.status === 401 && await refreshSession()) {
+      response = await request();
+    }
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      clearSession();
+      return null;
+    }
+
+    localStorage.setItem('user', JSON.stringify(data.user));
+    localStorage.setItem('userId', data.user.id);
+    saveWorkspace(data.workspace);
+    return data.user;
+  } catch (error) {
+    console.error('Error verifying session:', error);
+    return null;
+  }
+}
+
+/**
+ * Upload form data with the session token attached, reporting progress.
+ * Uses XMLHttpRequest because fetch() can't report upload progress.
+ * Retries once with a refreshed token on 401.
+ * @param {string} url - Request URL
+ * @param {FormData} formData - Form data to upload
+ * @param {Function} [onProgress] - Called with a 0-100 percentage
+ * @returns {Promise<{ status: number, data: Object }>} - Response status and parsed JSON body
+ */
+export async function authUpload(url, formData, onProgress) {
+  const request = () => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    xhr.setRequestHeader('Authorization', `Bearer ${getToken()}`);
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable && onProgress) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        data = { success: false, message: 'Unexpected server response' };
+      }
+      resolve({ status: xhr.status, data });
+    };
+    xhr.onerror = () => reject(new Error('Upload failed. Please check your connection.'));
+
+    xhr.send(formData);
+  });
+
+  let result = await request();
+
+  if (result.status === 401) {
+    if (await refreshSession()) {
+      result = await request();
+    } else {
+      clearSession();
+      window.location.assign('/login');
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,88 @@
+// Date formatting for API timestamps (epoch milliseconds).
+// Passing an undefined locale uses the browser's locale and time zone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timeFormat = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit' });
+const weekdayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'short' });
+const longWeekdayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'long' });
+const monthDayFormat = new Intl.DateTimeFormat(undefined, { month: 'short', day: 'numeric' });
+const fullDateFormat = new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+const relativeDayFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Number of calendar days between a timestamp and today, in local time
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {number} - 0 for today, 1 for yesterday, ...
+ */
+function daysAgo(timestamp) {
+  const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  // Rounded because days around DST changes aren't exactly 24 hours long
+  return Math.round((startOfDay(new Date()) - startOfDay(new Date(timestamp))) / DAY_MS);
+}
+
+/**
+ * Check whether two timestamps fall on the same local calendar day
+ * @param {number} a - Epoch milliseconds
+ * @param {number} b - Epoch milliseconds
+ * @returns {boolean}
+ */
+export function isSameDay(a, b) {
+  return new Date(a).toDateString() === new Date(b).toDateString();
+}
+
+/**
+ * Time of day for a message bubble, e.g. "3:04 PM"
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string}
+ */
+export function formatMessageTime(timestamp) {
+  return timestamp ? timeFormat.format(timestamp) : '';
+}
+
+/**
+ * Last activity time for the chat list: time today, "Yesterday", weekday this week, otherwise the date
+ * @param {number|null} timestamp - Epoch milliseconds
+ * @returns {string}
+ */
+export function formatChatTime(timestamp) {
+  if (!timestamp) return '';
+
+  const days = daysAgo(timestamp);
+  if (days <= 0) return timeFormat.format(timestamp);
+  if (days === 1) return capitalize(relativeDayFormat.format(-1, 'day'));
+  if (days < 7) return weekdayFormat.format(timestamp);
+  if (new Date(timestamp).getFullYear() === new Date().getFullYear()) return monthDayFormat.format(timestamp);
+  return fullDateFormat.format(timestamp);
+}
+
+/**
+ * Label for the date separator between messages: "Today", "Yesterday", weekday this week, otherwise the date
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string}
+ */
+export function formatDateSeparator(timestamp) {
+  const days = daysAgo(timestamp);
+  // Clamped so clock skew never produces "tomorrow"
+  if (days <= 1) return capitalize(relativeDayFormat.format(-Math.max(days, 0), 'day'));
+  if (days < 7) return longWeekdayFormat.format(timestamp);
+  return fullDateFormat.format(timestamp);
+}
+
+/**
+ * Time something is due, e.g. a snooze ending: time today, "Tomorrow" or weekday this week, otherwise the date, with the time
+ * @param {number} timestamp - Epoch milliseconds (in the future)
+ * @returns {string}
+ */
+export function formatUpcomingTime(timestamp) {
+  if (!timestamp) return '';
+
+  const time = timeFormat.format(timestamp);
+  const daysAhead = -daysAgo(timestamp);
+  if (daysAhead <= 0) return time;
+  if (daysAhead === 1) return `${capitalize(relativeDayFormat.format(1, 'day'))} ${time}`;
+  if (daysAhead < 7) return `${weekdayFormat.format(timestamp)} ${time}`;
+  return `${monthDayFormat.format(timestamp)}, ${time}`;
+}
@@ -0,0 +1,51 @@
+// Snippet placeholders like {{name}} or {{company}}, filled from the selected chat before sending.
+// The built-in names are reserved on the backend (contactFieldService.js); any other name is
+// looked up in the chat's custom contact fields.
+
+import { getUser } from './auth';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+const timeFormat = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit' });
+
+// Built-in placeholders; each returns its value for a chat, or '' when it isn't known
+export const BUILT_IN_PLACEHOLDERS = {
+  name: (chat) => chat.name,
+  first_name: (chat) => chat.name.split(/\s+/)[0],
+  phone: (chat) => chat.phoneNumber,
+  agent: () => getUser()?.name,
+  date: () => dateFormat.format(Date.now()),
+  time: () => timeFormat.format(Date.now()),
+};
+
+/**
+ * Fill a snippet's placeholders for a chat. Placeholders without a value are left in the text.
+ * @param {string} content - Snippet text
+ * @param {import('../types/types').Chat} chat - Chat the reply goes to
+ * @returns {{ text: string, unresolved: string[] }} - Filled text and the names that couldn't be filled
+ */
+export function fillTemplate(content, chat) {
+  const unresolved = new Set();
+  const text = content.replace(PLACEHOLDER_PATTERN, (placeholder, rawName) => {
+    const name = rawName.toLowerCase();
+    const builtIn = BUILT_IN_PLACEHOLDERS[name];
+    const value = builtIn ? builtIn(chat) : chat.contactFields?.[name];
+    // A chat without a saved name is called by its number; that's no name to greet someone with
+    if (!value || ((name === 'name' || name === 'first_name') && chat.name === chat.phoneNumber)) {
+      unresolved.add(name);
+      return placeholder;
+    }
+    return value;
+  });
+  return { text, unresolved: [...unresolved] };
+}
+
+/**
+ * Find the placeholders left in a text, e.g. a filled snippet in the composer
+ * @param {string} text - Text
+ * @returns {Array<{ placeholder: string, index: number }>} - Placeholders in order of appearance
+ */
+export function findPlaceholders(text) {
+  return [...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => ({ placeholder: match[0], index: match.index }));
+}
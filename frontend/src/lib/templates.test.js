@@ -0,0 +1,43 @@
+import { fillTemplate, findPlaceholders } from './templates';
+
+const chat = {
+  name: 'Jane Doe',
+  phoneNumber: '15551234567',
+  contactFields: { company: 'Acme' },
+};
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('fills built-in placeholders and custom contact fields', () => {
+  localStorage.setItem('user', JSON.stringify({ name: 'Sam' }));
+
+  expect(fillTemplate('Hi {{first_name}} ({{ name }}, {{phone}}) at {{Company}}, this is {{agent}}', chat)).toEqual({
+    text: 'Hi Jane (Jane Doe, 15551234567) at Acme, this is Sam',
+    unresolved: [],
+  });
+});
+
+test('leaves placeholders without a value in the text and reports them once', () => {
+  expect(fillTemplate('{{agent}}: {{order_id}}, {{order_id}}', chat)).toEqual({
+    text: '{{agent}}: {{order_id}}, {{order_id}}',
+    unresolved: ['agent', 'order_id'],
+  });
+});
+
+test('does not greet a chat without a saved name by its number', () => {
+  const unnamed = { name: '15551234567', phoneNumber: '15551234567' };
+
+  expect(fillTemplate('Hi {{first_name}}, about {{phone}}', unnamed)).toEqual({
+    text: 'Hi {{first_name}}, about 15551234567',
+    unresolved: ['first_name'],
+  });
+});
+
+test('finds the placeholders left in a text', () => {
+  expect(findPlaceholders('Hi {{name}}, {notes} {{ order_id }}')).toEqual([
+    { placeholder: '{{name}}', index: 3 },
+    { placeholder: '{{ order_id }}', index: 21 },
+  ]);
+});
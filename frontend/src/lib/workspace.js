@@ -0,0 +1,52 @@
+// Helpers for the signed-in user's workspace (the team sharing the WhatsApp numbers) and role
+
+// Roles from least to most privileged
+export const ROLES = ['read_only', 'agent', 'admin', 'owner'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  agent: 'Agent',
+  read_only: 'Read-only',
+};
+
+const WORKSPACE_KEY = 'workspace';
+
+/**
+ * Store the workspace returned by login, signup or refresh
+ * @param {Object} workspace - { id, name, role }
+ */
+export function saveWorkspace(workspace) {
+  localStorage.setItem(WORKSPACE_KEY, JSON.stringify(workspace));
+  localStorage.setItem('workspaceId', workspace.id);
+}
+
+/**
+ * Remove the stored workspace
+ */
+export function clearWorkspace() {
+  localStorage.removeItem(WORKSPACE_KEY);
+  localStorage.removeItem('workspaceId');
+}
+
+/**
+ * @returns {Object|null} - Current workspace ({ id, name, role })
+ */
+export function getWorkspace() {
+  try {
+    return JSON.parse(localStorage.getItem(WORKSPACE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether the signed-in user's role is at least the given one.
+ * Only hides UI; the backend enforces roles on every request.
+ * @param {string} minimumRole - One of ROLES
+ * @returns {boolean}
+ */
+export function hasRole(minimumRole) {
+  const role = getWorkspace()?.role;
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
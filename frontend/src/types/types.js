@@ -3,28 +3,152 @@
 /**
  * @typedef {Object} Chat
  * @property {string} id
+ * @property {string} key - Unique across accounts (accountId:id)
+ * @property {string} accountId - WhatsApp account the chat belongs to
+ * @property {string} [accountName]
  * @property {string} name
+ * @property {string} [phoneNumber] - Empty for groups
  * @property {string} avatar
  * @property {string} lastMessage
- * @property {string} timestamp
+ * @property {number|null} timestamp - Last activity, epoch milliseconds
  * @property {number} [unread]
  * @property {'online' | 'offline' | 'away'} [status]
+ * @property {{ id: string, name: string } | null} [assignee] - Team member handling the conversation
+ * @property {'open' | 'pending' | 'snoozed' | 'resolved'} [conversationStatus] - Workflow status
+ * @property {number|null} [snoozedUntil] - When a snoozed conversation reopens, epoch milliseconds
+ * @property {Object<string, string>} [contactFields] - Custom fields about the contact, for snippet placeholders
+ * @property {string[]} [tags] - Labels set by the team or by auto-reply rules
  */
 
 /**
  * @typedef {Object} Message
  * @property {string} id
  * @property {string} text
- * @property {string} timestamp
+ * @property {number} timestamp - Epoch milliseconds
  * @property {'me' | 'them'} sender
  * @property {'sent' | 'delivered' | 'read'} [status]
+ * @property {string} [type] - WhatsApp message type ('chat', 'image', 'video', 'audio', 'ptt', 'document', 'sticker', ...)
+ * @property {MessageMedia} [media]
+ */
+
+/**
+ * @typedef {Object} MessageMedia
+ * @property {string} url - API path of the media endpoint
+ * @property {string} [mimetype]
+ * @property {string} [filename]
+ * @property {number} [size]
+ * @property {number} [duration]
+ */
+
+/**
+ * Private team note on a chat, shown in the timeline but never sent to WhatsApp
+ * @typedef {Object} Note
+ * @property {string} id
+ * @property {string} chatId
+ * @property {string} body
+ * @property {{ id: string, name: string } | null} author - null once the author's account is gone
+ * @property {number} timestamp - Created, epoch milliseconds
+ * @property {number|null} editedAt - Last edit, epoch milliseconds
+ */
+
+/**
+ * Message queued to be sent to a chat later
+ * @typedef {Object} ScheduledMessage
+ * @property {string} id
+ * @property {string} chatId
+ * @property {string} body
+ * @property {number} sendAt - Epoch milliseconds
+ * @property {'scheduled' | 'sent' | 'failed'} status - failed after the retries ran out; editing queues it again
+ * @property {string|null} lastError - Why the last send attempt failed
+ * @property {{ id: string, name: string } | null} createdBy - null once the creator's account is gone
+ */
+
+/**
+ * Broadcast campaign: one message, filled in per recipient, sent to many contacts
+ * @typedef {Object} Campaign
+ * @property {string} id
+ * @property {string} accountId - Account the messages are sent from
+ * @property {string} accountName
+ * @property {string} name
+ * @property {string} template - Message with placeholders, as written
+ * @property {'sending' | 'completed' | 'cancelled'} status
+ * @property {{ id: string, name: string } | null} createdBy - null once the creator's account is gone
+ * @property {number} createdAt - Epoch milliseconds
+ * @property {number|null} completedAt - Finished or cancelled, epoch milliseconds
+ * @property {{ total: number, pending: number, sent: number, delivered: number, read: number, failed: number, cancelled: number }} counts
+ */
+
+/**
+ * One recipient's result in a campaign report
+ * @typedef {Object} CampaignRecipient
+ * @property {string} id
+ * @property {string} chatId
+ * @property {string|null} name
+ * @property {string|null} phone
+ * @property {'pending' | 'sent' | 'delivered' | 'read' | 'failed' | 'cancelled'} status - cancelled: not sent because the campaign was stopped
+ * @property {string|null} error - Why sending failed
+ * @property {number|null} sentAt - Epoch milliseconds
+ */
+
+/**
+ * Rule that acts on incoming messages without an agent; only the first matching rule fires
+ * @typedef {Object} AutoReplyRule
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {'keyword' | 'regex' | 'first_message'} matchType
+ * @property {string|null} pattern - Comma-separated keywords or a regular expression; null for first_message
+ * @property {'any' | 'individual' | 'group'} chatType
+ * @property {{ id: string, title: string } | null} replySnippet - Snippet sent as the reply
+ * @property {string|null} tag - Tag added to the chat
+ * @property {{ id: string, name: string } | null} assignee - Member the chat is assigned to
+ * @property {number} cooldownMinutes - Minimum time between two firings in the same chat
+ */
+
+/**
+ * Opening hours of a WhatsApp account and the automatic messages that depend on them
+ * @typedef {Object} BusinessHours
+ * @property {string} timezone - IANA time zone the hours and holidays are in
+ * @property {Object<string, Array<{ open: string, close: string }>>} schedule - HH:MM intervals by day ('monday', ...); empty days are closed
+ * @property {string[]} holidays - YYYY-MM-DD dates closed all day
+ * @property {string|null} awayMessage - Sent outside opening hours, once per chat per closed period; null when off
+ * @property {string|null} greetingMessage - Sent to contacts writing for the first time; null when off
+ * @property {boolean} isOpen - Whether the account is open right now
+ */
+
+/**
+ * URL that receives the workspace's live events as signed JSON POST requests (admins only)
+ * @typedef {Object} Webhook
+ * @property {string} id
+ * @property {string} url
+ * @property {Array<'message' | 'message_ack' | 'status' | 'qr'>} events - message: incoming messages only
+ * @property {boolean} enabled
+ * @property {string} secret - Key of the HMAC-SHA256 in the X-Webhook-Signature header
+ * @property {string} createdBy - User ID
+ * @property {string} createdAt - ISO time
+ * @property {string} updatedAt - ISO time
+ */
+
+/**
+ * One event sent (or being sent) to a webhook
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - Also the payload's id, for receivers to drop repeats
+ * @property {'message' | 'message_ack' | 'status' | 'qr' | 'ping'} event - ping: test delivery
+ * @property {'pending' | 'succeeded' | 'failed'} status - failed: gave up after the last retry
+ * @property {number} attempts
+ * @property {string|null} nextAttemptAt - ISO time; null once finished
+ * @property {number|null} responseStatus - HTTP status of the last attempt
+ * @property {string|null} error - Why the last attempt failed
+ * @property {{ id: string, event: string, workspaceId: string, accountId: string|null, timestamp: string, data: Object }} payload - Request body
+ * @property {string} createdAt - ISO time
+ * @property {string|null} completedAt - ISO time
  */
 
 /**
  * @typedef {Object} Snippet
  * @property {string} id
  * @property {string} title
- * @property {string} content
+ * @property {string} content - May contain placeholders like {{name}} (see lib/templates.js)
  * @property {string} category
  * @property {string} [icon]
  */